@@ -0,0 +1,286 @@
+// Per-network settings shared by hardhat.config.js, the deploy scripts and the tasks.
+// VRF subscription ids and callback gas limits are account-specific and stay in .env;
+// any profile value can be overridden with <ENV_PREFIX>_VRF_* variables.
+
+const ETHERSCAN_KEYS = ["ETHERSCAN_API_KEY"];
+const BASESCAN_KEYS = ["BASESCAN_API_KEY", "ETHERSCAN_API_KEY"];
+const BLOCKSCOUT_KEYS = ["BLOCKSCOUT_API_KEY"];
+
+const NETWORKS = {
+  sepolia: {
+    chainId: 11155111,
+    envPrefix: "SEPOLIA",
+    linkToken: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
+    vrf: {
+      coordinator: "0x9DdfaCa8183c41ad55329BdeeD9F6A8d53168B1B",
+      keyHashes: {
+        "500gwei": "0x787d74caea10b2b357790d5b5247c2f63d1d91572a9846f780606e4d953677ae",
+      },
+      confirmations: 3,
+      nativePayment: false,
+    },
+    explorers: {
+      etherscan: {
+        name: "Etherscan",
+        apiURL: "https://api-sepolia.etherscan.io/api",
+        browserURL: "https://sepolia.etherscan.io",
+        apiKeyEnv: ETHERSCAN_KEYS,
+        builtin: true,
+      },
+    },
+  },
+  base: {
+    chainId: 8453,
+    envPrefix: "BASE",
+    linkToken: "0x88Fb150BDc53A65fe94Dea0c9BA0a6dAf8C6e196",
+    vrf: {
+      coordinator: "0xd5D517aBE5cF79B7e95eC98dB0f0277788aFF634",
+      keyHashes: {
+        "30gwei": "0x00b81b5a830cb0a4009fbd8904de511e28631e62ce5ad231373d3cdad373ccab",
+      },
+      confirmations: 3,
+      nativePayment: false,
+    },
+    explorers: {
+      basescan: {
+        name: "BaseScan",
+        apiURL: "https://api.basescan.org/api",
+        browserURL: "https://basescan.org",
+        apiKeyEnv: BASESCAN_KEYS,
+        builtin: true,
+      },
+      blockscout: {
+        name: "Blockscout",
+        apiURL: "https://base.blockscout.com/api",
+        browserURL: "https://base.blockscout.com",
+        apiKeyEnv: BLOCKSCOUT_KEYS,
+      },
+    },
+  },
+  "base-sepolia": {
+    chainId: 84532,
+    envPrefix: "BASE_SEPOLIA",
+    linkToken: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
+    vrf: {
+      coordinator: "0x5C210eF41CD1a72de73bF76eC39637bB0d3d7BEE",
+      keyHashes: {
+        "30gwei": "0x9e1344a1247c8a1785d0a4681a27152bffdb43666ae5bf7d14d24a5efd44bf71",
+      },
+      confirmations: 3,
+      nativePayment: false,
+    },
+    explorers: {
+      basescan: {
+        name: "BaseScan",
+        apiURL: "https://api-sepolia.basescan.org/api",
+        browserURL: "https://sepolia.basescan.org",
+        apiKeyEnv: BASESCAN_KEYS,
+        builtin: true,
+      },
+      blockscout: {
+        name: "Blockscout",
+        apiURL: "https://base-sepolia.blockscout.com/api",
+        browserURL: "https://base-sepolia.blockscout.com",
+        apiKeyEnv: BLOCKSCOUT_KEYS,
+      },
+    },
+  },
+  // VRF is unsupported on op, arb and celo until their coordinators and key hashes are checked and
+  // added here; deploy and VRF tasks refuse them unless OP_VRF_*, ARB_VRF_* or CELO_VRF_* supply both.
+  op: {
+    chainId: 10,
+    envPrefix: "OP",
+    linkToken: "0x350a791Bfc2C21F9Ed5d10980Dad2e2638ffa7f6",
+    vrf: {
+      coordinator: null,
+      keyHashes: {},
+      confirmations: 3,
+      nativePayment: false,
+      unsupported:
+        "no VRF v2.5 coordinator or key hash for OP Mainnet has been checked against Chainlink's published list",
+    },
+    explorers: {
+      etherscan: {
+        name: "Optimistic Etherscan",
+        apiURL: "https://api-optimistic.etherscan.io/api",
+        browserURL: "https://optimistic.etherscan.io",
+        apiKeyEnv: ETHERSCAN_KEYS,
+        builtin: true,
+      },
+    },
+  },
+  arb: {
+    chainId: 42161,
+    envPrefix: "ARB",
+    linkToken: "0xf97f4df75117a78c1A5a0DBb814Af92458539FB4",
+    vrf: {
+      coordinator: null,
+      keyHashes: {},
+      confirmations: 1,
+      nativePayment: false,
+      unsupported:
+        "no VRF v2.5 coordinator or key hash for Arbitrum One has been checked against Chainlink's published list",
+    },
+    explorers: {
+      etherscan: {
+        name: "Arbiscan",
+        apiURL: "https://api.arbiscan.io/api",
+        browserURL: "https://arbiscan.io",
+        apiKeyEnv: ETHERSCAN_KEYS,
+        builtin: true,
+      },
+    },
+  },
+  celo: {
+    chainId: 42220,
+    envPrefix: "CELO",
+    linkToken: "0xd07294e6E917e07dfDcee882dd1e2565085C2ae0",
+    vrf: {
+      coordinator: null,
+      keyHashes: {},
+      confirmations: 3,
+      nativePayment: false,
+      unsupported: "no VRF v2.5 coordinator or key hash for Celo has been checked against Chainlink's published list",
+    },
+    explorers: {
+      celoscan: {
+        name: "Celoscan",
+        apiURL: "https://api.celoscan.io/api",
+        browserURL: "https://celoscan.io",
+        apiKeyEnv: ETHERSCAN_KEYS,
+        builtin: true,
+      },
+    },
+  },
+  // Local chains use MockVRFCoordinator; its address comes from LOCAL_VRF_COORDINATOR.
+  hardhat: {
+    chainId: 31337,
+    envPrefix: "LOCAL",
+    local: true,
+    linkToken: null,
+    vrf: { coordinator: null, keyHashes: {}, confirmations: 1, nativePayment: false },
+    explorers: {},
+  },
+  localhost: {
+    chainId: 31337,
+    envPrefix: "LOCAL",
+    local: true,
+    linkToken: null,
+    vrf: { coordinator: null, keyHashes: {}, confirmations: 1, nativePayment: false },
+    explorers: {},
+  },
+};
+
+const REMOTE_NETWORKS = Object.keys(NETWORKS).filter((name) => !NETWORKS[name].local);
+
+function networkProfile(network) {
+  const profile = NETWORKS[network];
+  if (!profile) {
+    throw new Error(
+      `No network profile for "${network}". Add it to config/networks.js (known: ${Object.keys(NETWORKS).join(", ")}).`
+    );
+  }
+  return { name: network, ...profile };
+}
+
+// LINK token used to fund subscriptions; <PREFIX>_LINK_TOKEN overrides the profile.
+function linkTokenAddress(network, env = process.env) {
+  const { envPrefix, linkToken } = networkProfile(network);
+  const address = env[`${envPrefix}_LINK_TOKEN`] || linkToken;
+  if (!address) {
+    throw new Error(`No LINK token for ${network}: set ${envPrefix}_LINK_TOKEN`);
+  }
+  return address;
+}
+
+/**
+ * VRF constructor settings for `network`: profile defaults overridden by
+ * <PREFIX>_VRF_* env vars. Throws listing every value that is still missing, or
+ * why VRF is unsupported when the profile says so and env does not fill it in.
+ */
+function vrfSettings(network, env = process.env) {
+  const { envPrefix, vrf } = networkProfile(network);
+  const read = (key) => env[`${envPrefix}_VRF_${key}`];
+  if (vrf.unsupported && !(read("COORDINATOR") && read("KEY_HASH"))) {
+    throw new Error(
+      `VRF is unsupported on ${network}: ${vrf.unsupported}. To use it anyway, set ${envPrefix}_VRF_COORDINATOR ` +
+        `and ${envPrefix}_VRF_KEY_HASH from Chainlink's VRF v2.5 supported networks page`
+    );
+  }
+  const keyHashes = Object.values(vrf.keyHashes);
+
+  const settings = {
+    coordinator: read("COORDINATOR") || vrf.coordinator,
+    keyHash: read("KEY_HASH") || keyHashes[0] || null,
+    subscriptionId: read("SUBSCRIPTION_ID") ? BigInt(read("SUBSCRIPTION_ID")) : null,
+    requestConfirmations: Number(read("REQUEST_CONFIRMATIONS") || vrf.confirmations),
+    callbackGasLimit: Number(read("CALLBACK_GAS_LIMIT") || 300000),
+    nativePayment: read("NATIVE_PAYMENT") !== undefined ? read("NATIVE_PAYMENT") === "true" : vrf.nativePayment,
+  };
+
+  const missing = [
+    ["coordinator", "COORDINATOR"],
+    ["keyHash", "KEY_HASH"],
+    ["subscriptionId", "SUBSCRIPTION_ID"],
+  ]
+    .filter(([field]) => !settings[field])
+    .map(([, key]) => `${envPrefix}_VRF_${key}`);
+  if (missing.length > 0) {
+    throw new Error(`Missing VRF settings for ${network}: set ${missing.join(", ")}`);
+  }
+  return settings;
+}
+
+function explorerApiKey(explorer, env = process.env) {
+  const found = explorer.apiKeyEnv.find((name) => env[name]);
+  return found ? env[found] : undefined;
+}
+
+/**
+ * Explorers to verify on for `network`, each with its resolved API key.
+ * `preferred` (e.g. BASE_EXPLORER) moves that explorer to the front.
+ */
+function explorersFor(network, { preferred, env = process.env } = {}) {
+  const { explorers } = networkProfile(network);
+  return Object.entries(explorers)
+    .sort(([a], [b]) => (b === preferred) - (a === preferred))
+    .map(([id, explorer]) => ({ id, ...explorer, apiKey: explorerApiKey(explorer, env) }));
+}
+
+/**
+ * `etherscan` section for hardhat.config.js. Networks whose preferred explorer is
+ * not built into hardhat-verify get a customChains entry.
+ */
+function etherscanConfig({ preferred, env = process.env } = {}) {
+  const customChains = [];
+  let preferredKey;
+  for (const network of REMOTE_NETWORKS) {
+    const [explorer] = explorersFor(network, { preferred, env });
+    if (!explorer) {
+      continue;
+    }
+    if (explorer.id === preferred) {
+      preferredKey = preferredKey || explorer.apiKey;
+    }
+    if (!explorer.builtin) {
+      customChains.push({
+        network,
+        chainId: NETWORKS[network].chainId,
+        urls: { apiURL: explorer.apiURL, browserURL: explorer.browserURL },
+      });
+    }
+  }
+  // Etherscan V2 takes a single key for every chain it serves.
+  const apiKey = preferredKey || env.ETHERSCAN_API_KEY || "";
+  return customChains.length > 0 ? { apiKey, customChains } : { apiKey };
+}
+
+module.exports = {
+  NETWORKS,
+  REMOTE_NETWORKS,
+  networkProfile,
+  vrfSettings,
+  linkTokenAddress,
+  explorersFor,
+  etherscanConfig,
+};
@@ -1,51 +1,24 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 import "@chainlink/contracts/src/v0.8/vrf/dev/interfaces/IVRFCoordinatorV2Plus.sol";
 import "@chainlink/contracts/src/v0.8/vrf/dev/libraries/VRFV2PlusClient.sol";
+import "./BlindBoxBase.sol";
+import "./BlindBoxAdmin.sol";
 
 /**
  * @title BlindBox
  * @notice A production-grade blind box system with Chainlink VRF v2 Plus for verifiable randomness
  * @dev Uses VRF for fair reward distribution across multiple box tiers
  */
-contract BlindBox is ReentrancyGuard, Pausable {
+contract BlindBox is BlindBoxBase {
     using ECDSA for bytes32;
     using MessageHashUtils for bytes32;
 
-    bytes4 private constant _TRANSFER_SELECTOR = 0xa9059cbb;
-
-    struct BoxConfig {
-        uint256 minAmount;
-        uint256 maxAmount;
-        uint8 numTokensToReward;
-        bool enabled;
-    }
-
-    struct PendingOpen {
-        address user;
-        uint8 boxType;
-        address coordinator; // Store coordinator to handle config changes
-    }
-
-    struct TokenRange {
-        uint256 minAmount;
-        uint256 maxAmount;
-        bool enabled;
-    }
-
-    struct TokenRangeInput {
-        uint8 boxType;
-        address token;
-        uint256 minAmount;
-        uint256 maxAmount;
-        bool enabled;
-    }
+    // BlindBoxAdmin instance deployed by the constructor; owner configuration is delegated to it
+    address public immutable adminModule;
 
     struct DebugOpenResult {
         bool contractPaused;
@@ -59,124 +32,13 @@ contract BlindBox is ReentrancyGuard, Pausable {
         uint256 cooldownRemaining;
         bool fidFreeCooldownPassed;
         uint256 fidCooldownRemaining;
+        bool onSale;
+        bool supplyLeft;
+        uint256 boxCooldownRemaining;
         address vrfCoord;
         uint256 subId;
     }
 
-    // Box type constants
-    uint8 public constant FREE = 0;
-    uint8 public constant SILVER = 1;
-    uint8 public constant GOLD = 2;
-
-    // Access control
-    address public owner;
-    address public pendingOwner;
-
-    // VRF Configuration
-    address public vrfCoordinator;
-    bytes32 public keyHash;
-    uint256 public subscriptionId;
-    uint16 public requestConfirmations;
-    uint32 public callbackGasLimit;
-    bool public nativePayment;
-    address public signerAddress;
-
-    // Reward tokens
-    address[] public rewardTokens;
-    mapping(address => bool) public rewardTokenExists;
-
-    // Box configurations
-    mapping(uint8 => BoxConfig) public boxConfigs;
-    mapping(uint8 => uint256) public boxPrices;
-    mapping(uint8 => mapping(address => TokenRange)) public tokenRanges;
-
-    // Request tracking
-    mapping(uint256 => PendingOpen) public pendingOpens;
-    uint256 public pendingRequestCount;
-
-    // User rewards and tracking
-    mapping(address => mapping(address => uint256)) public pendingRewards;
-    mapping(address => uint256) public lastFreeOpenAt;
-    mapping(uint256 => uint256) public lastFreeOpenAtByFid;
-    mapping(address => address) public lastRewardToken;
-    mapping(address => uint256) public lastRewardAmount;
-    mapping(address => mapping(uint256 => bool)) public usedNonces;
-    mapping(uint256 => mapping(uint256 => bool)) public usedNoncesByFid;
-
-    // Emergency withdrawal tracking
-    mapping(address => uint256) public emergencyWithdrawn;
-
-    // Events
-    event OwnershipTransferInitiated(
-        address indexed previousOwner,
-        address indexed newOwner
-    );
-    event OwnershipTransferred(
-        address indexed previousOwner,
-        address indexed newOwner
-    );
-    event BoxConfigUpdated(
-        uint8 indexed boxType,
-        uint256 minAmount,
-        uint256 maxAmount,
-        uint8 numTokensToReward,
-        bool enabled
-    );
-    event BoxPriceUpdated(uint8 indexed boxType, uint256 priceWei);
-    event TokenRangeUpdated(
-        uint8 indexed boxType,
-        address indexed token,
-        uint256 minAmount,
-        uint256 maxAmount,
-        bool enabled
-    );
-    event RewardTokensUpdated(uint256 count);
-    event BoxOpened(
-        uint256 indexed requestId,
-        address indexed user,
-        uint8 indexed boxType
-    );
-    event RewardsQueued(
-        address indexed user,
-        address indexed token,
-        uint256 amount
-    );
-    event RewardClaimed(
-        address indexed user,
-        address indexed token,
-        uint256 amount
-    );
-    event VrfConfigUpdated(
-        address coordinator,
-        bytes32 keyHash,
-        uint256 subscriptionId,
-        uint16 requestConfirmations,
-        uint32 callbackGasLimit,
-        bool nativePayment
-    );
-    event PendingOpenCanceled(
-        uint256 indexed requestId,
-        address indexed user,
-        uint8 indexed boxType
-    );
-    event EmergencyWithdrawal(
-        address indexed token,
-        address indexed to,
-        uint256 amount
-    );
-    event SignerUpdated(address indexed signer);
-
-    // Modifiers
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not owner");
-        _;
-    }
-
-    modifier validBoxType(uint8 boxType) {
-        require(boxType <= GOLD, "Invalid box type");
-        _;
-    }
-
     /**
      * @notice Contract constructor
      * @param _vrfCoordinator Chainlink VRF Coordinator address
@@ -198,6 +60,9 @@ contract BlindBox is ReentrancyGuard, Pausable {
         address[] memory initialTokens,
         TokenRangeInput[] memory initialRanges
     ) {
+        address module = address(new BlindBoxAdmin());
+        adminModule = module;
+
         owner = msg.sender;
         emit OwnershipTransferred(address(0), msg.sender);
 
@@ -210,7 +75,12 @@ contract BlindBox is ReentrancyGuard, Pausable {
             _nativePayment
         );
 
-        // Initialize box configurations with sensible defaults
+        // Initialize box configurations with sensible defaults; amounts are whole tokens with
+        // 18 decimals, scaled to each reward token's decimals() when rolled
+        boxTypeCount = 3;
+        boxNames[FREE] = "FREE";
+        boxNames[SILVER] = "SILVER";
+        boxNames[GOLD] = "GOLD";
         boxConfigs[FREE] = BoxConfig({
             minAmount: 100e18,
             maxAmount: 250e18,
@@ -233,13 +103,17 @@ contract BlindBox is ReentrancyGuard, Pausable {
         });
         boxPrices[GOLD] = 0.0001 ether;
 
-        _setRewardTokens(initialTokens);
-        _setTokenRanges(initialRanges);
+        maxOpenQuantity = 1;
+
+        // The token list and ranges go through the admin module, which holds their validation,
+        // to keep that code out of this contract's init code
+        _delegateInit(module, abi.encodeCall(BlindBoxAdmin.setRewardTokens, (initialTokens)));
+        _delegateInit(module, abi.encodeCall(BlindBoxAdmin.setTokenRanges, (initialRanges)));
     }
 
     /**
      * @notice Open a blind box and request randomness
-     * @param boxType Type of box to open (FREE, SILVER, or GOLD)
+     * @param boxType Type of box to open (FREE, SILVER, GOLD or a created box type)
      * @param fid Farcaster fid used for free box eligibility
      * @param nonce Anti-replay nonce for signed free box opens
      * @param signature Signature authorizing free box open (ignored for paid boxes)
@@ -254,22 +128,12 @@ contract BlindBox is ReentrancyGuard, Pausable {
         external
         payable
         whenNotPaused
+        whenNotFrozen
         validBoxType(boxType)
         nonReentrant
         returns (uint256 requestId)
     {
-        BoxConfig memory config = boxConfigs[boxType];
-        require(config.enabled, "BOX_DISABLED");
-        require(config.maxAmount >= config.minAmount, "INVALID_RANGE");
-        require(rewardTokens.length > 0, "NO_REWARD_TOKENS");
-        require(config.numTokensToReward > 0, "INVALID_REWARD_COUNT");
-        require(
-            config.numTokensToReward <= rewardTokens.length,
-            "NOT_ENOUGH_TOKENS"
-        );
-
-        uint256 price = boxPrices[boxType];
-        require(msg.value >= price, "INSUFFICIENT_FEE");
+        uint256 price = _reserveOpen(boxType, 1);
 
         // Check free box cooldown and update timestamp to prevent spamming
         if (boxType == FREE) {
@@ -304,6 +168,87 @@ contract BlindBox is ReentrancyGuard, Pausable {
             lastFreeOpenAtByFid[fid] = block.timestamp;
         }
 
+        requestId = _requestOpen(boxType, 1, price);
+    }
+
+    /**
+     * @notice Buy and open several boxes of one paid type with a single VRF request
+     * @dev Each box rolls its own rewards from the request's word when it is fulfilled.
+     *      quantity is capped by maxOpenQuantity so one callback can fulfill the batch.
+     * @param boxType Type of box to open (any paid box type)
+     * @param quantity Number of boxes to buy
+     * @return requestId The VRF request ID shared by every box in the batch
+     */
+    function openBoxes(
+        uint8 boxType,
+        uint16 quantity
+    )
+        external
+        payable
+        whenNotPaused
+        whenNotFrozen
+        validBoxType(boxType)
+        nonReentrant
+        returns (uint256 requestId)
+    {
+        require(boxType != FREE, "FREE_BOX_SINGLE");
+        require(
+            quantity > 0 && quantity <= maxOpenQuantity,
+            "INVALID_QUANTITY"
+        );
+        uint256 totalPrice = _reserveOpen(boxType, quantity);
+        requestId = _requestOpen(boxType, quantity, totalPrice);
+        emit BoxesOpened(requestId, quantity);
+    }
+
+    // Checks a box type can be opened `quantity` times and takes the supply; returns the total price
+    function _reserveOpen(
+        uint8 boxType,
+        uint16 quantity
+    ) private returns (uint256 totalPrice) {
+        BoxConfig memory config = boxConfigs[boxType];
+        require(config.enabled, "BOX_DISABLED");
+        require(config.maxAmount >= config.minAmount, "INVALID_RANGE");
+        require(rewardTokens.length > 0, "NO_REWARD_TOKENS");
+        require(config.numTokensToReward > 0, "INVALID_REWARD_COUNT");
+        require(
+            config.numTokensToReward <= rewardTokens.length,
+            "NOT_ENOUGH_TOKENS"
+        );
+
+        totalPrice = boxPrices[boxType] * quantity;
+        require(msg.value >= totalPrice, "INSUFFICIENT_FEE");
+
+        BoxSchedule memory schedule = boxSchedules[boxType];
+        require(
+            block.timestamp >= schedule.saleStart &&
+                (schedule.saleEnd == 0 || block.timestamp < schedule.saleEnd),
+            "SALE_CLOSED"
+        );
+        require(
+            schedule.supplyCap == 0 ||
+                boxOpened[boxType] + quantity <= schedule.supplyCap,
+            "SOLD_OUT"
+        );
+        if (schedule.cooldown > 0) {
+            // A cooldown allows one box per wallet at a time, so no batches
+            require(
+                quantity == 1 &&
+                    block.timestamp >=
+                    lastBoxOpenAt[boxType][msg.sender] + schedule.cooldown,
+                "BOX_COOLDOWN"
+            );
+            lastBoxOpenAt[boxType][msg.sender] = block.timestamp;
+        }
+        boxOpened[boxType] += quantity;
+    }
+
+    // Requests one random word for `quantity` boxes and refunds anything paid above `price`
+    function _requestOpen(
+        uint8 boxType,
+        uint16 quantity,
+        uint256 price
+    ) private returns (uint256 requestId) {
         // Encode extra args for VRF
         bytes memory extraArgs = VRFV2PlusClient._argsToBytes(
             VRFV2PlusClient.ExtraArgsV1({nativePayment: nativePayment})
@@ -319,7 +264,7 @@ contract BlindBox is ReentrancyGuard, Pausable {
                 extraArgs: extraArgs
             });
 
-        // Request only 1 random word (we only need one)
+        // One word covers the whole batch; each box derives its own from it
         requestId = IVRFCoordinatorV2Plus(vrfCoordinator).requestRandomWords(
             req
         );
@@ -328,9 +273,20 @@ contract BlindBox is ReentrancyGuard, Pausable {
         pendingOpens[requestId] = PendingOpen({
             user: msg.sender,
             boxType: boxType,
-            coordinator: vrfCoordinator
+            quantity: quantity,
+            coordinator: vrfCoordinator,
+            openedAt: uint64(block.timestamp),
+            pricePaid: price
         });
         pendingRequestCount += 1;
+        _openRecords[requestId] = OpenRecord({
+            user: msg.sender,
+            boxType: boxType,
+            status: OpenStatus.Pending,
+            quantity: quantity,
+            openedAt: uint40(block.timestamp)
+        });
+        _userRequestIds[msg.sender].push(requestId);
 
         if (msg.value > price) {
             (bool refunded, ) = msg.sender.call{value: msg.value - price}("");
@@ -357,7 +313,7 @@ contract BlindBox is ReentrancyGuard, Pausable {
         returns (DebugOpenResult memory result)
     {
         result.contractPaused = paused();
-        result.validBox = boxType <= GOLD;
+        result.validBox = boxType < boxTypeCount;
 
         BoxConfig memory config = boxConfigs[boxType];
         result.boxEnabled = config.enabled;
@@ -384,6 +340,18 @@ contract BlindBox is ReentrancyGuard, Pausable {
             result.fidCooldownRemaining = 0;
         }
 
+        BoxSchedule memory schedule = boxSchedules[boxType];
+        result.onSale =
+            block.timestamp >= schedule.saleStart &&
+            (schedule.saleEnd == 0 || block.timestamp < schedule.saleEnd);
+        result.supplyLeft =
+            schedule.supplyCap == 0 ||
+            boxOpened[boxType] < schedule.supplyCap;
+        uint256 nextBoxOpen = lastBoxOpenAt[boxType][user] + schedule.cooldown;
+        if (schedule.cooldown > 0 && block.timestamp < nextBoxOpen) {
+            result.boxCooldownRemaining = nextBoxOpen - block.timestamp;
+        }
+
         result.vrfCoord = vrfCoordinator;
         result.subId = subscriptionId;
     }
@@ -408,41 +376,116 @@ contract BlindBox is ReentrancyGuard, Pausable {
         require(pendingRequestCount > 0, "No pending requests");
         pendingRequestCount -= 1;
 
-        BoxConfig memory config = boxConfigs[pending.boxType];
+        for (uint16 b = 0; b < pending.quantity; b++) {
+            // Box 0 uses the VRF word itself, so a single open rolls exactly as it always has
+            uint256 randomWord = b == 0
+                ? randomWords[0]
+                : uint256(keccak256(abi.encode(randomWords[0], b, "box")));
+            (address[] memory tokens, uint256[] memory amounts) = _rewardBox(
+                requestId,
+                pending.user,
+                pending.boxType,
+                randomWord
+            );
+            _recordRewards(requestId, b * tokens.length, tokens, amounts);
+            if (pending.quantity > 1) {
+                emit BatchBoxRewarded(requestId, b, tokens, amounts);
+            }
+            _rollNft(requestId, pending.user, pending.boxType, randomWord);
+        }
+    }
+
+    // Stores a box's rewards in the request's record, starting at reward `offset`
+    function _recordRewards(
+        uint256 requestId,
+        uint256 offset,
+        address[] memory tokens,
+        uint256[] memory amounts
+    ) private {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            // Every range a token can roll from is held to uint96 when it is set (_checkRange,
+            // _checkResolvedRange), so the cast cannot truncate and the callback cannot revert here
+            _openRewards[requestId][offset + i] = RewardRecord({
+                token: tokens[i],
+                amount: uint96(amounts[i])
+            });
+        }
+    }
+
+    // Rolls one box's token rewards from its word and queues them for `user`
+    function _rewardBox(
+        uint256 requestId,
+        address user,
+        uint8 boxType,
+        uint256 randomWord
+    ) private returns (address[] memory tokens, uint256[] memory amounts) {
+        BoxConfig memory config = boxConfigs[boxType];
         address[] memory pool = _copyRewardTokens();
-        uint256 remaining = pool.length;
-        uint256 randomWord = randomWords[0];
+
+        // Weighted boxes draw by weight without replacement; totalWeight stays 0 for uniform boxes
+        uint256[] memory weights;
+        uint256 totalWeight;
+        if (weightedTokenCount[boxType] > 0) {
+            (weights, totalWeight) = _poolWeights(boxType, pool);
+        }
+
+        tokens = new address[](config.numTokensToReward);
+        amounts = new uint256[](config.numTokensToReward);
 
         // Select tokens and amounts for rewards
         for (uint256 i = 0; i < config.numTokensToReward; i++) {
-            uint256 idx = uint256(
+            uint256 roll = uint256(
                 keccak256(abi.encode(randomWord, requestId, i, "token"))
-            ) % remaining;
+            );
+            // Tokens drawn so far sit past the end of the pool
+            uint256 remaining = pool.length - i;
+            uint256 idx;
+            if (totalWeight == 0) {
+                idx = roll % remaining;
+            } else {
+                idx = _weightedIndex(weights, roll % totalWeight);
+                totalWeight -= weights[idx];
+                weights[idx] = weights[remaining - 1];
+                weights[remaining - 1] = 0;
+            }
             address token = pool[idx];
             pool[idx] = pool[remaining - 1];
-            remaining -= 1;
 
-            (uint256 minAmount, uint256 maxAmount) = _resolveRange(
-                pending.boxType,
+            uint256 amount = _rollAmount(
+                boxType,
                 token,
-                config
-            );
-            uint256 amount = _randomAmount(
+                config,
                 randomWord,
                 requestId,
-                i,
-                minAmount,
-                maxAmount
+                i
             );
 
-            pendingRewards[pending.user][token] += amount;
-            lastRewardToken[pending.user] = token;
-            lastRewardAmount[pending.user] = amount;
+            pendingRewards[user][token] += amount;
+
+            tokens[i] = token;
+            amounts[i] = amount;
 
-            emit RewardsQueued(pending.user, token, amount);
+            emit RewardsQueued(user, token, amount);
         }
     }
 
+    function _rollAmount(
+        uint8 boxType,
+        address token,
+        BoxConfig memory config,
+        uint256 randomWord,
+        uint256 requestId,
+        uint256 index
+    ) private view returns (uint256) {
+        (uint256 minAmount, uint256 maxAmount) = _resolveRange(
+            boxType,
+            token,
+            config
+        );
+        return
+            _randomAmount(randomWord, requestId, index, minAmount, maxAmount);
+    }
+
     /**
      * @notice Claim pending rewards for a specific token
      * @param token The token address to claim
@@ -450,7 +493,7 @@ contract BlindBox is ReentrancyGuard, Pausable {
      */
     function claim(
         address token
-    ) external whenNotPaused nonReentrant returns (uint256 amount) {
+    ) external whenNotPaused whenNotFrozen nonReentrant returns (uint256 amount) {
         amount = pendingRewards[msg.sender][token];
         require(amount > 0, "Nothing to claim");
 
@@ -468,31 +511,11 @@ contract BlindBox is ReentrancyGuard, Pausable {
      * @notice Claim all pending rewards across all tokens
      * @dev Uses try-catch to handle individual token failures
      */
-    function claimAll() external whenNotPaused nonReentrant {
-        bool anySuccess = false;
-
-        for (uint256 i = 0; i < rewardTokens.length; i++) {
-            address token = rewardTokens[i];
-            uint256 amount = pendingRewards[msg.sender][token];
-
-            if (amount > 0) {
-                // Check balance before attempting transfer
-                uint256 balance = IERC20(token).balanceOf(address(this));
-
-                if (balance >= amount) {
-                    pendingRewards[msg.sender][token] = 0;
-
-                    if (_trySafeTransfer(token, msg.sender, amount)) {
-                        emit RewardClaimed(msg.sender, token, amount);
-                        anySuccess = true;
-                    } else {
-                        pendingRewards[msg.sender][token] = amount;
-                    }
-                }
-            }
-        }
-
-        require(anySuccess, "No rewards claimed");
+    function claimAll() external whenNotPaused whenNotFrozen nonReentrant {
+        require(
+            _claimTokens(msg.sender, msg.sender, rewardTokens),
+            "No rewards claimed"
+        );
     }
 
     /**
@@ -534,82 +557,106 @@ contract BlindBox is ReentrancyGuard, Pausable {
     }
 
     /**
-     * @notice Set box configuration
-     * @param boxType Box type to configure
-     * @param minAmount Minimum reward amount
-     * @param maxAmount Maximum reward amount
-     * @param numTokensToReward Number of tokens to reward
-     * @param enabled Whether the box is enabled
+     * @notice Claim one pending NFT prize
+     * @dev NFT prizes are not migrated, so they stay claimable on a frozen deployment
+     * @param index Position in getPendingNfts(msg.sender)
      */
-    function setBoxConfig(
-        uint8 boxType,
-        uint256 minAmount,
-        uint256 maxAmount,
-        uint8 numTokensToReward,
-        bool enabled
-    ) external onlyOwner validBoxType(boxType) {
-        require(maxAmount >= minAmount, "Invalid range");
-        require(minAmount > 0, "Min amount must be > 0");
-        require(
-            numTokensToReward > 0 || !enabled,
-            "Must reward tokens if enabled"
-        );
+    function claimNft(uint256 index) external whenNotPaused nonReentrant {
+        NftPrize[] storage pending = _pendingNfts[msg.sender];
+        require(index < pending.length, "Nothing to claim");
+        NftPrize memory prize = pending[index];
+        _removeNft(pending, index);
+        require(_trySendNft(prize, msg.sender), "NFT transfer failed");
+        emit NftClaimed(msg.sender, prize.token, prize.id, prize.amount);
+    }
 
-        boxConfigs[boxType] = BoxConfig({
-            minAmount: minAmount,
-            maxAmount: maxAmount,
-            numTokensToReward: numTokensToReward,
-            enabled: enabled
-        });
+    /**
+     * @notice Claim every pending NFT prize
+     * @dev Prizes whose transfer fails stay pending
+     */
+    function claimAllNfts() external whenNotPaused nonReentrant {
+        NftPrize[] storage pending = _pendingNfts[msg.sender];
+        bool anySuccess = false;
 
-        emit BoxConfigUpdated(
-            boxType,
-            minAmount,
-            maxAmount,
-            numTokensToReward,
-            enabled
-        );
+        // Walk backwards so a failed prize pushed back to the end is not retried
+        for (uint256 i = pending.length; i > 0; i--) {
+            NftPrize memory prize = pending[i - 1];
+            _removeNft(pending, i - 1);
+            if (_trySendNft(prize, msg.sender)) {
+                emit NftClaimed(msg.sender, prize.token, prize.id, prize.amount);
+                anySuccess = true;
+            } else {
+                pending.push(prize);
+            }
+        }
+
+        require(anySuccess, "No NFTs claimed");
     }
 
     /**
-     * @notice Set box price in wei
-     * @param boxType Box type to configure
-     * @param priceWei Price in wei
+     * @notice Get a user's NFT prizes awaiting claim
+     * @param user The user address
      */
-    function setBoxPrice(
-        uint8 boxType,
-        uint256 priceWei
-    ) external onlyOwner validBoxType(boxType) {
-        boxPrices[boxType] = priceWei;
-        emit BoxPriceUpdated(boxType, priceWei);
+    function getPendingNfts(
+        address user
+    ) external view returns (NftPrize[] memory) {
+        return _pendingNfts[user];
     }
 
     /**
-     * @notice Set per-token reward range for a specific box type
-     * @param boxType Box type to configure
-     * @param token Reward token address
-     * @param minAmount Minimum reward amount
-     * @param maxAmount Maximum reward amount
-     * @param enabled Whether to use this per-token range
+     * @notice Get the NFT prizes a box type can still award
+     * @param boxType Box type to query
      */
-    function setTokenRange(
-        uint8 boxType,
-        address token,
-        uint256 minAmount,
-        uint256 maxAmount,
-        bool enabled
-    ) external onlyOwner validBoxType(boxType) {
-        _setTokenRangeInternal(boxType, token, minAmount, maxAmount, enabled);
+    function getNftInventory(
+        uint8 boxType
+    ) external view returns (NftPrize[] memory) {
+        return _nftInventory[boxType];
     }
 
     /**
-     * @notice Batch set per-token reward ranges
-     * @param ranges Array of range configs
+     * @notice Accept ERC-1155 transfers that depositNfts pulls in
      */
-    function setTokenRanges(
-        TokenRangeInput[] calldata ranges
-    ) external onlyOwner {
-        _setTokenRanges(ranges);
+    function onERC1155Received(
+        address operator,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external view returns (bytes4) {
+        require(operator == address(this), "Use depositNfts");
+        return this.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        revert("Use depositNfts");
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        // IERC165 and IERC1155Receiver
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0x4e2312e0;
+    }
+
+    /**
+     * @notice Every box type with its name, price, config, schedule and open count
+     */
+    function getBoxTypes() external view returns (BoxInfo[] memory boxes) {
+        boxes = new BoxInfo[](boxTypeCount);
+        for (uint8 i = 0; i < boxes.length; i++) {
+            boxes[i] = BoxInfo({
+                boxType: i,
+                name: boxNames[i],
+                price: boxPrices[i],
+                config: boxConfigs[i],
+                schedule: boxSchedules[i],
+                opened: boxOpened[i]
+            });
+        }
     }
 
     /**
@@ -625,71 +672,62 @@ contract BlindBox is ReentrancyGuard, Pausable {
     }
 
     /**
-     * @notice Update reward tokens list
-     * @param tokens New array of reward token addresses
-     */
-    function setRewardTokens(address[] calldata tokens) external onlyOwner {
-        _setRewardTokens(tokens);
-    }
-
-    /**
-     * @notice Update VRF configuration
-     * @dev Cannot change if there are pending requests
+     * @notice Get a rarity tier for a specific box type
+     * @param boxType Box type to query
+     * @param tier Tier id
      */
-    function setVrfConfig(
-        address _vrfCoordinator,
-        bytes32 _keyHash,
-        uint256 _subscriptionId,
-        uint16 _requestConfirmations,
-        uint32 _callbackGasLimit,
-        bool _nativePayment
-    ) external onlyOwner {
-        require(pendingRequestCount == 0, "Pending requests");
-        _setVrfConfig(
-            _vrfCoordinator,
-            _keyHash,
-            _subscriptionId,
-            _requestConfirmations,
-            _callbackGasLimit,
-            _nativePayment
-        );
+    function getRarityTier(
+        uint8 boxType,
+        uint8 tier
+    ) external view returns (RarityTier memory) {
+        return rarityTiers[boxType][tier];
     }
 
     /**
-     * @notice Update signer address for free box authorizations
-     * @param _signer Address allowed to sign free box authorizations
+     * @notice Selection weight of every reward token for a box type
+     * @dev The first token of an open is drawn with probability weight / sum(weights); later draws
+     *      exclude the tokens already picked
+     * @param boxType Box type to query
+     * @return tokens Reward token addresses
+     * @return weights Effective weight of each token
      */
-    function setSignerAddress(address _signer) external onlyOwner {
-        require(_signer != address(0), "Zero signer");
-        signerAddress = _signer;
-        emit SignerUpdated(_signer);
+    function getTokenOdds(
+        uint8 boxType
+    )
+        external
+        view
+        validBoxType(boxType)
+        returns (address[] memory tokens, uint256[] memory weights)
+    {
+        tokens = _copyRewardTokens();
+        (weights, ) = _poolWeights(boxType, tokens);
     }
 
     /**
-     * @notice Cancel a pending open request (admin rescue)
-     * @param requestId The VRF request ID to cancel
+     * @notice Reclaim the fee of your own open once it has waited longer than reclaimTimeout
+     * @param requestId The VRF request ID to reclaim
      */
-    function cancelPendingOpen(uint256 requestId) external onlyOwner {
+    function reclaimExpiredOpen(uint256 requestId) external nonReentrant {
         PendingOpen memory pending = pendingOpens[requestId];
         require(pending.user != address(0), "Unknown request");
-
-        delete pendingOpens[requestId];
-        require(pendingRequestCount > 0, "No pending requests");
-        pendingRequestCount -= 1;
-
-        emit PendingOpenCanceled(requestId, pending.user, pending.boxType);
+        require(pending.user == msg.sender, "Not request owner");
+        require(
+            block.timestamp >= uint256(pending.openedAt) + reclaimTimeout,
+            "Not expired"
+        );
+        _cancelOpen(requestId);
     }
 
     /**
-     * @notice Initiate ownership transfer (2-step process)
-     * @param newOwner Address of the new owner
+     * @notice Withdraw refunds that could not be sent directly
      */
-    function transferOwnership(address newOwner) external onlyOwner {
-        require(newOwner != address(0), "Zero address");
-        require(newOwner != owner, "Same owner");
-
-        pendingOwner = newOwner;
-        emit OwnershipTransferInitiated(owner, newOwner);
+    function withdrawRefund() external nonReentrant {
+        uint256 amount = refundCredits[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        refundCredits[msg.sender] = 0;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Refund failed");
+        emit RefundWithdrawn(msg.sender, amount);
     }
 
     /**
@@ -706,65 +744,123 @@ contract BlindBox is ReentrancyGuard, Pausable {
     }
 
     /**
-     * @notice Pause the contract
+     * @notice Get reward tokens array
+     * @return Array of all reward token addresses
      */
-    function pause() external onlyOwner {
-        _pause();
+    function getRewardTokens() external view returns (address[] memory) {
+        return rewardTokens;
     }
 
     /**
-     * @notice Unpause the contract
+     * @notice Get the most recent reward for a user
+     * @dev The last token of the user's latest fulfilled request; getOpenResult has all of them.
+     *      (address(0), 0) when that request paid no tokens, e.g. only an NFT
+     * @param user User address
+     * @return token Last reward token
+     * @return amount Last reward amount
      */
-    function unpause() external onlyOwner {
-        _unpause();
+    function getLastReward(
+        address user
+    ) external view returns (address token, uint256 amount) {
+        return _lastReward(user);
     }
 
     /**
-     * @notice Emergency withdrawal of tokens by owner
-     * @param token Token address to withdraw (address(0) for native token)
-     * @param to Destination address
-     * @param amount Amount to withdraw
+     * @notice Token of the most recent reward for a user, as getLastReward
      */
-    function emergencyWithdraw(
-        address token,
-        address to,
-        uint256 amount
-    ) external onlyOwner nonReentrant {
-        require(to != address(0), "Zero address");
-        require(amount > 0, "Zero amount");
-
-        if (token == address(0)) {
-            // Native token withdrawal
-            (bool success, ) = to.call{value: amount}("");
-            require(success, "Native transfer failed");
-        } else {
-            // ERC20 withdrawal
-            _safeTransfer(token, to, amount);
-        }
+    function lastRewardToken(address user) external view returns (address token) {
+        (token, ) = _lastReward(user);
+    }
 
-        emergencyWithdrawn[token] += amount;
-        emit EmergencyWithdrawal(token, to, amount);
+    /**
+     * @notice Amount of the most recent reward for a user, as getLastReward
+     */
+    function lastRewardAmount(address user) external view returns (uint256 amount) {
+        (, amount) = _lastReward(user);
+    }
+
+    function _lastReward(
+        address user
+    ) private view returns (address, uint256) {
+        uint256[] storage ids = _userRequestIds[user];
+        for (uint256 i = ids.length; i > 0; i--) {
+            if (_openStatus(ids[i - 1]) == OpenStatus.Fulfilled) {
+                uint256 count = _rewardCount(ids[i - 1]);
+                if (count == 0) {
+                    return (address(0), 0);
+                }
+                RewardRecord memory reward = _openRewards[ids[i - 1]][count - 1];
+                return (reward.token, reward.amount);
+            }
+        }
+        return (address(0), 0);
     }
 
     /**
-     * @notice Get reward tokens array
-     * @return Array of all reward token addresses
+     * @notice Status and rewards of an open request
+     * @dev A batch lists each box's rewards in box order, tokens.length / quantity per box.
+     *      Unknown request ids return status None
+     * @param requestId The VRF request ID
      */
-    function getRewardTokens() external view returns (address[] memory) {
-        return rewardTokens;
+    function getOpenResult(
+        uint256 requestId
+    ) external view returns (OpenResult memory result) {
+        OpenRecord memory record = _openRecords[requestId];
+        result.status = _openStatus(requestId);
+        result.boxType = record.boxType;
+        result.quantity = record.quantity;
+        result.user = record.user;
+        result.openedAt = record.openedAt;
+        uint256 count = _rewardCount(requestId);
+        result.tokens = new address[](count);
+        result.amounts = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            RewardRecord memory reward = _openRewards[requestId][i];
+            result.tokens[i] = reward.token;
+            result.amounts[i] = reward.amount;
+        }
+    }
+
+    function _openStatus(uint256 requestId) private view returns (OpenStatus) {
+        OpenStatus status = _openRecords[requestId].status;
+        if (
+            status == OpenStatus.Pending &&
+            pendingOpens[requestId].user == address(0)
+        ) {
+            return OpenStatus.Fulfilled;
+        }
+        return status;
+    }
+
+    // Reward tokens are never the zero address, so the rewards end at the first empty slot
+    function _rewardCount(
+        uint256 requestId
+    ) private view returns (uint256 count) {
+        while (_openRewards[requestId][count].token != address(0)) {
+            count++;
+        }
     }
 
     /**
-     * @notice Get the most recent reward for a user
+     * @notice A page of a user's open request ids, oldest first
      * @param user User address
-     * @return token Last reward token
-     * @return amount Last reward amount
+     * @param offset Index of the first id to return
+     * @param limit Most ids to return
+     * @return requestIds The page
+     * @return total Number of requests the user has made
      */
-    function getLastReward(
-        address user
-    ) external view returns (address token, uint256 amount) {
-        token = lastRewardToken[user];
-        amount = lastRewardAmount[user];
+    function getUserRequestIds(
+        address user,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory requestIds, uint256 total) {
+        uint256[] storage ids = _userRequestIds[user];
+        total = ids.length;
+        uint256 end = offset + limit < total ? offset + limit : total;
+        requestIds = new uint256[](offset < end ? end - offset : 0);
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            requestIds[i] = ids[offset + i];
+        }
     }
 
     /**
@@ -826,162 +922,138 @@ contract BlindBox is ReentrancyGuard, Pausable {
         return nextTime - block.timestamp;
     }
 
-    /**
-     * @notice Internal function to set reward tokens
-     * @param tokens Array of token addresses
-     */
-    function _setRewardTokens(address[] memory tokens) internal {
-        require(tokens.length > 0, "Empty tokens array");
-        require(tokens.length <= 100, "Too many tokens"); // Reasonable limit
+    // Owner configuration runs in BlindBoxAdmin against this contract's storage; the
+    // parameters, checks and events are documented there.
+    function setBoxPrice(uint8, uint256) external {
+        _delegateToAdmin();
+    }
 
-        // Clear existing tokens
-        for (uint256 i = 0; i < rewardTokens.length; i++) {
-            rewardTokenExists[rewardTokens[i]] = false;
-        }
-        delete rewardTokens;
+    function setSignerAddress(address) external {
+        _delegateToAdmin();
+    }
 
-        // Add new tokens (deduplicated)
-        for (uint256 i = 0; i < tokens.length; i++) {
-            address token = tokens[i];
-            require(token != address(0), "Zero token");
+    function cancelPendingOpen(uint256) external {
+        _delegateToAdmin();
+    }
 
-            if (!rewardTokenExists[token]) {
-                rewardTokenExists[token] = true;
-                rewardTokens.push(token);
-            }
-        }
+    function cancelPendingOpens(uint256[] calldata) external returns (uint256) {
+        _delegateToAdmin();
+    }
 
-        emit RewardTokensUpdated(rewardTokens.length);
+    function setReclaimTimeout(uint256) external {
+        _delegateToAdmin();
     }
 
-    function _setTokenRangeInternal(
-        uint8 boxType,
-        address token,
-        uint256 minAmount,
-        uint256 maxAmount,
-        bool enabled
-    ) internal {
-        require(boxType <= GOLD, "Invalid box type");
-        require(token != address(0), "Zero token");
-        require(maxAmount >= minAmount, "Invalid range");
-        tokenRanges[boxType][token] = TokenRange({
-            minAmount: minAmount,
-            maxAmount: maxAmount,
-            enabled: enabled
-        });
-        emit TokenRangeUpdated(boxType, token, minAmount, maxAmount, enabled);
-    }
-
-    function _setTokenRanges(
-        TokenRangeInput[] memory ranges
-    ) internal {
-        for (uint256 i = 0; i < ranges.length; i++) {
-            TokenRangeInput memory r = ranges[i];
-            _setTokenRangeInternal(
-                r.boxType,
-                r.token,
-                r.minAmount,
-                r.maxAmount,
-                r.enabled
-            );
-        }
+    function transferOwnership(address) external {
+        _delegateToAdmin();
     }
 
-    function _copyRewardTokens() internal view returns (address[] memory pool) {
-        uint256 len = rewardTokens.length;
-        pool = new address[](len);
-        for (uint256 i = 0; i < len; i++) {
-            pool[i] = rewardTokens[i];
-        }
+    function pause() external {
+        _delegateToAdmin();
     }
 
-    function _resolveRange(
-        uint8 boxType,
-        address token,
-        BoxConfig memory config
-    ) internal view returns (uint256 minAmount, uint256 maxAmount) {
-        TokenRange memory range = tokenRanges[boxType][token];
-        minAmount = range.enabled ? range.minAmount : config.minAmount;
-        maxAmount = range.enabled ? range.maxAmount : config.maxAmount;
-        require(maxAmount >= minAmount, "INVALID_TOKEN_RANGE");
+    function unpause() external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Internal function to set VRF configuration
-     */
-    function _setVrfConfig(
-        address _vrfCoordinator,
-        bytes32 _keyHash,
-        uint256 _subscriptionId,
-        uint16 _requestConfirmations,
-        uint32 _callbackGasLimit,
-        bool _nativePayment
-    ) internal {
-        require(_vrfCoordinator != address(0), "Zero coordinator");
-        require(_subscriptionId > 0, "Invalid subscription");
-        require(_callbackGasLimit >= 100000, "Gas limit too low");
-        require(_requestConfirmations > 0, "Invalid confirmations");
-
-        vrfCoordinator = _vrfCoordinator;
-        keyHash = _keyHash;
-        subscriptionId = _subscriptionId;
-        requestConfirmations = _requestConfirmations;
-        callbackGasLimit = _callbackGasLimit;
-        nativePayment = _nativePayment;
-
-        emit VrfConfigUpdated(
-            _vrfCoordinator,
-            _keyHash,
-            _subscriptionId,
-            _requestConfirmations,
-            _callbackGasLimit,
-            _nativePayment
-        );
+    function setNftChance(uint8, uint16) external {
+        _delegateToAdmin();
     }
 
-    function _safeTransfer(address token, address to, uint256 amount) internal {
-        (bool success, bytes memory data) = token.call(
-            abi.encodeWithSelector(_TRANSFER_SELECTOR, to, amount)
-        );
-        require(
-            success && (data.length == 0 || abi.decode(data, (bool))),
-            "Transfer failed"
-        );
+    function depositNfts(uint8, NftPrize[] calldata) external {
+        _delegateToAdmin();
     }
 
-    function _trySafeTransfer(
-        address token,
-        address to,
-        uint256 amount
-    ) internal returns (bool) {
-        (bool success, bytes memory data) = token.call(
-            abi.encodeWithSelector(_TRANSFER_SELECTOR, to, amount)
-        );
-        return success && (data.length == 0 || abi.decode(data, (bool)));
+    function withdrawNfts(uint8, uint256[] calldata, address) external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Calculate random amount within range
-     * @param randomWord Base random number from VRF
-     * @param requestId Request ID for additional entropy
-     * @param index Index for additional entropy
-     * @param minAmount Minimum amount (inclusive)
-     * @param maxAmount Maximum amount (inclusive)
-     * @return Random amount in range [minAmount, maxAmount]
-     */
-    function _randomAmount(
-        uint256 randomWord,
-        uint256 requestId,
-        uint256 index,
-        uint256 minAmount,
-        uint256 maxAmount
-    ) internal pure returns (uint256) {
-        // For inclusive range [min, max]: range = max - min + 1
-        uint256 range = maxAmount - minAmount + 1;
-        uint256 seed = uint256(
-            keccak256(abi.encode(randomWord, requestId, index, "amount"))
-        );
-        return minAmount + (seed % range);
+    function setBoxConfig(uint8, uint256, uint256, uint8, bool) external {
+        _delegateToAdmin();
+    }
+
+    function createBoxType(
+        string calldata,
+        uint256,
+        BoxConfig calldata,
+        BoxSchedule calldata
+    ) external returns (uint8) {
+        _delegateToAdmin();
+    }
+
+    function setBoxName(uint8, string calldata) external {
+        _delegateToAdmin();
+    }
+
+    function setBoxSchedule(uint8, BoxSchedule calldata) external {
+        _delegateToAdmin();
+    }
+
+    function setTokenRange(
+        uint8,
+        address,
+        uint256,
+        uint256,
+        bool,
+        uint32,
+        uint8
+    ) external {
+        _delegateToAdmin();
+    }
+
+    function setTokenRanges(TokenRangeInput[] calldata) external {
+        _delegateToAdmin();
+    }
+
+    function setRarityTier(
+        uint8,
+        uint8,
+        uint256,
+        uint256,
+        uint32,
+        bool
+    ) external {
+        _delegateToAdmin();
+    }
+
+    function setRewardTokens(address[] calldata) external {
+        _delegateToAdmin();
+    }
+
+    function setMaxOpenQuantity(uint16) external {
+        _delegateToAdmin();
+    }
+
+    function setVrfConfig(
+        address,
+        bytes32,
+        uint256,
+        uint16,
+        uint32,
+        bool
+    ) external {
+        _delegateToAdmin();
+    }
+
+    function freeze(address) external {
+        _delegateToAdmin();
+    }
+
+    function importMigrationBatch(
+        uint256,
+        RewardImport[] calldata,
+        FreeOpenImport[] calldata
+    ) external {
+        _delegateToAdmin();
+    }
+
+    function emergencyWithdraw(address, address, uint256) external {
+        _delegateToAdmin();
+    }
+
+    // Signed claims also run in BlindBoxAdmin, which holds the EIP-712 domain logic
+    function claimFor(ClaimAuthorization calldata, bytes calldata) external {
+        _delegateToAdmin();
     }
 
     /**
@@ -991,9 +1063,7 @@ contract BlindBox is ReentrancyGuard, Pausable {
      * @return _subscriptionId VRF subscription ID
      * @return _paused Whether contract is paused
      * @return _rewardTokenCount Number of reward tokens
-     * @return freeEnabled Whether FREE box is enabled
-     * @return silverEnabled Whether SILVER box is enabled
-     * @return goldEnabled Whether GOLD box is enabled
+     * @return boxEnabled Whether each box type, by id, is enabled
      */
     function getContractState()
         external
@@ -1004,9 +1074,7 @@ contract BlindBox is ReentrancyGuard, Pausable {
             uint256 _subscriptionId,
             bool _paused,
             uint256 _rewardTokenCount,
-            bool freeEnabled,
-            bool silverEnabled,
-            bool goldEnabled
+            bool[] memory boxEnabled
         )
     {
         _owner = owner;
@@ -1014,9 +1082,36 @@ contract BlindBox is ReentrancyGuard, Pausable {
         _subscriptionId = subscriptionId;
         _paused = paused();
         _rewardTokenCount = rewardTokens.length;
-        freeEnabled = boxConfigs[FREE].enabled;
-        silverEnabled = boxConfigs[SILVER].enabled;
-        goldEnabled = boxConfigs[GOLD].enabled;
+        boxEnabled = new bool[](boxTypeCount);
+        for (uint8 i = 0; i < boxEnabled.length; i++) {
+            boxEnabled[i] = boxConfigs[i].enabled;
+        }
+    }
+
+    // Run the current call in BlindBoxAdmin and return or revert with its result
+    function _delegateToAdmin() private {
+        address module = adminModule;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let ok := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(ok) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
+    }
+
+    // adminModule is immutable and cannot be read before the constructor returns, so the
+    // constructor passes the module in
+    function _delegateInit(address module, bytes memory data) private {
+        (bool ok, bytes memory result) = module.delegatecall(data);
+        if (!ok) {
+            assembly ("memory-safe") {
+                revert(add(result, 32), mload(result))
+            }
+        }
     }
 
     /**
@@ -0,0 +1,509 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./BlindBoxBase.sol";
+
+/**
+ * @title BlindBoxAdmin
+ * @notice Owner configuration and signed claims of BlindBox, split out to keep BlindBox under the
+ *         contract size limit
+ * @dev BlindBox deploys one instance and delegatecalls it, so every function here acts on
+ *      BlindBox storage. Called directly, it only sees its own empty storage (no owner). The
+ *      EIP-712 domain uses address(this), so claim signatures are bound to BlindBox
+ */
+contract BlindBoxAdmin is BlindBoxBase {
+    using ECDSA for bytes32;
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant _CLAIM_TYPEHASH =
+        keccak256(
+            "ClaimAuthorization(address user,address recipient,address[] tokens,uint256 nonce,uint256 deadline)"
+        );
+
+    /**
+     * @notice Set the chance that an open of a box type also wins an NFT from its inventory
+     * @param boxType Box type to configure
+     * @param chanceBps Chance in basis points (0 disables NFT prizes)
+     */
+    function setNftChance(
+        uint8 boxType,
+        uint16 chanceBps
+    ) external onlyOwner validBoxType(boxType) {
+        require(chanceBps <= 10_000, "Invalid chance");
+        nftChanceBps[boxType] = chanceBps;
+        emit NftChanceUpdated(boxType, chanceBps);
+    }
+
+    /**
+     * @notice Move NFTs from the owner into a box type's inventory
+     * @dev ERC-721 tokens need approval for this contract; ERC-1155 needs setApprovalForAll
+     * @param boxType Box type whose opens can award the prizes
+     * @param prizes Prizes to add, one inventory slot each
+     */
+    function depositNfts(
+        uint8 boxType,
+        NftPrize[] calldata prizes
+    ) external onlyOwner validBoxType(boxType) nonReentrant {
+        NftPrize[] storage inventory = _nftInventory[boxType];
+        for (uint256 i = 0; i < prizes.length; i++) {
+            NftPrize calldata prize = prizes[i];
+            require(prize.token != address(0), "Zero token");
+            if (prize.amount == 0) {
+                IERC721(prize.token).transferFrom(msg.sender, address(this), prize.id);
+            } else {
+                IERC1155(prize.token).safeTransferFrom(
+                    msg.sender,
+                    address(this),
+                    prize.id,
+                    prize.amount,
+                    ""
+                );
+            }
+            inventory.push(prize);
+            emit NftDeposited(boxType, prize.token, prize.id, prize.amount);
+        }
+    }
+
+    /**
+     * @notice Take NFTs back out of a box type's inventory
+     * @param boxType Box type to withdraw from
+     * @param indexes Inventory positions, strictly descending
+     * @param to Destination address
+     */
+    function withdrawNfts(
+        uint8 boxType,
+        uint256[] calldata indexes,
+        address to
+    ) external onlyOwner nonReentrant {
+        require(to != address(0), "Zero address");
+        NftPrize[] storage inventory = _nftInventory[boxType];
+        uint256 previous = type(uint256).max;
+        for (uint256 i = 0; i < indexes.length; i++) {
+            uint256 index = indexes[i];
+            // Descending order keeps the remaining indexes valid across swap-and-pop removals
+            require(index < previous && index < inventory.length, "Invalid index");
+            previous = index;
+            NftPrize memory prize = inventory[index];
+            _removeNft(inventory, index);
+            require(_trySendNft(prize, to), "NFT transfer failed");
+            emit NftWithdrawn(boxType, prize.token, prize.id, prize.amount, to);
+        }
+    }
+
+    /**
+     * @notice Set box configuration
+     * @param boxType Box type to configure
+     * @param minAmount Minimum reward amount
+     * @param maxAmount Maximum reward amount
+     * @param numTokensToReward Number of tokens to reward
+     * @param enabled Whether the box is enabled
+     */
+    function setBoxConfig(
+        uint8 boxType,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint8 numTokensToReward,
+        bool enabled
+    ) external onlyOwner validBoxType(boxType) {
+        _setBoxConfig(
+            boxType,
+            BoxConfig({
+                minAmount: minAmount,
+                maxAmount: maxAmount,
+                numTokensToReward: numTokensToReward,
+                enabled: enabled
+            })
+        );
+    }
+
+    /**
+     * @notice Create a box type after the existing ones
+     * @dev Token ranges and rarity tiers are set afterwards with setTokenRanges / setRarityTier
+     * @param name Display name
+     * @param priceWei Price in wei
+     * @param config Reward range, reward count and enabled flag
+     * @param schedule Cooldown, sale window and supply cap (zero fields are unlimited)
+     * @return boxType Id of the new box type
+     */
+    function createBoxType(
+        string calldata name,
+        uint256 priceWei,
+        BoxConfig calldata config,
+        BoxSchedule calldata schedule
+    ) external onlyOwner returns (uint8 boxType) {
+        require(boxTypeCount < type(uint8).max, "Too many box types");
+        boxType = boxTypeCount;
+        boxTypeCount += 1;
+        boxNames[boxType] = name;
+        emit BoxTypeNamed(boxType, name);
+        _setBoxConfig(boxType, config);
+        boxPrices[boxType] = priceWei;
+        emit BoxPriceUpdated(boxType, priceWei);
+        _setBoxSchedule(boxType, schedule);
+    }
+
+    /**
+     * @notice Rename a box type
+     * @param boxType Box type to rename
+     * @param name Display name
+     */
+    function setBoxName(
+        uint8 boxType,
+        string calldata name
+    ) external onlyOwner validBoxType(boxType) {
+        boxNames[boxType] = name;
+        emit BoxTypeNamed(boxType, name);
+    }
+
+    /**
+     * @notice Set the cooldown, sale window and supply cap of a box type
+     * @param boxType Box type to configure
+     * @param schedule New limits (zero fields are unlimited)
+     */
+    function setBoxSchedule(
+        uint8 boxType,
+        BoxSchedule calldata schedule
+    ) external onlyOwner validBoxType(boxType) {
+        _setBoxSchedule(boxType, schedule);
+    }
+
+    /**
+     * @notice Set per-token reward range, selection weight and rarity tier for a specific box type
+     * @param boxType Box type to configure
+     * @param token Reward token address
+     * @param minAmount Minimum reward amount
+     * @param maxAmount Maximum reward amount
+     * @param enabled Whether to use this per-token range
+     * @param weight Selection weight (0 uses the tier's weight, or DEFAULT_WEIGHT)
+     * @param tier Rarity tier whose range applies when the per-token range is disabled (0 for none)
+     */
+    function setTokenRange(
+        uint8 boxType,
+        address token,
+        uint256 minAmount,
+        uint256 maxAmount,
+        bool enabled,
+        uint32 weight,
+        uint8 tier
+    ) external onlyOwner validBoxType(boxType) {
+        _setTokenRangeInternal(
+            TokenRangeInput({
+                boxType: boxType,
+                token: token,
+                minAmount: minAmount,
+                maxAmount: maxAmount,
+                enabled: enabled,
+                weight: weight,
+                tier: tier
+            })
+        );
+    }
+
+    /**
+     * @notice Batch set per-token reward ranges
+     * @param ranges Array of range configs
+     */
+    function setTokenRanges(
+        TokenRangeInput[] calldata ranges
+    ) external onlyOwner {
+        _setTokenRanges(ranges);
+    }
+
+    /**
+     * @notice Set a rarity tier: an amount range and default weight shared by the tokens assigned to it
+     * @param boxType Box type to configure
+     * @param tier Tier id (1-255)
+     * @param minAmount Minimum reward amount
+     * @param maxAmount Maximum reward amount
+     * @param weight Selection weight of tier tokens without their own weight (0 for DEFAULT_WEIGHT)
+     * @param enabled Whether the tier's range and weight apply
+     */
+    function setRarityTier(
+        uint8 boxType,
+        uint8 tier,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint32 weight,
+        bool enabled
+    ) external onlyOwner validBoxType(boxType) {
+        require(tier != 0, "Invalid tier");
+        _checkRange(minAmount, maxAmount);
+        rarityTiers[boxType][tier] = RarityTier({
+            minAmount: minAmount,
+            maxAmount: maxAmount,
+            weight: weight,
+            enabled: enabled
+        });
+        _checkBoxRanges(boxType);
+        emit RarityTierUpdated(
+            boxType,
+            tier,
+            minAmount,
+            maxAmount,
+            weight,
+            enabled
+        );
+    }
+
+    /**
+     * @notice Update reward tokens list
+     * @param tokens New array of reward token addresses
+     */
+    function setRewardTokens(address[] calldata tokens) external onlyOwner {
+        _setRewardTokens(tokens);
+    }
+
+    /**
+     * @notice Update VRF configuration
+     * @dev Cannot change if there are pending requests
+     */
+    function setVrfConfig(
+        address _vrfCoordinator,
+        bytes32 _keyHash,
+        uint256 _subscriptionId,
+        uint16 _requestConfirmations,
+        uint32 _callbackGasLimit,
+        bool _nativePayment
+    ) external onlyOwner {
+        require(pendingRequestCount == 0, "Pending requests");
+        _setVrfConfig(
+            _vrfCoordinator,
+            _keyHash,
+            _subscriptionId,
+            _requestConfirmations,
+            _callbackGasLimit,
+            _nativePayment
+        );
+    }
+
+    /**
+     * @notice Cap the number of boxes one openBoxes call may buy
+     * @dev One callback fulfills the whole batch, so keep quantity within what
+     *      callbackGasLimit covers for the largest box (blindbox:set-max-open checks it)
+     * @param quantity Largest batch; 1 disables batches of more than one box
+     */
+    function setMaxOpenQuantity(uint16 quantity) external onlyOwner {
+        require(quantity > 0, "Invalid quantity");
+        maxOpenQuantity = quantity;
+        emit MaxOpenQuantityUpdated(quantity);
+    }
+
+    /**
+     * @notice Set box price in wei
+     * @param boxType Box type to configure
+     * @param priceWei Price in wei
+     */
+    function setBoxPrice(
+        uint8 boxType,
+        uint256 priceWei
+    ) external onlyOwner validBoxType(boxType) {
+        boxPrices[boxType] = priceWei;
+        emit BoxPriceUpdated(boxType, priceWei);
+    }
+
+    /**
+     * @notice Update signer address for free box authorizations
+     * @param _signer Address allowed to sign free box authorizations
+     */
+    function setSignerAddress(address _signer) external onlyOwner {
+        require(_signer != address(0), "Zero signer");
+        signerAddress = _signer;
+        emit SignerUpdated(_signer);
+    }
+
+    /**
+     * @notice Cancel a pending open request and refund its fee (admin rescue)
+     * @param requestId The VRF request ID to cancel
+     */
+    function cancelPendingOpen(
+        uint256 requestId
+    ) external onlyOwner nonReentrant {
+        require(pendingOpens[requestId].user != address(0), "Unknown request");
+        _cancelOpen(requestId);
+    }
+
+    /**
+     * @notice Cancel several pending opens and refund their fees
+     * @dev Requests that were fulfilled or canceled in the meantime are skipped
+     * @param requestIds The VRF request IDs to cancel
+     * @return canceled Number of requests actually canceled
+     */
+    function cancelPendingOpens(
+        uint256[] calldata requestIds
+    ) external onlyOwner nonReentrant returns (uint256 canceled) {
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            if (pendingOpens[requestIds[i]].user != address(0)) {
+                _cancelOpen(requestIds[i]);
+                canceled++;
+            }
+        }
+    }
+
+    /**
+     * @notice Set how long a user must wait before reclaiming an unanswered open
+     * @param timeout Timeout in seconds
+     */
+    function setReclaimTimeout(uint256 timeout) external onlyOwner {
+        require(timeout >= 1 hours, "Timeout too short");
+        reclaimTimeout = timeout;
+        emit ReclaimTimeoutUpdated(timeout);
+    }
+
+    /**
+     * @notice Initiate ownership transfer (2-step process)
+     * @param newOwner Address of the new owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Zero address");
+        require(newOwner != owner, "Same owner");
+
+        pendingOwner = newOwner;
+        emit OwnershipTransferInitiated(owner, newOwner);
+    }
+
+    /**
+     * @notice Pause the contract
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Unpause the contract
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Claim a user's pending rewards with their EIP-712 signature, so a relayer can pay the gas
+     * @dev Tokens that cannot be sent are skipped and stay pending, as in claimAll
+     * @param auth The signed authorization naming the recipient, tokens, nonce and deadline
+     * @param signature The user's signature over `auth`
+     */
+    function claimFor(
+        ClaimAuthorization calldata auth,
+        bytes calldata signature
+    ) external whenNotPaused whenNotFrozen nonReentrant {
+        require(block.timestamp <= auth.deadline, "CLAIM_EXPIRED");
+        require(auth.recipient != address(0), "Zero address");
+        require(!usedClaimNonces[auth.user][auth.nonce], "CLAIM_NONCE_USED");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                _CLAIM_TYPEHASH,
+                auth.user,
+                auth.recipient,
+                keccak256(abi.encodePacked(auth.tokens)),
+                auth.nonce,
+                auth.deadline
+            )
+        );
+        bytes32 domainSeparator = keccak256(
+            abi.encode(
+                _DOMAIN_TYPEHASH,
+                keccak256("BlindBox"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+        require(
+            MessageHashUtils.toTypedDataHash(domainSeparator, structHash).recover(signature) ==
+                auth.user,
+            "INVALID_CLAIM_SIGNATURE"
+        );
+
+        usedClaimNonces[auth.user][auth.nonce] = true;
+        require(
+            _claimTokens(auth.user, auth.recipient, auth.tokens),
+            "No rewards claimed"
+        );
+        emit ClaimRelayed(auth.user, auth.recipient, auth.nonce, msg.sender);
+    }
+
+    /**
+     * @notice Permanently stop opens and claims so pending rewards can move to a new deployment
+     * @dev Pending opens can still be fulfilled, canceled or reclaimed; refund credits stay withdrawable
+     * @param _successor Deployment that imports this contract's state
+     */
+    function freeze(address _successor) external onlyOwner {
+        require(!frozen, "Already frozen");
+        require(
+            _successor != address(0) && _successor != address(this),
+            "Invalid successor"
+        );
+        frozen = true;
+        successor = _successor;
+        emit Frozen(_successor);
+    }
+
+    /**
+     * @notice Credit pending rewards and free box state snapshotted from a previous deployment
+     * @dev Each batchId is accepted once, so an interrupted migration can be re-run safely
+     * @param batchId Caller-chosen batch identifier
+     * @param rewards Pending rewards to add per user and token
+     * @param freeOpens Free box opens whose cooldowns and nonces carry over
+     */
+    function importMigrationBatch(
+        uint256 batchId,
+        RewardImport[] calldata rewards,
+        FreeOpenImport[] calldata freeOpens
+    ) external onlyOwner {
+        require(!importedBatches[batchId], "Batch imported");
+        importedBatches[batchId] = true;
+
+        for (uint256 i = 0; i < rewards.length; i++) {
+            RewardImport calldata reward = rewards[i];
+            require(reward.user != address(0), "Zero address");
+            pendingRewards[reward.user][reward.token] += reward.amount;
+            emit RewardsImported(reward.user, reward.token, reward.amount);
+        }
+
+        for (uint256 i = 0; i < freeOpens.length; i++) {
+            FreeOpenImport calldata open = freeOpens[i];
+            usedNonces[open.user][open.nonce] = true;
+            usedNoncesByFid[open.fid][open.nonce] = true;
+            if (open.openedAt > lastFreeOpenAt[open.user]) {
+                lastFreeOpenAt[open.user] = open.openedAt;
+            }
+            if (open.openedAt > lastFreeOpenAtByFid[open.fid]) {
+                lastFreeOpenAtByFid[open.fid] = open.openedAt;
+            }
+        }
+
+        emit MigrationBatchImported(batchId, rewards.length, freeOpens.length);
+    }
+
+    /**
+     * @notice Emergency withdrawal of tokens by owner
+     * @param token Token address to withdraw (address(0) for native token)
+     * @param to Destination address
+     * @param amount Amount to withdraw
+     */
+    function emergencyWithdraw(
+        address token,
+        address to,
+        uint256 amount
+    ) external onlyOwner nonReentrant {
+        require(to != address(0), "Zero address");
+        require(amount > 0, "Zero amount");
+
+        if (token == address(0)) {
+            // Native token withdrawal
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "Native transfer failed");
+        } else {
+            // ERC20 withdrawal
+            _safeTransfer(token, to, amount);
+        }
+
+        emergencyWithdrawn[token] += amount;
+        emit EmergencyWithdrawal(token, to, amount);
+    }
+}
@@ -0,0 +1,825 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title BlindBoxBase
+ * @notice Storage, events and shared internals of BlindBox and BlindBoxAdmin
+ * @dev BlindBoxAdmin runs through delegatecall against BlindBox storage, so both must inherit
+ *      this layout unchanged; append new state variables at the end
+ */
+abstract contract BlindBoxBase is ReentrancyGuard, Pausable {
+    bytes4 private constant _TRANSFER_SELECTOR = 0xa9059cbb;
+    bytes4 private constant _DECIMALS_SELECTOR = 0x313ce567;
+    uint256 private constant _REFUND_GAS = 50_000;
+
+    struct BoxConfig {
+        uint256 minAmount;
+        uint256 maxAmount;
+        uint8 numTokensToReward;
+        bool enabled;
+    }
+
+    enum OpenStatus {
+        None,
+        Pending,
+        Fulfilled,
+        Canceled
+    }
+
+    // Outlives the PendingOpen. Written at open and marked by a cancel; the callback only adds
+    // RewardRecords, so a Pending record whose PendingOpen is gone was fulfilled
+    struct OpenRecord {
+        address user;
+        uint8 boxType;
+        OpenStatus status;
+        uint16 quantity;
+        uint40 openedAt;
+    }
+
+    // One token reward of a request; ranges are capped at uint96 so this packs into one slot
+    struct RewardRecord {
+        address token;
+        uint96 amount;
+    }
+
+    // getOpenResult's view of a request; a batch lists its boxes' rewards in box order
+    struct OpenResult {
+        OpenStatus status;
+        uint8 boxType;
+        uint16 quantity;
+        address user;
+        uint40 openedAt;
+        address[] tokens;
+        uint256[] amounts;
+    }
+
+    struct PendingOpen {
+        address user;
+        uint8 boxType;
+        uint16 quantity; // boxes paid for by this request (1 for openBox)
+        address coordinator; // Store coordinator to handle config changes
+        uint64 openedAt;
+        uint256 pricePaid;
+    }
+
+    struct TokenRange {
+        uint256 minAmount;
+        uint256 maxAmount;
+        bool enabled;
+        uint32 weight; // 0 = the tier's weight, or DEFAULT_WEIGHT without a tier
+        uint8 tier; // 0 = no rarity tier
+    }
+
+    struct TokenRangeInput {
+        uint8 boxType;
+        address token;
+        uint256 minAmount;
+        uint256 maxAmount;
+        bool enabled;
+        uint32 weight;
+        uint8 tier;
+    }
+
+    struct RarityTier {
+        uint256 minAmount;
+        uint256 maxAmount;
+        uint32 weight;
+        bool enabled;
+    }
+
+    struct RewardImport {
+        address user;
+        address token;
+        uint256 amount;
+    }
+
+    struct FreeOpenImport {
+        address user;
+        uint256 fid;
+        uint256 nonce;
+        uint256 openedAt;
+    }
+
+    // Sale limits of a box type; zero fields are unlimited
+    struct BoxSchedule {
+        uint64 cooldown; // seconds between two opens of this box by one wallet
+        uint64 saleStart;
+        uint64 saleEnd;
+        uint32 supplyCap; // opens allowed over the box's lifetime
+    }
+
+    struct BoxInfo {
+        uint8 boxType;
+        string name;
+        uint256 price;
+        BoxConfig config;
+        BoxSchedule schedule;
+        uint256 opened;
+    }
+
+    struct NftPrize {
+        address token;
+        uint96 amount; // 0 for an ERC-721 token, units of `id` for ERC-1155
+        uint256 id;
+    }
+
+    // A user's signed request to send their pending `tokens` to `recipient`; anyone may submit it
+    struct ClaimAuthorization {
+        address user;
+        address recipient;
+        address[] tokens;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Built-in box types; the owner can add more with createBoxType
+    uint8 public constant FREE = 0;
+    uint8 public constant SILVER = 1;
+    uint8 public constant GOLD = 2;
+
+    // Selection weight of a token with no weight of its own
+    uint32 public constant DEFAULT_WEIGHT = 100;
+
+    // Access control
+    address public owner;
+    address public pendingOwner;
+
+    // VRF Configuration
+    address public vrfCoordinator;
+    bytes32 public keyHash;
+    uint256 public subscriptionId;
+    uint16 public requestConfirmations;
+    uint32 public callbackGasLimit;
+    bool public nativePayment;
+    address public signerAddress;
+
+    // Reward tokens
+    address[] public rewardTokens;
+    mapping(address => bool) public rewardTokenExists;
+
+    // Box configurations
+    uint8 public boxTypeCount;
+    mapping(uint8 => string) public boxNames;
+    mapping(uint8 => BoxConfig) public boxConfigs;
+    mapping(uint8 => uint256) public boxPrices;
+    mapping(uint8 => BoxSchedule) public boxSchedules;
+    // Opens per box type that were not canceled, counted against supplyCap
+    mapping(uint8 => uint256) public boxOpened;
+    mapping(uint8 => mapping(address => uint256)) public lastBoxOpenAt;
+    mapping(uint8 => mapping(address => TokenRange)) public tokenRanges;
+    mapping(uint8 => mapping(uint8 => RarityTier)) public rarityTiers;
+    // Ranges per box with a weight or tier set; boxes with none pick tokens uniformly
+    mapping(uint8 => uint256) public weightedTokenCount;
+
+    // Request tracking
+    mapping(uint256 => PendingOpen) public pendingOpens;
+    uint256 public pendingRequestCount;
+    uint256 public reclaimTimeout = 1 days;
+    // Refunds that could not be pushed to the user (e.g. a contract rejecting native token)
+    mapping(address => uint256) public refundCredits;
+
+    // User rewards and tracking
+    mapping(address => mapping(address => uint256)) public pendingRewards;
+    mapping(address => uint256) public lastFreeOpenAt;
+    mapping(uint256 => uint256) public lastFreeOpenAtByFid;
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+    mapping(uint256 => mapping(uint256 => bool)) public usedNoncesByFid;
+
+    // Emergency withdrawal tracking
+    mapping(address => uint256) public emergencyWithdrawn;
+
+    // Migration: a frozen deployment accepts no opens or claims; its state moves to `successor`
+    bool public frozen;
+    address public successor;
+    mapping(uint256 => bool) public importedBatches;
+
+    // NFT prizes: per-box inventory, the chance an open also wins one, and prizes awaiting claim
+    mapping(uint8 => uint16) public nftChanceBps;
+    mapping(uint8 => NftPrize[]) internal _nftInventory;
+    mapping(address => NftPrize[]) internal _pendingNfts;
+
+    // Most boxes one openBoxes request may hold; set to what callbackGasLimit can fulfill
+    uint16 public maxOpenQuantity;
+
+    // Claim authorization nonces already spent, per signing user
+    mapping(address => mapping(uint256 => bool)) public usedClaimNonces;
+
+    // Per-request outcomes and each user's request ids, oldest first
+    mapping(uint256 => OpenRecord) internal _openRecords;
+    mapping(uint256 => mapping(uint256 => RewardRecord)) internal _openRewards;
+    mapping(address => uint256[]) internal _userRequestIds;
+
+    // decimals() of each reward token, read when the token list is set (18 if it has none).
+    // Box config and rarity tier ranges are whole-token amounts with 18 decimals, scaled to these
+    mapping(address => uint8) public rewardTokenDecimals;
+
+    // Events
+    event OwnershipTransferInitiated(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event BoxConfigUpdated(
+        uint8 indexed boxType,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint8 numTokensToReward,
+        bool enabled
+    );
+    event BoxPriceUpdated(uint8 indexed boxType, uint256 priceWei);
+    event BoxTypeNamed(uint8 indexed boxType, string name);
+    event BoxScheduleUpdated(
+        uint8 indexed boxType,
+        uint64 cooldown,
+        uint64 saleStart,
+        uint64 saleEnd,
+        uint32 supplyCap
+    );
+    event TokenRangeUpdated(
+        uint8 indexed boxType,
+        address indexed token,
+        uint256 minAmount,
+        uint256 maxAmount,
+        bool enabled,
+        uint32 weight,
+        uint8 tier
+    );
+    event RarityTierUpdated(
+        uint8 indexed boxType,
+        uint8 indexed tier,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint32 weight,
+        bool enabled
+    );
+    event RewardTokensUpdated(uint256 count);
+    event BoxOpened(
+        uint256 indexed requestId,
+        address indexed user,
+        uint8 indexed boxType
+    );
+    event BoxesOpened(uint256 indexed requestId, uint16 quantity);
+    event BatchBoxRewarded(
+        uint256 indexed requestId,
+        uint16 boxIndex,
+        address[] tokens,
+        uint256[] amounts
+    );
+    event MaxOpenQuantityUpdated(uint16 quantity);
+    event RewardsQueued(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event RewardClaimed(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event VrfConfigUpdated(
+        address coordinator,
+        bytes32 keyHash,
+        uint256 subscriptionId,
+        uint16 requestConfirmations,
+        uint32 callbackGasLimit,
+        bool nativePayment
+    );
+    event PendingOpenCanceled(
+        uint256 indexed requestId,
+        address indexed user,
+        uint8 indexed boxType
+    );
+    event OpenRefunded(
+        uint256 indexed requestId,
+        address indexed user,
+        uint256 amount,
+        bool credited
+    );
+    event RefundWithdrawn(address indexed user, uint256 amount);
+    event ReclaimTimeoutUpdated(uint256 timeout);
+    event EmergencyWithdrawal(
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+    event SignerUpdated(address indexed signer);
+    event Frozen(address indexed successor);
+    event RewardsImported(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event MigrationBatchImported(
+        uint256 indexed batchId,
+        uint256 rewards,
+        uint256 freeOpens
+    );
+    event NftChanceUpdated(uint8 indexed boxType, uint16 chanceBps);
+    event NftDeposited(
+        uint8 indexed boxType,
+        address indexed token,
+        uint256 id,
+        uint256 amount
+    );
+    event NftWithdrawn(
+        uint8 indexed boxType,
+        address indexed token,
+        uint256 id,
+        uint256 amount,
+        address to
+    );
+    event NftQueued(
+        uint256 indexed requestId,
+        address indexed user,
+        address indexed token,
+        uint256 id,
+        uint256 amount
+    );
+    event NftInventoryEmpty(uint256 indexed requestId, uint8 indexed boxType);
+    event NftClaimed(
+        address indexed user,
+        address indexed token,
+        uint256 id,
+        uint256 amount
+    );
+    event ClaimRelayed(
+        address indexed user,
+        address indexed recipient,
+        uint256 nonce,
+        address relayer
+    );
+
+    // Modifiers
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    modifier whenNotFrozen() {
+        require(!frozen, "FROZEN");
+        _;
+    }
+
+    modifier validBoxType(uint8 boxType) {
+        require(boxType < boxTypeCount, "Invalid box type");
+        _;
+    }
+
+    /**
+     * @notice Internal function to set reward tokens
+     * @param tokens Array of token addresses
+     */
+    function _setRewardTokens(address[] memory tokens) internal {
+        require(tokens.length > 0, "Empty tokens array");
+        require(tokens.length <= 100, "Too many tokens"); // Reasonable limit
+
+        // Clear existing tokens
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            rewardTokenExists[rewardTokens[i]] = false;
+        }
+        delete rewardTokens;
+
+        // Add new tokens (deduplicated)
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = tokens[i];
+            require(token != address(0), "Zero token");
+
+            if (!rewardTokenExists[token]) {
+                rewardTokenExists[token] = true;
+                rewardTokens.push(token);
+                rewardTokenDecimals[token] = _readDecimals(token);
+                for (uint8 boxType = 0; boxType < boxTypeCount; boxType++) {
+                    _checkResolvedRange(boxType, token);
+                }
+            }
+        }
+
+        emit RewardTokensUpdated(rewardTokens.length);
+    }
+
+    /**
+     * @notice The token's decimals(), or 18 when it does not implement the optional getter
+     */
+    function _readDecimals(address token) private view returns (uint8) {
+        (bool success, bytes memory data) = token.staticcall(
+            abi.encodeWithSelector(_DECIMALS_SELECTOR)
+        );
+        if (!success || data.length < 32) {
+            return 18;
+        }
+        uint256 decimals = abi.decode(data, (uint256));
+        require(decimals <= 36, "Unsupported decimals");
+        return uint8(decimals);
+    }
+
+    function _setBoxConfig(uint8 boxType, BoxConfig memory config) internal {
+        _checkRange(config.minAmount, config.maxAmount);
+        require(config.minAmount > 0, "Min amount must be > 0");
+        require(
+            config.numTokensToReward > 0 || !config.enabled,
+            "Must reward tokens if enabled"
+        );
+        boxConfigs[boxType] = config;
+        _checkBoxRanges(boxType);
+        emit BoxConfigUpdated(
+            boxType,
+            config.minAmount,
+            config.maxAmount,
+            config.numTokensToReward,
+            config.enabled
+        );
+    }
+
+    // Amounts are recorded per request as uint96, so no range may exceed it
+    function _checkRange(uint256 minAmount, uint256 maxAmount) internal pure {
+        require(
+            maxAmount >= minAmount && maxAmount <= type(uint96).max,
+            "Invalid range"
+        );
+    }
+
+    /**
+     * @notice Require the range `token` rolls from in `boxType` to be valid once scaled
+     * @dev Runs whenever a token range, rarity tier, box config or the token list changes, so
+     *      rawFulfillRandomWords never meets an inverted range or one past the uint96 records
+     */
+    function _checkResolvedRange(uint8 boxType, address token) internal view {
+        (uint256 minAmount, uint256 maxAmount) = _resolveRange(
+            boxType,
+            token,
+            boxConfigs[boxType]
+        );
+        require(maxAmount >= minAmount, "INVALID_TOKEN_RANGE");
+        // Scaling up to a token with more than 18 decimals can leave the uint96 reward records
+        require(maxAmount <= type(uint96).max, "REWARD_TOO_LARGE");
+    }
+
+    function _checkBoxRanges(uint8 boxType) internal view {
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            _checkResolvedRange(boxType, rewardTokens[i]);
+        }
+    }
+
+    function _setBoxSchedule(
+        uint8 boxType,
+        BoxSchedule memory schedule
+    ) internal {
+        require(
+            schedule.saleEnd == 0 || schedule.saleEnd > schedule.saleStart,
+            "Invalid sale window"
+        );
+        boxSchedules[boxType] = schedule;
+        emit BoxScheduleUpdated(
+            boxType,
+            schedule.cooldown,
+            schedule.saleStart,
+            schedule.saleEnd,
+            schedule.supplyCap
+        );
+    }
+
+    function _setTokenRangeInternal(TokenRangeInput memory r) internal {
+        require(r.boxType < boxTypeCount, "Invalid box type");
+        require(r.token != address(0), "Zero token");
+        _checkRange(r.minAmount, r.maxAmount);
+
+        TokenRange storage current = tokenRanges[r.boxType][r.token];
+        bool wasWeighted = current.weight != 0 || current.tier != 0;
+        bool isWeighted = r.weight != 0 || r.tier != 0;
+        if (isWeighted && !wasWeighted) {
+            weightedTokenCount[r.boxType] += 1;
+        } else if (wasWeighted && !isWeighted) {
+            weightedTokenCount[r.boxType] -= 1;
+        }
+
+        tokenRanges[r.boxType][r.token] = TokenRange({
+            minAmount: r.minAmount,
+            maxAmount: r.maxAmount,
+            enabled: r.enabled,
+            weight: r.weight,
+            tier: r.tier
+        });
+        if (rewardTokenExists[r.token]) {
+            _checkResolvedRange(r.boxType, r.token);
+        }
+        emit TokenRangeUpdated(
+            r.boxType,
+            r.token,
+            r.minAmount,
+            r.maxAmount,
+            r.enabled,
+            r.weight,
+            r.tier
+        );
+    }
+
+    function _setTokenRanges(
+        TokenRangeInput[] memory ranges
+    ) internal {
+        for (uint256 i = 0; i < ranges.length; i++) {
+            _setTokenRangeInternal(ranges[i]);
+        }
+    }
+
+    function _tokenWeight(
+        uint8 boxType,
+        address token
+    ) internal view returns (uint256) {
+        // Storage pointers so only the packed enabled/weight/tier slots are read
+        TokenRange storage range = tokenRanges[boxType][token];
+        uint32 weight = range.weight;
+        if (weight != 0) {
+            return weight;
+        }
+        uint8 tierId = range.tier;
+        if (tierId != 0) {
+            RarityTier storage tier = rarityTiers[boxType][tierId];
+            if (tier.enabled && tier.weight != 0) {
+                return tier.weight;
+            }
+        }
+        return DEFAULT_WEIGHT;
+    }
+
+    function _poolWeights(
+        uint8 boxType,
+        address[] memory pool
+    ) internal view returns (uint256[] memory weights, uint256 total) {
+        weights = new uint256[](pool.length);
+        for (uint256 i = 0; i < pool.length; i++) {
+            weights[i] = _tokenWeight(boxType, pool[i]);
+            total += weights[i];
+        }
+    }
+
+    // Index whose cumulative weight first exceeds `target` (target < sum of weights)
+    function _weightedIndex(
+        uint256[] memory weights,
+        uint256 target
+    ) internal pure returns (uint256 idx) {
+        uint256 cumulative = weights[0];
+        while (target >= cumulative) {
+            idx++;
+            cumulative += weights[idx];
+        }
+    }
+
+    // One roll per open against the box's NFT chance; an empty inventory skips the prize
+    function _rollNft(
+        uint256 requestId,
+        address user,
+        uint8 boxType,
+        uint256 randomWord
+    ) internal {
+        uint256 chance = nftChanceBps[boxType];
+        if (chance == 0) {
+            return;
+        }
+        uint256 roll = uint256(keccak256(abi.encode(randomWord, requestId, "nft")));
+        if (roll % 10_000 >= chance) {
+            return;
+        }
+        NftPrize[] storage inventory = _nftInventory[boxType];
+        if (inventory.length == 0) {
+            emit NftInventoryEmpty(requestId, boxType);
+            return;
+        }
+        uint256 idx = (roll / 10_000) % inventory.length;
+        NftPrize memory prize = inventory[idx];
+        _removeNft(inventory, idx);
+        _pendingNfts[user].push(prize);
+        emit NftQueued(requestId, user, prize.token, prize.id, prize.amount);
+    }
+
+    function _removeNft(NftPrize[] storage list, uint256 index) internal {
+        uint256 last = list.length - 1;
+        if (index != last) {
+            list[index] = list[last];
+        }
+        list.pop();
+    }
+
+    function _trySendNft(
+        NftPrize memory prize,
+        address to
+    ) internal returns (bool) {
+        if (prize.amount == 0) {
+            try IERC721(prize.token).safeTransferFrom(address(this), to, prize.id) {
+                return true;
+            } catch {
+                return false;
+            }
+        }
+        try
+            IERC1155(prize.token).safeTransferFrom(
+                address(this),
+                to,
+                prize.id,
+                prize.amount,
+                ""
+            )
+        {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    function _copyRewardTokens() internal view returns (address[] memory pool) {
+        uint256 len = rewardTokens.length;
+        pool = new address[](len);
+        for (uint256 i = 0; i < len; i++) {
+            pool[i] = rewardTokens[i];
+        }
+    }
+
+    function _resolveRange(
+        uint8 boxType,
+        address token,
+        BoxConfig memory config
+    ) internal view returns (uint256 minAmount, uint256 maxAmount) {
+        TokenRange memory range = tokenRanges[boxType][token];
+        if (range.enabled) {
+            (minAmount, maxAmount) = (range.minAmount, range.maxAmount);
+        } else if (
+            range.tier != 0 && rarityTiers[boxType][range.tier].enabled
+        ) {
+            RarityTier memory tier = rarityTiers[boxType][range.tier];
+            (minAmount, maxAmount) = _scaleToToken(token, tier.minAmount, tier.maxAmount);
+        } else {
+            (minAmount, maxAmount) = _scaleToToken(token, config.minAmount, config.maxAmount);
+        }
+    }
+
+    /**
+     * @notice Convert a whole-token range with 18 decimals to `token`'s base units
+     * @dev Min rounds up and max down, so a roll never falls outside the configured range; a
+     *      range narrower than one base unit comes out inverted and is rejected when set
+     */
+    function _scaleToToken(
+        address token,
+        uint256 minAmount,
+        uint256 maxAmount
+    ) private view returns (uint256, uint256) {
+        uint8 decimals = rewardTokenDecimals[token];
+        if (decimals < 18) {
+            uint256 divisor = 10 ** (18 - decimals);
+            return ((minAmount + divisor - 1) / divisor, maxAmount / divisor);
+        }
+        uint256 factor = 10 ** (decimals - 18);
+        return (minAmount * factor, maxAmount * factor);
+    }
+
+    /**
+     * @notice Send each of `user`'s pending `tokens` that the balance covers to `recipient`
+     * @dev A failed transfer restores the pending amount instead of reverting, so one broken
+     *      token cannot block the rest
+     * @return anySuccess Whether at least one token was sent
+     */
+    function _claimTokens(
+        address user,
+        address recipient,
+        address[] memory tokens
+    ) internal returns (bool anySuccess) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = tokens[i];
+            uint256 amount = pendingRewards[user][token];
+
+            if (amount > 0) {
+                // Check balance before attempting transfer
+                uint256 balance = IERC20(token).balanceOf(address(this));
+
+                if (balance >= amount) {
+                    pendingRewards[user][token] = 0;
+
+                    if (_trySafeTransfer(token, recipient, amount)) {
+                        emit RewardClaimed(user, token, amount);
+                        anySuccess = true;
+                    } else {
+                        pendingRewards[user][token] = amount;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice Delete a pending open and refund the fee paid for it
+     * @dev If the push fails or runs out of its gas stipend the amount is credited
+     *      for withdrawRefund, so one hostile receiver cannot block cancels
+     */
+    function _cancelOpen(uint256 requestId) internal {
+        PendingOpen memory pending = pendingOpens[requestId];
+        delete pendingOpens[requestId];
+        require(pendingRequestCount > 0, "No pending requests");
+        pendingRequestCount -= 1;
+        _openRecords[requestId].status = OpenStatus.Canceled;
+        // A canceled open gives its units of supply back
+        boxOpened[pending.boxType] -= pending.quantity;
+
+        emit PendingOpenCanceled(requestId, pending.user, pending.boxType);
+
+        if (pending.pricePaid > 0) {
+            (bool success, ) = pending.user.call{
+                value: pending.pricePaid,
+                gas: _REFUND_GAS
+            }("");
+            if (!success) {
+                refundCredits[pending.user] += pending.pricePaid;
+            }
+            emit OpenRefunded(
+                requestId,
+                pending.user,
+                pending.pricePaid,
+                !success
+            );
+        }
+    }
+
+    /**
+     * @notice Internal function to set VRF configuration
+     */
+    function _setVrfConfig(
+        address _vrfCoordinator,
+        bytes32 _keyHash,
+        uint256 _subscriptionId,
+        uint16 _requestConfirmations,
+        uint32 _callbackGasLimit,
+        bool _nativePayment
+    ) internal {
+        require(_vrfCoordinator != address(0), "Zero coordinator");
+        require(_subscriptionId > 0, "Invalid subscription");
+        require(_callbackGasLimit >= 100000, "Gas limit too low");
+        require(_requestConfirmations > 0, "Invalid confirmations");
+
+        vrfCoordinator = _vrfCoordinator;
+        keyHash = _keyHash;
+        subscriptionId = _subscriptionId;
+        requestConfirmations = _requestConfirmations;
+        callbackGasLimit = _callbackGasLimit;
+        nativePayment = _nativePayment;
+
+        emit VrfConfigUpdated(
+            _vrfCoordinator,
+            _keyHash,
+            _subscriptionId,
+            _requestConfirmations,
+            _callbackGasLimit,
+            _nativePayment
+        );
+    }
+
+    function _safeTransfer(address token, address to, uint256 amount) internal {
+        (bool success, bytes memory data) = token.call(
+            abi.encodeWithSelector(_TRANSFER_SELECTOR, to, amount)
+        );
+        require(
+            success && (data.length == 0 || abi.decode(data, (bool))),
+            "Transfer failed"
+        );
+    }
+
+    function _trySafeTransfer(
+        address token,
+        address to,
+        uint256 amount
+    ) internal returns (bool) {
+        (bool success, bytes memory data) = token.call(
+            abi.encodeWithSelector(_TRANSFER_SELECTOR, to, amount)
+        );
+        return success && (data.length == 0 || abi.decode(data, (bool)));
+    }
+
+    /**
+     * @notice Calculate random amount within range
+     * @param randomWord Base random number from VRF
+     * @param requestId Request ID for additional entropy
+     * @param index Index for additional entropy
+     * @param minAmount Minimum amount (inclusive)
+     * @param maxAmount Maximum amount (inclusive)
+     * @return Random amount in range [minAmount, maxAmount]
+     */
+    function _randomAmount(
+        uint256 randomWord,
+        uint256 requestId,
+        uint256 index,
+        uint256 minAmount,
+        uint256 maxAmount
+    ) internal pure returns (uint256) {
+        // For inclusive range [min, max]: range = max - min + 1
+        uint256 range = maxAmount - minAmount + 1;
+        uint256 seed = uint256(
+            keccak256(abi.encode(randomWord, requestId, index, "amount"))
+        );
+        return minAmount + (seed % range);
+    }
+}
@@ -0,0 +1,263 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title MultiSign
+ * @notice Threshold multisig: any signer proposes a call, signers confirm it and
+ * it can be executed once `threshold` current signers have confirmed and it has not expired.
+ * Signer, threshold and expiry changes are proposals that call the wallet itself.
+ */
+contract MultiSign is ReentrancyGuard {
+    uint256 public constant MAX_SIGNERS = 20;
+
+    struct Proposal {
+        address to;
+        uint256 value;
+        bytes data;
+        address proposer;
+        uint64 createdAt;
+        uint64 expiresAt;
+        bool executed;
+    }
+
+    address[] private signers;
+    mapping(address => bool) public isSigner;
+    uint256 public threshold;
+    uint256 public proposalTtl = 7 days;
+
+    Proposal[] private proposals;
+    // Bumped when a signer is removed, so confirmations given before then stay void if they return
+    mapping(address => uint256) private signerEpoch;
+    // The signer's epoch + 1 when they confirmed a proposal; 0 when they have not
+    mapping(uint256 => mapping(address => uint256)) private confirmedEpoch;
+
+    // Events
+    event Deposit(address indexed sender, uint256 amount);
+    event ProposalCreated(
+        uint256 indexed id,
+        address indexed proposer,
+        address indexed to,
+        uint256 value,
+        bytes data,
+        uint64 expiresAt
+    );
+    event ProposalConfirmed(uint256 indexed id, address indexed signer);
+    event ConfirmationRevoked(uint256 indexed id, address indexed signer);
+    event ProposalExecuted(uint256 indexed id, address indexed executor, bytes result);
+    event SignerAdded(address indexed signer);
+    event SignerRemoved(address indexed signer);
+    event ThresholdChanged(uint256 threshold);
+    event ProposalTtlChanged(uint256 ttl);
+
+    modifier onlySigner() {
+        require(isSigner[msg.sender], "Not signer");
+        _;
+    }
+
+    // Configuration changes must go through a proposal executed by this wallet
+    modifier onlyWallet() {
+        require(msg.sender == address(this), "Only multisig");
+        _;
+    }
+
+    modifier proposalExists(uint256 id) {
+        require(id < proposals.length, "Unknown proposal");
+        _;
+    }
+
+    constructor(address[] memory _signers, uint256 _threshold) {
+        require(_signers.length > 0 && _signers.length <= MAX_SIGNERS, "Invalid signer count");
+        for (uint256 i = 0; i < _signers.length; i++) {
+            _addSigner(_signers[i]);
+        }
+        _setThreshold(_threshold);
+    }
+
+    receive() external payable {
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Propose a call from the multisig; the proposer's confirmation is recorded
+     * @param to Target address
+     * @param value Native token to send with the call
+     * @param data Calldata (empty for a plain transfer)
+     * @return id Proposal id
+     */
+    function propose(
+        address to,
+        uint256 value,
+        bytes calldata data
+    ) external onlySigner returns (uint256 id) {
+        require(to != address(0), "Zero address");
+
+        id = proposals.length;
+        uint64 expiresAt = uint64(block.timestamp + proposalTtl);
+        proposals.push(
+            Proposal({
+                to: to,
+                value: value,
+                data: data,
+                proposer: msg.sender,
+                createdAt: uint64(block.timestamp),
+                expiresAt: expiresAt,
+                executed: false
+            })
+        );
+        emit ProposalCreated(id, msg.sender, to, value, data, expiresAt);
+        _confirm(id);
+    }
+
+    /**
+     * @notice Confirm a pending proposal
+     * @param id Proposal id
+     */
+    function confirm(uint256 id) external onlySigner proposalExists(id) {
+        _requireOpen(proposals[id]);
+        require(!confirmed(id, msg.sender), "Already confirmed");
+        _confirm(id);
+    }
+
+    /**
+     * @notice Withdraw your confirmation of a pending proposal
+     * @param id Proposal id
+     */
+    function revoke(uint256 id) external onlySigner proposalExists(id) {
+        require(!proposals[id].executed, "Already executed");
+        require(confirmed(id, msg.sender), "Not confirmed");
+        confirmedEpoch[id][msg.sender] = 0;
+        emit ConfirmationRevoked(id, msg.sender);
+    }
+
+    /**
+     * @notice Execute a proposal that has reached the threshold
+     * @dev Reverts with the target's revert data if the call fails, so the proposal stays executable
+     * @param id Proposal id
+     */
+    function execute(
+        uint256 id
+    ) external onlySigner nonReentrant proposalExists(id) returns (bytes memory result) {
+        Proposal storage proposal = proposals[id];
+        _requireOpen(proposal);
+        require(confirmationCount(id) >= threshold, "Threshold not met");
+        require(address(this).balance >= proposal.value, "Insufficient balance");
+
+        proposal.executed = true;
+        bool success;
+        (success, result) = proposal.to.call{value: proposal.value}(proposal.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ProposalExecuted(id, msg.sender, result);
+    }
+
+    /**
+     * @notice Add a signer (only through an executed proposal)
+     * @param signer Address to add
+     */
+    function addSigner(address signer) external onlyWallet {
+        require(signers.length < MAX_SIGNERS, "Too many signers");
+        _addSigner(signer);
+    }
+
+    /**
+     * @notice Remove a signer (only through an executed proposal)
+     * @dev Confirmations by a removed signer stop counting toward the threshold, and do not
+     *      count again if the signer is added back
+     * @param signer Address to remove
+     */
+    function removeSigner(address signer) external onlyWallet {
+        require(isSigner[signer], "Not signer");
+        require(signers.length - 1 >= threshold, "Threshold above signer count");
+
+        isSigner[signer] = false;
+        signerEpoch[signer]++;
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (signers[i] == signer) {
+                signers[i] = signers[signers.length - 1];
+                signers.pop();
+                break;
+            }
+        }
+        emit SignerRemoved(signer);
+    }
+
+    /**
+     * @notice Change the number of confirmations required (only through an executed proposal)
+     * @param _threshold New threshold
+     */
+    function changeThreshold(uint256 _threshold) external onlyWallet {
+        _setThreshold(_threshold);
+    }
+
+    /**
+     * @notice Change how long new proposals stay executable (only through an executed proposal)
+     * @param ttl Lifetime in seconds
+     */
+    function setProposalTtl(uint256 ttl) external onlyWallet {
+        require(ttl >= 1 hours, "TTL too short");
+        proposalTtl = ttl;
+        emit ProposalTtlChanged(ttl);
+    }
+
+    function getSigners() external view returns (address[] memory) {
+        return signers;
+    }
+
+    function proposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    function getProposal(uint256 id) external view proposalExists(id) returns (Proposal memory) {
+        return proposals[id];
+    }
+
+    /**
+     * @notice Whether `signer` has confirmed a proposal since they last became a signer
+     * @param id Proposal id
+     * @param signer Signer address
+     */
+    function confirmed(uint256 id, address signer) public view returns (bool) {
+        return confirmedEpoch[id][signer] == signerEpoch[signer] + 1;
+    }
+
+    /**
+     * @notice Number of current signers that have confirmed a proposal
+     * @param id Proposal id
+     */
+    function confirmationCount(uint256 id) public view proposalExists(id) returns (uint256 count) {
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (confirmed(id, signers[i])) {
+                count++;
+            }
+        }
+    }
+
+    function _addSigner(address signer) internal {
+        require(signer != address(0), "Zero address");
+        require(!isSigner[signer], "Signer already added");
+        isSigner[signer] = true;
+        signers.push(signer);
+        emit SignerAdded(signer);
+    }
+
+    function _setThreshold(uint256 _threshold) internal {
+        require(_threshold > 0 && _threshold <= signers.length, "Invalid threshold");
+        threshold = _threshold;
+        emit ThresholdChanged(_threshold);
+    }
+
+    function _confirm(uint256 id) internal {
+        confirmedEpoch[id][msg.sender] = signerEpoch[msg.sender] + 1;
+        emit ProposalConfirmed(id, msg.sender);
+    }
+
+    function _requireOpen(Proposal storage proposal) internal view {
+        require(!proposal.executed, "Already executed");
+        require(block.timestamp < proposal.expiresAt, "Proposal expired");
+    }
+}
@@ -4,8 +4,6 @@ pragma solidity ^0.8.24;
 contract MockERC20 {
     string public name;
     string public symbol;
-    uint8 public constant decimals = 18;
-
     mapping(address => uint256) public balanceOf;
     mapping(address => mapping(address => uint256)) public allowance;
 
@@ -14,6 +12,10 @@ contract MockERC20 {
         symbol = _symbol;
     }
 
+    function decimals() public view virtual returns (uint8) {
+        return 18;
+    }
+
     function mint(address to, uint256 amount) external {
         balanceOf[to] += amount;
     }
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MockERC20.sol";
+
+// MockERC20 with other decimals, e.g. 6 for a USDC-style token
+contract MockERC20Decimals is MockERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 decimals_) MockERC20(_name, _symbol) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MockERC20.sol";
+
+interface IERC677Receiver {
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external;
+}
+
+contract MockLinkToken is MockERC20 {
+    constructor() MockERC20("ChainLink Token", "LINK") {}
+
+    function transferAndCall(address to, uint256 amount, bytes calldata data) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        IERC677Receiver(to).onTokenTransfer(msg.sender, amount, data);
+        return true;
+    }
+}
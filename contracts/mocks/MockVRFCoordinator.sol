@@ -8,61 +8,300 @@ interface IBlindBoxConsumer {
     function rawFulfillRandomWords(uint256 requestId, uint256[] calldata randomWords) external;
 }
 
+interface IMockLinkToken {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+// Local stand-in for VRFCoordinatorV2_5: tracks subscriptions, consumers and balances,
+// rejects requests from non-consumers and charges a flat fee per fulfillment.
 contract MockVRFCoordinator is IVRFCoordinatorV2Plus {
+    struct Subscription {
+        address owner;
+        address requestedOwner;
+        uint96 balance;
+        uint96 nativeBalance;
+        uint64 reqCount;
+        address[] consumers;
+    }
+
+    struct Request {
+        address consumer;
+        uint256 subId;
+        uint32 callbackGasLimit;
+        bool nativePayment;
+    }
+
+    address public immutable admin;
+    address public link;
+    uint96 public flatFeeLink;
+    uint96 public flatFeeNative;
     uint256 public nextRequestId = 1;
+    // Gas used by the most recent consumer callback, read by the callback gas profiler
+    uint256 public lastCallbackGasUsed;
+    uint256 private subNonce;
+
+    mapping(uint256 => uint256) public requestSubIds;
+    mapping(uint256 => Request) public requests;
+    mapping(uint256 => Subscription) private subscriptions;
+    mapping(uint256 => mapping(address => bool)) public isConsumer;
+    mapping(uint256 => uint256) public pendingRequestCount;
+    uint256[] private activeSubIds;
+
+    error InvalidSubscription();
+    error MustBeSubOwner(address owner);
+    error MustBeRequestedOwner(address proposedOwner);
+    error InvalidConsumer(uint256 subId, address consumer);
+    error TooManyConsumers();
+    error PendingRequestExists();
+    error InsufficientBalance();
+    error OnlyCallableFromLink();
+    error UnknownRequest();
+
+    event SubscriptionCreated(uint256 indexed subId, address owner);
+    event SubscriptionFunded(uint256 indexed subId, uint256 oldBalance, uint256 newBalance);
+    event SubscriptionFundedWithNative(uint256 indexed subId, uint256 oldNativeBalance, uint256 newNativeBalance);
+    event SubscriptionConsumerAdded(uint256 indexed subId, address consumer);
+    event SubscriptionConsumerRemoved(uint256 indexed subId, address consumer);
+    event SubscriptionCanceled(uint256 indexed subId, address to, uint256 amountLink, uint256 amountNative);
+    event SubscriptionOwnerTransferRequested(uint256 indexed subId, address from, address to);
+    event SubscriptionOwnerTransferred(uint256 indexed subId, address from, address to);
+
+    // Same signature as VRFCoordinatorV2_5 so off-chain watchers work against both
+    event RandomWordsFulfilled(
+        uint256 indexed requestId,
+        uint256 outputSeed,
+        uint256 indexed subId,
+        uint96 payment,
+        bool nativePayment,
+        bool success,
+        bool onlyPremium
+    );
+
+    modifier onlySubOwner(uint256 subId) {
+        address owner = subscriptions[subId].owner;
+        if (owner == address(0)) {
+            revert InvalidSubscription();
+        }
+        if (msg.sender != owner) {
+            revert MustBeSubOwner(owner);
+        }
+        _;
+    }
+
+    constructor() {
+        admin = msg.sender;
+    }
+
+    function setLinkToken(address token) external {
+        require(msg.sender == admin, "Not admin");
+        link = token;
+    }
+
+    function setFlatFee(uint96 feeLink, uint96 feeNative) external {
+        require(msg.sender == admin, "Not admin");
+        flatFeeLink = feeLink;
+        flatFeeNative = feeNative;
+    }
 
     function requestRandomWords(
-        VRFV2PlusClient.RandomWordsRequest calldata
+        VRFV2PlusClient.RandomWordsRequest calldata req
     ) external override returns (uint256 requestId) {
+        if (subscriptions[req.subId].owner == address(0)) {
+            revert InvalidSubscription();
+        }
+        if (!isConsumer[req.subId][msg.sender]) {
+            revert InvalidConsumer(req.subId, msg.sender);
+        }
+        bool native = false;
+        if (req.extraArgs.length >= 4) {
+            native = abi.decode(req.extraArgs[4:], (VRFV2PlusClient.ExtraArgsV1)).nativePayment;
+        }
+
         requestId = nextRequestId;
         nextRequestId += 1;
+        requestSubIds[requestId] = req.subId;
+        requests[requestId] = Request({
+            consumer: msg.sender,
+            subId: req.subId,
+            callbackGasLimit: req.callbackGasLimit,
+            nativePayment: native
+        });
+        pendingRequestCount[req.subId] += 1;
     }
 
     function fulfillRandomWords(address consumer, uint256 requestId, uint256 randomWord) external {
+        Request memory request = requests[requestId];
+        if (request.consumer == address(0)) {
+            revert UnknownRequest();
+        }
+        require(request.consumer == consumer, "Wrong consumer");
+
+        Subscription storage sub = subscriptions[request.subId];
+        uint96 payment = request.nativePayment ? flatFeeNative : flatFeeLink;
+        if (request.nativePayment) {
+            if (sub.nativeBalance < payment) {
+                revert InsufficientBalance();
+            }
+            sub.nativeBalance -= payment;
+        } else {
+            if (sub.balance < payment) {
+                revert InsufficientBalance();
+            }
+            sub.balance -= payment;
+        }
+        sub.reqCount += 1;
+        delete requests[requestId];
+        pendingRequestCount[request.subId] -= 1;
+
         uint256[] memory words = new uint256[](1);
         words[0] = randomWord;
-        IBlindBoxConsumer(consumer).rawFulfillRandomWords(requestId, words);
+        // Like the real coordinator, the callback only gets the gas limit the consumer asked for
+        uint256 gasBefore = gasleft();
+        IBlindBoxConsumer(consumer).rawFulfillRandomWords{gas: request.callbackGasLimit}(requestId, words);
+        lastCallbackGasUsed = gasBefore - gasleft();
+        emit RandomWordsFulfilled(requestId, randomWord, request.subId, payment, request.nativePayment, true, false);
+    }
+
+    function createSubscription() external override returns (uint256 subId) {
+        subNonce += 1;
+        subId = uint256(keccak256(abi.encodePacked(msg.sender, blockhash(block.number - 1), address(this), subNonce)));
+        subscriptions[subId].owner = msg.sender;
+        activeSubIds.push(subId);
+        emit SubscriptionCreated(subId, msg.sender);
     }
 
     function getSubscription(
-        uint256
+        uint256 subId
     )
         external
-        pure
+        view
         override
-        returns (uint96, uint96, uint64, address, address[] memory)
+        returns (uint96 balance, uint96 nativeBalance, uint64 reqCount, address owner, address[] memory consumers)
     {
-        address[] memory consumers = new address[](0);
-        return (0, 0, 0, address(0), consumers);
+        Subscription storage sub = subscriptions[subId];
+        if (sub.owner == address(0)) {
+            revert InvalidSubscription();
+        }
+        return (sub.balance, sub.nativeBalance, sub.reqCount, sub.owner, sub.consumers);
     }
 
-    function createSubscription() external pure override returns (uint256) {
-        return 0;
+    function addConsumer(uint256 subId, address consumer) external override onlySubOwner(subId) {
+        if (isConsumer[subId][consumer]) {
+            return;
+        }
+        Subscription storage sub = subscriptions[subId];
+        if (sub.consumers.length >= 100) {
+            revert TooManyConsumers();
+        }
+        isConsumer[subId][consumer] = true;
+        sub.consumers.push(consumer);
+        emit SubscriptionConsumerAdded(subId, consumer);
     }
 
-    function requestSubscriptionOwnerTransfer(
-        uint256,
-        address
-    ) external pure override {}
+    function removeConsumer(uint256 subId, address consumer) external override onlySubOwner(subId) {
+        if (!isConsumer[subId][consumer]) {
+            revert InvalidConsumer(subId, consumer);
+        }
+        address[] storage consumers = subscriptions[subId].consumers;
+        for (uint256 i = 0; i < consumers.length; i++) {
+            if (consumers[i] == consumer) {
+                consumers[i] = consumers[consumers.length - 1];
+                consumers.pop();
+                break;
+            }
+        }
+        delete isConsumer[subId][consumer];
+        emit SubscriptionConsumerRemoved(subId, consumer);
+    }
 
-    function acceptSubscriptionOwnerTransfer(uint256) external pure override {}
+    function fundSubscriptionWithNative(uint256 subId) external payable override {
+        Subscription storage sub = subscriptions[subId];
+        if (sub.owner == address(0)) {
+            revert InvalidSubscription();
+        }
+        uint256 old = sub.nativeBalance;
+        sub.nativeBalance += uint96(msg.value);
+        emit SubscriptionFundedWithNative(subId, old, sub.nativeBalance);
+    }
+
+    // ERC677 hook used by LINK.transferAndCall(coordinator, amount, abi.encode(subId))
+    function onTokenTransfer(address, uint256 amount, bytes calldata data) external {
+        if (msg.sender != link) {
+            revert OnlyCallableFromLink();
+        }
+        uint256 subId = abi.decode(data, (uint256));
+        Subscription storage sub = subscriptions[subId];
+        if (sub.owner == address(0)) {
+            revert InvalidSubscription();
+        }
+        uint256 old = sub.balance;
+        sub.balance += uint96(amount);
+        emit SubscriptionFunded(subId, old, sub.balance);
+    }
 
-    function addConsumer(uint256, address) external pure override {}
+    function requestSubscriptionOwnerTransfer(
+        uint256 subId,
+        address newOwner
+    ) external override onlySubOwner(subId) {
+        subscriptions[subId].requestedOwner = newOwner;
+        emit SubscriptionOwnerTransferRequested(subId, msg.sender, newOwner);
+    }
 
-    function removeConsumer(uint256, address) external pure override {}
+    function acceptSubscriptionOwnerTransfer(uint256 subId) external override {
+        Subscription storage sub = subscriptions[subId];
+        if (sub.requestedOwner != msg.sender) {
+            revert MustBeRequestedOwner(sub.requestedOwner);
+        }
+        address previous = sub.owner;
+        sub.owner = msg.sender;
+        sub.requestedOwner = address(0);
+        emit SubscriptionOwnerTransferred(subId, previous, msg.sender);
+    }
 
-    function cancelSubscription(uint256, address) external pure override {}
+    function cancelSubscription(uint256 subId, address to) external override onlySubOwner(subId) {
+        if (pendingRequestCount[subId] > 0) {
+            revert PendingRequestExists();
+        }
+        Subscription storage sub = subscriptions[subId];
+        uint96 balance = sub.balance;
+        uint96 nativeBalance = sub.nativeBalance;
+        for (uint256 i = 0; i < sub.consumers.length; i++) {
+            delete isConsumer[subId][sub.consumers[i]];
+        }
+        delete subscriptions[subId];
+        for (uint256 i = 0; i < activeSubIds.length; i++) {
+            if (activeSubIds[i] == subId) {
+                activeSubIds[i] = activeSubIds[activeSubIds.length - 1];
+                activeSubIds.pop();
+                break;
+            }
+        }
+        if (balance > 0) {
+            require(IMockLinkToken(link).transfer(to, balance), "LINK transfer failed");
+        }
+        if (nativeBalance > 0) {
+            (bool sent, ) = to.call{value: nativeBalance}("");
+            require(sent, "Native transfer failed");
+        }
+        emit SubscriptionCanceled(subId, to, balance, nativeBalance);
+    }
 
-    function pendingRequestExists(uint256) external pure override returns (bool) {
-        return false;
+    function pendingRequestExists(uint256 subId) external view override returns (bool) {
+        return pendingRequestCount[subId] > 0;
     }
 
     function getActiveSubscriptionIds(
-        uint256,
-        uint256
-    ) external pure override returns (uint256[] memory) {
-        return new uint256[](0);
+        uint256 startIndex,
+        uint256 maxCount
+    ) external view override returns (uint256[] memory ids) {
+        uint256 total = activeSubIds.length;
+        if (startIndex >= total) {
+            return new uint256[](0);
+        }
+        uint256 end = maxCount == 0 || startIndex + maxCount > total ? total : startIndex + maxCount;
+        ids = new uint256[](end - startIndex);
+        for (uint256 i = startIndex; i < end; i++) {
+            ids[i - startIndex] = activeSubIds[i];
+        }
     }
-
-    function fundSubscriptionWithNative(uint256) external payable override {}
 }
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IBlindBoxOpen {
+    function openBox(
+        uint8 boxType,
+        uint256 fid,
+        uint256 nonce,
+        bytes calldata signature
+    ) external payable returns (uint256);
+
+    function withdrawRefund() external;
+}
+
+// Opens boxes from a contract that refuses native token until told otherwise
+contract RejectingOpener {
+    bool public accepting;
+
+    function open(address blindBox, uint8 boxType) external payable returns (uint256) {
+        return IBlindBoxOpen(blindBox).openBox{value: msg.value}(boxType, 0, 0, "");
+    }
+
+    function withdraw(address blindBox) external {
+        accepting = true;
+        IBlindBoxOpen(blindBox).withdrawRefund();
+        accepting = false;
+    }
+
+    receive() external payable {
+        require(accepting, "Rejected");
+    }
+}
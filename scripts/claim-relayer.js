@@ -0,0 +1,36 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { createClaimRelayer, createRelayerServer, tokenValueFromPrices } = require("./lib/claim-relayer");
+const { resolveAddress } = require("./lib/deployments");
+
+function requiredEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing env var: ${name}`);
+  }
+  return value;
+}
+
+async function main() {
+  const address = resolveAddress(hre.network.name);
+  const relayer = new ethers.Wallet(requiredEnv("RELAYER_KEY"), ethers.provider);
+  const port = Number(process.env.RELAYER_PORT || 8788);
+  const maxPerWindow = Number(process.env.RELAYER_MAX_PER_HOUR || 5);
+
+  // Optional JSON file of { "<token>": "<native wei per whole token>" }; without it any claimable token is relayed
+  const pricesFile = process.env.RELAYER_TOKEN_PRICES;
+  const tokenValueWei = pricesFile ? tokenValueFromPrices(JSON.parse(fs.readFileSync(pricesFile, "utf8"))) : undefined;
+
+  const blindBox = await ethers.getContractAt("BlindBox", address);
+  const claimRelayer = createClaimRelayer({ blindBox, relayer, maxPerWindow, tokenValueWei });
+  const server = createRelayerServer(claimRelayer, { apiToken: process.env.RELAYER_API_TOKEN });
+  server.listen(port, () => {
+    console.log(`Claim relayer for ${address} listening on :${port} (relayer ${relayer.address})`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,182 +1,59 @@
-const { ethers } = require("hardhat");
 const hre = require("hardhat");
-
-function requiredEnv(name) {
-  const value = process.env[name];
-  if (!value) {
-    throw new Error(`Missing env var: ${name}`);
-  }
-  return value;
-}
+const { resolveCatalog } = require("./lib/catalog");
+const { runDeployPipeline } = require("./lib/deploy-pipeline");
+const { readGasProfile } = require("./lib/gas-profile");
+const { verifyContract } = require("./lib/verify");
+const { explorersFor, networkProfile, vrfSettings } = require("../config/networks");
 
 async function main() {
   const network = hre.network.name;
-  const prefix = network === "base" ? "BASE" : network === "base-sepolia" ? "BASE_SEPOLIA" : "SEPOLIA";
-  const vrfCoordinator = requiredEnv(`${prefix}_VRF_COORDINATOR`);
-  const keyHash = requiredEnv(`${prefix}_VRF_KEY_HASH`);
-  const subscriptionId = BigInt(requiredEnv(`${prefix}_VRF_SUBSCRIPTION_ID`));
-  const requestConfirmations = Number(requiredEnv(`${prefix}_VRF_REQUEST_CONFIRMATIONS`));
-  const callbackGasLimit = Number(requiredEnv(`${prefix}_VRF_CALLBACK_GAS_LIMIT`));
-  const nativePayment = requiredEnv(`${prefix}_VRF_NATIVE_PAYMENT`) === "true";
-  const rewardTokens = requiredEnv(`${prefix}_REWARD_TOKENS`)
-    .split(",")
-    .map((token) => token.trim())
-    .filter((token) => token.length > 0);
-
-  const tokenRanges = [
-    {
-      boxType: 0,
-      items: [
-        { token: "0x0578d8a44db98b23bf096a382e016e29a5ce0ffe", min: "1", max: "4" },
-        { token: "0x4ed4e862860bed51a9570b96d89af5e1b0efefed", min: "1", max: "4" },
-        { token: "0xac1bd2486aaf3b5c0fc3fd868558b082a531b2b4", min: "5", max: "10" },
-        { token: "0x532f27101965dd16442e59d40670faf5ebb142e4", min: "0.1", max: "1" },
-        { token: "0x50f88fe97f72cd3e75b9eb4f747f59bceba80d59", min: "0.5", max: "2" },
-      ],
-    },
-    {
-      boxType: 1,
-      items: [
-        { token: "0x0578d8a44db98b23bf096a382e016e29a5ce0ffe", min: "5", max: "10" },
-        { token: "0x4ed4e862860bed51a9570b96d89af5e1b0efefed", min: "5", max: "10" },
-        { token: "0xac1bd2486aaf3b5c0fc3fd868558b082a531b2b4", min: "10", max: "20" },
-        { token: "0x532f27101965dd16442e59d40670faf5ebb142e4", min: "1", max: "2" },
-        { token: "0x50f88fe97f72cd3e75b9eb4f747f59bceba80d59", min: "2", max: "5" },
-      ],
-    },
-    {
-      boxType: 2,
-      items: [
-        { token: "0x0578d8a44db98b23bf096a382e016e29a5ce0ffe", min: "10", max: "20" },
-        { token: "0x4ed4e862860bed51a9570b96d89af5e1b0efefed", min: "10", max: "20" },
-        { token: "0xac1bd2486aaf3b5c0fc3fd868558b082a531b2b4", min: "20", max: "30" },
-        { token: "0x532f27101965dd16442e59d40670faf5ebb142e4", min: "2", max: "5" },
-        { token: "0x50f88fe97f72cd3e75b9eb4f747f59bceba80d59", min: "5", max: "10" },
-      ],
-    },
+  const profile = networkProfile(network);
+  const vrf = vrfSettings(network);
+  const catalog = await resolveCatalog(network);
+
+  const constructorArgs = [
+    vrf.coordinator,
+    vrf.keyHash,
+    vrf.subscriptionId,
+    vrf.requestConfirmations,
+    vrf.callbackGasLimit,
+    vrf.nativePayment,
+    catalog.rewardTokens,
+    catalog.tokenRanges,
   ];
 
-  const initialRanges = tokenRanges.flatMap((group) =>
-    group.items.map((item) => ({
-      boxType: group.boxType,
-      token: item.token,
-      minAmount: ethers.parseEther(item.min),
-      maxAmount: ethers.parseEther(item.max),
-      enabled: true,
-    }))
-  );
-
-  const BlindBox = await ethers.getContractFactory("BlindBox");
-  const blindBox = await BlindBox.deploy(
-    vrfCoordinator,
-    keyHash,
-    subscriptionId,
-    requestConfirmations,
-    callbackGasLimit,
-    nativePayment,
-    rewardTokens,
-    initialRanges
-  );
-  await blindBox.waitForDeployment();
-
-  const address = await blindBox.getAddress();
-  console.log("BlindBox deployed to:", address);
-
-  const confirmTarget = Number(process.env.VERIFY_CONFIRMATIONS || 2);
-  if (confirmTarget > 0) {
-    const receipt = await blindBox.deploymentTransaction().wait(confirmTarget);
-    console.log(`Confirmed in block ${receipt.blockNumber}`);
-  }
-
-  const verifyArgs = {
-    address,
-    constructorArguments: [
-      vrfCoordinator,
-      keyHash,
-      subscriptionId,
-      requestConfirmations,
-      callbackGasLimit,
-      nativePayment,
-      rewardTokens,
-      initialRanges,
-    ],
-  };
-
-  const networkName = hre.network.name;
-  const baseApi = {
-    base: {
-      basescan: {
-        apiURL: "https://api.basescan.org/api",
-        browserURL: "https://basescan.org",
-        apiKey: process.env.BASESCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
-      },
-      blockscout: {
-        apiURL: "https://base.blockscout.com/api",
-        browserURL: "https://base.blockscout.com",
-        apiKey: process.env.BLOCKSCOUT_API_KEY,
-      },
-    },
-    "base-sepolia": {
-      basescan: {
-        apiURL: "https://api-sepolia.basescan.org/api",
-        browserURL: "https://sepolia.basescan.org",
-        apiKey: process.env.BASESCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
-      },
-      blockscout: {
-        apiURL: "https://base-sepolia.blockscout.com/api",
-        browserURL: "https://base-sepolia.blockscout.com",
-        apiKey: process.env.BLOCKSCOUT_API_KEY,
-      },
-    },
-  };
-
-  async function verifyWithExplorer(tag, chainConfig) {
-    if (!chainConfig || !chainConfig.apiKey) {
-      console.log(`Skipping ${tag} verification (missing API key).`);
-      return;
+  // Verify BlindBox and the admin module its constructor deployed on every explorer for the network
+  async function verify(record) {
+    if (profile.local) {
+      return false;
     }
-
-    const original = {
-      customChains: hre.config.etherscan.customChains,
-      apiKey: hre.config.etherscan.apiKey,
-    };
-
-    hre.config.etherscan.customChains = [
-      {
-        network: networkName,
-        chainId: networkName === "base" ? 8453 : 84532,
-        urls: { apiURL: chainConfig.apiURL, browserURL: chainConfig.browserURL },
-      },
+    const explorers = explorersFor(network, { preferred: process.env.BASE_EXPLORER });
+    const blindBox = await hre.ethers.getContractAt("BlindBox", record.address);
+    const targets = [
+      { contract: "BlindBox", address: record.address, constructorArgs: record.constructorArgs },
+      { contract: "BlindBoxAdmin", address: await blindBox.adminModule(), constructorArgs: [] },
     ];
-    hre.config.etherscan.apiKey = {
-      ...original.apiKey,
-      [networkName]: chainConfig.apiKey,
-    };
-
-    try {
-      await hre.run("verify:verify", verifyArgs);
-      console.log(`Verified on ${tag}.`);
-    } catch (error) {
-      console.warn(`${tag} verification failed or already verified.`);
-      console.warn(error.message || error);
-    } finally {
-      hre.config.etherscan.customChains = original.customChains;
-      hre.config.etherscan.apiKey = original.apiKey;
+    let verified = true;
+    for (const target of targets) {
+      console.log(`Verifying ${target.contract} at ${target.address}`);
+      const results = await verifyContract(hre, { ...target, explorers });
+      verified = verified && results.some((result) => ["verified", "already-verified"].includes(result.status));
     }
+    return verified;
   }
 
-  if (networkName === "base" || networkName === "base-sepolia") {
-    const config = baseApi[networkName];
-    await verifyWithExplorer("BaseScan", config.basescan);
-    await verifyWithExplorer("Blockscout", config.blockscout);
-  } else {
-    try {
-      await hre.run("verify:verify", verifyArgs);
-      console.log("Verified on Etherscan.");
-    } catch (error) {
-      console.warn("Verification failed or already verified.");
-      console.warn(error.message || error);
-    }
+  const { record } = await runDeployPipeline(hre, {
+    constructorArgs,
+    catalog,
+    gasProfile: readGasProfile(),
+    confirmations: Number(process.env.VERIFY_CONFIRMATIONS || 2),
+    verify,
+  });
+
+  console.log("BlindBox:", record.address);
+  console.log("Steps:", JSON.stringify(record.steps));
+  if (!record.steps.verified && !profile.local) {
+    console.log(`Verification pending; re-run this script or npx hardhat verify:deployment --network ${network}.`);
   }
 }
 
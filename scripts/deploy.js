@@ -1,9 +1,25 @@
+const { writeDeployment } = require("./lib/deployments");
+
 async function main() {
+  const initialValue = 0;
   const Counter = await ethers.getContractFactory("Counter");
-  const counter = await Counter.deploy(0);
+  const counter = await Counter.deploy(initialValue);
   await counter.waitForDeployment();
+  const receipt = await counter.deploymentTransaction().wait();
 
   console.log("Counter deployed to:", await counter.getAddress());
+  // Recorded so verify:deployment Counter finds the address and arguments
+  if (network.name !== "hardhat") {
+    const { chainId } = await ethers.provider.getNetwork();
+    writeDeployment(network.name, "Counter", {
+      contract: "Counter",
+      address: counter.target,
+      chainId,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      constructorArgs: [initialValue],
+    });
+  }
 }
 
 main().catch((error) => {
@@ -0,0 +1,74 @@
+/** Every box type the contract knows, from getBoxTypes. */
+async function readBoxTypes(blindBox) {
+  const boxes = await blindBox.getBoxTypes();
+  return boxes.map((box) => ({
+    boxType: Number(box.boxType),
+    name: box.name,
+    priceWei: box.price,
+    config: {
+      minAmount: box.config.minAmount,
+      maxAmount: box.config.maxAmount,
+      numTokensToReward: Number(box.config.numTokensToReward),
+      enabled: box.config.enabled,
+    },
+    schedule: {
+      cooldown: Number(box.schedule.cooldown),
+      saleStart: Number(box.schedule.saleStart),
+      saleEnd: Number(box.schedule.saleEnd),
+      supplyCap: Number(box.schedule.supplyCap),
+    },
+    opened: Number(box.opened),
+  }));
+}
+
+function boxNameMap(boxes) {
+  return Object.fromEntries(boxes.map((box) => [box.boxType, box.name]));
+}
+
+/**
+ * Find a box by id ("3", 3) or by name, ignoring case. Throws with the list of
+ * known boxes when nothing matches.
+ */
+function resolveBoxType(boxes, value) {
+  const text = String(value).trim();
+  const box = /^\d+$/.test(text)
+    ? boxes.find((b) => b.boxType === Number(text))
+    : boxes.find((b) => b.name.toUpperCase() === text.toUpperCase());
+  if (!box) {
+    const known = boxes.map((b) => `${b.boxType} (${b.name})`).join(", ");
+    throw new Error(`Unknown box type "${value}"; this contract has ${known}`);
+  }
+  return box;
+}
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(".000Z", "Z");
+}
+
+// Supply shows as what is left once `opened` is known, else as the cap
+function formatSchedule(schedule, opened) {
+  const parts = [];
+  if (schedule.saleStart || schedule.saleEnd) {
+    const start = schedule.saleStart ? formatTime(schedule.saleStart) : "now";
+    const end = schedule.saleEnd ? formatTime(schedule.saleEnd) : "open-ended";
+    parts.push(`on sale ${start} to ${end}`);
+  }
+  if (schedule.supplyCap) {
+    parts.push(
+      opened === undefined
+        ? `supply cap ${schedule.supplyCap}`
+        : `${Math.max(schedule.supplyCap - opened, 0)}/${schedule.supplyCap} left`
+    );
+  }
+  if (schedule.cooldown) {
+    parts.push(`${schedule.cooldown}s cooldown`);
+  }
+  return parts.length > 0 ? parts.join(", ") : "no limits";
+}
+
+module.exports = {
+  readBoxTypes,
+  boxNameMap,
+  resolveBoxType,
+  formatSchedule,
+};
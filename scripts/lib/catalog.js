@@ -0,0 +1,449 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { readDecimals, scaleRangeToToken } = require("./tokens");
+
+const CATALOG_DIR = path.join(__dirname, "..", "..", "config", "catalogs");
+const BOX_TYPES = { FREE: 0, SILVER: 1, GOLD: 2 };
+const BOX_NAMES = Object.fromEntries(Object.entries(BOX_TYPES).map(([name, id]) => [id, name]));
+// BlindBox records each reward as a uint96
+const MAX_REWARD_AMOUNT = 2n ** 96n - 1n;
+// Most decimals BlindBox scales box config and tier ranges to
+const MAX_DECIMALS = 36;
+
+function catalogPath(network) {
+  return path.join(CATALOG_DIR, `${network}.json`);
+}
+
+// `names` maps box ids to names: the built-in boxes plus any the catalog declares
+function parseBoxType(value, where, problems, names = BOX_NAMES) {
+  if (typeof value === "string") {
+    const match = Object.entries(names).find(([, name]) => name.toUpperCase() === value.toUpperCase());
+    if (match) {
+      return Number(match[0]);
+    }
+  }
+  if (Number.isInteger(value) && value in names) {
+    return value;
+  }
+  problems.push(`${where}: unknown box type ${JSON.stringify(value)}`);
+  return null;
+}
+
+function parseTimestamp(value, where, problems) {
+  if (value === undefined) {
+    return 0;
+  }
+  if (Number.isInteger(value) && value >= 0 && value < 2 ** 64) {
+    return value;
+  }
+  if (typeof value === "string" && !/^\d+$/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return Math.floor(Date.parse(value) / 1000);
+  }
+  problems.push(`${where}: must be unix seconds or an ISO date like "2026-01-01T00:00:00Z"`);
+  return 0;
+}
+
+function parseAddress(value, where, problems) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    problems.push(`${where}: invalid token address ${JSON.stringify(value)}`);
+    return null;
+  }
+  return ethers.getAddress(value);
+}
+
+// A human-unit decimal string in base units of a token with `decimals`
+function parseAmount(value, where, problems, decimals = 18) {
+  try {
+    if (typeof value !== "string") {
+      throw new Error("not a string");
+    }
+    return ethers.parseUnits(value, decimals);
+  } catch (error) {
+    const hint = decimals === 18 ? "" : ` with at most ${decimals} decimals`;
+    problems.push(`${where}: invalid amount ${JSON.stringify(value)} (use a decimal string${hint} like "1.5")`);
+    return null;
+  }
+}
+
+function parseRange(entry, where, problems, decimals = 18) {
+  const format = (amount) => ethers.formatUnits(amount, decimals);
+  const min = parseAmount(entry.min ?? entry.minAmount, `${where}.min`, problems, decimals);
+  const max = parseAmount(entry.max ?? entry.maxAmount, `${where}.max`, problems, decimals);
+  if (min !== null && max !== null && min > max) {
+    problems.push(`${where}: min ${format(min)} is greater than max ${format(max)}`);
+  }
+  if (max !== null && max > MAX_REWARD_AMOUNT) {
+    problems.push(`${where}: max ${format(max)} is above the largest reward of ${format(MAX_REWARD_AMOUNT)}`);
+  }
+  return { min, max };
+}
+
+// Token -> decimals with checksummed keys, from an object keyed by address in any case
+function decimalsByToken(value) {
+  return Object.fromEntries(
+    Object.entries(value || {}).map(([token, decimals]) => [ethers.getAddress(token), decimals])
+  );
+}
+
+/**
+ * Decimals of each reward token: `onchain` (what decimals() returned) wins, then the
+ * catalog's tokenDecimals, then 18. Both given and different is a problem.
+ */
+function resolveDecimals(raw, rewardTokens, onchain, problems) {
+  const declared = {};
+  const value = raw.tokenDecimals === undefined ? {} : raw.tokenDecimals;
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    problems.push("tokenDecimals: must be an object mapping token addresses to decimals");
+  } else {
+    for (const [address, decimals] of Object.entries(value)) {
+      const token = parseAddress(address, "tokenDecimals", problems);
+      if (!token) {
+        continue;
+      }
+      if (!rewardTokens.includes(token)) {
+        problems.push(`tokenDecimals: token ${token} is not in rewardTokens`);
+      }
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+        problems.push(`tokenDecimals.${token}: must be an integer between 0 and ${MAX_DECIMALS}`);
+        continue;
+      }
+      declared[token] = decimals;
+    }
+  }
+
+  const read = decimalsByToken(onchain);
+  const tokenDecimals = {};
+  for (const token of rewardTokens) {
+    if (read[token] !== undefined && declared[token] !== undefined && read[token] !== declared[token]) {
+      problems.push(`tokenDecimals: ${token} is declared with ${declared[token]} decimals but has ${read[token]}`);
+    }
+    tokenDecimals[token] = read[token] ?? declared[token] ?? 18;
+  }
+  return tokenDecimals;
+}
+
+function parseInteger(value, max, where, problems) {
+  if (value === undefined) {
+    return 0;
+  }
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    problems.push(`${where}: must be an integer between 0 and ${max}`);
+    return 0;
+  }
+  return value;
+}
+
+function asArray(raw, key, problems) {
+  const value = raw[key];
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    problems.push(`${key}: must be an array`);
+    return [];
+  }
+  return value;
+}
+
+/**
+ * BlindBox scales box config and tier ranges to every token that falls back to them, so
+ * a token with more than 18 decimals can push a valid whole-token max past a uint96 reward,
+ * and one with fewer can round a range narrower than its base unit to min > max.
+ */
+function checkScaledRanges({ rewardTokens, tokenDecimals, boxConfigs, rarityTiers, tokenRanges }, problems) {
+  const ranges = new Map(tokenRanges.map((range) => [`${range.boxType}:${range.token}`, range]));
+  const tierOf = (boxType, token) => {
+    const range = ranges.get(`${boxType}:${token}`);
+    if (!range || range.enabled || !range.tier) {
+      return null;
+    }
+    return rarityTiers.find((tier) => tier.boxType === boxType && tier.tier === range.tier && tier.enabled) || null;
+  };
+  const check = (where, range, tokens) => {
+    // Unparsed or inverted ranges are reported by parseRange already
+    if (range.minAmount === null || range.maxAmount === null || range.minAmount > range.maxAmount) {
+      return;
+    }
+    const scaled = (t) => scaleRangeToToken(range, tokenDecimals[t]);
+    const large = tokens.find((t) => scaled(t).maxAmount > MAX_REWARD_AMOUNT);
+    if (large) {
+      const decimals = tokenDecimals[large];
+      problems.push(
+        `${where}: max ${ethers.formatEther(range.maxAmount)} is ${scaled(large).maxAmount} base units of ${large} ` +
+          `(${decimals} decimals), above the largest reward of ${MAX_REWARD_AMOUNT}`
+      );
+    }
+    const inverted = tokens.find((t) => scaled(t).minAmount > scaled(t).maxAmount);
+    if (inverted) {
+      problems.push(
+        `${where}: ${ethers.formatEther(range.minAmount)}-${ethers.formatEther(range.maxAmount)} has no whole ` +
+          `base unit of ${inverted} (${tokenDecimals[inverted]} decimals)`
+      );
+    }
+  };
+
+  boxConfigs.forEach((config) => {
+    const fallback = rewardTokens.filter((token) => {
+      const range = ranges.get(`${config.boxType}:${token}`);
+      return !(range && range.enabled) && !tierOf(config.boxType, token);
+    });
+    check(`boxConfigs for box ${config.boxType}`, config, fallback);
+  });
+  rarityTiers.forEach((tier) => {
+    const tokens = rewardTokens.filter((token) => tierOf(tier.boxType, token) === tier);
+    check(`rarityTiers for box ${tier.boxType} tier ${tier.tier}`, tier, tokens);
+  });
+}
+
+/**
+ * Validate a raw catalog object and normalize it into contract-ready values.
+ * Token ranges are converted with each token's decimals (see resolveDecimals); box
+ * config and rarity tier ranges are whole tokens with 18 decimals, which BlindBox
+ * scales to each token. Throws a single error listing every problem found.
+ */
+function validateCatalog(raw, source = "catalog", { decimals } = {}) {
+  const problems = [];
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`${source}: catalog must be a JSON object`);
+  }
+
+  const rewardTokens = [];
+  const seenTokens = new Set();
+  asArray(raw, "rewardTokens", problems).forEach((value, i) => {
+    const token = parseAddress(value, `rewardTokens[${i}]`, problems);
+    if (!token) {
+      return;
+    }
+    if (seenTokens.has(token)) {
+      problems.push(`rewardTokens[${i}]: duplicate token ${token}`);
+      return;
+    }
+    seenTokens.add(token);
+    rewardTokens.push(token);
+  });
+  if (rewardTokens.length === 0) {
+    problems.push("rewardTokens: at least one reward token is required");
+  }
+  const tokenDecimals = resolveDecimals(raw, rewardTokens, decimals, problems);
+
+  // New box types take the next free ids after the built-in ones, in order
+  const boxTypes = [];
+  const names = { ...BOX_NAMES };
+  let nextBoxType = Object.keys(BOX_NAMES).length;
+  asArray(raw, "boxTypes", problems).forEach((entry, i) => {
+    const where = `boxTypes[${i}]`;
+    const boxType = entry.id;
+    if (!Number.isInteger(boxType) || boxType < 0 || boxType > 254) {
+      problems.push(`${where}.id: must be an integer between 0 and 254`);
+      return;
+    }
+    if (boxTypes.some((box) => box.boxType === boxType)) {
+      problems.push(`${where}: duplicate box type ${boxType}`);
+      return;
+    }
+    if (!(boxType in BOX_NAMES)) {
+      if (boxType !== nextBoxType) {
+        problems.push(`${where}.id: new box types must use consecutive ids, expected ${nextBoxType}`);
+        return;
+      }
+      nextBoxType += 1;
+    }
+    const name = entry.name === undefined ? BOX_NAMES[boxType] : entry.name;
+    if (typeof name !== "string" || name.trim() === "" || /^\d+$/.test(name)) {
+      problems.push(`${where}.name: must be a non-numeric name`);
+      return;
+    }
+    const taken = Object.entries(names).find(
+      ([id, other]) => Number(id) !== boxType && other.toUpperCase() === name.toUpperCase()
+    );
+    if (taken) {
+      problems.push(`${where}.name: "${name}" is already box ${taken[0]}`);
+      return;
+    }
+    names[boxType] = name;
+    const schedule = {
+      cooldown: parseInteger(entry.cooldown, 2 ** 64 - 1, `${where}.cooldown`, problems),
+      saleStart: parseTimestamp(entry.saleStart, `${where}.saleStart`, problems),
+      saleEnd: parseTimestamp(entry.saleEnd, `${where}.saleEnd`, problems),
+      supplyCap: parseInteger(entry.supplyCap, 2 ** 32 - 1, `${where}.supplyCap`, problems),
+    };
+    if (schedule.saleEnd !== 0 && schedule.saleEnd <= schedule.saleStart) {
+      problems.push(`${where}: saleEnd must be after saleStart`);
+    }
+    boxTypes.push({ boxType, name, schedule });
+  });
+
+  const boxConfigs = [];
+  const seenConfigs = new Set();
+  asArray(raw, "boxConfigs", problems).forEach((entry, i) => {
+    const where = `boxConfigs[${i}]`;
+    const boxType = parseBoxType(entry.boxType, where, problems, names);
+    const { min, max } = parseRange(entry, where, problems);
+    const numTokensToReward = entry.numTokensToReward;
+    const enabled = entry.enabled !== false;
+    if (boxType === null) {
+      return;
+    }
+    if (seenConfigs.has(boxType)) {
+      problems.push(`${where}: duplicate config for box ${names[boxType]}`);
+    }
+    seenConfigs.add(boxType);
+    if (min !== null && min === 0n) {
+      problems.push(`${where}: minAmount must be greater than 0`);
+    }
+    if (!Number.isInteger(numTokensToReward) || numTokensToReward < 0 || numTokensToReward > 255) {
+      problems.push(`${where}: numTokensToReward must be an integer between 0 and 255`);
+    } else if (enabled && numTokensToReward === 0) {
+      problems.push(`${where}: enabled boxes must reward at least one token`);
+    } else if (enabled && numTokensToReward > rewardTokens.length) {
+      problems.push(`${where}: numTokensToReward ${numTokensToReward} exceeds ${rewardTokens.length} reward tokens`);
+    }
+    boxConfigs.push({ boxType, minAmount: min, maxAmount: max, numTokensToReward, enabled });
+  });
+
+  const boxPrices = [];
+  const seenPrices = new Set();
+  asArray(raw, "boxPrices", problems).forEach((entry, i) => {
+    const where = `boxPrices[${i}]`;
+    const boxType = parseBoxType(entry.boxType, where, problems, names);
+    const priceWei = parseAmount(entry.price, `${where}.price`, problems);
+    if (boxType === null) {
+      return;
+    }
+    if (seenPrices.has(boxType)) {
+      problems.push(`${where}: duplicate price for box ${names[boxType]}`);
+    }
+    seenPrices.add(boxType);
+    boxPrices.push({ boxType, priceWei });
+  });
+
+  const rarityTiers = [];
+  const seenTiers = new Set();
+  asArray(raw, "rarityTiers", problems).forEach((entry, i) => {
+    const where = `rarityTiers[${i}]`;
+    const boxType = parseBoxType(entry.boxType, where, problems, names);
+    const { min, max } = parseRange(entry, where, problems);
+    const weight = parseInteger(entry.weight, 2 ** 32 - 1, `${where}.weight`, problems);
+    if (!Number.isInteger(entry.tier) || entry.tier < 1 || entry.tier > 255) {
+      problems.push(`${where}.tier: must be an integer between 1 and 255`);
+      return;
+    }
+    if (boxType === null) {
+      return;
+    }
+    const key = `${boxType}:${entry.tier}`;
+    if (seenTiers.has(key)) {
+      problems.push(`${where}: duplicate tier ${entry.tier} for box ${names[boxType]}`);
+    }
+    seenTiers.add(key);
+    rarityTiers.push({
+      boxType,
+      tier: entry.tier,
+      minAmount: min,
+      maxAmount: max,
+      weight,
+      enabled: entry.enabled !== false,
+    });
+  });
+
+  const tokenRanges = [];
+  const seenRanges = new Set();
+  asArray(raw, "tokenRanges", problems).forEach((entry, i) => {
+    const where = `tokenRanges[${i}]`;
+    const boxType = parseBoxType(entry.boxType, where, problems, names);
+    const token = parseAddress(entry.token, `${where}.token`, problems);
+    const enabled = entry.enabled !== false;
+    // A disabled entry may only carry a weight or tier
+    const hasRange = enabled || (entry.min ?? entry.minAmount ?? entry.max ?? entry.maxAmount) !== undefined;
+    const rangeDecimals = (token && tokenDecimals[token]) ?? 18;
+    const { min, max } = hasRange ? parseRange(entry, where, problems, rangeDecimals) : { min: 0n, max: 0n };
+    const weight = parseInteger(entry.weight, 2 ** 32 - 1, `${where}.weight`, problems);
+    const tier = parseInteger(entry.tier, 255, `${where}.tier`, problems);
+    if (boxType === null || !token) {
+      return;
+    }
+    if (!seenTokens.has(token)) {
+      problems.push(`${where}: token ${token} is not in rewardTokens`);
+    }
+    if (tier !== 0 && !seenTiers.has(`${boxType}:${tier}`)) {
+      problems.push(`${where}: tier ${tier} is not in rarityTiers for box ${names[boxType]}`);
+    }
+    const key = `${boxType}:${token}`;
+    if (seenRanges.has(key)) {
+      problems.push(`${where}: duplicate range for box ${names[boxType]} token ${token}`);
+    }
+    seenRanges.add(key);
+    tokenRanges.push({ boxType, token, minAmount: min, maxAmount: max, enabled, weight, tier });
+  });
+
+  checkScaledRanges({ rewardTokens, tokenDecimals, boxConfigs, rarityTiers, tokenRanges }, problems);
+
+  boxTypes.forEach(({ boxType, name }, i) => {
+    if (!(boxType in BOX_NAMES) && !seenConfigs.has(boxType)) {
+      problems.push(`boxTypes[${i}]: new box type ${name} needs a boxConfigs entry`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid reward catalog ${source}:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  return { rewardTokens, tokenDecimals, boxTypes, boxConfigs, boxPrices, tokenRanges, rarityTiers };
+}
+
+function readCatalogFile(network, file) {
+  const source = file || process.env.REWARD_CATALOG || catalogPath(network);
+  if (!fs.existsSync(source)) {
+    throw new Error(`No reward catalog for network "${network}" (expected ${source})`);
+  }
+  try {
+    return { source, raw: JSON.parse(fs.readFileSync(source, "utf8")) };
+  } catch (error) {
+    throw new Error(`Could not parse reward catalog ${source}: ${error.message}`);
+  }
+}
+
+// `decimals` maps tokens to their decimals() where known; see validateCatalog
+function loadCatalog(network, { file, decimals } = {}) {
+  const { source, raw } = readCatalogFile(network, file);
+  return validateCatalog(raw, source, { decimals });
+}
+
+/**
+ * loadCatalog with each reward token's decimals() read through `provider`. Tokens
+ * that have no code there, or no decimals(), keep the catalog's tokenDecimals or 18.
+ */
+async function resolveCatalog(network, { file, provider = ethers.provider } = {}) {
+  const { source, raw } = readCatalogFile(network, file);
+  const tokens = Array.isArray(raw && raw.rewardTokens) ? raw.rewardTokens.filter((t) => ethers.isAddress(t)) : [];
+  const decimals = {};
+  for (const token of tokens) {
+    const value = await readDecimals(token, provider);
+    if (value !== null) {
+      decimals[ethers.getAddress(token)] = value;
+    }
+  }
+  return validateCatalog(raw, source, { decimals });
+}
+
+// Box id -> name for a normalized catalog: the built-in names plus its boxTypes
+function boxNames(catalog) {
+  return { ...BOX_NAMES, ...Object.fromEntries((catalog.boxTypes || []).map((box) => [box.boxType, box.name])) };
+}
+
+// Box types the contract draws by weight: any of their ranges sets a weight or tier
+function weightedBoxTypes(tokenRanges) {
+  return [...new Set(tokenRanges.filter((r) => r.weight || r.tier).map((r) => r.boxType))];
+}
+
+module.exports = {
+  BOX_TYPES,
+  BOX_NAMES,
+  catalogPath,
+  validateCatalog,
+  loadCatalog,
+  resolveCatalog,
+  boxNames,
+  weightedBoxTypes,
+};
@@ -0,0 +1,375 @@
+const http = require("http");
+const crypto = require("crypto");
+const { ethers } = require("hardhat");
+const { extractReason } = require("./errors");
+const { ERC20_METADATA_ABI, tokenInfo } = require("./tokens");
+const { hasBearerToken, readJsonBody, sendJson } = require("./voucher");
+
+const MAX_CLAIM_TOKENS = 64;
+
+// Mirrors _CLAIM_TYPEHASH in BlindBoxAdmin; the domain is bound to the BlindBox address.
+const CLAIM_TYPES = {
+  ClaimAuthorization: [
+    { name: "user", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "tokens", type: "address[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+function relayerError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function claimDomain({ contract, chainId }) {
+  return { name: "BlindBox", version: "1", chainId, verifyingContract: contract };
+}
+
+async function signClaimAuthorization(signer, { recipient, tokens, nonce, deadline, contract, chainId }) {
+  const user = await signer.getAddress();
+  const message = {
+    user,
+    recipient: ethers.getAddress(recipient),
+    tokens: tokens.map((token) => ethers.getAddress(token)),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+  const signature = await signer.signTypedData(claimDomain({ contract, chainId }), CLAIM_TYPES, message);
+  return {
+    ...message,
+    nonce: message.nonce.toString(),
+    deadline: message.deadline.toString(),
+    contract: ethers.getAddress(contract),
+    chainId: chainId.toString(),
+    signature,
+  };
+}
+
+function randomNonce() {
+  return BigInt(`0x${crypto.randomBytes(16).toString("hex")}`);
+}
+
+/**
+ * Sign a claim of the signer's pending rewards on `blindBox`. Tokens default to every
+ * token with a pending amount, the recipient to the signer, the deadline to `ttl`
+ * seconds from the latest block.
+ */
+async function authorizeClaim(blindBox, signer, { recipient, tokens, ttl = 3600, nextNonce = randomNonce } = {}) {
+  const user = await signer.getAddress();
+  const provider = blindBox.runner.provider;
+  const [contract, network, block] = await Promise.all([
+    blindBox.getAddress(),
+    provider.getNetwork(),
+    provider.getBlock("latest"),
+  ]);
+  const claimTokens = tokens || (await blindBox.getPendingRewards(user))[0];
+  if (claimTokens.length === 0) {
+    throw relayerError("NOTHING_TO_CLAIM", `${user} has no pending rewards`);
+  }
+  let nonce = BigInt(await nextNonce());
+  while (await blindBox.usedClaimNonces(user, nonce)) {
+    nonce = BigInt(await nextNonce());
+  }
+  return signClaimAuthorization(signer, {
+    recipient: recipient || user,
+    tokens: [...claimTokens],
+    nonce,
+    deadline: block.timestamp + ttl,
+    contract,
+    chainId: network.chainId,
+  });
+}
+
+function parseAddress(value, field) {
+  if (!value || !ethers.isAddress(value)) {
+    throw relayerError("INVALID_AUTHORIZATION", `Invalid ${field}: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseUint(value, field) {
+  if (!/^\d+$/.test(String(value))) {
+    throw relayerError("INVALID_AUTHORIZATION", `Invalid ${field}: ${value}`);
+  }
+  return BigInt(value);
+}
+
+function parseAuthorization(body) {
+  if (!Array.isArray(body.tokens) || body.tokens.length === 0 || body.tokens.length > MAX_CLAIM_TOKENS) {
+    throw relayerError("INVALID_AUTHORIZATION", `tokens must list 1 to ${MAX_CLAIM_TOKENS} token addresses`);
+  }
+  if (typeof body.signature !== "string" || !ethers.isHexString(body.signature)) {
+    throw relayerError("INVALID_AUTHORIZATION", "signature must be a hex string");
+  }
+  return {
+    user: parseAddress(body.user, "user"),
+    recipient: parseAddress(body.recipient, "recipient"),
+    tokens: body.tokens.map((token, index) => parseAddress(token, `tokens[${index}]`)),
+    nonce: parseUint(body.nonce, "nonce"),
+    deadline: parseUint(body.deadline, "deadline"),
+    contract: parseAddress(body.contract, "contract"),
+    chainId: parseUint(body.chainId, "chainId"),
+    signature: body.signature,
+  };
+}
+
+/**
+ * Value claims with a fixed price list: `prices` maps a token address to the native wei
+ * one whole token is worth. Tokens without a price count as worthless.
+ */
+function tokenValueFromPrices(prices) {
+  const byToken = new Map(Object.entries(prices).map(([token, price]) => [token.toLowerCase(), BigInt(price)]));
+  return async (token, amount) => {
+    const price = byToken.get(token.toLowerCase());
+    if (!price) {
+      return 0n;
+    }
+    const { decimals } = await tokenInfo(token);
+    return (amount * price) / 10n ** BigInt(decimals);
+  };
+}
+
+/**
+ * Relays signed claim authorizations to BlindBox.claimFor, paying the gas from `relayer`.
+ * An authorization is only submitted when its signature checks out, its user is under
+ * `maxPerWindow` relays per `windowMs`, and at least one token is claimable. With
+ * `tokenValueWei(token, amount)` the claimable value must also cover the estimated fee.
+ */
+function createClaimRelayer({
+  blindBox,
+  relayer,
+  maxPerWindow = 5,
+  windowMs = 60 * 60 * 1000,
+  tokenValueWei,
+  now = Date.now,
+}) {
+  const contract = blindBox.connect(relayer);
+  const relayed = new Map();
+  // user:nonce of authorizations being relayed, so a resubmission cannot race its own tx
+  const inFlight = new Set();
+  let context;
+
+  async function loadContext() {
+    if (!context) {
+      const [address, network] = await Promise.all([blindBox.getAddress(), relayer.provider.getNetwork()]);
+      context = { contract: address, chainId: network.chainId };
+    }
+    return context;
+  }
+
+  function checkRateLimit(user) {
+    const key = user.toLowerCase();
+    const cutoff = now() - windowMs;
+    const recent = (relayed.get(key) || []).filter((at) => at > cutoff);
+    relayed.set(key, recent);
+    if (recent.length >= maxPerWindow) {
+      throw relayerError("RATE_LIMITED", `${user} already has ${recent.length} relayed claims this window`, {
+        retryAfter: Math.ceil((recent[0] + windowMs - now()) / 1000),
+      });
+    }
+    return recent;
+  }
+
+  function releaseSlot(user, at) {
+    const recent = relayed.get(user.toLowerCase()) || [];
+    const index = recent.indexOf(at);
+    if (index !== -1) {
+      recent.splice(index, 1);
+    }
+  }
+
+  // Pending amounts the contract can pay now; claimFor skips the rest and leaves them pending
+  async function claimableTokens(user, tokens) {
+    const claimable = [];
+    for (const token of new Set(tokens)) {
+      const erc20 = new ethers.Contract(token, ERC20_METADATA_ABI, relayer);
+      const [amount, balance] = await Promise.all([
+        blindBox.pendingRewards(user, token),
+        erc20.balanceOf(blindBox.target),
+      ]);
+      if (amount > 0n && balance >= amount) {
+        claimable.push({ token, amount });
+      }
+    }
+    return claimable;
+  }
+
+  async function estimate(args) {
+    try {
+      return await contract.claimFor.estimateGas(...args);
+    } catch (error) {
+      const reason = extractReason(error, blindBox.interface);
+      throw relayerError("CLAIM_REJECTED", `claimFor would revert: ${reason || error.message}`, { reason });
+    }
+  }
+
+  async function relay(body) {
+    const auth = parseAuthorization(body);
+    const { contract: address, chainId } = await loadContext();
+    if (auth.chainId !== chainId) {
+      throw relayerError("WRONG_CHAIN", `Authorization is for chain ${auth.chainId}, relayer is on ${chainId}`);
+    }
+    if (auth.contract !== address) {
+      throw relayerError("WRONG_CONTRACT", `Authorization is for ${auth.contract}, relayer serves ${address}`);
+    }
+    const { timestamp } = await relayer.provider.getBlock("latest");
+    if (auth.deadline <= BigInt(timestamp)) {
+      throw relayerError("CLAIM_EXPIRED", `Authorization expired at ${auth.deadline}`);
+    }
+    const message = {
+      user: auth.user,
+      recipient: auth.recipient,
+      tokens: auth.tokens,
+      nonce: auth.nonce,
+      deadline: auth.deadline,
+    };
+    if (
+      ethers.verifyTypedData(claimDomain({ contract: address, chainId }), CLAIM_TYPES, message, auth.signature) !==
+      auth.user
+    ) {
+      throw relayerError("INVALID_SIGNATURE", `Authorization was not signed by ${auth.user}`);
+    }
+    const key = `${auth.user.toLowerCase()}:${auth.nonce}`;
+    if (inFlight.has(key)) {
+      throw relayerError("CLAIM_IN_FLIGHT", `Nonce ${auth.nonce} of ${auth.user} is already being relayed`);
+    }
+    // Take the rate-limit slot and the nonce before the first await, so concurrent relays see them
+    const recent = checkRateLimit(auth.user);
+    const slot = now();
+    recent.push(slot);
+    inFlight.add(key);
+    let sent = false;
+    try {
+      if (await blindBox.usedClaimNonces(auth.user, auth.nonce)) {
+        throw relayerError("CLAIM_NONCE_USED", `Nonce ${auth.nonce} was already used by ${auth.user}`);
+      }
+
+      const claimable = await claimableTokens(auth.user, auth.tokens);
+      if (claimable.length === 0) {
+        throw relayerError("NOTHING_TO_CLAIM", "None of the listed tokens has a pending reward the contract can pay");
+      }
+      const args = [message, auth.signature];
+      const gas = await estimate(args);
+      if (tokenValueWei) {
+        const { maxFeePerGas, gasPrice } = await relayer.provider.getFeeData();
+        const feeWei = gas * (maxFeePerGas || gasPrice || 0n);
+        let valueWei = 0n;
+        for (const { token, amount } of claimable) {
+          valueWei += BigInt(await tokenValueWei(token, amount));
+        }
+        if (valueWei < feeWei) {
+          throw relayerError("NOT_WORTH_RELAYING", `Claim is worth ${valueWei} wei, relaying costs about ${feeWei}`, {
+            valueWei: valueWei.toString(),
+            feeWei: feeWei.toString(),
+          });
+        }
+      }
+
+      sent = true;
+      const receipt = await (await contract.claimFor(...args)).wait();
+      const claimed = receipt.logs
+        .filter((log) => log.address === blindBox.target)
+        .map((log) => blindBox.interface.parseLog(log))
+        .filter((event) => event && event.name === "RewardClaimed")
+        .map((event) => ({ token: event.args.token, amount: event.args.amount.toString() }));
+      return {
+        txHash: receipt.hash,
+        user: auth.user,
+        recipient: auth.recipient,
+        nonce: auth.nonce.toString(),
+        claimed,
+      };
+    } catch (error) {
+      // Rejected before paying gas: the claim was not relayed, so it does not count against the user
+      if (!sent) {
+        releaseSlot(auth.user, slot);
+      }
+      throw error;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  return { relay };
+}
+
+const STATUS_BY_CODE = {
+  INVALID_AUTHORIZATION: 400,
+  INVALID_BODY: 400,
+  INVALID_SIGNATURE: 400,
+  WRONG_CHAIN: 400,
+  WRONG_CONTRACT: 400,
+  UNAUTHORIZED: 401,
+  CLAIM_NONCE_USED: 409,
+  CLAIM_IN_FLIGHT: 409,
+  CLAIM_EXPIRED: 410,
+  NOTHING_TO_CLAIM: 422,
+  NOT_WORTH_RELAYING: 422,
+  CLAIM_REJECTED: 422,
+  RATE_LIMITED: 429,
+};
+
+function createRelayerServer(relayer, { apiToken } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+      if (req.method !== "POST" || req.url !== "/claims") {
+        sendJson(res, 404, { error: "NOT_FOUND" });
+        return;
+      }
+      if (apiToken && !hasBearerToken(req, apiToken)) {
+        throw relayerError("UNAUTHORIZED", "Missing or invalid API token");
+      }
+      sendJson(res, 200, await relayer.relay(await readJsonBody(req)));
+    } catch (error) {
+      const status = STATUS_BY_CODE[error.code] || 500;
+      const payload = { error: error.code || "INTERNAL_ERROR", message: error.message };
+      for (const field of ["retryAfter", "reason", "valueWei", "feeWei"]) {
+        if (error[field] !== undefined) {
+          payload[field] = error[field];
+        }
+      }
+      if (status === 500) {
+        console.error(error);
+      }
+      sendJson(res, status, payload);
+    }
+  });
+}
+
+async function submitClaimAuthorization(serviceUrl, authorization, { apiToken } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiToken) {
+    headers.Authorization = `Bearer ${apiToken}`;
+  }
+  const response = await fetch(new URL("/claims", serviceUrl), {
+    method: "POST",
+    headers,
+    body: JSON.stringify(authorization),
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw relayerError(body.error || "RELAY_FAILED", body.message || `Relayer returned ${response.status}`, {
+      retryAfter: body.retryAfter,
+    });
+  }
+  return body;
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  claimDomain,
+  signClaimAuthorization,
+  authorizeClaim,
+  tokenValueFromPrices,
+  createClaimRelayer,
+  createRelayerServer,
+  submitClaimAuthorization,
+};
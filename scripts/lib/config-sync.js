@@ -0,0 +1,470 @@
+const { ethers } = require("hardhat");
+const { BOX_NAMES, boxNames, weightedBoxTypes } = require("./catalog");
+const { formatSchedule, readBoxTypes } = require("./boxes");
+const { checkCallbackGas, formatGasCheck, onchainGasFactors } = require("./gas-profile");
+
+const RANGE_BATCH_SIZE = 50;
+const DISABLED_RANGE = { minAmount: 0n, maxAmount: 0n, enabled: false, weight: 0, tier: 0 };
+const DISABLED_TIER = { minAmount: 0n, maxAmount: 0n, weight: 0, enabled: false };
+const SECTIONS = ["boxTypes", "rewardTokens", "boxConfigs", "boxPrices", "rarityTiers", "tokenRanges"];
+
+function decimalsOf(token, ...catalogs) {
+  const address = ethers.getAddress(token);
+  const found = catalogs.find((catalog) => catalog.tokenDecimals && catalog.tokenDecimals[address] !== undefined);
+  return found ? found.tokenDecimals[address] : 18;
+}
+
+function rangeKey(boxType, token) {
+  return `${boxType}:${token.toLowerCase()}`;
+}
+
+function sameTokenList(a, b) {
+  return a.length === b.length && a.every((token, i) => token.toLowerCase() === b[i].toLowerCase());
+}
+
+function sameBoxConfig(a, b) {
+  return (
+    a.minAmount === b.minAmount &&
+    a.maxAmount === b.maxAmount &&
+    a.numTokensToReward === b.numTokensToReward &&
+    a.enabled === b.enabled
+  );
+}
+
+function sameSchedule(a, b) {
+  return (
+    a.cooldown === b.cooldown && a.saleStart === b.saleStart && a.saleEnd === b.saleEnd && a.supplyCap === b.supplyCap
+  );
+}
+
+function sameRange(a, b) {
+  if (a.weight !== b.weight || a.tier !== b.tier) {
+    return false;
+  }
+  if (!a.enabled && !b.enabled) {
+    return true;
+  }
+  return a.enabled === b.enabled && a.minAmount === b.minAmount && a.maxAmount === b.maxAmount;
+}
+
+function sameTier(a, b) {
+  if (!a.enabled && !b.enabled) {
+    return true;
+  }
+  return a.enabled === b.enabled && a.minAmount === b.minAmount && a.maxAmount === b.maxAmount && a.weight === b.weight;
+}
+
+/**
+ * Read the parts of BlindBox state that the catalog manages. Ranges are read for
+ * every box type on chain and every token in either the live or the desired token
+ * list; rarity tiers for the tiers the catalog defines or a live range uses.
+ * tokenDecimals are the decimals BlindBox recorded for its tokens, else the catalog's.
+ */
+async function readOnchainConfig(blindBox, desired) {
+  const rewardTokens = [...(await blindBox.getRewardTokens())];
+  const tokenDecimals = { ...desired.tokenDecimals };
+  for (const token of rewardTokens) {
+    tokenDecimals[ethers.getAddress(token)] = Number(await blindBox.rewardTokenDecimals(token));
+  }
+  const boxes = await readBoxTypes(blindBox);
+  const boxTypes = boxes.map((box) => box.boxType);
+  const tokens = [...new Map([...rewardTokens, ...desired.rewardTokens].map((t) => [t.toLowerCase(), t])).values()];
+
+  const boxConfigs = boxes.map((box) => ({ boxType: box.boxType, ...box.config }));
+  const boxPrices = boxes.map((box) => ({ boxType: box.boxType, priceWei: box.priceWei }));
+  const tokenRanges = [];
+  for (const boxType of boxTypes) {
+    const ranges = await Promise.all(tokens.map((token) => blindBox.getTokenRange(boxType, token)));
+    ranges.forEach((range, i) => {
+      tokenRanges.push({
+        boxType,
+        token: tokens[i],
+        minAmount: range.minAmount,
+        maxAmount: range.maxAmount,
+        enabled: range.enabled,
+        weight: Number(range.weight),
+        tier: Number(range.tier),
+      });
+    });
+  }
+  // Tiers the catalog defines plus any the live ranges point at
+  const tierKeys = new Map();
+  for (const { boxType, tier } of [...(desired.rarityTiers || []), ...tokenRanges]) {
+    if (tier && boxTypes.includes(boxType)) {
+      tierKeys.set(`${boxType}:${tier}`, { boxType, tier });
+    }
+  }
+  const rarityTiers = await Promise.all(
+    [...tierKeys.values()].map(async ({ boxType, tier }) => {
+      const current = await blindBox.getRarityTier(boxType, tier);
+      return {
+        boxType,
+        tier,
+        minAmount: current.minAmount,
+        maxAmount: current.maxAmount,
+        weight: Number(current.weight),
+        enabled: current.enabled,
+      };
+    })
+  );
+
+  return {
+    rewardTokens,
+    tokenDecimals,
+    boxTypes: boxes.map(({ boxType, name, schedule }) => ({ boxType, name, schedule })),
+    boxConfigs,
+    boxPrices,
+    tokenRanges,
+    rarityTiers,
+  };
+}
+
+/**
+ * Compare live state against a validated catalog. Box types the catalog does not
+ * mention are left alone; reward tokens without a catalog range for a box are
+ * expected to fall back to the BoxConfig range. A box type missing on chain is
+ * created with its catalog config and price, so those get no separate change.
+ * Token range changes carry the token's decimals for formatting.
+ */
+function diffConfig(onchain, desired) {
+  const diff = { boxTypes: [], rewardTokens: null, boxConfigs: [], boxPrices: [], rarityTiers: [], tokenRanges: [] };
+
+  const created = new Set();
+  for (const box of desired.boxTypes || []) {
+    const current = (onchain.boxTypes || []).find((b) => b.boxType === box.boxType);
+    if (!current) {
+      const config = desired.boxConfigs.find((c) => c.boxType === box.boxType);
+      const price = desired.boxPrices.find((p) => p.boxType === box.boxType);
+      const to = { ...box, config, priceWei: price ? price.priceWei : 0n };
+      diff.boxTypes.push({ boxType: box.boxType, from: undefined, to });
+      created.add(box.boxType);
+    } else if (current.name !== box.name || !sameSchedule(current.schedule, box.schedule)) {
+      diff.boxTypes.push({ boxType: box.boxType, from: current, to: box });
+    }
+  }
+
+  if (!sameTokenList(onchain.rewardTokens, desired.rewardTokens)) {
+    diff.rewardTokens = { from: onchain.rewardTokens, to: desired.rewardTokens };
+  }
+
+  for (const config of desired.boxConfigs.filter((c) => !created.has(c.boxType))) {
+    const current = onchain.boxConfigs.find((c) => c.boxType === config.boxType);
+    if (!current || !sameBoxConfig(current, config)) {
+      diff.boxConfigs.push({ boxType: config.boxType, from: current, to: config });
+    }
+  }
+
+  for (const price of desired.boxPrices.filter((p) => !created.has(p.boxType))) {
+    const current = onchain.boxPrices.find((p) => p.boxType === price.boxType);
+    if (!current || current.priceWei !== price.priceWei) {
+      diff.boxPrices.push({ boxType: price.boxType, from: current && current.priceWei, to: price.priceWei });
+    }
+  }
+
+  for (const tier of desired.rarityTiers || []) {
+    const current =
+      (onchain.rarityTiers || []).find((t) => t.boxType === tier.boxType && t.tier === tier.tier) || DISABLED_TIER;
+    if (!sameTier(current, tier)) {
+      diff.rarityTiers.push({ boxType: tier.boxType, tier: tier.tier, from: current, to: tier });
+    }
+  }
+
+  const live = new Map(onchain.tokenRanges.map((r) => [rangeKey(r.boxType, r.token), r]));
+  const wanted = new Map(desired.tokenRanges.map((r) => [rangeKey(r.boxType, r.token), r]));
+  const boxTypes = [...(onchain.boxTypes || []).map((box) => box.boxType), ...created];
+  for (const boxType of boxTypes) {
+    for (const token of desired.rewardTokens) {
+      const key = rangeKey(boxType, token);
+      const current = live.get(key) || DISABLED_RANGE;
+      const target = wanted.get(key) || DISABLED_RANGE;
+      if (!sameRange(current, target)) {
+        diff.tokenRanges.push({
+          boxType,
+          token,
+          decimals: decimalsOf(token, onchain, desired),
+          from: current,
+          to: target,
+        });
+      }
+    }
+  }
+
+  return diff;
+}
+
+// Without the boxTypes section, changes for box types that do not exist yet are dropped too
+function pickSections(diff, sections) {
+  const creating = sections.includes("boxTypes");
+  const missing = new Set(diff.boxTypes.filter((change) => !change.from).map((change) => change.boxType));
+  const existing = (changes) => (creating ? changes : changes.filter((change) => !missing.has(change.boxType)));
+  return {
+    boxTypes: creating ? diff.boxTypes : [],
+    rewardTokens: sections.includes("rewardTokens") ? diff.rewardTokens : null,
+    boxConfigs: sections.includes("boxConfigs") ? diff.boxConfigs : [],
+    boxPrices: sections.includes("boxPrices") ? diff.boxPrices : [],
+    rarityTiers: sections.includes("rarityTiers") ? existing(diff.rarityTiers) : [],
+    tokenRanges: sections.includes("tokenRanges") ? existing(diff.tokenRanges) : [],
+  };
+}
+
+function isEmptyDiff(diff) {
+  return (
+    diff.boxTypes.length === 0 &&
+    !diff.rewardTokens &&
+    diff.boxConfigs.length === 0 &&
+    diff.boxPrices.length === 0 &&
+    diff.rarityTiers.length === 0 &&
+    diff.tokenRanges.length === 0
+  );
+}
+
+// Box config and tier ranges are whole tokens (18 decimals); token ranges use the token's decimals
+function formatRange(range, decimals = 18) {
+  if (!range || !range.enabled) {
+    return "fallback";
+  }
+  return `${ethers.formatUnits(range.minAmount, decimals)}-${ethers.formatUnits(range.maxAmount, decimals)}`;
+}
+
+function formatTokenRange(range, decimals) {
+  const odds = [range.weight ? `weight ${range.weight}` : "", range.tier ? `tier ${range.tier}` : ""].filter(Boolean);
+  const amounts = formatRange(range, decimals);
+  return odds.length > 0 ? `${amounts} (${odds.join(", ")})` : amounts;
+}
+
+function formatTier(tier) {
+  if (!tier.enabled) {
+    return "disabled";
+  }
+  return `${formatRange(tier)} weight ${tier.weight || "default"}`;
+}
+
+function formatBoxConfig(config) {
+  if (!config) {
+    return "unset";
+  }
+  return `${formatRange({ ...config, enabled: true })} x${config.numTokensToReward} ${
+    config.enabled ? "enabled" : "disabled"
+  }`;
+}
+
+function formatBoxType(change) {
+  const { from, to } = change;
+  if (!from) {
+    return (
+      `Box ${to.name}: create as box ${to.boxType} (${formatBoxConfig(to.config)}, ` +
+      `price ${ethers.formatEther(to.priceWei)}, ${formatSchedule(to.schedule)})`
+    );
+  }
+  const parts = [];
+  if (from.name !== to.name) {
+    parts.push(`name ${from.name} -> ${to.name}`);
+  }
+  if (!sameSchedule(from.schedule, to.schedule)) {
+    parts.push(`${formatSchedule(from.schedule)} -> ${formatSchedule(to.schedule)}`);
+  }
+  return `Box ${from.name} type: ${parts.join(", ")}`;
+}
+
+// `names` maps box ids to display names (defaults to the built-in boxes)
+function formatDiff(diff, names = BOX_NAMES) {
+  if (isEmptyDiff(diff)) {
+    return ["On-chain config matches the catalog."];
+  }
+  const lines = diff.boxTypes.map(formatBoxType);
+  if (diff.rewardTokens) {
+    const from = new Set(diff.rewardTokens.from.map((t) => t.toLowerCase()));
+    const to = new Set(diff.rewardTokens.to.map((t) => t.toLowerCase()));
+    const start = lines.push("Reward tokens:");
+    diff.rewardTokens.to.filter((t) => !from.has(t.toLowerCase())).forEach((t) => lines.push(`  + ${t}`));
+    diff.rewardTokens.from.filter((t) => !to.has(t.toLowerCase())).forEach((t) => lines.push(`  - ${t}`));
+    if (lines.length === start) {
+      lines.push("  ~ order changed");
+    }
+  }
+  for (const change of diff.boxConfigs) {
+    lines.push(`Box ${names[change.boxType]} config: ${formatBoxConfig(change.from)} -> ${formatBoxConfig(change.to)}`);
+  }
+  for (const change of diff.boxPrices) {
+    const from = change.from === undefined ? "unset" : ethers.formatEther(change.from);
+    lines.push(`Box ${names[change.boxType]} price: ${from} -> ${ethers.formatEther(change.to)}`);
+  }
+  for (const change of diff.rarityTiers) {
+    lines.push(
+      `Box ${names[change.boxType]} tier ${change.tier}: ${formatTier(change.from)} -> ${formatTier(change.to)}`
+    );
+  }
+  for (const change of diff.tokenRanges) {
+    lines.push(
+      `Box ${names[change.boxType]} range ${change.token}: ` +
+        `${formatTokenRange(change.from, change.decimals)} -> ${formatTokenRange(change.to, change.decimals)}`
+    );
+  }
+  return lines;
+}
+
+async function send(txPromise, label, log) {
+  const tx = await txPromise;
+  await tx.wait();
+  log(`${label} (${tx.hash})`);
+}
+
+async function applyBoxType(blindBox, { from, to }, log) {
+  if (!from) {
+    // createBoxType appends, so the catalog's id must be the next one
+    const next = Number(await blindBox.boxTypeCount());
+    if (next !== to.boxType) {
+      throw new Error(`Box ${to.name} would be created as box ${next}, but the catalog gives it id ${to.boxType}`);
+    }
+    const { minAmount, maxAmount, numTokensToReward, enabled } = to.config;
+    await send(
+      blindBox.createBoxType(to.name, to.priceWei, { minAmount, maxAmount, numTokensToReward, enabled }, to.schedule),
+      `Created box ${to.name} as box ${to.boxType}`,
+      log
+    );
+    return;
+  }
+  if (from.name !== to.name) {
+    await send(blindBox.setBoxName(to.boxType, to.name), `Renamed box ${from.name} to ${to.name}`, log);
+  }
+  if (!sameSchedule(from.schedule, to.schedule)) {
+    await send(blindBox.setBoxSchedule(to.boxType, to.schedule), `Updated box ${to.name} schedule`, log);
+  }
+}
+
+/**
+ * Send only the transactions needed to apply a diff, using the batch setters
+ * where the contract has them. Missing box types are created first so the ranges
+ * and tiers for them can follow.
+ */
+async function applyDiff(blindBox, diff, { log = console.log, names = BOX_NAMES } = {}) {
+  for (const change of diff.boxTypes) {
+    await applyBoxType(blindBox, change, log);
+  }
+  if (diff.rewardTokens) {
+    await send(blindBox.setRewardTokens(diff.rewardTokens.to), "Updated reward tokens", log);
+  }
+  for (const { boxType, tier, to } of diff.rarityTiers) {
+    await send(
+      blindBox.setRarityTier(boxType, tier, to.minAmount, to.maxAmount, to.weight, to.enabled),
+      `Updated box ${names[boxType]} tier ${tier}`,
+      log
+    );
+  }
+  for (let i = 0; i < diff.tokenRanges.length; i += RANGE_BATCH_SIZE) {
+    const batch = diff.tokenRanges.slice(i, i + RANGE_BATCH_SIZE).map((change) => ({
+      boxType: change.boxType,
+      token: change.token,
+      minAmount: change.to.minAmount,
+      maxAmount: change.to.maxAmount,
+      enabled: change.to.enabled,
+      weight: change.to.weight,
+      tier: change.to.tier,
+    }));
+    await send(blindBox.setTokenRanges(batch), `Updated ${batch.length} token range(s)`, log);
+  }
+  for (const { to } of diff.boxConfigs) {
+    await send(
+      blindBox.setBoxConfig(to.boxType, to.minAmount, to.maxAmount, to.numTokensToReward, to.enabled),
+      `Updated box ${names[to.boxType]} config`,
+      log
+    );
+  }
+  for (const { boxType, to } of diff.boxPrices) {
+    await send(blindBox.setBoxPrice(boxType, to), `Updated box ${names[boxType]} price`, log);
+  }
+}
+
+/**
+ * Check the reward pool and box configs the diff would leave behind against the
+ * contract's callbackGasLimit, using a measured callback gas profile. `nftBoxTypes`
+ * are the boxes that can also award an NFT prize; paid boxes are checked as batches
+ * of `maxOpenQuantity`.
+ */
+function checkDiffGas(onchain, diff, profile, callbackGasLimit, nftBoxTypes = [], maxOpenQuantity = 1) {
+  const tokens = diff.rewardTokens ? diff.rewardTokens.to : onchain.rewardTokens;
+  const created = diff.boxTypes.filter((change) => !change.from).map((change) => change.to);
+  const boxConfigs = onchain.boxConfigs
+    .map((config) => {
+      const change = diff.boxConfigs.find((c) => c.boxType === config.boxType);
+      return change ? change.to : config;
+    })
+    .concat(created.map((box) => ({ ...box.config, boxType: box.boxType })));
+  const ranges = onchain.tokenRanges
+    .map((range) => {
+      const key = rangeKey(range.boxType, range.token);
+      const change = diff.tokenRanges.find((c) => rangeKey(c.boxType, c.token) === key);
+      return change ? { boxType: range.boxType, ...change.to } : range;
+    })
+    .concat(
+      diff.tokenRanges
+        .filter((change) => created.some((box) => box.boxType === change.boxType))
+        .map((change) => ({ boxType: change.boxType, ...change.to }))
+    );
+  return checkCallbackGas(profile, {
+    callbackGasLimit,
+    poolSize: new Set(tokens.map((token) => token.toLowerCase())).size,
+    boxConfigs,
+    weightedBoxTypes: weightedBoxTypes(ranges),
+    nftBoxTypes,
+    maxOpenQuantity,
+  });
+}
+
+/**
+ * Diff, optionally apply, and confirm that the live state matches afterwards.
+ * Returns the diff that was (or would be) applied. `sections` limits the sync to a
+ * subset of boxTypes, rewardTokens, boxConfigs, boxPrices, rarityTiers and tokenRanges. With a
+ * `gasProfile`, a diff whose fulfillment would exceed callbackGasLimit is refused.
+ */
+async function syncConfig(
+  blindBox,
+  desired,
+  { dryRun = false, sections = SECTIONS, gasProfile, log = console.log } = {}
+) {
+  const readDiff = async () => {
+    const onchain = await readOnchainConfig(blindBox, desired);
+    return { onchain, diff: pickSections(diffConfig(onchain, desired), sections) };
+  };
+  const { onchain, diff } = await readDiff();
+  const names = { ...boxNames(onchain), ...boxNames(desired) };
+  formatDiff(diff, names).forEach((line) => log(line));
+  if (isEmptyDiff(diff)) {
+    return diff;
+  }
+  if (gasProfile) {
+    const { nftBoxTypes, maxOpenQuantity } = await onchainGasFactors(blindBox);
+    const callbackGasLimit = await blindBox.callbackGasLimit();
+    const check = checkDiffGas(onchain, diff, gasProfile, callbackGasLimit, nftBoxTypes, maxOpenQuantity);
+    if (!check.ok) {
+      if (dryRun) {
+        log(`Would be refused: ${formatGasCheck(check)}`);
+        return diff;
+      }
+      throw new Error(`Refusing to sync: ${formatGasCheck(check)}`);
+    }
+  }
+  if (dryRun) {
+    return diff;
+  }
+
+  await applyDiff(blindBox, diff, { log, names });
+
+  const { diff: remaining } = await readDiff();
+  if (!isEmptyDiff(remaining)) {
+    throw new Error(`Config still differs after sync:\n${formatDiff(remaining, names).join("\n")}`);
+  }
+  log("Confirmed: on-chain config matches the catalog.");
+  return diff;
+}
+
+module.exports = {
+  SECTIONS,
+  readOnchainConfig,
+  diffConfig,
+  isEmptyDiff,
+  formatDiff,
+  applyDiff,
+  checkDiffGas,
+  syncConfig,
+};
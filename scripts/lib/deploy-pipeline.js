@@ -0,0 +1,128 @@
+const { weightedBoxTypes } = require("./catalog");
+const { syncConfig } = require("./config-sync");
+const {
+  artifactFingerprint,
+  matchesDeployment,
+  readDeployment,
+  writeDeployment,
+} = require("./deployments");
+const { checkCallbackGas, formatGasCheck } = require("./gas-profile");
+const { addConsumer, coordinatorAt } = require("./vrf");
+
+const EPHEMERAL_NETWORKS = ["hardhat"];
+// numTokensToReward set by the BlindBox constructor for boxes the catalog leaves alone
+const CONSTRUCTOR_REWARD_COUNTS = { 0: 1, 1: 2, 2: 3 };
+
+// Refuse to deploy a callbackGasLimit that cannot cover the catalog's worst box,
+// including the box types the sync will create.
+function checkDeployGas(constructorArgs, catalog, gasProfile) {
+  const boxConfigs = Object.entries(CONSTRUCTOR_REWARD_COUNTS).map(([boxType, numTokensToReward]) => {
+    const config = catalog.boxConfigs.find((c) => c.boxType === Number(boxType));
+    return config || { boxType: Number(boxType), numTokensToReward, enabled: true };
+  });
+  boxConfigs.push(...catalog.boxConfigs.filter((c) => !(c.boxType in CONSTRUCTOR_REWARD_COUNTS)));
+  const check = checkCallbackGas(gasProfile, {
+    callbackGasLimit: constructorArgs[4],
+    poolSize: catalog.rewardTokens.length,
+    boxConfigs,
+    weightedBoxTypes: weightedBoxTypes(catalog.tokenRanges),
+  });
+  if (!check.ok) {
+    throw new Error(`Refusing to deploy: ${formatGasCheck(check)}`);
+  }
+}
+
+async function ensureConsumer(hre, record, log) {
+  const [coordinatorAddress, , subscriptionId] = record.constructorArgs;
+  const [signer] = await hre.ethers.getSigners();
+  const coordinator = coordinatorAt(coordinatorAddress, signer);
+  try {
+    const added = await addConsumer(coordinator, subscriptionId, record.address);
+    log(
+      added
+        ? `Added ${record.address} as consumer of subscription ${subscriptionId}`
+        : `${record.address} is already a consumer of subscription ${subscriptionId}`
+    );
+    return true;
+  } catch (error) {
+    log(
+      `Could not add consumer (${error.shortMessage || error.message}). ` +
+        `Run vrf:add-consumer from the subscription owner and re-run.`
+    );
+    return false;
+  }
+}
+
+/**
+ * Deploy (or reuse) a BlindBox and run the follow-up steps, recording progress in
+ * deployments/<network>/<name>.json so an interrupted run resumes where it stopped.
+ */
+async function runDeployPipeline(
+  hre,
+  { name = "BlindBox", constructorArgs, catalog, gasProfile, confirmations = 0, verify, log = console.log, dir }
+) {
+  const { ethers } = hre;
+  const network = hre.network.name;
+  // The in-process network is thrown away after each run unless a manifest dir is given explicitly.
+  const persist = dir !== undefined || !EPHEMERAL_NETWORKS.includes(network);
+  const save = (record) => (persist ? writeDeployment(network, name, record, dir) : record);
+  if (catalog && gasProfile) {
+    checkDeployGas(constructorArgs, catalog, gasProfile);
+  }
+
+  const fingerprint = await artifactFingerprint(hre, name);
+  const { chainId } = await ethers.provider.getNetwork();
+  const candidate = { chainId, constructorArgs, ...fingerprint };
+  const existing = persist ? readDeployment(network, name, dir) : null;
+
+  let record;
+  if (matchesDeployment(existing, candidate) && (await ethers.provider.getCode(existing.address)) !== "0x") {
+    log(`${name} already deployed at ${existing.address} with the same bytecode and arguments; resuming`);
+    record = existing;
+  } else {
+    if (existing) {
+      log(`Existing ${name} at ${existing.address} does not match this build or its arguments; deploying a new one`);
+    }
+    const [deployer] = await ethers.getSigners();
+    const contract = await ethers.deployContract(name, constructorArgs);
+    await contract.waitForDeployment();
+    const tx = contract.deploymentTransaction();
+    const receipt = await tx.wait(Math.max(confirmations, 1));
+    record = save({
+      contract: name,
+      network,
+      chainId,
+      address: await contract.getAddress(),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: deployer.address,
+      ...fingerprint,
+      constructorArgs,
+      steps: {},
+    });
+    log(`${name} deployed to ${record.address} in block ${record.blockNumber}`);
+  }
+
+  const contract = await ethers.getContractAt(name, record.address);
+  if (catalog) {
+    await syncConfig(contract, catalog, { gasProfile, log });
+    record = save({ ...record, steps: { ...record.steps, configSynced: true } });
+  }
+
+  if (!record.steps.consumerAdded) {
+    const added = await ensureConsumer(hre, record, log);
+    record = save({ ...record, steps: { ...record.steps, consumerAdded: added } });
+  }
+
+  if (!record.steps.verified && verify) {
+    const verified = await verify(record);
+    record = save({ ...record, steps: { ...record.steps, verified } });
+  }
+
+  return { record, contract };
+}
+
+module.exports = {
+  ensureConsumer,
+  runDeployPipeline,
+};
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function deploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR;
+}
+
+function deploymentPath(network, name, dir = deploymentsDir()) {
+  return path.join(dir, network, `${name}.json`);
+}
+
+// JSON-safe copy of constructor args and other values that may hold bigints.
+function serialize(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  }
+  return value;
+}
+
+function readDeployment(network, name, dir) {
+  const file = deploymentPath(network, name, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployment(network, name, record, dir) {
+  const file = deploymentPath(network, name, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const body = { ...serialize(record), updatedAt: new Date().toISOString() };
+  fs.writeFileSync(file, `${JSON.stringify(body, null, 2)}\n`);
+  return body;
+}
+
+function abiHash(abi) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+async function artifactFingerprint(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const settings = buildInfo ? buildInfo.input.settings : {};
+  return {
+    abiHash: abiHash(artifact.abi),
+    bytecodeHash: ethers.keccak256(artifact.bytecode),
+    compiler: {
+      version: buildInfo ? buildInfo.solcLongVersion : null,
+      optimizer: settings.optimizer,
+      viaIR: Boolean(settings.viaIR),
+      evmVersion: settings.evmVersion,
+    },
+  };
+}
+
+/**
+ * Whether an existing manifest describes the deployment we are about to make:
+ * same chain, same compiled bytecode and ABI, same constructor arguments.
+ */
+function matchesDeployment(record, { chainId, abiHash: abi, bytecodeHash, constructorArgs }) {
+  if (!record) {
+    return false;
+  }
+  return (
+    String(record.chainId) === String(chainId) &&
+    record.abiHash === abi &&
+    record.bytecodeHash === bytecodeHash &&
+    JSON.stringify(record.constructorArgs) === JSON.stringify(serialize(constructorArgs))
+  );
+}
+
+/**
+ * Resolve a deployed address: the env override wins, then the manifest.
+ */
+function resolveAddress(network, name = "BlindBox", envName = "BLINDBOX_ADDRESS") {
+  if (process.env[envName]) {
+    return process.env[envName];
+  }
+  const record = readDeployment(network, name);
+  if (!record) {
+    throw new Error(
+      `No ${name} address for network "${network}": set ${envName} or deploy to create ${deploymentPath(network, name)}`
+    );
+  }
+  return record.address;
+}
+
+module.exports = {
+  deploymentPath,
+  serialize,
+  readDeployment,
+  writeDeployment,
+  abiHash,
+  artifactFingerprint,
+  matchesDeployment,
+  resolveAddress,
+};
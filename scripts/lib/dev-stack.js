@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const { ethers } = require("hardhat");
+const { artifactFingerprint, writeDeployment } = require("./deployments");
+const { syncConfig } = require("./config-sync");
+const { createSubscription, fundWithLink } = require("./vrf");
+const { parseRewards } = require("./open-watch");
+const { formatTokenAmount } = require("./tokens");
+
+const DEV_SIGNER_SEED = "blindbox dev voucher signer";
+const DEV_KEY_HASH = "0x" + "11".repeat(32);
+
+/**
+ * Voucher signer for the dev stack: VOUCHER_SIGNER_KEY when set, otherwise a fixed
+ * key so vouchers stay valid across restarts. It only signs, so it needs no funds.
+ */
+function devVoucherSigner(provider = ethers.provider) {
+  return new ethers.Wallet(process.env.VOUCHER_SIGNER_KEY || ethers.id(DEV_SIGNER_SEED), provider);
+}
+
+/**
+ * Copy a network catalog onto local tokens: the i-th template reward token becomes
+ * the i-th local token, keeping decimals, box configs, prices, rarity tiers and ranges.
+ */
+function devCatalog(template, tokens) {
+  if (tokens.length < template.rewardTokens.length) {
+    throw new Error(`Catalog needs ${template.rewardTokens.length} reward tokens, got ${tokens.length}`);
+  }
+  const mapped = new Map(template.rewardTokens.map((token, i) => [token.toLowerCase(), tokens[i]]));
+  const decimals = template.tokenDecimals || {};
+  return {
+    rewardTokens: tokens.slice(0, template.rewardTokens.length),
+    tokenDecimals: Object.fromEntries(template.rewardTokens.map((token, i) => [tokens[i], decimals[token] ?? 18])),
+    boxTypes: template.boxTypes,
+    boxConfigs: template.boxConfigs,
+    boxPrices: template.boxPrices,
+    rarityTiers: template.rarityTiers,
+    tokenRanges: template.tokenRanges.map((range) => ({ ...range, token: mapped.get(range.token.toLowerCase()) })),
+  };
+}
+
+/**
+ * Deploy MockVRFCoordinator, MockLinkToken, one MockERC20 per catalog reward token (with
+ * the same decimals) and BlindBox configured from `template`, mint `treasury` whole
+ * tokens of each to BlindBox, set
+ * the voucher signer and record the addresses under deployments/<manifestNetwork>/.
+ */
+async function deployDevStack(
+  hre,
+  {
+    template,
+    treasury = "1000000",
+    callbackGasLimit = 300000,
+    voucherSigner,
+    manifestNetwork,
+    dir,
+    log = console.log,
+  }
+) {
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const coordinator = await ethers.deployContract("MockVRFCoordinator");
+  const link = await ethers.deployContract("MockLinkToken");
+  await (await coordinator.setLinkToken(link.target)).wait();
+  const subId = await createSubscription(coordinator);
+  await (await link.mint(deployer.address, ethers.parseEther("1000"))).wait();
+  await fundWithLink(link, coordinator, subId, ethers.parseEther("100"));
+  log(`MockVRFCoordinator ${coordinator.target} (subscription ${subId})`);
+
+  const tokens = [];
+  for (let i = 0; i < template.rewardTokens.length; i += 1) {
+    const symbol = `DEV${String.fromCharCode(65 + (i % 26))}${i >= 26 ? Math.floor(i / 26) : ""}`;
+    const decimals = (template.tokenDecimals || {})[template.rewardTokens[i]] ?? 18;
+    const name = `Dev Token ${symbol.slice(3)}`;
+    const token =
+      decimals === 18
+        ? await ethers.deployContract("MockERC20", [name, symbol])
+        : await ethers.deployContract("MockERC20Decimals", [name, symbol, decimals]);
+    tokens.push({ symbol, decimals, address: token.target, contract: token });
+  }
+  const catalog = devCatalog(template, tokens.map((token) => token.address));
+
+  const constructorArgs = [
+    coordinator.target,
+    DEV_KEY_HASH,
+    subId,
+    1,
+    callbackGasLimit,
+    false,
+    catalog.rewardTokens,
+    catalog.tokenRanges,
+  ];
+  const blindBox = await ethers.deployContract("BlindBox", constructorArgs);
+  const receipt = await blindBox.deploymentTransaction().wait();
+  await (await coordinator.addConsumer(subId, blindBox.target)).wait();
+  await syncConfig(blindBox, catalog, { log: () => {} });
+  await (await blindBox.setSignerAddress(voucherSigner.address)).wait();
+  for (const token of tokens) {
+    await (await token.contract.mint(blindBox.target, ethers.parseUnits(treasury, token.decimals))).wait();
+    log(`${token.symbol} ${token.address}: minted ${treasury} to the treasury`);
+  }
+  log(`BlindBox ${blindBox.target} (voucher signer ${voucherSigner.address})`);
+
+  const stack = {
+    chainId,
+    blindBox: blindBox.target,
+    coordinator: coordinator.target,
+    linkToken: link.target,
+    subscriptionId: subId,
+    voucherSigner: voucherSigner.address,
+    rewardTokens: tokens.map(({ symbol, address }) => ({ symbol, address })),
+  };
+  if (manifestNetwork) {
+    writeDeployment(
+      manifestNetwork,
+      "BlindBox",
+      {
+        contract: "BlindBox",
+        network: manifestNetwork,
+        chainId,
+        address: blindBox.target,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployer: deployer.address,
+        ...(await artifactFingerprint(hre, "BlindBox")),
+        constructorArgs,
+        steps: { configSynced: true, consumerAdded: true, verified: false },
+      },
+      dir
+    );
+  }
+  return { ...stack, contracts: { blindBox, coordinator, link }, catalog };
+}
+
+/**
+ * Watch BoxOpened events and answer each request through MockVRFCoordinator after
+ * `delayMs`. With a `seed`, the random word for a request is keccak256(seed, requestId),
+ * so the same seed reproduces the same rewards. Returns { pending, stop }, where
+ * pending() counts requests still waiting for their delay.
+ */
+function startAutoFulfiller({
+  blindBox,
+  coordinator,
+  delayMs = 2000,
+  pollIntervalMs = 500,
+  seed,
+  fromBlock,
+  log = console.log,
+}) {
+  const provider = blindBox.runner.provider;
+  const queue = new Map();
+  let nextBlock = fromBlock;
+  let stopped = false;
+  let timer = null;
+  let running = Promise.resolve();
+
+  const wordFor = (requestId) =>
+    seed === undefined
+      ? BigInt(`0x${crypto.randomBytes(32).toString("hex")}`)
+      : BigInt(ethers.solidityPackedKeccak256(["string", "uint256"], [String(seed), requestId]));
+
+  async function fulfill(requestId) {
+    const pending = await blindBox.pendingOpens(requestId);
+    if (pending.user === ethers.ZeroAddress) {
+      return;
+    }
+    const receipt = await (await coordinator.fulfillRandomWords(blindBox.target, requestId, wordFor(requestId))).wait();
+    const rewards = parseRewards(receipt, blindBox, pending.user);
+    const amounts = await Promise.all(rewards.map((reward) => formatTokenAmount(reward.token, reward.amount)));
+    const summary = amounts.join(", ");
+    const boxes = pending.quantity > 1n ? ` (${pending.quantity} boxes)` : "";
+    log(`Fulfilled request ${requestId}${boxes} for ${pending.user}: ${summary || "no rewards"}`);
+  }
+
+  async function tick() {
+    const latest = await provider.getBlockNumber();
+    if (nextBlock === undefined) {
+      nextBlock = latest + 1;
+    }
+    if (latest >= nextBlock) {
+      const opened = await blindBox.queryFilter(blindBox.filters.BoxOpened(), nextBlock, latest);
+      for (const event of opened) {
+        queue.set(event.args.requestId, Date.now() + delayMs);
+      }
+      nextBlock = latest + 1;
+    }
+    for (const [requestId, dueAt] of queue) {
+      if (stopped || Date.now() < dueAt) {
+        continue;
+      }
+      queue.delete(requestId);
+      try {
+        await fulfill(requestId);
+      } catch (error) {
+        log(`Could not fulfill request ${requestId}: ${error.shortMessage || error.message}`);
+      }
+    }
+  }
+
+  function schedule() {
+    if (stopped) {
+      return;
+    }
+    timer = setTimeout(() => {
+      running = tick()
+        .catch((error) => log(`Auto-fulfiller error: ${error.shortMessage || error.message}`))
+        .finally(schedule);
+    }, pollIntervalMs);
+  }
+  schedule();
+
+  return {
+    pending: () => queue.size,
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    },
+  };
+}
+
+module.exports = {
+  devVoucherSigner,
+  devCatalog,
+  deployDevStack,
+  startAutoFulfiller,
+};
@@ -0,0 +1,249 @@
+const { ethers } = require("hardhat");
+const { formatSchedule, readBoxTypes } = require("./boxes");
+const { maxRewardForBox } = require("./solvency");
+const { findStaleRequests } = require("./sweeper");
+const { ERC20_METADATA_ABI, tokenInfo } = require("./tokens");
+const { coordinatorAt, subscriptionInfo } = require("./vrf");
+
+const FREE = 0;
+
+function pass(message) {
+  return { level: "pass", message };
+}
+
+function warn(message, hint) {
+  return { level: "warn", message, hint };
+}
+
+function fail(message, hint) {
+  return { level: "fail", message, hint };
+}
+
+async function formatAmount(token, amount) {
+  const { symbol, decimals } = await tokenInfo(token);
+  return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
+
+async function contractChecks(blindBox, state, { fromBlock, staleAfter }) {
+  const checks = [];
+  checks.push(
+    state.paused
+      ? fail("Paused: opens and claims revert", "Run blindbox:unpause once the incident is resolved")
+      : pass("Not paused")
+  );
+  if (await blindBox.frozen()) {
+    checks.push(
+      fail(
+        `Frozen by a migration to ${await blindBox.successor()}; opens and claims revert`,
+        "Point frontends and tasks at the successor deployment"
+      )
+    );
+  }
+  checks.push(
+    state.rewardTokenCount === 0n
+      ? fail("No reward tokens", "Add rewardTokens to the catalog and run blindbox:sync")
+      : pass(`${state.rewardTokenCount} reward token(s)`)
+  );
+
+  const signer = await blindBox.signerAddress();
+  if (signer !== ethers.ZeroAddress) {
+    checks.push(pass(`Voucher signer ${signer}`));
+  } else if (state.boxEnabled[FREE]) {
+    checks.push(
+      fail(
+        "No signerAddress while the FREE box is enabled; every free open reverts with SIGNER_NOT_SET",
+        "Call setSignerAddress with the voucher service's key (VOUCHER_SIGNER_KEY) from the owner"
+      )
+    );
+  } else {
+    checks.push(pass("No voucher signer needed while the FREE box is disabled"));
+  }
+
+  const pendingCount = await blindBox.pendingRequestCount();
+  const stale = pendingCount === 0n ? [] : await findStaleRequests(blindBox, { fromBlock, olderThan: staleAfter });
+  if (stale.length > 0) {
+    const oldest = stale.reduce((a, b) => (a.openedAt <= b.openedAt ? a : b));
+    checks.push(
+      warn(
+        `${stale.length} of ${pendingCount} pending request(s) waited longer than ${staleAfter}s ` +
+          `(oldest ${oldest.requestId}, ${oldest.waited}s)`,
+        "Check the VRF subscription below, then run blindbox:sweep to cancel and refund them"
+      )
+    );
+  } else {
+    checks.push(pass(`${pendingCount} pending request(s), none older than ${staleAfter}s`));
+  }
+  return checks;
+}
+
+async function vrfChecks(blindBox, state) {
+  const provider = blindBox.runner.provider;
+  const { coordinator: address, subscriptionId } = state;
+  if ((await provider.getCode(address)) === "0x") {
+    return [
+      fail(
+        `VRF coordinator ${address} has no code`,
+        "Run blindbox:set-vrf-config --coordinator with the network's coordinator"
+      ),
+    ];
+  }
+  let info;
+  try {
+    info = await subscriptionInfo(coordinatorAt(address, provider), subscriptionId);
+  } catch {
+    return [
+      fail(
+        `Coordinator ${address} does not know subscription ${subscriptionId}`,
+        "Create one with vrf:create and set it with blindbox:set-vrf-config --sub-id"
+      ),
+    ];
+  }
+
+  const checks = [pass(`Subscription ${subscriptionId} exists on ${address}`)];
+  const isConsumer = info.consumers.some((consumer) => consumer.toLowerCase() === blindBox.target.toLowerCase());
+  checks.push(
+    isConsumer
+      ? pass("BlindBox is a consumer of the subscription")
+      : fail(
+          `BlindBox is not a consumer of subscription ${subscriptionId}; every open reverts`,
+          `Run vrf:add-consumer from the subscription owner ${info.owner}`
+        )
+  );
+  const nativePayment = await blindBox.nativePayment();
+  const balance = nativePayment ? info.nativeBalance : info.balance;
+  const unit = nativePayment ? "native" : "LINK";
+  checks.push(
+    balance === 0n
+      ? fail(
+          `Subscription ${subscriptionId} has no ${unit} balance; requests will not be fulfilled`,
+          `Run vrf:fund${nativePayment ? " --native" : ""}`
+        )
+      : pass(`Subscription funded with ${ethers.formatEther(balance)} ${unit}`)
+  );
+  return checks;
+}
+
+async function boxChecks(blindBox, box, { rewardTokens, balances, maxOpenQuantity }) {
+  const debug = await blindBox.debugOpenBox(box.boxType, ethers.ZeroAddress, 0);
+  if (!debug.boxEnabled) {
+    return [warn("Disabled; opens revert", "Enable it in the catalog's boxConfigs and run blindbox:sync")];
+  }
+
+  const checks = [pass(`Enabled, ${box.config.numTokensToReward} token(s) per open`)];
+  const fixConfig = "Fix boxConfigs in the catalog and run blindbox:sync";
+  if (!debug.validRange) {
+    checks.push(
+      fail(
+        `Range min ${ethers.formatEther(box.config.minAmount)} is above max ` +
+          `${ethers.formatEther(box.config.maxAmount)}; opens revert`,
+        fixConfig
+      )
+    );
+  }
+  if (!debug.validRewardCount) {
+    checks.push(fail("numTokensToReward is 0; opens revert", fixConfig));
+  } else if (!debug.enoughTokens) {
+    checks.push(
+      fail(
+        `numTokensToReward ${box.config.numTokensToReward} exceeds the ${rewardTokens.length} reward token(s); ` +
+          "opens revert",
+        `${fixConfig}, or add reward tokens`
+      )
+    );
+  }
+  if (!debug.onSale) {
+    checks.push(warn(`Not on sale (${formatSchedule(box.schedule)})`, "Adjust the schedule with setBoxSchedule"));
+  }
+  if (!debug.supplyLeft) {
+    checks.push(warn(`Sold out: ${box.opened} of ${box.schedule.supplyCap} opened`, "Raise supplyCap if intended"));
+  }
+
+  // A paid request can hold maxOpenQuantity boxes, each drawing any token at its max
+  const quantity = box.boxType === FREE ? 1n : maxOpenQuantity;
+  const maxPerOpen = await maxRewardForBox(blindBox, box.boxType, rewardTokens);
+  const per = quantity > 1n ? `one request of ${quantity} boxes` : "one open";
+  let covered = true;
+  for (const [token, max] of maxPerOpen) {
+    const balance = balances.get(token);
+    const needed = max * quantity;
+    if (balance === 0n) {
+      covered = false;
+      const { symbol } = await tokenInfo(token);
+      checks.push(
+        fail(
+          `BlindBox holds no ${symbol}; ${per} can pay up to ${await formatAmount(token, needed)}`,
+          `Transfer ${symbol} (${token}) to ${blindBox.target}`
+        )
+      );
+    } else if (balance < needed) {
+      covered = false;
+      checks.push(
+        warn(
+          `${per} can pay up to ${await formatAmount(token, needed)} but BlindBox holds ` +
+            `${await formatAmount(token, balance)}`,
+          "Top up the treasury or lower the range; blindbox:solvency compares balances with owed rewards"
+        )
+      );
+    }
+  }
+  if (covered && rewardTokens.length > 0) {
+    checks.push(pass(`Token balances cover the largest payout of ${per}`));
+  }
+  return checks;
+}
+
+/**
+ * Readiness report for a deployment: contract-wide checks, the VRF subscription and
+ * one section per box type, each check at level pass, warn or fail with a hint.
+ * Built on getContractState and debugOpenBox; stale requests are found from
+ * BoxOpened events since `fromBlock`.
+ */
+async function runDoctor(blindBox, { fromBlock = 0, staleAfter } = {}) {
+  const [owner, coordinator, subscriptionId, paused, rewardTokenCount, boxEnabled] = await blindBox.getContractState();
+  const state = { owner, coordinator, subscriptionId, paused, rewardTokenCount, boxEnabled: [...boxEnabled] };
+  const rewardTokens = [...(await blindBox.getRewardTokens())].map((token) => ethers.getAddress(token));
+  const balances = new Map();
+  for (const token of rewardTokens) {
+    const erc20 = new ethers.Contract(token, ERC20_METADATA_ABI, blindBox.runner.provider);
+    balances.set(token, await erc20.balanceOf(blindBox.target));
+  }
+  const maxOpenQuantity = await blindBox.maxOpenQuantity();
+  const stale = Number(staleAfter ?? (await blindBox.reclaimTimeout()));
+
+  const sections = [
+    { title: "Contract", checks: await contractChecks(blindBox, state, { fromBlock, staleAfter: stale }) },
+    { title: "VRF", checks: await vrfChecks(blindBox, state) },
+  ];
+  for (const box of await readBoxTypes(blindBox)) {
+    sections.push({
+      title: `Box ${box.boxType} ${box.name}`,
+      boxType: box.boxType,
+      checks: await boxChecks(blindBox, box, { rewardTokens, balances, maxOpenQuantity }),
+    });
+  }
+
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  sections.forEach((section) => section.checks.forEach((check) => (counts[check.level] += 1)));
+  return { address: blindBox.target, owner, sections, counts, ok: counts.fail === 0 };
+}
+
+function formatDoctorReport(report) {
+  const lines = [];
+  for (const section of report.sections) {
+    lines.push(section.title);
+    for (const check of section.checks) {
+      lines.push(`  ${check.level.toUpperCase().padEnd(4)}  ${check.message}`);
+      if (check.hint && check.level !== "pass") {
+        lines.push(`        -> ${check.hint}`);
+      }
+    }
+  }
+  const { pass: passed, warn: warned, fail: fails } = report.counts;
+  lines.push(`${passed} passed, ${warned} warning(s), ${fails} failure(s)`);
+  return lines;
+}
+
+module.exports = {
+  runDoctor,
+  formatDoctorReport,
+};
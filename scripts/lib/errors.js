@@ -0,0 +1,118 @@
+// Revert reasons raised by BlindBox and what an operator can do about them.
+const HINTS = {
+  FREE_BOX_COOLDOWN: "This wallet already opened a free box in the last 24h; blindbox:status shows the time left.",
+  FID_FREE_BOX_COOLDOWN: "This fid already opened a free box in the last 24h; blindbox:status --fid shows the time left.",
+  NONCE_USED: "The voucher nonce was already used by this wallet; request a fresh voucher.",
+  FID_NONCE_USED: "The voucher nonce was already used for this fid; request a fresh voucher.",
+  "Invalid signature": "The voucher was not signed by signerAddress for this wallet, fid, contract and chain.",
+  SIGNER_NOT_SET: "The owner must call setSignerAddress before free boxes can be opened.",
+  INSUFFICIENT_FEE: "Send at least boxPrices(boxType) per box; blindbox:status lists current prices.",
+  BOX_DISABLED: "This box type is disabled in its box config.",
+  SALE_CLOSED: "This box type is outside its sale window; blindbox:status shows the window.",
+  SOLD_OUT: "Fewer boxes of this type are left under its supply cap than requested; blindbox:status shows them.",
+  BOX_COOLDOWN:
+    "This wallet opened this box type within its cooldown (box types with a cooldown also refuse batches); " +
+    "blindbox:status shows the time left.",
+  INVALID_QUANTITY: "The batch size must be between 1 and maxOpenQuantity; blindbox:status shows the cap.",
+  FREE_BOX_SINGLE: "FREE boxes open one at a time with a voucher; use openBox instead of openBoxes.",
+  INVALID_RANGE: "The box config has minAmount > maxAmount; fix it with the config sync.",
+  NO_REWARD_TOKENS: "No reward tokens are configured; set rewardTokens in the catalog and sync.",
+  INVALID_REWARD_COUNT: "numTokensToReward is 0 for this box; fix the box config.",
+  NOT_ENOUGH_TOKENS: "numTokensToReward exceeds the number of reward tokens; add tokens or lower the box config.",
+  "Invalid box type": "No box type with this id exists yet; blindbox:status lists them.",
+  "Invalid range": "minAmount must not exceed maxAmount, and maxAmount must fit in uint96 (about 7.9e28 base units).",
+  "Invalid sale window": "saleEnd must be 0 (no end) or later than saleStart.",
+  "Too many box types": "The contract already holds the maximum of 255 box types.",
+  "Invalid quantity": "maxOpenQuantity must be at least 1; blindbox:set-max-open picks the largest that fits the gas.",
+  "Invalid tier": "Rarity tier ids run from 1 to 255; tier 0 means a token has no tier.",
+  "Not owner": "This call is owner-only; use the owner key or the owning multisig.",
+  "Nothing to claim": "There are no pending rewards for this token, or no pending NFT prize at this index.",
+  "No rewards claimed": "No pending reward could be paid out; the contract may be short on reward tokens.",
+  CLAIM_EXPIRED: "The claim authorization passed its deadline; sign a new one.",
+  CLAIM_NONCE_USED: "This claim authorization was already submitted; sign a new one with a fresh nonce.",
+  INVALID_CLAIM_SIGNATURE: "The claim was not signed by its user for this contract and chain.",
+  "No NFTs claimed": "No pending NFT prize could be sent; a contract wallet must accept ERC-721/ERC-1155 transfers.",
+  "NFT transfer failed": "The NFT could not be sent; check the recipient accepts ERC-721/ERC-1155 transfers.",
+  "Invalid chance": "NFT chances are basis points from 0 to 10000 (blindbox:nft-chance takes a percent).",
+  "Invalid index": "withdrawNfts takes inventory indexes in strictly descending order; see blindbox:nft-inventory.",
+  "Use depositNfts": "NFT prizes must be deposited with depositNfts (blindbox:nft-deposit), not sent directly.",
+  "Insufficient contract balance": "The contract holds less of this token than is owed; top up the treasury.",
+  "Unknown request": "No pending open exists for this request id (already fulfilled or canceled).",
+  "Not request owner": "Only the wallet that opened the box can reclaim it.",
+  "Not expired": "The open can be reclaimed once it has waited reclaimTimeout; blindbox:sweep lists stale opens.",
+  "Nothing to withdraw": "There is no credited refund for this wallet.",
+  "Refund failed": "The native refund could not be sent to this wallet.",
+  "Pending requests": "VRF config cannot change while opens are pending; wait for or cancel them first.",
+  FROZEN: "This deployment was frozen for a migration; its rewards are claimable from successor().",
+  "Already frozen": "This deployment is already frozen; run blindbox:migrate against its successor.",
+  "Batch imported": "This migration batch was already imported; re-run blindbox:migrate to resume the rest.",
+  InvalidConsumer: "BlindBox is not a consumer of its VRF subscription; run vrf:add-consumer.",
+  InvalidSubscription: "The VRF subscription id does not exist on this coordinator; check vrf:status.",
+  InsufficientBalance: "The VRF subscription cannot pay for fulfillment; top it up with vrf:fund.",
+  "Not signer": "Only MultiSign signers can propose, confirm or execute; check multisig:list for the signer set.",
+  "Threshold not met": "The proposal needs more confirmations; signers run multisig:sign --id <id>.",
+  "Proposal expired": "The proposal passed its expiry; propose the call again.",
+  "Already executed": "This proposal was already executed.",
+  "Already confirmed": "This signer already confirmed the proposal.",
+  "Only multisig": "Signer, threshold and expiry changes must be proposed and executed through the multisig itself.",
+  EnforcedPause: "The contract is paused; the owner can run blindbox:unpause.",
+  ExpectedPause: "The contract is not paused.",
+};
+
+function revertData(error) {
+  if (typeof error.data === "string") {
+    return error.data;
+  }
+  if (error.data && typeof error.data.data === "string") {
+    return error.data.data;
+  }
+  return null;
+}
+
+/**
+ * Find the revert reason or custom error name in an ethers / hardhat error,
+ * looking through nested causes and decoding raw revert data with `iface`.
+ */
+function extractReason(error, iface) {
+  for (let current = error; current; current = current.error || current.cause) {
+    if (current.reason) {
+      return current.reason;
+    }
+    if (current.revert && current.revert.name && current.revert.name !== "Error") {
+      return current.revert.name;
+    }
+    const data = revertData(current);
+    if (data && data !== "0x" && iface) {
+      try {
+        const parsed = iface.parseError(data);
+        if (parsed) {
+          return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+        }
+      } catch (ignored) {
+        // not an error selector we know
+      }
+    }
+  }
+  const message = error.message || "";
+  const reasonString = /reverted with reason string '([^']*)'/.exec(message);
+  if (reasonString) {
+    return reasonString[1];
+  }
+  const customError = /reverted with custom error '([A-Za-z0-9_]+)/.exec(message);
+  return customError ? customError[1] : null;
+}
+
+function describeError(error, iface) {
+  const reason = extractReason(error, iface);
+  return {
+    reason,
+    message: reason ? `Transaction reverted: ${reason}` : error.shortMessage || error.message || String(error),
+    hint: reason ? HINTS[reason] : undefined,
+  };
+}
+
+module.exports = {
+  HINTS,
+  extractReason,
+  describeError,
+};
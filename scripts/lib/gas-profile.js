@@ -0,0 +1,421 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { createSubscription } = require("./vrf");
+const { signFreeBoxVoucher } = require("./voucher");
+
+const GAS_PROFILE_PATH = path.join(__dirname, "..", "..", "config", "callback-gas.json");
+const DEFAULT_POOL_SIZES = [1, 5, 10, 25, 50, 100];
+const DEFAULT_REWARD_COUNTS = [1, 2, 3, 5, 10, 25, 50, 100];
+const DEFAULT_MARGIN = 0.2;
+// openBoxes batch sizes measured to price each box after the first
+const DEFAULT_QUANTITIES = [2, 4, 8];
+// Highest callbackGasLimit the VRF v2.5 coordinators we deploy to accept
+const MAX_CALLBACK_GAS_LIMIT = 2_500_000;
+// Measure above that maximum so oversized configs get a number instead of a revert
+const PROFILE_GAS_LIMIT = 15_000_000;
+
+/**
+ * Open and fulfill boxes on the in-process network through MockVRFCoordinator and
+ * record the gas used by rawFulfillRandomWords for every box type, reward pool size,
+ * numTokensToReward and range mode ("fallback" box ranges, "perToken" ranges or "weighted",
+ * where every token has a weight and half of them draw their range from a rarity tier).
+ * "nft" samples repeat an open that also wins an NFT prize and keep the gas of the same
+ * open without it as `baseline`. Paid box types also fulfill openBoxes batches of each of
+ * `quantities` (samples with a `quantity` and the single open's gas as `baseline`).
+ * Each open is made by a fresh wallet so every pendingRewards slot is written cold.
+ */
+async function measureFulfillment({
+  poolSizes = DEFAULT_POOL_SIZES,
+  rewardCounts = DEFAULT_REWARD_COUNTS,
+  quantities = DEFAULT_QUANTITIES,
+  boxTypes = [0, 1, 2],
+  log = () => {},
+} = {}) {
+  const [owner] = await ethers.getSigners();
+  const coordinator = await ethers.deployContract("MockVRFCoordinator");
+  const subId = await createSubscription(coordinator);
+  const maxPool = Math.max(...poolSizes);
+  const tokens = [];
+  for (let i = 0; i < maxPool; i += 1) {
+    tokens.push(await (await ethers.deployContract("MockERC20", [`Token${i}`, `T${i}`])).getAddress());
+  }
+  const blindBox = await ethers.deployContract("BlindBox", [
+    await coordinator.getAddress(),
+    "0x" + "11".repeat(32),
+    subId,
+    1,
+    PROFILE_GAS_LIMIT,
+    false,
+    tokens.slice(0, 1),
+    [],
+  ]);
+  await coordinator.addConsumer(subId, await blindBox.getAddress());
+  await blindBox.setSignerAddress(owner.address);
+  await blindBox.setMaxOpenQuantity(Math.max(1, ...quantities));
+  const { chainId } = await ethers.provider.getNetwork();
+
+  let fid = 1n;
+  async function openAndFulfill(boxType, quantity = 1) {
+    const user = ethers.Wallet.createRandom().connect(ethers.provider);
+    await setBalance(user.address, ethers.parseEther("10"));
+    let signature = "0x";
+    if (boxType === 0) {
+      fid += 1n;
+      const voucher = { user: user.address, fid, nonce: 1n, contract: blindBox.target, chainId };
+      ({ signature } = await signFreeBoxVoucher(owner, voucher));
+    }
+    const value = (await blindBox.boxPrices(boxType)) * BigInt(quantity);
+    const tx =
+      quantity > 1
+        ? blindBox.connect(user).openBoxes(boxType, quantity, { value })
+        : blindBox.connect(user).openBox(boxType, boxType === 0 ? fid : 0n, boxType === 0 ? 1n : 0n, signature, {
+            value,
+          });
+    const receipt = await (await tx).wait();
+    const opened = receipt.logs.find((entry) => entry.fragment && entry.fragment.name === "BoxOpened");
+    const word = BigInt(ethers.keccak256(ethers.toBeHex(opened.args.requestId, 32)));
+    await (await coordinator.fulfillRandomWords(blindBox.target, opened.args.requestId, word)).wait();
+    return Number(await coordinator.lastCallbackGasUsed());
+  }
+
+  const samples = [];
+  for (const poolSize of [...poolSizes].sort((a, b) => a - b)) {
+    const pool = tokens.slice(0, poolSize);
+    await (await blindBox.setRewardTokens(pool)).wait();
+    for (const rangeMode of ["fallback", "perToken", "weighted"]) {
+      const weighted = rangeMode === "weighted";
+      const ranges = [];
+      for (const boxType of boxTypes) {
+        if (weighted) {
+          await (await blindBox.setRarityTier(boxType, 1, 1n, ethers.parseEther("1000"), 10, true)).wait();
+        }
+        pool.forEach((token, i) => {
+          ranges.push({
+            boxType,
+            token,
+            minAmount: 1n,
+            maxAmount: ethers.parseEther("1000"),
+            enabled: rangeMode === "perToken",
+            weight: weighted && i % 2 === 0 ? 100 + i : 0,
+            tier: weighted && i % 2 === 1 ? 1 : 0,
+          });
+        });
+      }
+      for (let i = 0; i < ranges.length; i += 50) {
+        await (await blindBox.setTokenRanges(ranges.slice(i, i + 50))).wait();
+      }
+      for (const rewardCount of rewardCounts.filter((count) => count <= poolSize)) {
+        for (const boxType of boxTypes) {
+          await (await blindBox.setBoxConfig(boxType, 1n, ethers.parseEther("1000"), rewardCount, true)).wait();
+          const gasUsed = await openAndFulfill(boxType);
+          samples.push({ boxType, poolSize, rewardCount, rangeMode, gasUsed });
+          log(`box ${boxType} pool ${poolSize} rewards ${rewardCount} ${rangeMode}: ${gasUsed}`);
+        }
+      }
+    }
+  }
+
+  // A few hits per box so at least one moves the last inventory slot into the drawn one
+  const nft = await ethers.deployContract("MockERC721", ["Prize", "PRZ"]);
+  await (await nft.setApprovalForAll(blindBox.target, true)).wait();
+  const poolSize = Math.min(...poolSizes);
+  await (await blindBox.setRewardTokens(tokens.slice(0, poolSize))).wait();
+  let nftId = 0n;
+  for (const boxType of boxTypes) {
+    await (await blindBox.setBoxConfig(boxType, 1n, ethers.parseEther("1000"), 1, true)).wait();
+    const prizes = [];
+    for (let i = 0; i < 4; i += 1) {
+      nftId += 1n;
+      await (await nft.mint(owner.address, nftId)).wait();
+      prizes.push({ token: nft.target, amount: 0, id: nftId });
+    }
+    await (await blindBox.depositNfts(boxType, prizes)).wait();
+    for (let i = 0; i < 3; i += 1) {
+      const baseline = await openAndFulfill(boxType);
+      await (await blindBox.setNftChance(boxType, 10_000)).wait();
+      const gasUsed = await openAndFulfill(boxType);
+      await (await blindBox.setNftChance(boxType, 0)).wait();
+      samples.push({ boxType, poolSize, rewardCount: 1, rangeMode: "nft", gasUsed, baseline });
+      log(`box ${boxType} pool ${poolSize} rewards 1 nft: ${gasUsed} (${baseline} without)`);
+    }
+  }
+
+  // Batches in both draw modes, since a weighted box repeats its weight lookups for every box
+  const paidBoxTypes = quantities.length > 0 ? boxTypes.filter((boxType) => boxType !== 0) : [];
+  for (const rangeMode of ["fallback", "weighted"]) {
+    const weighted = rangeMode === "weighted";
+    const ranges = paidBoxTypes.flatMap((boxType) =>
+      tokens.slice(0, poolSize).map((token, i) => ({
+        boxType,
+        token,
+        minAmount: 1n,
+        maxAmount: ethers.parseEther("1000"),
+        enabled: false,
+        weight: weighted && i % 2 === 0 ? 100 + i : 0,
+        tier: weighted && i % 2 === 1 ? 1 : 0,
+      }))
+    );
+    for (let i = 0; i < ranges.length; i += 50) {
+      await (await blindBox.setTokenRanges(ranges.slice(i, i + 50))).wait();
+    }
+    for (const boxType of paidBoxTypes) {
+      const baseline = await openAndFulfill(boxType);
+      for (const quantity of quantities) {
+        const gasUsed = await openAndFulfill(boxType, quantity);
+        samples.push({ boxType, poolSize, rewardCount: 1, rangeMode, quantity, gasUsed, baseline });
+        log(`box ${boxType} pool ${poolSize} rewards 1 ${rangeMode} x${quantity}: ${gasUsed} (${baseline} for one)`);
+      }
+    }
+  }
+  return samples;
+}
+
+/**
+ * Fit gas = base + perPoolToken * poolSize + perReward * rewardCount by least squares,
+ * then raise `base` until the line is at or above every sample.
+ */
+function fitModel(samples) {
+  if (samples.length < 3) {
+    throw new Error("Need at least 3 samples to fit the callback gas model");
+  }
+  // Normal equations for [base, perPoolToken, perReward]
+  const m = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  const v = [0, 0, 0];
+  for (const { poolSize, rewardCount, gasUsed } of samples) {
+    const x = [1, poolSize, rewardCount];
+    for (let i = 0; i < 3; i += 1) {
+      for (let j = 0; j < 3; j += 1) {
+        m[i][j] += x[i] * x[j];
+      }
+      v[i] += x[i] * gasUsed;
+    }
+  }
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const d = det(m);
+  if (d === 0) {
+    throw new Error("Samples must vary in both pool size and reward count");
+  }
+  const [base, perPoolToken, perReward] = [0, 1, 2].map((column) =>
+    det(m.map((row, i) => row.map((cell, j) => (j === column ? v[i] : cell)))) / d
+  );
+
+  const slopes = { perPoolToken: Math.ceil(perPoolToken), perReward: Math.ceil(perReward) };
+  const worstResidual = Math.max(
+    ...samples.map((s) => s.gasUsed - slopes.perPoolToken * s.poolSize - slopes.perReward * s.rewardCount)
+  );
+  return { base: Math.ceil(Math.max(base, worstResidual)), ...slopes };
+}
+
+/**
+ * Gas each box after the first in a batch adds on top of its pool and reward slopes.
+ * Later boxes write rewards to slots the first box already warmed, so only the pool
+ * copy is taken off the measured difference; the rest counts as per-box overhead.
+ */
+function fitPerExtraBox(model, samples) {
+  return Math.max(
+    0,
+    ...samples.map((s) => Math.ceil((s.gasUsed - s.baseline) / (s.quantity - 1) - model.perPoolToken * s.poolSize))
+  );
+}
+
+/**
+ * callbackGasLimit needed for a pool of `poolSize` reward tokens and a box that
+ * rewards `rewardCount` of them, plus `extraGas` (e.g. an NFT prize), including the
+ * safety margin. A batch of `quantity` boxes pays the slopes and `extraGas` once per box
+ * plus `perExtraBox` for each box after the first; models without a measured
+ * `perExtraBox` charge a whole `base` instead.
+ */
+function requiredCallbackGas(model, { poolSize, rewardCount, extraGas = 0, quantity = 1, margin = DEFAULT_MARGIN }) {
+  const perBox = model.perPoolToken * poolSize + model.perReward * rewardCount + extraGas;
+  const perExtraBox = model.perExtraBox ?? model.base;
+  const estimate = model.base + perBox * quantity + perExtraBox * (quantity - 1);
+  return Math.ceil(estimate * (1 + margin));
+}
+
+/**
+ * Check a callbackGasLimit against the worst enabled box for a reward pool. Boxes in
+ * `weightedBoxTypes` (any token weight or tier set) are checked with the weighted model,
+ * boxes in `nftBoxTypes` (a nonzero NFT chance) add the measured NFT prize gas, and paid
+ * boxes are checked as openBoxes batches of `maxOpenQuantity`.
+ * Returns { ok, required, limit, boxType, poolSize, rewardCount, quantity }.
+ */
+function checkCallbackGas(
+  profile,
+  {
+    callbackGasLimit,
+    poolSize,
+    boxConfigs,
+    weightedBoxTypes = [],
+    nftBoxTypes = [],
+    maxOpenQuantity = 1,
+    margin = profile.margin,
+  }
+) {
+  let worst = { boxType: null, numTokensToReward: 0 };
+  let required = 0;
+  for (const config of boxConfigs.filter((c) => c.enabled)) {
+    const boxType = Number(config.boxType);
+    const weighted = weightedBoxTypes.map(Number).includes(boxType);
+    const model = weighted && profile.weightedModel ? profile.weightedModel : profile.model;
+    const extraGas = nftBoxTypes.map(Number).includes(boxType) ? profile.nftPrizeGas || 0 : 0;
+    const rewardCount = Number(config.numTokensToReward);
+    // FREE boxes only open one at a time
+    const quantity = boxType === 0 ? 1 : Number(maxOpenQuantity);
+    const needed = requiredCallbackGas(model, { poolSize, rewardCount, extraGas, quantity, margin });
+    if (worst.boxType === null || needed > required) {
+      worst = { ...config, quantity };
+      required = needed;
+    }
+  }
+  const rewardCount = Number(worst.numTokensToReward);
+  const limit = Number(callbackGasLimit);
+  return {
+    ok: limit >= required && required <= MAX_CALLBACK_GAS_LIMIT,
+    required,
+    limit,
+    boxType: worst.boxType,
+    poolSize,
+    rewardCount,
+    quantity: worst.quantity || 1,
+  };
+}
+
+/**
+ * Largest maxOpenQuantity the gas check passes for, or 0 when even single opens fail.
+ * Takes the same options as checkCallbackGas.
+ */
+function maxFittingQuantity(profile, options) {
+  let quantity = 0;
+  while (quantity < 65535 && checkCallbackGas(profile, { ...options, maxOpenQuantity: quantity + 1 }).ok) {
+    quantity += 1;
+  }
+  return quantity;
+}
+
+function formatGasCheck(check) {
+  const batch = check.quantity > 1;
+  const what =
+    `box ${check.boxType} rewarding ${check.rewardCount} of ${check.poolSize} token(s)` +
+    (batch ? ` in batches of ${check.quantity}` : "");
+  const fixes = batch
+    ? "reduce numTokensToReward / rewardTokens or the batch size with blindbox:set-max-open"
+    : "reduce numTokensToReward / rewardTokens";
+  if (check.required > MAX_CALLBACK_GAS_LIMIT) {
+    return (
+      `${what} needs ${check.required} callback gas, above the coordinator maximum of ${MAX_CALLBACK_GAS_LIMIT}; ` +
+      fixes
+    );
+  }
+  return (
+    `callbackGasLimit ${check.limit} is below the ${check.required} needed for ${what}; ` +
+    `raise it with blindbox:set-vrf-config or ${fixes}`
+  );
+}
+
+// The costliest sample at each pool size and reward count, so a cheaper range mode at the
+// same point does not tilt the slopes and leave `base` to absorb the difference
+function costliestPerPoint(samples) {
+  const top = new Map();
+  for (const sample of samples) {
+    const key = `${sample.poolSize}:${sample.rewardCount}`;
+    if (!top.has(key) || sample.gasUsed > top.get(key).gasUsed) {
+      top.set(key, sample);
+    }
+  }
+  return [...top.values()];
+}
+
+/**
+ * `model` covers the uniform draw; weighted boxes scan the pool for every pick, so
+ * their samples get a separate `weightedModel` rather than inflating the uniform one.
+ * Batch samples only set each model's `perExtraBox`. `nftPrizeGas` is the most an NFT
+ * prize added to an open.
+ */
+function buildProfile(samples, { margin = DEFAULT_MARGIN } = {}) {
+  const singles = samples.filter((sample) => !sample.quantity);
+  const batches = samples.filter((sample) => sample.quantity);
+  const fit = (filter) => {
+    const model = fitModel(costliestPerPoint(singles.filter(filter)));
+    const batch = batches.filter(filter);
+    return batch.length > 0 ? { ...model, perExtraBox: fitPerExtraBox(model, batch) } : model;
+  };
+  const weighted = singles.filter((sample) => sample.rangeMode === "weighted");
+  const nft = singles.filter((sample) => sample.rangeMode === "nft");
+  const model = fit((sample) => !["weighted", "nft"].includes(sample.rangeMode));
+  const worst = singles.reduce((top, sample) => (sample.gasUsed > top.gasUsed ? sample : top));
+  return {
+    margin,
+    model,
+    weightedModel: weighted.length > 0 ? fit((sample) => sample.rangeMode === "weighted") : null,
+    nftPrizeGas: Math.max(0, ...nft.map((sample) => sample.gasUsed - sample.baseline)),
+    worstCase: { ...worst, withMargin: Math.ceil(worst.gasUsed * (1 + margin)) },
+    samples,
+  };
+}
+
+function readGasProfile(file = GAS_PROFILE_PATH) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Which box types the live contract draws by weight or can award an NFT prize from
+// (all of its box types unless `boxTypes` narrows them), and its openBoxes batch cap
+async function onchainGasFactors(blindBox, boxTypes) {
+  if (!boxTypes) {
+    const count = Number(await blindBox.boxTypeCount());
+    boxTypes = Array.from({ length: count }, (_, boxType) => boxType);
+  }
+  const weightedBoxTypes = [];
+  const nftBoxTypes = [];
+  for (const boxType of boxTypes) {
+    if ((await blindBox.weightedTokenCount(boxType)) > 0n) {
+      weightedBoxTypes.push(boxType);
+    }
+    if ((await blindBox.nftChanceBps(boxType)) > 0n) {
+      nftBoxTypes.push(boxType);
+    }
+  }
+  return { weightedBoxTypes, nftBoxTypes, maxOpenQuantity: Number(await blindBox.maxOpenQuantity()) };
+}
+
+// Written at the top of every profile so the committed file says how it is produced
+const GAS_PROFILE_NOTE =
+  "Generated by `npx hardhat blindbox:gas-profile --write`. Do not edit by hand; regenerate it in the same change " +
+  "as any edit to the BlindBox fulfillment path, and only then.";
+
+function writeGasProfile(profile, file = GAS_PROFILE_PATH) {
+  const { note, ...measured } = profile;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ note: GAS_PROFILE_NOTE, ...measured }, null, 2)}\n`);
+}
+
+module.exports = {
+  GAS_PROFILE_PATH,
+  GAS_PROFILE_NOTE,
+  DEFAULT_POOL_SIZES,
+  DEFAULT_REWARD_COUNTS,
+  DEFAULT_MARGIN,
+  DEFAULT_QUANTITIES,
+  MAX_CALLBACK_GAS_LIMIT,
+  measureFulfillment,
+  fitModel,
+  requiredCallbackGas,
+  checkCallbackGas,
+  maxFittingQuantity,
+  formatGasCheck,
+  buildProfile,
+  readGasProfile,
+  writeGasProfile,
+  onchainGasFactors,
+};
@@ -0,0 +1,429 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { BOX_NAMES } = require("./catalog");
+const { serialize } = require("./deployments");
+const { readOpenResult } = require("./open-history");
+const { COORDINATOR_EVENTS_ABI } = require("./open-watch");
+
+const INDEX_DIR = path.join(__dirname, "..", "..", "indexes");
+const INDEX_VERSION = 1;
+
+const INDEXED_EVENTS = [
+  "BoxOpened",
+  "BoxesOpened",
+  "RewardsQueued",
+  "RewardsImported",
+  "RewardClaimed",
+  "PendingOpenCanceled",
+  "OpenRefunded",
+  "BoxPriceUpdated",
+  "BoxTypeNamed",
+  "TokenRangeUpdated",
+  "VrfConfigUpdated",
+  "EmergencyWithdrawal",
+];
+
+const coordinatorInterface = new ethers.Interface(COORDINATOR_EVENTS_ABI);
+
+function indexPath(network, name = "BlindBox", dir = process.env.INDEX_DIR || INDEX_DIR) {
+  return path.join(dir, network, `${name}.index.json`);
+}
+
+function emptyIndex(address, chainId, startBlock) {
+  return {
+    version: INDEX_VERSION,
+    address: ethers.getAddress(address),
+    chainId: chainId.toString(),
+    startBlock,
+    checkpoint: startBlock - 1,
+    blockHashes: {},
+    events: [],
+    requests: {},
+  };
+}
+
+function readIndex(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const index = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (index.version !== INDEX_VERSION) {
+    throw new Error(`Index ${file} has version ${index.version}; re-index with --reset`);
+  }
+  return index;
+}
+
+function writeIndex(file, index) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(index, null, 2)}\n`);
+  return index;
+}
+
+function eventArgs(parsed) {
+  return Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, serialize(parsed.args[i])]));
+}
+
+async function blockInfo(provider, blockNumber, cache) {
+  if (!cache.has(blockNumber)) {
+    const block = await provider.getBlock(blockNumber);
+    cache.set(blockNumber, { hash: block.hash, timestamp: block.timestamp });
+  }
+  return cache.get(blockNumber);
+}
+
+// requestId of the coordinator fulfillment that queued rewards in this tx, if any
+function fulfilledRequestId(receipt) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = coordinatorInterface.parseLog(log);
+      if (parsed && parsed.name === "RandomWordsFulfilled") {
+        return parsed.args.requestId.toString();
+      }
+    } catch (ignored) {
+      // not a coordinator log
+    }
+  }
+  return null;
+}
+
+/**
+ * For coordinators that do not log RandomWordsFulfilled: the one earlier open of `user` whose
+ * rewards in getOpenResult are exactly those queued for them in this tx. Null when none or
+ * several match, or when the BlindBox has no getOpenResult.
+ */
+async function recordedRequestId(blindBox, receipt, user, events) {
+  const queued = receipt.logs
+    .filter((log) => log.address.toLowerCase() === String(blindBox.target).toLowerCase())
+    .map((log) => blindBox.interface.parseLog(log))
+    .filter((parsed) => parsed && parsed.name === "RewardsQueued" && parsed.args.user === user)
+    .map((parsed) => `${parsed.args.token}:${parsed.args.amount}`);
+  const linked = new Set(events.filter((event) => event.requestId).map((event) => event.requestId));
+  const candidates = events.filter(
+    (event) => event.name === "BoxOpened" && event.args.user === user && !linked.has(event.args.requestId)
+  );
+  const matches = [];
+  for (const { args } of candidates) {
+    let result;
+    try {
+      result = await readOpenResult(blindBox, args.requestId);
+    } catch {
+      return null;
+    }
+    const rewards = result && result.status === "fulfilled" ? result.rewards : [];
+    if (rewards.map((reward) => `${reward.token}:${reward.amount}`).join() === queued.join()) {
+      matches.push(args.requestId);
+    }
+  }
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Rebuild request records (user, box type, price, status and rewards) from the event list.
+ * Rewards are linked through the request id found for their tx (see syncIndex); rewards
+ * without one are left out of every request rather than guessed.
+ */
+function buildRequests(events) {
+  const requests = {};
+  const prices = {};
+  for (const event of events) {
+    const { args } = event;
+    if (event.name === "BoxPriceUpdated") {
+      prices[args.boxType] = args.priceWei;
+    } else if (event.name === "BoxOpened") {
+      requests[args.requestId] = {
+        requestId: args.requestId,
+        user: args.user,
+        boxType: Number(args.boxType),
+        quantity: 1,
+        priceWei: prices[args.boxType] ?? event.priceWei ?? null,
+        status: "pending",
+        openedBlock: event.blockNumber,
+        openedAt: event.timestamp,
+        openedTx: event.transactionHash,
+        rewards: [],
+      };
+    } else if (event.name === "BoxesOpened" && requests[args.requestId]) {
+      // Follows its BoxOpened in the same tx; the request paid for every box
+      const request = requests[args.requestId];
+      request.quantity = Number(args.quantity);
+      if (request.priceWei !== null) {
+        request.priceWei = (BigInt(request.priceWei) * BigInt(args.quantity)).toString();
+      }
+    } else if (event.name === "PendingOpenCanceled" && requests[args.requestId]) {
+      Object.assign(requests[args.requestId], { status: "canceled", closedTx: event.transactionHash });
+    } else if (event.name === "OpenRefunded" && requests[args.requestId]) {
+      requests[args.requestId].refundedWei = args.amount;
+    } else if (event.name === "RewardsQueued") {
+      const request = event.requestId ? requests[event.requestId] : undefined;
+      if (request && request.user === args.user) {
+        Object.assign(request, { status: "fulfilled", closedTx: event.transactionHash });
+        request.rewards.push({ token: args.token, amount: args.amount });
+      }
+    }
+  }
+  return requests;
+}
+
+/**
+ * Bring the index up to the chain head. Blocks within `confirmations` of the previous
+ * checkpoint are dropped and re-scanned so short reorgs are repaired; a reorg deeper
+ * than the window is reported instead of silently kept.
+ */
+async function syncIndex(
+  blindBox,
+  index,
+  { confirmations = 12, chunkSize = 2000, toBlock, log = () => {}, readPrice } = {}
+) {
+  const provider = blindBox.runner.provider;
+  const head = toBlock ?? (await provider.getBlockNumber());
+  const blocks = new Map();
+
+  const anchor = index.checkpoint - confirmations;
+  if (anchor >= index.startBlock && index.blockHashes[anchor]) {
+    const { hash } = await blockInfo(provider, anchor, blocks);
+    if (hash !== index.blockHashes[anchor]) {
+      throw new Error(
+        `Block ${anchor} changed since it was indexed; the reorg is deeper than ${confirmations} blocks. ` +
+          "Re-index with --reset."
+      );
+    }
+  }
+
+  const from = Math.max(index.startBlock, anchor + 1);
+  const kept = index.events.filter((event) => event.blockNumber < from);
+  const dropped = index.events.length - kept.length;
+  if (dropped > 0) {
+    log(`Re-scanning from block ${from} (${dropped} event(s) inside the confirmation window)`);
+  }
+
+  const names = new Set(INDEXED_EVENTS);
+  const fresh = [];
+  const fulfillments = new Map();
+  for (let start = from; start <= head; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, head);
+    const logs = await provider.getLogs({ address: index.address, fromBlock: start, toBlock: end });
+    for (const raw of logs) {
+      const parsed = blindBox.interface.parseLog(raw);
+      if (!parsed || !names.has(parsed.name)) {
+        continue;
+      }
+      const { timestamp } = await blockInfo(provider, raw.blockNumber, blocks);
+      const event = {
+        name: parsed.name,
+        blockNumber: raw.blockNumber,
+        blockHash: raw.blockHash,
+        transactionHash: raw.transactionHash,
+        logIndex: raw.index,
+        timestamp,
+        args: eventArgs(parsed),
+      };
+      if (parsed.name === "RewardsQueued") {
+        // One VRF fulfillment per tx, so every reward in it belongs to the same request
+        if (!fulfillments.has(raw.transactionHash)) {
+          const receipt = await provider.getTransactionReceipt(raw.transactionHash);
+          const requestId =
+            fulfilledRequestId(receipt) ??
+            (await recordedRequestId(blindBox, receipt, event.args.user, kept.concat(fresh)));
+          fulfillments.set(raw.transactionHash, requestId);
+        }
+        event.requestId = fulfillments.get(raw.transactionHash);
+      }
+      if (parsed.name === "BoxOpened" && readPrice) {
+        const price = await readPrice(Number(parsed.args.boxType), raw.blockNumber);
+        event.priceWei = price === null ? null : price.toString();
+      }
+      fresh.push(event);
+    }
+  }
+
+  const events = kept.concat(fresh);
+  // Hashes of the last `confirmations` blocks let the next sync detect a reorg below its window.
+  const blockHashes = {};
+  for (let block = Math.max(index.startBlock, head - confirmations); block <= head; block += 1) {
+    blockHashes[block] = (await blockInfo(provider, block, blocks)).hash;
+  }
+
+  log(`Indexed ${fresh.length} event(s) in blocks ${from}-${head}`);
+  return {
+    ...index,
+    checkpoint: head,
+    blockHashes,
+    events,
+    requests: buildRequests(events),
+  };
+}
+
+function dayOf(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+// Built-in names overridden by the latest BoxTypeNamed event for each box; a box named
+// before the index started shows as its id
+function boxNames(index) {
+  const names = { ...BOX_NAMES };
+  for (const event of index.events) {
+    if (event.name === "BoxTypeNamed") {
+      names[event.args.boxType] = event.args.name;
+    }
+  }
+  return names;
+}
+
+function userHistory(index, user) {
+  const address = ethers.getAddress(user);
+  const names = boxNames(index);
+  const rows = [];
+  for (const request of Object.values(index.requests)) {
+    if (request.user !== address) {
+      continue;
+    }
+    rows.push({
+      time: request.openedAt,
+      block: request.openedBlock,
+      type: "open",
+      requestId: request.requestId,
+      box: names[request.boxType] ?? String(request.boxType),
+      status: request.status,
+      priceWei: request.priceWei,
+      token: "",
+      amount: "",
+      tx: request.openedTx,
+    });
+    for (const reward of request.rewards) {
+      rows.push({
+        time: request.openedAt,
+        block: request.openedBlock,
+        type: "reward",
+        requestId: request.requestId,
+        box: names[request.boxType] ?? String(request.boxType),
+        status: request.status,
+        priceWei: "",
+        token: reward.token,
+        amount: reward.amount,
+        tx: request.closedTx,
+      });
+    }
+  }
+  for (const event of index.events) {
+    if (event.name === "RewardClaimed" && event.args.user === address) {
+      rows.push({
+        time: event.timestamp,
+        block: event.blockNumber,
+        type: "claim",
+        requestId: "",
+        box: "",
+        status: "",
+        priceWei: "",
+        token: event.args.token,
+        amount: event.args.amount,
+        tx: event.transactionHash,
+      });
+    }
+  }
+  return rows.sort((a, b) => a.block - b.block);
+}
+
+function dailySummary(index) {
+  const names = boxNames(index);
+  const counters = Object.fromEntries(Object.values(names).map((name) => [name, 0]));
+  const days = new Map();
+  for (const request of Object.values(index.requests)) {
+    const date = dayOf(request.openedAt);
+    if (!days.has(date)) {
+      days.set(date, { date, opens: 0, ...counters, canceled: 0, revenueWei: 0n, unpriced: 0 });
+    }
+    const day = days.get(date);
+    // Opens count boxes, so an openBoxes batch counts once per box
+    const boxes = request.quantity ?? 1;
+    day.opens += boxes;
+    const name = names[request.boxType] ?? String(request.boxType);
+    day[name] = (day[name] || 0) + boxes;
+    if (request.status === "canceled") {
+      day.canceled += boxes;
+    } else if (request.priceWei === null) {
+      day.unpriced += 1;
+    } else {
+      day.revenueWei += BigInt(request.priceWei);
+    }
+  }
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map(serialize);
+}
+
+/**
+ * Per-token ledger of queued and migrated rewards, claims and emergency withdrawals
+ * with the running amount still owed to users.
+ */
+function tokenLedger(index, token) {
+  const filter = token ? ethers.getAddress(token) : null;
+  const outstanding = new Map();
+  const rows = [];
+  for (const event of index.events) {
+    const { args } = event;
+    let delta;
+    if (event.name === "RewardsQueued" || event.name === "RewardsImported") {
+      delta = BigInt(args.amount);
+    } else if (event.name === "RewardClaimed") {
+      delta = -BigInt(args.amount);
+    } else if (event.name === "EmergencyWithdrawal") {
+      delta = 0n;
+    } else {
+      continue;
+    }
+    if (filter && args.token !== filter) {
+      continue;
+    }
+    outstanding.set(args.token, (outstanding.get(args.token) || 0n) + delta);
+    rows.push({
+      time: event.timestamp,
+      block: event.blockNumber,
+      token: args.token,
+      type: event.name,
+      account: args.user || args.to,
+      requestId: event.requestId || "",
+      amount: args.amount,
+      outstanding: outstanding.get(args.token).toString(),
+      tx: event.transactionHash,
+    });
+  }
+  return rows;
+}
+
+function outstandingFromIndex(index) {
+  const outstanding = new Map();
+  for (const row of tokenLedger(index)) {
+    if (row.token !== ethers.ZeroAddress) {
+      outstanding.set(row.token, BigInt(row.outstanding));
+    }
+  }
+  return outstanding;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const columns = Object.keys(rows[0]);
+  const lines = rows.map((row) => columns.map((column) => csvCell(row[column])).join(","));
+  return `${[columns.join(","), ...lines].join("\n")}\n`;
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  indexPath,
+  emptyIndex,
+  readIndex,
+  writeIndex,
+  buildRequests,
+  syncIndex,
+  userHistory,
+  dailySummary,
+  tokenLedger,
+  outstandingFromIndex,
+  toCsv,
+};
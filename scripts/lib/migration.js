@@ -0,0 +1,286 @@
+const { ethers } = require("hardhat");
+const { ERC20_METADATA_ABI } = require("./tokens");
+
+const FREE_BOX = 0;
+const DEFAULT_BATCH_SIZE = 100;
+
+async function queryChunked(contract, filter, fromBlock, toBlock, chunkSize) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+/**
+ * Snapshot what a deployment owes its users: pending rewards per user and token from
+ * RewardsQueued / RewardsImported minus RewardClaimed (each checked against
+ * pendingRewards), and every FREE open with the fid and nonce decoded from its openBox
+ * calldata. FREE opens sent through another contract cannot be decoded and are listed
+ * in `unresolved`. Amounts are decimal strings so the snapshot can be stored as JSON.
+ */
+async function snapshotMigration(blindBox, { fromBlock = 0, toBlock, chunkSize = 10000 } = {}) {
+  const provider = blindBox.runner.provider;
+  const lastBlock = toBlock ?? (await provider.getBlockNumber());
+  const [queued, imported, claimed, freeOpened] = await Promise.all([
+    queryChunked(blindBox, blindBox.filters.RewardsQueued(), fromBlock, lastBlock, chunkSize),
+    queryChunked(blindBox, blindBox.filters.RewardsImported(), fromBlock, lastBlock, chunkSize),
+    queryChunked(blindBox, blindBox.filters.RewardClaimed(), fromBlock, lastBlock, chunkSize),
+    queryChunked(blindBox, blindBox.filters.BoxOpened(null, null, FREE_BOX), fromBlock, lastBlock, chunkSize),
+  ]);
+
+  const owed = new Map();
+  const add = ({ args }, sign) => {
+    const key = `${ethers.getAddress(args.user)}:${ethers.getAddress(args.token)}`;
+    owed.set(key, (owed.get(key) || 0n) + sign * args.amount);
+  };
+  queued.forEach((event) => add(event, 1n));
+  imported.forEach((event) => add(event, 1n));
+  claimed.forEach((event) => add(event, -1n));
+
+  const rewards = [];
+  const totals = {};
+  for (const key of [...owed.keys()].sort()) {
+    const [user, token] = key.split(":");
+    const amount = owed.get(key);
+    const onChain = await blindBox.pendingRewards(user, token, { blockTag: lastBlock });
+    if (onChain !== amount) {
+      throw new Error(
+        `pendingRewards(${user}, ${token}) is ${onChain} but events add up to ${amount}; ` +
+          "scan from the deployment block"
+      );
+    }
+    if (amount > 0n) {
+      rewards.push({ user, token, amount: amount.toString() });
+      totals[token] = (BigInt(totals[token] || 0) + amount).toString();
+    }
+  }
+
+  const freeOpens = [];
+  const unresolved = [];
+  const address = ethers.getAddress(blindBox.target);
+  for (const event of freeOpened) {
+    const tx = await provider.getTransaction(event.transactionHash);
+    const call =
+      tx.to && ethers.getAddress(tx.to) === address ? blindBox.interface.parseTransaction({ data: tx.data }) : null;
+    if (!call || call.name !== "openBox") {
+      unresolved.push({ user: event.args.user, requestId: event.args.requestId.toString(), tx: event.transactionHash });
+      continue;
+    }
+    const block = await provider.getBlock(event.blockNumber);
+    freeOpens.push({
+      user: ethers.getAddress(event.args.user),
+      fid: call.args.fid.toString(),
+      nonce: call.args.nonce.toString(),
+      openedAt: block.timestamp,
+    });
+  }
+
+  const { chainId } = await provider.getNetwork();
+  return {
+    source: address,
+    chainId: chainId.toString(),
+    fromBlock,
+    toBlock: lastBlock,
+    rewards,
+    totals,
+    freeOpens,
+    unresolved,
+  };
+}
+
+function migrationBatchId(source, index) {
+  return BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [source, index])));
+}
+
+/**
+ * Split a snapshot into importMigrationBatch calls. Batch ids hash the source address
+ * and the batch position, so the same snapshot always yields the same ids.
+ */
+function planBatches(snapshot, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const batches = [];
+  const push = (rewards, freeOpens) => {
+    batches.push({ batchId: migrationBatchId(snapshot.source, batches.length), rewards, freeOpens });
+  };
+  for (let i = 0; i < snapshot.rewards.length; i += batchSize) {
+    push(snapshot.rewards.slice(i, i + batchSize), []);
+  }
+  for (let i = 0; i < snapshot.freeOpens.length; i += batchSize) {
+    push([], snapshot.freeOpens.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Rewards the target credited from `source`'s batches, per token, summed from the RewardsImported
+ * events of their import txs. Batch ids number a source's batches from 0, so there can be no more
+ * of them than MigrationBatchImported events in all.
+ */
+async function importedFromSource(target, source, fromBlock) {
+  const batches = await target.queryFilter(target.filters.MigrationBatchImported(), fromBlock);
+  const ids = new Set(batches.map((_, i) => migrationBatchId(source, i)));
+  const imported = {};
+  for (const batch of batches.filter((event) => ids.has(event.args.batchId))) {
+    const receipt = await batch.getTransactionReceipt();
+    for (const log of receipt.logs) {
+      const parsed = log.address === target.target ? target.interface.parseLog(log) : null;
+      if (parsed && parsed.name === "RewardsImported") {
+        imported[parsed.args.token] = (imported[parsed.args.token] || 0n) + parsed.args.amount;
+      }
+    }
+  }
+  return imported;
+}
+
+/**
+ * Compare the target with a snapshot: per token, the rewards imported from the snapshot's
+ * source must add up to the snapshot total and be covered by the target's balance, and
+ * every imported free open must be marked used with its cooldown in place. Imports are
+ * read from events, as pendingRewards also holds what the target owed before the migration.
+ * Returns { ok, tokens, problems }.
+ */
+async function verifyMigration(target, snapshot, { fromBlock = 0 } = {}) {
+  const problems = [];
+  const imported = await importedFromSource(target, snapshot.source, fromBlock);
+
+  const tokens = [];
+  for (const [token, total] of Object.entries(snapshot.totals)) {
+    const contract = new ethers.Contract(token, ERC20_METADATA_ABI, target.runner);
+    const balance = await contract.balanceOf(target.target);
+    const owed = imported[token] || 0n;
+    tokens.push({ token, expected: BigInt(total), imported: owed, balance });
+    if (owed !== BigInt(total)) {
+      problems.push(`${token}: ${owed} imported on the target, ${total} in the snapshot`);
+    }
+    if (balance < owed) {
+      problems.push(`${token}: target holds ${balance} but owes ${owed}`);
+    }
+  }
+
+  for (const open of snapshot.freeOpens) {
+    const [nonceUsed, fidNonceUsed, lastOpen, lastFidOpen] = await Promise.all([
+      target.usedNonces(open.user, open.nonce),
+      target.usedNoncesByFid(open.fid, open.nonce),
+      target.lastFreeOpenAt(open.user),
+      target.lastFreeOpenAtByFid(open.fid),
+    ]);
+    if (!nonceUsed || !fidNonceUsed || lastOpen < BigInt(open.openedAt) || lastFidOpen < BigInt(open.openedAt)) {
+      problems.push(`free open by ${open.user} (fid ${open.fid}, nonce ${open.nonce}) was not imported`);
+    }
+  }
+  return { ok: problems.length === 0, tokens, problems };
+}
+
+/**
+ * Move a deployment's state to `target`: freeze `source`, snapshot it (unless a stored
+ * `snapshot` is passed), transfer every reward token it holds through emergencyWithdraw,
+ * import the snapshot in batches and verify the result. Every step checks the chain
+ * first, so re-running after an interruption picks up where it stopped. `onSnapshot`
+ * is called with the snapshot before anything is transferred.
+ *
+ * With `dryRun`, nothing is sent and the steps that would run are logged.
+ */
+async function migrate(
+  source,
+  target,
+  { snapshot, fromBlock = 0, batchSize = DEFAULT_BATCH_SIZE, dryRun = false, onSnapshot, log = console.log } = {}
+) {
+  const targetAddress = ethers.getAddress(target.target);
+  if (ethers.getAddress(source.target) === targetAddress) {
+    throw new Error("Source and target are the same contract");
+  }
+
+  if (await source.frozen()) {
+    const successor = await source.successor();
+    if (successor !== targetAddress) {
+      throw new Error(`${source.target} is already frozen with successor ${successor}`);
+    }
+  } else if (dryRun) {
+    log(`Would freeze ${source.target} with successor ${targetAddress}`);
+  } else {
+    const tx = await source.freeze(targetAddress);
+    await tx.wait();
+    log(`Froze ${source.target} (${tx.hash})`);
+  }
+
+  const pending = await source.pendingRequestCount();
+  if (pending > 0n) {
+    const message =
+      `${pending} open(s) are still pending on ${source.target}; wait for their callbacks or cancel them ` +
+      "(blindbox:sweep --older-than 0) before migrating";
+    if (!dryRun) {
+      throw new Error(message);
+    }
+    log(`Warning: ${message}`);
+  }
+
+  const state = snapshot || (await snapshotMigration(source, { fromBlock }));
+  if (state.source !== ethers.getAddress(source.target)) {
+    throw new Error(`Snapshot was taken from ${state.source}, not ${source.target}`);
+  }
+  log(
+    `Snapshot at block ${state.toBlock}: ${state.rewards.length} pending reward(s) over ` +
+      `${Object.keys(state.totals).length} token(s), ${state.freeOpens.length} free open(s)`
+  );
+  if (state.unresolved.length > 0) {
+    log(`Warning: ${state.unresolved.length} free open(s) went through another contract and keep no cooldown`);
+  }
+  if (onSnapshot) {
+    onSnapshot(state);
+  }
+
+  const tokens = new Set([...(await source.getRewardTokens()), ...Object.keys(state.totals)].map(ethers.getAddress));
+  const transfers = [];
+  for (const token of tokens) {
+    const contract = new ethers.Contract(token, ERC20_METADATA_ABI, source.runner);
+    const balance = await contract.balanceOf(source.target);
+    if (balance === 0n) {
+      continue;
+    }
+    transfers.push({ token, amount: balance });
+    if (dryRun) {
+      log(`Would transfer ${balance} of ${token} to ${targetAddress}`);
+      continue;
+    }
+    const tx = await source.emergencyWithdraw(token, targetAddress, balance);
+    await tx.wait();
+    log(`Transferred ${balance} of ${token} (${tx.hash})`);
+  }
+
+  const batches = planBatches(state, { batchSize });
+  let imported = 0;
+  for (const [i, batch] of batches.entries()) {
+    const label = `batch ${i + 1}/${batches.length} (${batch.rewards.length} reward(s), ${batch.freeOpens.length} free open(s))`;
+    if (await target.importedBatches(batch.batchId)) {
+      log(`Skipping ${label}: already imported`);
+      continue;
+    }
+    if (dryRun) {
+      log(`Would import ${label}`);
+      continue;
+    }
+    const tx = await target.importMigrationBatch(batch.batchId, batch.rewards, batch.freeOpens);
+    await tx.wait();
+    imported += 1;
+    log(`Imported ${label} (${tx.hash})`);
+  }
+
+  if (dryRun) {
+    return { snapshot: state, transfers, batches: batches.length, imported, verification: null };
+  }
+  const verification = await verifyMigration(target, state);
+  if (!verification.ok) {
+    throw new Error(`Migration check failed:\n  ${verification.problems.join("\n  ")}`);
+  }
+  log(`Verified: ${verification.tokens.length} token total(s) match and are covered`);
+  return { snapshot: state, transfers, batches: batches.length, imported, verification };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  snapshotMigration,
+  planBatches,
+  verifyMigration,
+  migrate,
+};
@@ -0,0 +1,107 @@
+const { ethers } = require("hardhat");
+
+function proposalStatus(proposal, confirmations, threshold, now) {
+  if (proposal.executed) {
+    return "executed";
+  }
+  if (BigInt(now) >= proposal.expiresAt) {
+    return "expired";
+  }
+  return confirmations >= threshold ? "ready" : "pending";
+}
+
+/**
+ * Human-readable form of proposal calldata, e.g. `setBoxPrice(2, 500000000000000)`,
+ * using the first interface that knows the selector.
+ */
+function describeCall(data, interfaces = []) {
+  if (!data || data === "0x") {
+    return "transfer";
+  }
+  for (const iface of interfaces) {
+    const parsed = iface.parseTransaction({ data });
+    if (parsed) {
+      return `${parsed.name}(${parsed.args.map((arg) => arg.toString()).join(", ")})`;
+    }
+  }
+  return `${data.slice(0, 10)}…`;
+}
+
+async function createProposal(multisig, { to, value = 0n, data = "0x" }) {
+  const receipt = await (await multisig.propose(to, value, data)).wait();
+  for (const log of receipt.logs) {
+    const parsed = multisig.interface.parseLog(log);
+    if (parsed && parsed.name === "ProposalCreated") {
+      return parsed.args.id;
+    }
+  }
+  throw new Error(`No ProposalCreated event in ${receipt.hash}`);
+}
+
+/**
+ * Proposals with their confirmations and status. Executed and expired ones are
+ * left out unless `includeClosed` is set.
+ */
+async function listProposals(multisig, { includeClosed = false, interfaces = [] } = {}) {
+  const provider = multisig.runner.provider;
+  const { timestamp: now } = await provider.getBlock("latest");
+  const [count, threshold, signers] = await Promise.all([
+    multisig.proposalCount(),
+    multisig.threshold(),
+    multisig.getSigners(),
+  ]);
+
+  const proposals = [];
+  for (let id = 0n; id < count; id += 1n) {
+    const proposal = await multisig.getProposal(id);
+    const confirmedBy = [];
+    for (const signer of signers) {
+      if (await multisig.confirmed(id, signer)) {
+        confirmedBy.push(signer);
+      }
+    }
+    const status = proposalStatus(proposal, BigInt(confirmedBy.length), threshold, now);
+    if (!includeClosed && (status === "executed" || status === "expired")) {
+      continue;
+    }
+    proposals.push({
+      id,
+      to: proposal.to,
+      value: proposal.value,
+      data: proposal.data,
+      call: describeCall(proposal.data, interfaces),
+      proposer: proposal.proposer,
+      expiresAt: Number(proposal.expiresAt),
+      confirmations: confirmedBy.length,
+      confirmedBy,
+      threshold: Number(threshold),
+      status,
+    });
+  }
+  return proposals;
+}
+
+/**
+ * Hand BlindBox ownership to the multisig: the current owner starts the two-step
+ * transfer (unless already pending) and a signer proposes `acceptOwnership`.
+ * Returns the proposal id, or null when the multisig already owns BlindBox.
+ */
+async function proposeOwnershipHandover(blindBox, multisig, { owner, signer }) {
+  const target = ethers.getAddress(multisig.target);
+  if ((await blindBox.owner()) === target) {
+    return null;
+  }
+  if ((await blindBox.pendingOwner()) !== target) {
+    await (await blindBox.connect(owner).transferOwnership(target)).wait();
+  }
+  const data = blindBox.interface.encodeFunctionData("acceptOwnership");
+  return createProposal(multisig.connect(signer), { to: blindBox.target, data });
+}
+
+module.exports = {
+  proposalStatus,
+  describeCall,
+  createProposal,
+  listProposals,
+  proposeOwnershipHandover,
+};
@@ -0,0 +1,110 @@
+const { ethers } = require("hardhat");
+
+const ERC721_INTERFACE_ID = "0x80ac58cd";
+const ERC1155_INTERFACE_ID = "0xd9b67a26";
+const DEFAULT_BATCH_SIZE = 50;
+
+const NFT_ABI = [
+  "function supportsInterface(bytes4) view returns (bool)",
+  "function isApprovedForAll(address, address) view returns (bool)",
+  "function setApprovalForAll(address, bool)",
+];
+
+/** "erc721" or "erc1155", from the contract's ERC-165 interfaces. */
+async function nftStandard(address, runner = ethers.provider) {
+  const nft = new ethers.Contract(address, NFT_ABI, runner);
+  const supports = (interfaceId) => nft.supportsInterface(interfaceId).catch(() => false);
+  if (await supports(ERC721_INTERFACE_ID)) {
+    return "erc721";
+  }
+  if (await supports(ERC1155_INTERFACE_ID)) {
+    return "erc1155";
+  }
+  throw new Error(`${address} supports neither ERC-721 nor ERC-1155`);
+}
+
+/**
+ * Prizes for `ids` of one NFT contract: an ERC-721 id is one prize, an ERC-1155 id
+ * becomes `copies` prizes of `amount` units each.
+ */
+async function buildPrizes(address, ids, { amount = 1n, copies = 1, runner } = {}) {
+  const standard = await nftStandard(address, runner);
+  const token = ethers.getAddress(address);
+  if (standard === "erc721") {
+    return ids.map((id) => ({ token, amount: 0n, id: BigInt(id) }));
+  }
+  if (BigInt(amount) < 1n) {
+    throw new Error("ERC-1155 prizes need an amount of at least 1");
+  }
+  return ids.flatMap((id) => Array.from({ length: copies }, () => ({ token, amount: BigInt(amount), id: BigInt(id) })));
+}
+
+/**
+ * Approve BlindBox for every NFT contract in `prizes` that it cannot move yet, then
+ * deposit the prizes into `boxType`'s inventory in batches of `batchSize`.
+ * Returns the deposit receipts.
+ */
+async function stockInventory(
+  blindBox,
+  boxType,
+  prizes,
+  { batchSize = DEFAULT_BATCH_SIZE, log = console.log } = {}
+) {
+  const owner = blindBox.runner;
+  const ownerAddress = await owner.getAddress();
+  for (const token of new Set(prizes.map((prize) => prize.token))) {
+    const nft = new ethers.Contract(token, NFT_ABI, owner);
+    if (await nft.isApprovedForAll(ownerAddress, blindBox.target)) {
+      continue;
+    }
+    const tx = await nft.setApprovalForAll(blindBox.target, true);
+    await tx.wait();
+    log(`Approved BlindBox for ${token} (${tx.hash})`);
+  }
+
+  const receipts = [];
+  for (let i = 0; i < prizes.length; i += batchSize) {
+    const batch = prizes.slice(i, i + batchSize);
+    const tx = await blindBox.depositNfts(boxType, batch);
+    receipts.push(await tx.wait());
+    log(`Deposited ${batch.length} prize(s) into box ${boxType} (${tx.hash})`);
+  }
+  return receipts;
+}
+
+async function readInventory(blindBox, boxType) {
+  const [inventory, chanceBps] = await Promise.all([blindBox.getNftInventory(boxType), blindBox.nftChanceBps(boxType)]);
+  return {
+    boxType,
+    chanceBps: Number(chanceBps),
+    prizes: inventory.map((prize, index) => ({ index, token: prize.token, id: prize.id, amount: prize.amount })),
+  };
+}
+
+/**
+ * Inventory indexes holding the given token ids (every copy of an ERC-1155 id), in the
+ * descending order withdrawNfts expects.
+ */
+async function findInventoryIndexes(blindBox, boxType, token, ids) {
+  const wanted = new Set(ids.map((id) => BigInt(id)));
+  const { prizes } = await readInventory(blindBox, boxType);
+  return prizes
+    .filter((prize) => prize.token.toLowerCase() === token.toLowerCase() && wanted.has(prize.id))
+    .map((prize) => prize.index)
+    .sort((a, b) => b - a);
+}
+
+function formatPrize(prize) {
+  return prize.amount === 0n ? `${prize.token} #${prize.id}` : `${prize.amount} x ${prize.token} #${prize.id}`;
+}
+
+module.exports = {
+  ERC721_INTERFACE_ID,
+  ERC1155_INTERFACE_ID,
+  nftStandard,
+  buildPrizes,
+  stockInventory,
+  readInventory,
+  findInventoryIndexes,
+  formatPrize,
+};
@@ -0,0 +1,58 @@
+// Order of BlindBox's OpenStatus enum
+const OPEN_STATUS = ["none", "pending", "fulfilled", "canceled"];
+
+function toOpenResult(requestId, raw) {
+  return {
+    requestId: BigInt(requestId),
+    status: OPEN_STATUS[Number(raw.status)],
+    user: raw.user,
+    boxType: Number(raw.boxType),
+    quantity: Number(raw.quantity),
+    openedAt: Number(raw.openedAt),
+    rewards: raw.tokens.map((token, index) => ({ token, amount: raw.amounts[index] })),
+  };
+}
+
+/** The outcome of one request from getOpenResult, or null for a request id BlindBox never saw. */
+async function readOpenResult(blindBox, requestId) {
+  const raw = await blindBox.getOpenResult(requestId);
+  return Number(raw.status) === 0 ? null : toOpenResult(requestId, raw);
+}
+
+/** Rewards of a fulfilled request grouped per box; a single open gives one group. */
+function boxRewards(result) {
+  if (result.rewards.length === 0) {
+    return [];
+  }
+  const perBox = result.rewards.length / result.quantity;
+  return Array.from({ length: result.quantity }, (_, box) => result.rewards.slice(box * perBox, (box + 1) * perBox));
+}
+
+/** One page of a user's request ids, oldest first. */
+async function readRequestIds(blindBox, user, { offset = 0, limit = 50 } = {}) {
+  const [requestIds, total] = await blindBox.getUserRequestIds(user, offset, limit);
+  return { requestIds: [...requestIds], total: Number(total) };
+}
+
+/**
+ * A user's requests newest first, `limit` at a time. Pass the returned `cursor` back
+ * to get the next older page; it is null once the oldest request was returned.
+ */
+async function readOpenHistory(blindBox, user, { limit = 20, cursor } = {}) {
+  const end = cursor ?? (await readRequestIds(blindBox, user, { limit: 0 })).total;
+  const start = Math.max(end - limit, 0);
+  const { requestIds, total } = await readRequestIds(blindBox, user, { offset: start, limit: end - start });
+  const results = [];
+  for (const requestId of requestIds.reverse()) {
+    results.push(toOpenResult(requestId, await blindBox.getOpenResult(requestId)));
+  }
+  return { results, total, cursor: start > 0 ? start : null };
+}
+
+module.exports = {
+  OPEN_STATUS,
+  readOpenResult,
+  boxRewards,
+  readRequestIds,
+  readOpenHistory,
+};
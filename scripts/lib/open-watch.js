@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const { ethers } = require("hardhat");
+const { boxRewards, readOpenResult } = require("./open-history");
+
+const COORDINATOR_EVENTS_ABI = [
+  "event RandomWordsFulfilled(uint256 indexed requestId, uint256 outputSeed, uint256 indexed subId, uint96 payment, bool nativePayment, bool success, bool onlyPremium)",
+];
+
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function isLocalChain(provider = ethers.provider) {
+  const { chainId } = await provider.getNetwork();
+  return LOCAL_CHAIN_IDS.includes(chainId);
+}
+
+function randomWord() {
+  return BigInt(`0x${crypto.randomBytes(32).toString("hex")}`);
+}
+
+function parseRewards(receipt, blindBox, user) {
+  const address = blindBox.target.toLowerCase();
+  const rewards = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) {
+      continue;
+    }
+    const parsed = blindBox.interface.parseLog(log);
+    if (parsed && parsed.name === "RewardsQueued" && parsed.args.user.toLowerCase() === user.toLowerCase()) {
+      rewards.push({ token: parsed.args.token, amount: parsed.args.amount });
+    }
+  }
+  return rewards;
+}
+
+/**
+ * Rewards of each box a request paid for, from BatchBoxRewarded; a single open has no
+ * such events, so all of its rewards are box 0.
+ */
+function parseBoxRewards(receipt, blindBox, requestId, rewards) {
+  const address = blindBox.target.toLowerCase();
+  const boxes = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) {
+      continue;
+    }
+    const parsed = blindBox.interface.parseLog(log);
+    if (parsed && parsed.name === "BatchBoxRewarded" && parsed.args.requestId === BigInt(requestId)) {
+      boxes.push({
+        boxIndex: Number(parsed.args.boxIndex),
+        rewards: parsed.args.tokens.map((token, i) => ({ token, amount: parsed.args.amounts[i] })),
+      });
+    }
+  }
+  return boxes.length > 0 ? boxes : [{ boxIndex: 0, rewards }];
+}
+
+function fulfilledResult(receipt, blindBox, requestId, user) {
+  const rewards = parseRewards(receipt, blindBox, user);
+  return {
+    status: "fulfilled",
+    rewards,
+    boxes: parseBoxRewards(receipt, blindBox, requestId, rewards),
+    txHash: receipt.hash,
+  };
+}
+
+/**
+ * A fulfilled request's rewards from getOpenResult, for coordinators that do not emit
+ * RandomWordsFulfilled. The fulfillment tx is unknown then; so are the rewards when the
+ * BlindBox has no getOpenResult, which leaves `rewards` and `boxes` null.
+ */
+async function recordedResult(blindBox, requestId) {
+  const unknown = { status: "fulfilled", rewards: null, boxes: null, txHash: null };
+  let result;
+  try {
+    result = await readOpenResult(blindBox, requestId);
+  } catch {
+    return unknown;
+  }
+  if (!result || result.status !== "fulfilled") {
+    return unknown;
+  }
+  return {
+    status: "fulfilled",
+    rewards: result.rewards,
+    boxes: boxRewards(result).map((rewards, boxIndex) => ({ boxIndex, rewards })),
+    txHash: null,
+  };
+}
+
+async function findFulfillmentLog(coordinatorAddress, requestId, fromBlock, provider) {
+  const coordinator = new ethers.Contract(coordinatorAddress, COORDINATOR_EVENTS_ABI, provider);
+  const logs = await coordinator.queryFilter(coordinator.filters.RandomWordsFulfilled(requestId), fromBlock);
+  return logs.length > 0 ? logs[logs.length - 1] : null;
+}
+
+/**
+ * Follow an open until it is fulfilled, canceled or the timeout expires.
+ * Resolves to { status, rewards, txHash } where status is one of
+ * "fulfilled", "canceled", "failed" or "timeout"; a fulfilled open also has
+ * `boxes`, the rewards of each box it paid for. When the coordinator does not log the
+ * fulfillment, `txHash` is null, and `rewards` and `boxes` are null if BlindBox cannot tell them.
+ * With `autoFulfill`, a request still pending after `autoFulfillDelayMs` is
+ * fulfilled through MockVRFCoordinator.
+ */
+async function watchOpen({
+  blindBox,
+  requestId,
+  user,
+  fromBlock,
+  timeoutMs = 300_000,
+  pollIntervalMs = 4_000,
+  autoFulfill = false,
+  autoFulfillDelayMs = 0,
+  onPending,
+}) {
+  const provider = blindBox.runner.provider;
+  const deadline = Date.now() + timeoutMs;
+  const pending = await blindBox.pendingOpens(requestId);
+  const coordinatorAddress =
+    pending.user !== ethers.ZeroAddress ? pending.coordinator : await blindBox.vrfCoordinator();
+
+  const fulfillAt = Date.now() + autoFulfillDelayMs;
+
+  for (;;) {
+    if (autoFulfill && Date.now() >= fulfillAt) {
+      autoFulfill = false;
+      if ((await blindBox.pendingOpens(requestId)).user !== ethers.ZeroAddress) {
+        const mock = await ethers.getContractAt("MockVRFCoordinator", coordinatorAddress);
+        await (await mock.fulfillRandomWords(blindBox.target, requestId, randomWord())).wait();
+      }
+    }
+
+    const canceled = await blindBox.queryFilter(blindBox.filters.PendingOpenCanceled(requestId), fromBlock);
+    if (canceled.length > 0) {
+      return { status: "canceled", rewards: [], txHash: canceled[0].transactionHash };
+    }
+
+    const current = await blindBox.pendingOpens(requestId);
+    const fulfillment = await findFulfillmentLog(coordinatorAddress, requestId, fromBlock, provider);
+
+    if (current.user === ethers.ZeroAddress) {
+      if (fulfillment) {
+        const receipt = await provider.getTransactionReceipt(fulfillment.transactionHash);
+        return fulfilledResult(receipt, blindBox, requestId, user);
+      }
+      // Coordinator without the fulfillment event: the user's reward events cannot be told apart
+      // between their opens, so read this request's rewards from BlindBox instead.
+      return recordedResult(blindBox, requestId);
+    } else if (fulfillment && fulfillment.args.success === false) {
+      // The coordinator consumed the request but the callback reverted, so it will never be fulfilled.
+      return { status: "failed", rewards: [], txHash: fulfillment.transactionHash };
+    }
+
+    if (Date.now() >= deadline) {
+      return { status: "timeout", rewards: [], txHash: null };
+    }
+    if (onPending) {
+      onPending(Math.max(0, deadline - Date.now()));
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+module.exports = {
+  COORDINATOR_EVENTS_ABI,
+  isLocalChain,
+  parseRewards,
+  parseBoxRewards,
+  watchOpen,
+};
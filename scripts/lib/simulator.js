@@ -0,0 +1,332 @@
+const crypto = require("crypto");
+const { ethers } = require("hardhat");
+const { boxNames } = require("./catalog");
+const { scaleRangeToToken } = require("./tokens");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const DEFAULT_WEIGHT = 100n;
+// Pools with more possible reward sets than this get sampled odds instead of exact ones
+const MAX_ENUMERATED_SETS = 50000;
+const ODDS_SAMPLES = 20000;
+
+// keccak256(abi.encode(randomWord, requestId, i, tag)) as in rawFulfillRandomWords / _randomAmount
+function derive(randomWord, requestId, index, tag) {
+  return BigInt(
+    ethers.keccak256(coder.encode(["uint256", "uint256", "uint256", "string"], [randomWord, requestId, index, tag]))
+  );
+}
+
+/**
+ * Index a normalized catalog (loadCatalog or readOnchainConfig output) by box type.
+ * A box is weighted, like weightedTokenCount on chain, once any of its ranges sets a
+ * weight or tier. Tokens missing from catalog.tokenDecimals are taken to have 18.
+ */
+function buildModel(catalog) {
+  const names = boxNames(catalog);
+  const boxes = {};
+  for (const config of catalog.boxConfigs) {
+    const price = catalog.boxPrices.find((entry) => entry.boxType === config.boxType);
+    boxes[config.boxType] = {
+      name: names[config.boxType] || String(config.boxType),
+      config,
+      priceWei: price ? price.priceWei : 0n,
+      ranges: new Map(),
+      tiers: new Map(),
+      weighted: false,
+    };
+  }
+  for (const tier of catalog.rarityTiers || []) {
+    if (boxes[tier.boxType]) {
+      boxes[tier.boxType].tiers.set(tier.tier, tier);
+    }
+  }
+  for (const range of catalog.tokenRanges) {
+    const box = boxes[range.boxType];
+    if (box && (range.enabled || range.weight || range.tier)) {
+      box.ranges.set(range.token.toLowerCase(), range);
+      box.weighted = box.weighted || Boolean(range.weight || range.tier);
+    }
+  }
+  const decimals = new Map(
+    Object.entries(catalog.tokenDecimals || {}).map(([token, value]) => [token.toLowerCase(), value])
+  );
+  return { rewardTokens: [...catalog.rewardTokens], decimals, boxes };
+}
+
+function enabledTier(box, range) {
+  const tier = range && range.tier ? box.tiers.get(range.tier) : undefined;
+  return tier && tier.enabled ? tier : undefined;
+}
+
+function decimalsOf(model, token) {
+  return model.decimals.get(token.toLowerCase()) ?? 18;
+}
+
+// Per-token range, else its tier's range, else the box config scaled to the token (as _resolveRange)
+function resolveRange(model, box, token) {
+  const own = box.ranges.get(token.toLowerCase());
+  let range = own && own.enabled ? own : enabledTier(box, own) || box.config;
+  if (range !== own) {
+    range = scaleRangeToToken(range, decimalsOf(model, token));
+  }
+  if (range.maxAmount < range.minAmount) {
+    throw new Error(`INVALID_TOKEN_RANGE for ${token}`);
+  }
+  return range;
+}
+
+// Own weight, else its tier's weight, else DEFAULT_WEIGHT (as _tokenWeight)
+function tokenWeight(box, token) {
+  const range = box.ranges.get(token.toLowerCase());
+  if (range && range.weight) {
+    return BigInt(range.weight);
+  }
+  const tier = enabledTier(box, range);
+  return tier && tier.weight ? BigInt(tier.weight) : DEFAULT_WEIGHT;
+}
+
+function boxFor(model, boxType) {
+  const box = model.boxes[boxType];
+  if (!box) {
+    throw new Error(`No box config for box type ${boxType}`);
+  }
+  if (box.config.numTokensToReward > model.rewardTokens.length) {
+    throw new Error(`NOT_ENOUGH_TOKENS for ${box.name}`);
+  }
+  return box;
+}
+
+/**
+ * Rewards the contract would queue when `requestId` for `boxType` is fulfilled with `randomWord`.
+ */
+function rollRewards(model, boxType, randomWord, requestId) {
+  const box = boxFor(model, boxType);
+  const pool = [...model.rewardTokens];
+  let remaining = pool.length;
+  const rewards = [];
+  const weights = box.weighted ? pool.map((token) => tokenWeight(box, token)) : null;
+  let totalWeight = weights ? weights.reduce((sum, weight) => sum + weight, 0n) : 0n;
+
+  for (let i = 0; i < box.config.numTokensToReward; i += 1) {
+    const roll = derive(randomWord, requestId, i, "token");
+    let idx;
+    if (!weights) {
+      idx = Number(roll % BigInt(remaining));
+    } else {
+      // First index whose cumulative weight exceeds the target, then swap-remove like the pool
+      const target = roll % totalWeight;
+      let cumulative = weights[0];
+      idx = 0;
+      while (target >= cumulative) {
+        idx += 1;
+        cumulative += weights[idx];
+      }
+      totalWeight -= weights[idx];
+      weights[idx] = weights[remaining - 1];
+      weights[remaining - 1] = 0n;
+    }
+    const token = pool[idx];
+    pool[idx] = pool[remaining - 1];
+    remaining -= 1;
+
+    const { minAmount, maxAmount } = resolveRange(model, box, token);
+    const amount = minAmount + (derive(randomWord, requestId, i, "amount") % (maxAmount - minAmount + 1n));
+    rewards.push({ token, amount });
+  }
+  return rewards;
+}
+
+// Word box `index` of an openBoxes batch rolls from: the VRF word for the first box,
+// keccak256(abi.encode(word, index, "box")) after it (as rawFulfillRandomWords)
+function boxWord(randomWord, index) {
+  if (index === 0) {
+    return BigInt(randomWord);
+  }
+  return BigInt(ethers.keccak256(coder.encode(["uint256", "uint16", "string"], [randomWord, index, "box"])));
+}
+
+/**
+ * Rewards of each box in an openBoxes batch of `quantity` fulfilled with `randomWord`,
+ * one array per box in BatchBoxRewarded order.
+ */
+function rollBatchRewards(model, boxType, randomWord, requestId, quantity) {
+  return Array.from({ length: quantity }, (_, index) =>
+    rollRewards(model, boxType, boxWord(randomWord, index), requestId)
+  );
+}
+
+function randomWord() {
+  return BigInt(`0x${crypto.randomBytes(32).toString("hex")}`);
+}
+
+// Deterministic word source for reproducible runs.
+function seededWords(seed) {
+  let state = ethers.id(String(seed));
+  return () => {
+    state = ethers.keccak256(state);
+    return BigInt(state);
+  };
+}
+
+function combinations(n, k) {
+  let total = 1;
+  for (let i = 0; i < k; i += 1) {
+    total = (total * (n - i)) / (i + 1);
+  }
+  return total;
+}
+
+/**
+ * Probability of each reward token being among the rewards of one `boxType` open under
+ * the weighted draw without replacement. Exact for uniform boxes and for pools small
+ * enough to enumerate, sampled otherwise. Returns [{ token, weight, firstDraw, inOpen }]
+ * with probabilities as numbers in [0, 1].
+ */
+function tokenOdds(model, boxType) {
+  const box = boxFor(model, boxType);
+  const weights = model.rewardTokens.map((token) => (box.weighted ? tokenWeight(box, token) : DEFAULT_WEIGHT));
+  const total = weights.reduce((sum, weight) => sum + weight, 0n);
+  const picks = box.config.numTokensToReward;
+  const n = weights.length;
+  let inOpen;
+
+  if (!box.weighted) {
+    inOpen = weights.map(() => picks / n);
+  } else if (combinations(n, picks) <= MAX_ENUMERATED_SETS) {
+    // Probability of reaching each set of picked tokens, one draw at a time
+    inOpen = weights.map(() => 0);
+    let level = new Map([[0n, { taken: [], left: total, probability: 1 }]]);
+    for (let draw = 0; draw < picks; draw += 1) {
+      const next = new Map();
+      for (const [mask, state] of level) {
+        weights.forEach((weight, idx) => {
+          const bit = 1n << BigInt(idx);
+          if ((mask & bit) !== 0n) {
+            return;
+          }
+          const probability = (state.probability * Number(weight)) / Number(state.left);
+          const key = mask | bit;
+          const entry = next.get(key) || { taken: [...state.taken, idx], left: state.left - weight, probability: 0 };
+          entry.probability += probability;
+          next.set(key, entry);
+        });
+      }
+      level = next;
+    }
+    for (const { taken, probability } of level.values()) {
+      taken.forEach((idx) => {
+        inOpen[idx] += probability;
+      });
+    }
+  } else {
+    const counts = new Map(model.rewardTokens.map((token) => [token, 0]));
+    const words = seededWords(`odds:${boxType}`);
+    for (let i = 0; i < ODDS_SAMPLES; i += 1) {
+      for (const { token } of rollRewards(model, boxType, words(), BigInt(i))) {
+        counts.set(token, counts.get(token) + 1);
+      }
+    }
+    inOpen = model.rewardTokens.map((token) => counts.get(token) / ODDS_SAMPLES);
+  }
+
+  return model.rewardTokens.map((token, i) => ({
+    token,
+    weight: weights[i],
+    firstDraw: Number(weights[i]) / Number(total),
+    inOpen: inOpen[i],
+  }));
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function runwayDays(balance, perDay) {
+  if (balance === undefined) {
+    return null;
+  }
+  return perDay === 0n ? Infinity : Number((balance * 1000n) / perDay) / 1000;
+}
+
+/**
+ * Monte Carlo over `runs` simulated days with a fixed number of opens per box type.
+ *
+ * `treasury` maps token -> balance for runway; `tokenValues` maps token -> native wei per
+ * whole token (10^decimals base units) so payouts can be compared with box revenue.
+ */
+function simulate(catalog, { opensPerDay, runs = 200, treasury = {}, tokenValues, random = randomWord }) {
+  const model = buildModel(catalog);
+  const mix = Object.entries(opensPerDay)
+    .map(([boxType, opens]) => [Number(boxType), opens])
+    .filter(([, opens]) => opens > 0);
+  for (const [boxType, opens] of mix) {
+    if (!Number.isInteger(opens)) {
+      throw new Error(`Opens per day for box ${boxType} must be an integer`);
+    }
+    const box = boxFor(model, boxType);
+    if (!box.config.enabled) {
+      throw new Error(`Box ${box.name} is disabled but has ${opens} opens per day`);
+    }
+  }
+
+  const lookup = (map, token) => {
+    const key = Object.keys(map || {}).find((candidate) => candidate.toLowerCase() === token.toLowerCase());
+    return key === undefined ? undefined : BigInt(map[key]);
+  };
+
+  const daily = new Map(model.rewardTokens.map((token) => [token, []]));
+  const dailyValue = [];
+  for (let run = 0; run < runs; run += 1) {
+    const totals = new Map(model.rewardTokens.map((token) => [token, 0n]));
+    for (const [boxType, opens] of mix) {
+      for (let n = 0; n < opens; n += 1) {
+        for (const { token, amount } of rollRewards(model, boxType, random(), random())) {
+          totals.set(token, totals.get(token) + amount);
+        }
+      }
+    }
+    let value = 0n;
+    for (const [token, amount] of totals) {
+      daily.get(token).push(amount);
+      value += (amount * (lookup(tokenValues, token) || 0n)) / 10n ** BigInt(decimalsOf(model, token));
+    }
+    dailyValue.push(value);
+  }
+
+  const sortBig = (values) => [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length);
+
+  const tokens = model.rewardTokens.map((token) => {
+    const values = daily.get(token);
+    const expected = mean(values);
+    const p99 = percentile(sortBig(values), 0.99);
+    const balance = lookup(treasury, token);
+    return {
+      token,
+      expected,
+      p99,
+      treasury: balance === undefined ? null : balance,
+      runwayDays: runwayDays(balance, expected),
+      p99RunwayDays: runwayDays(balance, p99),
+    };
+  });
+
+  const revenuePerDay = mix.reduce((sum, [boxType, opens]) => sum + model.boxes[boxType].priceWei * BigInt(opens), 0n);
+  const payoutValue = tokenValues
+    ? { expected: mean(dailyValue), p99: percentile(sortBig(dailyValue), 0.99) }
+    : null;
+
+  const odds = Object.fromEntries(mix.map(([boxType]) => [boxType, tokenOdds(model, boxType)]));
+
+  return { runs, opensPerDay: Object.fromEntries(mix), revenuePerDay, payoutValue, tokens, odds };
+}
+
+module.exports = {
+  buildModel,
+  rollRewards,
+  boxWord,
+  rollBatchRewards,
+  tokenOdds,
+  seededWords,
+  simulate,
+};
@@ -0,0 +1,157 @@
+const { ethers } = require("hardhat");
+const { findStaleRequests } = require("./sweeper");
+const { ERC20_METADATA_ABI, scaleToToken } = require("./tokens");
+
+async function queryChunked(contract, filter, fromBlock, toBlock, chunkSize) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+/**
+ * Outstanding pendingRewards per token: everything queued or imported by a migration
+ * minus everything claimed.
+ */
+async function liabilitiesFromEvents(blindBox, { fromBlock = 0, toBlock, chunkSize = 10000 } = {}) {
+  const lastBlock = toBlock ?? (await blindBox.runner.provider.getBlockNumber());
+  const [queued, imported, claimed] = await Promise.all([
+    queryChunked(blindBox, blindBox.filters.RewardsQueued(), fromBlock, lastBlock, chunkSize),
+    queryChunked(blindBox, blindBox.filters.RewardsImported(), fromBlock, lastBlock, chunkSize),
+    queryChunked(blindBox, blindBox.filters.RewardClaimed(), fromBlock, lastBlock, chunkSize),
+  ]);
+
+  const outstanding = new Map();
+  const add = (token, amount) => {
+    const key = ethers.getAddress(token);
+    outstanding.set(key, (outstanding.get(key) || 0n) + amount);
+  };
+  queued.forEach((event) => add(event.args.token, event.args.amount));
+  imported.forEach((event) => add(event.args.token, event.args.amount));
+  claimed.forEach((event) => add(event.args.token, -event.args.amount));
+  return { outstanding, toBlock: lastBlock };
+}
+
+/**
+ * Largest amount one open of `boxType` can pay per token, in the token's base units: the
+ * token range, else an enabled rarity tier, else the box config range.
+ */
+async function maxRewardForBox(blindBox, boxType, tokens, config) {
+  const boxConfig = config || (await blindBox.getBoxConfig(boxType));
+  const max = new Map();
+  for (const token of tokens) {
+    const range = await blindBox.getTokenRange(boxType, token);
+    const tier = range.enabled || range.tier === 0n ? null : await blindBox.getRarityTier(boxType, range.tier);
+    if (range.enabled) {
+      max.set(ethers.getAddress(token), range.maxAmount);
+      continue;
+    }
+    const fallback = tier && tier.enabled ? tier.maxAmount : boxConfig.maxAmount;
+    max.set(ethers.getAddress(token), scaleToToken(fallback, Number(await blindBox.rewardTokenDecimals(token))));
+  }
+  return max;
+}
+
+/**
+ * Largest amount one open of each enabled box can pay per token (token range, or the box
+ * config range for tokens without an enabled range).
+ */
+async function maxRewardPerOpen(blindBox, tokens) {
+  const max = new Map(tokens.map((token) => [ethers.getAddress(token), 0n]));
+  const boxTypeCount = Number(await blindBox.boxTypeCount());
+  for (let boxType = 0; boxType < boxTypeCount; boxType += 1) {
+    const config = await blindBox.getBoxConfig(boxType);
+    if (!config.enabled || config.numTokensToReward === 0n) {
+      continue;
+    }
+    for (const [token, amount] of await maxRewardForBox(blindBox, boxType, [...max.keys()], config)) {
+      if (amount > max.get(token)) {
+        max.set(token, amount);
+      }
+    }
+  }
+  return max;
+}
+
+/**
+ * Boxes held by pending requests: each openBoxes request counts its quantity. Requests
+ * opened before `fromBlock` are not found by the event scan, so each of those counts
+ * as a full batch of maxOpenQuantity.
+ */
+async function pendingBoxCount(blindBox, { fromBlock = 0, chunkSize } = {}) {
+  const pendingRequestCount = await blindBox.pendingRequestCount();
+  if (pendingRequestCount === 0n) {
+    return 0n;
+  }
+  const pending = await findStaleRequests(blindBox, { fromBlock, olderThan: 0, chunkSize });
+  const found = pending.reduce((sum, request) => sum + BigInt(request.quantity), 0n);
+  const missing = pendingRequestCount - BigInt(pending.length);
+  return found + (missing > 0n ? missing * (await blindBox.maxOpenQuantity()) : 0n);
+}
+
+function ratio(balance, owed) {
+  return owed === 0n ? Infinity : Number((balance * 10000n) / owed) / 10000;
+}
+
+/**
+ * Compare outstanding liabilities (and the worst case of in-flight opens, per pending
+ * box) with each reward token's balance held by the contract.
+ *
+ * `liabilities` may be passed in (e.g. from an index) instead of scanning events.
+ * With `includeInflight`, the threshold applies to coverage including in-flight exposure.
+ */
+async function checkSolvency(
+  blindBox,
+  { fromBlock = 0, toBlock, chunkSize, liabilities, threshold = 1, includeInflight = false } = {}
+) {
+  const provider = blindBox.runner.provider;
+  const rewardTokens = [...(await blindBox.getRewardTokens())];
+  const scanned = liabilities
+    ? { outstanding: liabilities, toBlock }
+    : await liabilitiesFromEvents(blindBox, { fromBlock, toBlock, chunkSize });
+
+  // Tokens removed from rewardTokens can still be owed.
+  const tokens = [...new Set([...rewardTokens.map((t) => ethers.getAddress(t)), ...scanned.outstanding.keys()])];
+  const pendingRequestCount = await blindBox.pendingRequestCount();
+  const pendingBoxes = await pendingBoxCount(blindBox, { fromBlock, chunkSize });
+  const maxPerOpen = await maxRewardPerOpen(blindBox, rewardTokens);
+
+  const rows = [];
+  for (const token of tokens) {
+    const balance = await new ethers.Contract(token, ERC20_METADATA_ABI, provider).balanceOf(blindBox.target);
+    const outstanding = scanned.outstanding.get(token) || 0n;
+    const inflight = pendingBoxes * (maxPerOpen.get(token) || 0n);
+    const coverage = ratio(balance, outstanding);
+    const coverageWithInflight = ratio(balance, outstanding + inflight);
+    rows.push({
+      token,
+      balance,
+      outstanding,
+      inflight,
+      coverage,
+      coverageWithInflight,
+      ok: (includeInflight ? coverageWithInflight : coverage) >= threshold,
+    });
+  }
+
+  return {
+    address: blindBox.target,
+    toBlock: scanned.toBlock,
+    pendingRequestCount,
+    pendingBoxes,
+    threshold,
+    includeInflight,
+    ok: rows.every((row) => row.ok),
+    tokens: rows,
+  };
+}
+
+module.exports = {
+  liabilitiesFromEvents,
+  maxRewardForBox,
+  maxRewardPerOpen,
+  pendingBoxCount,
+  checkSolvency,
+};
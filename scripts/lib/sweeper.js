@@ -0,0 +1,67 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Requests from BoxOpened events that still have a pendingOpens entry and were
+ * opened at least `olderThan` seconds ago (defaults to the contract's reclaimTimeout).
+ */
+async function findStaleRequests(blindBox, { fromBlock = 0, toBlock, olderThan, chunkSize = 10000 } = {}) {
+  const provider = blindBox.runner.provider;
+  const lastBlock = toBlock ?? (await provider.getBlockNumber());
+  const age = BigInt(olderThan ?? (await blindBox.reclaimTimeout()));
+  const { timestamp: now } = await provider.getBlock(lastBlock);
+
+  const opened = [];
+  for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    opened.push(...(await blindBox.queryFilter(blindBox.filters.BoxOpened(), start, end)));
+  }
+
+  const stale = [];
+  for (const event of opened) {
+    const { requestId } = event.args;
+    const pending = await blindBox.pendingOpens(requestId);
+    if (pending.user === ethers.ZeroAddress) {
+      continue;
+    }
+    const waited = BigInt(now) - pending.openedAt;
+    if (waited >= age) {
+      stale.push({
+        requestId,
+        user: pending.user,
+        boxType: Number(pending.boxType),
+        quantity: Number(pending.quantity),
+        coordinator: pending.coordinator,
+        openedAt: Number(pending.openedAt),
+        pricePaid: pending.pricePaid,
+        waited: Number(waited),
+        openedTx: event.transactionHash,
+      });
+    }
+  }
+  return stale;
+}
+
+/**
+ * Cancel (and refund) stale requests through cancelPendingOpens in batches.
+ * Returns the receipts of the sent transactions.
+ */
+async function sweepStale(blindBox, stale, { batchSize = 50, log = console.log } = {}) {
+  const receipts = [];
+  for (let i = 0; i < stale.length; i += batchSize) {
+    const batch = stale.slice(i, i + batchSize).map((request) => request.requestId);
+    const tx = await blindBox.cancelPendingOpens(batch);
+    const receipt = await tx.wait();
+    const refunded = receipt.logs
+      .map((entry) => blindBox.interface.parseLog(entry))
+      .filter((parsed) => parsed && parsed.name === "OpenRefunded");
+    const total = refunded.reduce((sum, parsed) => sum + parsed.args.amount, 0n);
+    log(`Canceled ${batch.length} request(s), refunded ${ethers.formatEther(total)} (${tx.hash})`);
+    receipts.push(receipt);
+  }
+  return receipts;
+}
+
+module.exports = {
+  findStaleRequests,
+  sweepStale,
+};
@@ -0,0 +1,61 @@
+const { ethers } = require("hardhat");
+
+const ERC20_METADATA_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+];
+
+const cache = new Map();
+
+async function tokenInfo(address, provider = ethers.provider) {
+  const key = address.toLowerCase();
+  if (!cache.has(key)) {
+    const token = new ethers.Contract(address, ERC20_METADATA_ABI, provider);
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => address.slice(0, 10)),
+      token.decimals().catch(() => 18n),
+    ]);
+    cache.set(key, { address: ethers.getAddress(address), symbol, decimals: Number(decimals) });
+  }
+  return cache.get(key);
+}
+
+// An amount of box config or rarity tier range (whole tokens with 18 decimals) in base
+// units of a token with `decimals`, rounded down, or up with `roundUp`
+function scaleToToken(amount, decimals, roundUp = false) {
+  if (decimals >= 18) {
+    return amount * 10n ** BigInt(decimals - 18);
+  }
+  const divisor = 10n ** BigInt(18 - decimals);
+  return roundUp ? (amount + divisor - 1n) / divisor : amount / divisor;
+}
+
+// A box config or rarity tier range in base units of a token with `decimals`, like BlindBox's
+// _scaleToToken: min rounds up and max down, so a range under one base unit comes out inverted
+function scaleRangeToToken({ minAmount, maxAmount }, decimals) {
+  return { minAmount: scaleToToken(minAmount, decimals, true), maxAmount: scaleToToken(maxAmount, decimals) };
+}
+
+// decimals() of `address`, or null when it has no code or no decimals()
+async function readDecimals(address, provider = ethers.provider) {
+  if ((await provider.getCode(address)) === "0x") {
+    return null;
+  }
+  const token = new ethers.Contract(address, ERC20_METADATA_ABI, provider);
+  return token.decimals().then(Number, () => null);
+}
+
+async function formatTokenAmount(address, amount, provider) {
+  const info = await tokenInfo(address, provider);
+  return `${ethers.formatUnits(amount, info.decimals)} ${info.symbol}`;
+}
+
+module.exports = {
+  ERC20_METADATA_ABI,
+  tokenInfo,
+  readDecimals,
+  scaleToToken,
+  scaleRangeToToken,
+  formatTokenAmount,
+};
@@ -0,0 +1,248 @@
+const path = require("path");
+const { ethers } = require("hardhat");
+const { readDeployment } = require("./deployments");
+
+// Explorers built into hardhat-verify are served by Etherscan's multichain API with a chainid parameter.
+const ETHERSCAN_V2_API_URL = "https://api.etherscan.io/v2/api";
+
+const STATUS_LABELS = {
+  verified: "verified",
+  "already-verified": "already verified",
+  skipped: "skipped",
+  failed: "failed",
+};
+
+function verificationError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Explorer messages, as matched by hardhat-verify
+function isAlreadyVerified(message) {
+  return /^(Smart-contract already verified|Contract source code already verified|Already Verified)/i.test(message);
+}
+
+function isNotIndexed(message) {
+  return /^Unable to locate ContractCode at|does not have bytecode|not (yet )?indexed/i.test(message);
+}
+
+function isRateLimited(message) {
+  return /rate limit/i.test(message);
+}
+
+/**
+ * Constructor arguments for `contract`: an args module (exporting an array, or a function
+ * returning one, like scripts/verify-args-base.js) wins over the deployment record.
+ */
+async function loadConstructorArgs({ network, contract, argsModule, dir }) {
+  if (argsModule) {
+    const loaded = require(path.resolve(argsModule));
+    const args = typeof loaded === "function" ? await loaded() : loaded;
+    if (!Array.isArray(args)) {
+      throw new Error(`${argsModule} must export an array of constructor arguments`);
+    }
+    return args;
+  }
+  const record = readDeployment(network, contract, dir);
+  if (!record) {
+    throw new Error(
+      `No deployments/${network}/${contract}.json to read constructor arguments from; pass an args module`
+    );
+  }
+  return record.constructorArgs || [];
+}
+
+/**
+ * What an Etherscan-compatible API needs to verify `contract`: the compiler's
+ * standard JSON input from the build info, the fully qualified name, the compiler
+ * version and the ABI-encoded constructor arguments.
+ */
+async function verificationInput(hre, contract, constructorArgs) {
+  const artifact = await hre.artifacts.readArtifact(contract);
+  const fullName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullName);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullName}; run npx hardhat compile`);
+  }
+  const encoded = new ethers.Interface(artifact.abi).encodeDeploy(constructorArgs);
+  return {
+    contractName: fullName,
+    sourceCode: JSON.stringify(buildInfo.input),
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    constructorArguments: encoded.slice(2),
+  };
+}
+
+/** Minimal client for the Etherscan contract API, which Blockscout also implements. */
+function createExplorerClient(explorer, { chainId, fetch: fetchFn = fetch } = {}) {
+  const apiUrl = explorer.builtin ? ETHERSCAN_V2_API_URL : explorer.apiURL;
+
+  async function call(params, { post = false } = {}) {
+    const url = new URL(apiUrl);
+    const query = new URLSearchParams({ ...params, apikey: explorer.apiKey || "" });
+    if (explorer.builtin) {
+      url.searchParams.set("chainid", String(chainId));
+    }
+    if (!post) {
+      query.forEach((value, key) => url.searchParams.set(key, value));
+    }
+    let response;
+    try {
+      response = post
+        ? await fetchFn(url, {
+            method: "POST",
+            headers: { "content-type": "application/x-www-form-urlencoded" },
+            body: query.toString(),
+          })
+        : await fetchFn(url);
+    } catch (error) {
+      throw verificationError(`${explorer.name} is unreachable (${error.message})`, "NETWORK_ERROR");
+    }
+    const text = await response.text();
+    if (!response.ok) {
+      throw verificationError(`${explorer.name} returned HTTP ${response.status}: ${text.slice(0, 200)}`, "HTTP_ERROR");
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw verificationError(`${explorer.name} returned a non-JSON response: ${text.slice(0, 200)}`, "HTTP_ERROR");
+    }
+  }
+
+  return {
+    explorer,
+    contractUrl: (address) => `${explorer.browserURL.replace(/\/$/, "")}/address/${address}#code`,
+    async isVerified(address) {
+      const json = await call({ module: "contract", action: "getsourcecode", address });
+      const source = json.message === "OK" && Array.isArray(json.result) ? json.result[0]?.SourceCode : undefined;
+      return Boolean(source);
+    },
+    // Resolves to the submission guid; "not indexed" and "already verified" replies throw with a code
+    async submit(address, input) {
+      const json = await call(
+        {
+          module: "contract",
+          action: "verifysourcecode",
+          contractaddress: address,
+          sourceCode: input.sourceCode,
+          codeformat: "solidity-standard-json-input",
+          contractname: input.contractName,
+          compilerversion: input.compilerVersion,
+          // Etherscan's spelling
+          constructorArguements: input.constructorArguments,
+        },
+        { post: true }
+      );
+      const message = String(json.result ?? json.message ?? "");
+      if (isAlreadyVerified(message)) {
+        throw verificationError(message, "ALREADY_VERIFIED");
+      }
+      if (isNotIndexed(message)) {
+        throw verificationError(message, "NOT_INDEXED");
+      }
+      if (isRateLimited(message)) {
+        throw verificationError(message, "RATE_LIMITED");
+      }
+      if (String(json.status) !== "1") {
+        throw verificationError(message || "Verification request rejected", "REJECTED");
+      }
+      return message;
+    },
+    async checkStatus(guid) {
+      const json = await call({ module: "contract", action: "checkverifystatus", guid });
+      return String(json.result ?? json.message ?? "");
+    },
+  };
+}
+
+// Failures worth another attempt: the explorer has not indexed the contract yet, throttled us, or was down
+const RETRYABLE = ["NOT_INDEXED", "RATE_LIMITED", "NETWORK_ERROR", "HTTP_ERROR"];
+
+/**
+ * Verify `address` on one explorer, retrying with exponential backoff (`interval`
+ * ms, doubling up to `maxInterval`) while the explorer has not indexed the
+ * bytecode or is unavailable. Resolves to a status; never throws.
+ */
+async function verifyOnExplorer(
+  client,
+  address,
+  input,
+  { attempts = 6, interval = 5000, maxInterval = 60000, pollInterval = 3000, maxPolls = 40, sleep, log = () => {} } = {}
+) {
+  const wait = sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  const { explorer } = client;
+  const result = (status, extra = {}) => ({ explorer: explorer.id, name: explorer.name, status, ...extra });
+
+  let delay = interval;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      if (await client.isVerified(address)) {
+        return result("already-verified", { url: client.contractUrl(address) });
+      }
+      const guid = await client.submit(address, input);
+      for (let poll = 0; poll < maxPolls; poll += 1) {
+        const message = await client.checkStatus(guid);
+        if (/^Pass - Verified/i.test(message)) {
+          return result("verified", { url: client.contractUrl(address) });
+        }
+        if (isAlreadyVerified(message)) {
+          return result("already-verified", { url: client.contractUrl(address) });
+        }
+        if (!/^Pending in queue/i.test(message)) {
+          return result("failed", { error: message });
+        }
+        await wait(pollInterval);
+      }
+      return result("failed", { error: `Still pending after ${maxPolls} status checks (guid ${guid})` });
+    } catch (error) {
+      if (error.code === "ALREADY_VERIFIED") {
+        return result("already-verified", { url: client.contractUrl(address) });
+      }
+      if (!RETRYABLE.includes(error.code) || attempt >= attempts) {
+        return result("failed", { error: error.message, attempts: attempt });
+      }
+      const reason = error.code === "NOT_INDEXED" ? "has not indexed the bytecode yet" : `failed (${error.message})`;
+      log(`${explorer.name}: ${reason}; retrying in ${delay / 1000}s (attempt ${attempt + 1} of ${attempts})`);
+      await wait(delay);
+      delay = Math.min(delay * 2, maxInterval);
+    }
+  }
+}
+
+/**
+ * Verify `contract` at `address` on every explorer in `explorers` (see explorersFor
+ * in config/networks.js), one after another. Explorers without an API key are
+ * skipped. Returns one result per explorer.
+ */
+async function verifyContract(
+  hre,
+  { contract, address, constructorArgs, explorers, log = console.log, fetch: fetchFn, ...options }
+) {
+  const input = await verificationInput(hre, contract, constructorArgs);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const results = [];
+  for (const explorer of explorers) {
+    if (!explorer.apiKey && explorer.apiKeyEnv) {
+      log(`${explorer.name}: skipped (set ${explorer.apiKeyEnv.join(" or ")})`);
+      results.push({ explorer: explorer.id, name: explorer.name, status: "skipped" });
+      continue;
+    }
+    const client = createExplorerClient(explorer, { chainId, fetch: fetchFn });
+    const result = await verifyOnExplorer(client, address, input, { ...options, log });
+    log(
+      `${explorer.name}: ${STATUS_LABELS[result.status]}` +
+        (result.url ? ` ${result.url}` : "") +
+        (result.error ? `: ${result.error}` : "")
+    );
+    results.push(result);
+  }
+  return results;
+}
+
+module.exports = {
+  ETHERSCAN_V2_API_URL,
+  loadConstructorArgs,
+  verificationInput,
+  createExplorerClient,
+  verifyOnExplorer,
+  verifyContract,
+};
@@ -0,0 +1,246 @@
+const http = require("http");
+const crypto = require("crypto");
+const { ethers } = require("hardhat");
+
+const FREE_BOX = 0;
+const MAX_NONCE_ATTEMPTS = 16;
+
+function voucherError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Mirrors the digest checked by BlindBox.openBox for FREE boxes.
+function freeBoxMessageHash({ user, fid, nonce, contract, chainId }) {
+  return ethers.solidityPackedKeccak256(
+    ["address", "uint256", "uint8", "uint256", "address", "uint256"],
+    [user, fid, FREE_BOX, nonce, contract, chainId]
+  );
+}
+
+async function signFreeBoxVoucher(signer, { user, fid, nonce, contract, chainId }) {
+  const hash = freeBoxMessageHash({ user, fid, nonce, contract, chainId });
+  const signature = await signer.signMessage(ethers.getBytes(hash));
+  return {
+    user: ethers.getAddress(user),
+    fid: fid.toString(),
+    boxType: FREE_BOX,
+    nonce: nonce.toString(),
+    contract: ethers.getAddress(contract),
+    chainId: chainId.toString(),
+    signature,
+  };
+}
+
+function parseFid(value) {
+  if (value === undefined || value === null || value === "") {
+    throw voucherError("INVALID_FID", "fid is required");
+  }
+  let fid;
+  try {
+    fid = BigInt(value);
+  } catch (error) {
+    throw voucherError("INVALID_FID", `Invalid fid: ${value}`);
+  }
+  if (fid < 0n) {
+    throw voucherError("INVALID_FID", `Invalid fid: ${value}`);
+  }
+  return fid;
+}
+
+function parseUser(value) {
+  if (!value || !ethers.isAddress(value)) {
+    throw voucherError("INVALID_USER", `Invalid user address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function randomNonce() {
+  return BigInt(`0x${crypto.randomBytes(16).toString("hex")}`);
+}
+
+function createVoucherIssuer({ blindBox, signer, nextNonce = randomNonce }) {
+  let context;
+
+  async function loadContext() {
+    if (!context) {
+      const [contract, network] = await Promise.all([
+        blindBox.getAddress(),
+        blindBox.runner.provider.getNetwork(),
+      ]);
+      context = { contract, chainId: network.chainId };
+    }
+    return context;
+  }
+
+  // BlindBox's used-nonce maps are the only issuance state: nonces are 128 random bits, so
+  // vouchers in flight do not share one, and a voucher whose nonce was redeemed cannot be.
+  async function allocateNonce(user, fid) {
+    for (let attempt = 0; attempt < MAX_NONCE_ATTEMPTS; attempt += 1) {
+      const nonce = BigInt(await nextNonce());
+      const [usedByUser, usedByFid] = await Promise.all([
+        blindBox.usedNonces(user, nonce),
+        blindBox.usedNoncesByFid(fid, nonce),
+      ]);
+      if (!usedByUser && !usedByFid) {
+        return nonce;
+      }
+    }
+    throw voucherError("NONCE_EXHAUSTED", "Could not allocate an unused nonce");
+  }
+
+  async function issue({ user, fid }) {
+    const account = parseUser(user);
+    const fidValue = parseFid(fid);
+
+    const [onchainSigner, signerAddress] = await Promise.all([
+      blindBox.signerAddress(),
+      signer.getAddress(),
+    ]);
+    if (onchainSigner === ethers.ZeroAddress) {
+      throw voucherError("SIGNER_NOT_SET", "BlindBox signerAddress is not set");
+    }
+    if (onchainSigner !== signerAddress) {
+      throw voucherError(
+        "SIGNER_MISMATCH",
+        `Voucher key ${signerAddress} does not match BlindBox signer ${onchainSigner}`
+      );
+    }
+
+    const [userWait, fidWait] = await Promise.all([
+      blindBox.timeUntilNextFreeBox(account),
+      blindBox.timeUntilNextFreeBoxByFid(fidValue),
+    ]);
+    if (userWait > 0n) {
+      throw voucherError("FREE_BOX_COOLDOWN", "Wallet free box cooldown active", {
+        retryAfter: Number(userWait),
+      });
+    }
+    if (fidWait > 0n) {
+      throw voucherError("FID_FREE_BOX_COOLDOWN", "Fid free box cooldown active", {
+        retryAfter: Number(fidWait),
+      });
+    }
+
+    const { contract, chainId } = await loadContext();
+    const nonce = await allocateNonce(account, fidValue);
+    return signFreeBoxVoucher(signer, { user: account, fid: fidValue, nonce, contract, chainId });
+  }
+
+  return { issue, allocateNonce };
+}
+
+const STATUS_BY_CODE = {
+  INVALID_USER: 400,
+  INVALID_FID: 400,
+  INVALID_BODY: 400,
+  UNAUTHORIZED: 401,
+  FREE_BOX_COOLDOWN: 409,
+  FID_FREE_BOX_COOLDOWN: 409,
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > 10_000) {
+        reject(voucherError("INVALID_BODY", "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(voucherError("INVALID_BODY", "Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Constant-time check of the `Authorization: Bearer <token>` header. Both sides are hashed first so
+// timingSafeEqual always compares equal lengths and the token's length does not leak either.
+function hasBearerToken(req, apiToken) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(req.headers.authorization || ""), digest(`Bearer ${apiToken}`));
+}
+
+// The server signs for whatever user and fid it is given, so the API token belongs to a backend that has
+// already authenticated both (e.g. Sign In With Farcaster) and must never reach a browser or app. Without a
+// token it signs vouchers for anyone, so that takes an explicit `insecure`.
+function createVoucherServer(issuer, { apiToken, insecure = false } = {}) {
+  if (!apiToken && !insecure) {
+    throw voucherError(
+      "API_TOKEN_REQUIRED",
+      "The voucher server needs an API token (VOUCHER_API_TOKEN); pass insecure to serve vouchers to anyone"
+    );
+  }
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+      if (req.method !== "POST" || req.url !== "/vouchers") {
+        sendJson(res, 404, { error: "NOT_FOUND" });
+        return;
+      }
+      if (apiToken && !hasBearerToken(req, apiToken)) {
+        throw voucherError("UNAUTHORIZED", "Missing or invalid API token");
+      }
+      const body = await readJsonBody(req);
+      const voucher = await issuer.issue({ user: body.user, fid: body.fid });
+      sendJson(res, 200, voucher);
+    } catch (error) {
+      const status = STATUS_BY_CODE[error.code] || 500;
+      const payload = { error: error.code || "INTERNAL_ERROR", message: error.message };
+      if (error.retryAfter !== undefined) {
+        payload.retryAfter = error.retryAfter;
+      }
+      if (status === 500) {
+        console.error(error);
+      }
+      sendJson(res, status, payload);
+    }
+  });
+}
+
+async function fetchFreeBoxVoucher(serviceUrl, { user, fid, apiToken }) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiToken) {
+    headers.Authorization = `Bearer ${apiToken}`;
+  }
+  const response = await fetch(new URL("/vouchers", serviceUrl), {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ user, fid: fid.toString() }),
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw voucherError(body.error || "VOUCHER_REQUEST_FAILED", body.message || `Voucher service returned ${response.status}`, {
+      retryAfter: body.retryAfter,
+    });
+  }
+  return body;
+}
+
+module.exports = {
+  FREE_BOX,
+  freeBoxMessageHash,
+  signFreeBoxVoucher,
+  createVoucherIssuer,
+  createVoucherServer,
+  fetchFreeBoxVoucher,
+  sendJson,
+  readJsonBody,
+  hasBearerToken,
+};
@@ -0,0 +1,91 @@
+const { ethers } = require("hardhat");
+
+// Subscription surface shared by VRFCoordinatorV2_5 and MockVRFCoordinator.
+const SUBSCRIPTION_ABI = [
+  "function createSubscription() returns (uint256 subId)",
+  "function getSubscription(uint256 subId) view returns (uint96 balance, uint96 nativeBalance, uint64 reqCount, address owner, address[] consumers)",
+  "function addConsumer(uint256 subId, address consumer)",
+  "function removeConsumer(uint256 subId, address consumer)",
+  "function fundSubscriptionWithNative(uint256 subId) payable",
+  "function pendingRequestExists(uint256 subId) view returns (bool)",
+  "event SubscriptionCreated(uint256 indexed subId, address owner)",
+];
+
+const LINK_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function transferAndCall(address to, uint256 amount, bytes data) returns (bool)",
+];
+
+function coordinatorAt(address, runner) {
+  return new ethers.Contract(address, SUBSCRIPTION_ABI, runner);
+}
+
+async function createSubscription(coordinator) {
+  const receipt = await (await coordinator.createSubscription()).wait();
+  for (const log of receipt.logs) {
+    const parsed = coordinator.interface.parseLog(log);
+    if (parsed && parsed.name === "SubscriptionCreated") {
+      return parsed.args.subId;
+    }
+  }
+  throw new Error(`No SubscriptionCreated event in ${receipt.hash}`);
+}
+
+async function subscriptionInfo(coordinator, subId) {
+  const [balance, nativeBalance, reqCount, owner, consumers] = await coordinator.getSubscription(subId);
+  return {
+    subId: BigInt(subId),
+    balance,
+    nativeBalance,
+    reqCount,
+    owner,
+    consumers: [...consumers],
+    pendingRequests: await coordinator.pendingRequestExists(subId),
+  };
+}
+
+async function isConsumer(coordinator, subId, consumer) {
+  const { consumers } = await subscriptionInfo(coordinator, subId);
+  return consumers.some((address) => address.toLowerCase() === consumer.toLowerCase());
+}
+
+/**
+ * Add `consumer` unless it is already registered. Resolves to true when a tx was sent.
+ */
+async function addConsumer(coordinator, subId, consumer) {
+  if (await isConsumer(coordinator, subId, consumer)) {
+    return false;
+  }
+  await (await coordinator.addConsumer(subId, consumer)).wait();
+  return true;
+}
+
+async function removeConsumer(coordinator, subId, consumer) {
+  if (!(await isConsumer(coordinator, subId, consumer))) {
+    return false;
+  }
+  await (await coordinator.removeConsumer(subId, consumer)).wait();
+  return true;
+}
+
+async function fundWithLink(link, coordinator, subId, amount) {
+  const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [subId]);
+  return (await link.transferAndCall(coordinator.target, amount, data)).wait();
+}
+
+async function fundWithNative(coordinator, subId, amount) {
+  return (await coordinator.fundSubscriptionWithNative(subId, { value: amount })).wait();
+}
+
+module.exports = {
+  SUBSCRIPTION_ABI,
+  LINK_ABI,
+  coordinatorAt,
+  createSubscription,
+  subscriptionInfo,
+  isConsumer,
+  addConsumer,
+  removeConsumer,
+  fundWithLink,
+  fundWithNative,
+};
@@ -1,5 +1,9 @@
-// Constructor args for BlindBox on Base
-module.exports = [
+// Constructor args for BlindBox on Base. Uses the deployment manifest when one exists, otherwise
+// the literal args of the original Base deployment. That deployment predates the catalog and
+// token weights and tiers, so its ranges have no weight or tier and match only its own source.
+const { readDeployment } = require("./lib/deployments");
+
+const ORIGINAL_ARGS = [
   "0xd5D517aBE5cF79B7e95eC98dB0f0277788aFF634", // vrfCoordinator
   "0x00b81b5a830cb0a4009fbd8904de511e28631e62ce5ad231373d3cdad373ccab", // keyHash
   "112053198502214273438529944727181118341065542141336855367193183985457343165064", // subscriptionId
@@ -31,3 +35,7 @@ module.exports = [
     { boxType: 2, token: "0x50f88fe97f72cd3e75b9eb4f747f59bceba80d59", minAmount: "5000000000000000000", maxAmount: "10000000000000000000", enabled: true },
   ],
 ];
+
+const deployment = readDeployment("base", "BlindBox");
+
+module.exports = deployment ? deployment.constructorArgs : ORIGINAL_ARGS;
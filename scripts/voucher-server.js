@@ -0,0 +1,46 @@
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { createVoucherIssuer, createVoucherServer } = require("./lib/voucher");
+const { resolveAddress } = require("./lib/deployments");
+
+function requiredEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing env var: ${name}`);
+  }
+  return value;
+}
+
+async function main() {
+  const address = resolveAddress(hre.network.name);
+  const signer = new ethers.Wallet(requiredEnv("VOUCHER_SIGNER_KEY"), ethers.provider);
+  const port = Number(process.env.VOUCHER_PORT || 8787);
+
+  const blindBox = await ethers.getContractAt("BlindBox", address);
+  const onchainSigner = await blindBox.signerAddress();
+  if (onchainSigner !== signer.address) {
+    console.warn(`Warning: BlindBox signer is ${onchainSigner}, voucher key is ${signer.address}`);
+  }
+
+  // Vouchers are signed for any fid the caller names, so only a backend that has authenticated the user may hold
+  // this token; it must not be shipped to clients
+  const apiToken = process.env.VOUCHER_API_TOKEN;
+  const insecure = process.env.VOUCHER_INSECURE === "true";
+  if (!apiToken && !insecure) {
+    throw new Error("Missing env var: VOUCHER_API_TOKEN (set VOUCHER_INSECURE=true to serve vouchers to anyone)");
+  }
+  if (!apiToken) {
+    console.warn("Warning: VOUCHER_INSECURE is set; anyone who can reach this service gets signed vouchers");
+  }
+
+  const issuer = createVoucherIssuer({ blindBox, signer });
+  const server = createVoucherServer(issuer, { apiToken, insecure });
+  server.listen(port, () => {
+    console.log(`Voucher service for ${address} listening on :${port} (signer ${signer.address})`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
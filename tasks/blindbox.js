@@ -0,0 +1,653 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+// Libraries under scripts/lib load the hardhat runtime, so they are required
+// inside task actions rather than at config load time.
+
+const BOX_TYPE_PARAM = "Box type id or name, e.g. 1 or SILVER (blindbox:status lists them)";
+
+// A box type id or name from the CLI; hre.run callers may pass the id as a number
+const boxTypeArg = {
+  name: "boxType",
+  parse: (argName, value) => value,
+  validate: (argName, value) => {
+    if (typeof value !== "string" && !Number.isInteger(value)) {
+      throw new HardhatPluginError("blindbox", `--${argName} must be a box type id or name, got ${value}`);
+    }
+  },
+};
+
+function blindboxTask(name, description) {
+  return task(name, description).addOptionalParam(
+    "address",
+    "BlindBox address (defaults to deployments/<network>/BlindBox.json or BLINDBOX_ADDRESS)"
+  );
+}
+
+/**
+ * Wrap a task action so reverts are reported as one line with the decoded
+ * reason and an operator hint instead of a stack trace.
+ */
+function withErrors(action) {
+  return async (args, hre) => {
+    try {
+      return await action(args, hre);
+    } catch (error) {
+      if (error instanceof HardhatPluginError) {
+        throw error;
+      }
+      const { describeError } = require("../scripts/lib/errors");
+      const { abi } = await hre.artifacts.readArtifact("BlindBox");
+      const { message, hint } = describeError(error, new hre.ethers.Interface(abi));
+      throw new HardhatPluginError("blindbox", hint ? `${message}\n${hint}` : message, error);
+    }
+  };
+}
+
+function fail(message) {
+  throw new HardhatPluginError("blindbox", message);
+}
+
+async function getBlindBox(hre, address) {
+  const { resolveAddress } = require("../scripts/lib/deployments");
+  return hre.ethers.getContractAt("BlindBox", address || resolveAddress(hre.network.name));
+}
+
+// Look a --box-type id or name up among the box types the contract has
+async function resolveBox(blindBox, value) {
+  const { readBoxTypes, resolveBoxType } = require("../scripts/lib/boxes");
+  const boxes = await readBoxTypes(blindBox);
+  try {
+    return resolveBoxType(boxes, value);
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+async function sendTx(txPromise, label) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  console.log(`${label} (${tx.hash})`);
+  return receipt;
+}
+
+function findEvents(receipt, contract, name) {
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === contract.target.toLowerCase())
+    .map((log) => contract.interface.parseLog(log))
+    .filter((parsed) => parsed && parsed.name === name);
+}
+
+function formatDuration(seconds) {
+  const total = Number(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return `${hours}h ${minutes}m`;
+}
+
+blindboxTask("blindbox:open", "Open a blind box, optionally waiting for the VRF result")
+  .addParam("boxType", BOX_TYPE_PARAM, undefined, boxTypeArg)
+  .addOptionalParam("fid", "Farcaster fid (required for FREE boxes)")
+  .addOptionalParam("count", "Boxes to buy with one openBoxes request (paid box types only)", 1, types.int)
+  .addOptionalParam("value", "Fee to send in wei (defaults to the on-chain box price times --count)")
+  .addOptionalParam("voucherUrl", "Free box voucher service URL (defaults to VOUCHER_SERVICE_URL)")
+  .addOptionalParam("timeout", "Seconds to wait for fulfillment with --watch", 300, types.int)
+  .addOptionalParam("claim", 'Claim after fulfillment: "all" or "each"')
+  .addFlag("watch", "Wait for the VRF callback and print the rewards")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { fetchFreeBoxVoucher } = require("../scripts/lib/voucher");
+      const { isLocalChain, watchOpen } = require("../scripts/lib/open-watch");
+      const { formatTokenAmount } = require("../scripts/lib/tokens");
+      const { readDeployment } = require("../scripts/lib/deployments");
+
+      if (args.claim && !["all", "each"].includes(args.claim)) {
+        fail(`--claim must be "all" or "each", got ${args.claim}`);
+      }
+      if (args.count < 1) {
+        fail(`--count must be at least 1, got ${args.count}`);
+      }
+      const [user] = await ethers.getSigners();
+      const blindBox = await getBlindBox(hre, args.address);
+      const box = await resolveBox(blindBox, args.boxType);
+      const boxType = box.boxType;
+      const batch = args.count > 1;
+      if (batch) {
+        if (boxType === 0) {
+          fail("FREE boxes open one at a time; drop --count");
+        }
+        const maxOpenQuantity = Number(await blindBox.maxOpenQuantity());
+        if (args.count > maxOpenQuantity) {
+          fail(`--count ${args.count} is above this contract's maxOpenQuantity of ${maxOpenQuantity}`);
+        }
+      }
+      const value = args.value !== undefined ? BigInt(args.value) : box.priceWei * BigInt(args.count);
+      // A box deployed by `hardhat dev` has its own auto-fulfiller and voucher service
+      const devStack = readDeployment(hre.network.name, "DevStack");
+      const onDevStack = devStack !== null && devStack.blindBox.toLowerCase() === blindBox.target.toLowerCase();
+
+      let fid = BigInt(args.fid || 0);
+      let nonce = 0n;
+      let signature = "0x";
+      if (boxType === 0) {
+        const voucherUrl = args.voucherUrl || process.env.VOUCHER_SERVICE_URL || (onDevStack && devStack.voucherUrl);
+        if (!voucherUrl || args.fid === undefined) {
+          fail("FREE boxes need --fid and --voucher-url (or VOUCHER_SERVICE_URL)");
+        }
+        const voucher = await fetchFreeBoxVoucher(voucherUrl, {
+          user: user.address,
+          fid: args.fid,
+          apiToken: process.env.VOUCHER_API_TOKEN,
+        });
+        if (voucher.contract.toLowerCase() !== blindBox.target.toLowerCase()) {
+          fail(`Voucher was issued for ${voucher.contract}, not ${blindBox.target}`);
+        }
+        fid = BigInt(voucher.fid);
+        nonce = BigInt(voucher.nonce);
+        signature = voucher.signature;
+        console.log(`Got free box voucher for fid ${voucher.fid} (nonce ${voucher.nonce})`);
+      }
+
+      const receipt = await sendTx(
+        batch
+          ? blindBox.openBoxes(boxType, args.count, { value })
+          : blindBox.openBox(boxType, fid, nonce, signature, { value }),
+        `Opened ${batch ? `${args.count} x ` : ""}box ${box.name} for ${ethers.formatEther(value)}`
+      );
+      const [opened] = findEvents(receipt, blindBox, "BoxOpened");
+      const requestId = opened.args.requestId;
+      console.log("RequestId:", requestId.toString());
+
+      if (!args.watch) {
+        return requestId;
+      }
+
+      const autoFulfill = await isLocalChain(ethers.provider);
+      // Leave the dev stack's auto-fulfiller time to answer before stepping in
+      const autoFulfillDelayMs = onDevStack ? (devStack.fulfillDelaySeconds + 5) * 1000 : 0;
+      console.log(
+        onDevStack
+          ? `Dev stack: waiting for the auto-fulfiller (${devStack.fulfillDelaySeconds}s)...`
+          : autoFulfill
+          ? "Local network: fulfilling through MockVRFCoordinator..."
+          : `Waiting up to ${args.timeout}s for VRF fulfillment...`
+      );
+      const result = await watchOpen({
+        blindBox,
+        requestId,
+        user: user.address,
+        fromBlock: receipt.blockNumber,
+        timeoutMs: args.timeout * 1000,
+        autoFulfill,
+        autoFulfillDelayMs,
+      });
+
+      if (result.status === "canceled") {
+        fail(`Request ${requestId} was canceled (PendingOpenCanceled in ${result.txHash})`);
+      }
+      if (result.status === "failed") {
+        fail(`VRF callback for request ${requestId} failed in ${result.txHash}; the open is stuck`);
+      }
+      if (result.status === "timeout") {
+        fail(`Request ${requestId} not fulfilled after ${args.timeout}s; check later with blindbox:status`);
+      }
+
+      if (!result.rewards) {
+        console.log(`Request ${requestId} was fulfilled, rewards unknown; blindbox:status lists your pending rewards`);
+      } else {
+        console.log(result.txHash ? `Fulfilled in ${result.txHash}. You won:` : "Fulfilled. You won:");
+      }
+      const indent = batch ? "    " : "  ";
+      for (const { boxIndex, rewards } of result.boxes || []) {
+        if (batch) {
+          console.log(`  Box ${boxIndex + 1} of ${args.count}:`);
+        }
+        for (const reward of rewards) {
+          console.log(`${indent}${await formatTokenAmount(reward.token, reward.amount)} (${reward.token})`);
+        }
+      }
+
+      if (args.claim === "all") {
+        await sendTx(blindBox.claimAll(), "Claimed all pending rewards");
+      } else if (args.claim === "each") {
+        // Boxes of a batch can win the same token; one claim pays all of it
+        for (const token of new Set((result.rewards || []).map((reward) => reward.token))) {
+          await sendTx(blindBox.claim(token), `Claimed ${token}`);
+        }
+      }
+      return requestId;
+    })
+  );
+
+blindboxTask("blindbox:claim", "Claim pending rewards for one token or all tokens")
+  .addOptionalParam("token", "Reward token to claim (defaults to all)")
+  .addOptionalParam("relayerUrl", "Sign the claim and let this relayer submit it (gasless)")
+  .addOptionalParam("recipient", "With --relayer-url, send the rewards here (defaults to the signer)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { formatTokenAmount } = require("../scripts/lib/tokens");
+      const blindBox = await getBlindBox(hre, args.address);
+      if (args.relayerUrl) {
+        const { authorizeClaim, submitClaimAuthorization } = require("../scripts/lib/claim-relayer");
+        const [signer] = await hre.ethers.getSigners();
+        const authorization = await authorizeClaim(blindBox, signer, {
+          recipient: args.recipient,
+          tokens: args.token ? [args.token] : undefined,
+        });
+        const result = await submitClaimAuthorization(args.relayerUrl, authorization);
+        console.log(`Relayed claim to ${result.recipient} in ${result.txHash}`);
+        for (const { token, amount } of result.claimed) {
+          console.log(`  ${await formatTokenAmount(token, BigInt(amount))}`);
+        }
+        return result;
+      }
+      if (args.recipient) {
+        fail("--recipient needs --relayer-url; direct claims pay the caller");
+      }
+      const receipt = args.token
+        ? await sendTx(blindBox.claim(args.token), `Claimed ${args.token}`)
+        : await sendTx(blindBox.claimAll(), "Claimed all pending rewards");
+      for (const event of findEvents(receipt, blindBox, "RewardClaimed")) {
+        console.log(`  ${await formatTokenAmount(event.args.token, event.args.amount)}`);
+      }
+    })
+  );
+
+blindboxTask("blindbox:history", "Show the status and rewards of a user's opens, newest first")
+  .addOptionalParam("user", "User whose opens to list (defaults to the first signer)")
+  .addOptionalParam("requestId", "Show only this request")
+  .addOptionalParam("limit", "Most requests to list", 10, types.int)
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { boxNameMap, readBoxTypes } = require("../scripts/lib/boxes");
+      const { boxRewards, readOpenHistory, readOpenResult } = require("../scripts/lib/open-history");
+      const { formatTokenAmount } = require("../scripts/lib/tokens");
+      const blindBox = await getBlindBox(hre, args.address);
+      const names = boxNameMap(await readBoxTypes(blindBox));
+
+      let results;
+      if (args.requestId) {
+        const result = await readOpenResult(blindBox, BigInt(args.requestId));
+        if (!result) {
+          fail(`Request ${args.requestId} was not opened on this contract`);
+        }
+        results = [result];
+      } else {
+        const user = args.user || (await hre.ethers.getSigners())[0].address;
+        const history = await readOpenHistory(blindBox, user, { limit: args.limit });
+        console.log(`${user} made ${history.total} open request(s), newest first:`);
+        results = history.results;
+      }
+
+      for (const result of results) {
+        const opened = new Date(result.openedAt * 1000).toISOString().replace(".000Z", "Z");
+        const boxes = result.quantity > 1 ? ` x${result.quantity}` : "";
+        console.log(`  ${result.requestId} ${names[result.boxType]}${boxes} ${result.status}, opened ${opened}`);
+        const groups = boxRewards(result);
+        for (const [index, rewards] of groups.entries()) {
+          const amounts = await Promise.all(rewards.map(({ token, amount }) => formatTokenAmount(token, amount)));
+          console.log(`    ${groups.length > 1 ? `box ${index + 1}: ` : ""}${amounts.join(", ")}`);
+        }
+      }
+      return results;
+    })
+  );
+
+blindboxTask("blindbox:status", "Show contract state, boxes, reward tokens and a user's pending rewards")
+  .addOptionalParam("user", "User to show pending rewards and cooldowns for (defaults to the first signer)")
+  .addOptionalParam("fid", "Farcaster fid to show the free box cooldown for")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { formatSchedule, readBoxTypes } = require("../scripts/lib/boxes");
+      const { ERC20_METADATA_ABI, formatTokenAmount, tokenInfo } = require("../scripts/lib/tokens");
+      const blindBox = await getBlindBox(hre, args.address);
+      const user = args.user || (await ethers.getSigners())[0].address;
+
+      const [owner, paused, coordinator, subscriptionId, signer, pendingCount, maxOpen, rewardTokens] =
+        await Promise.all([
+          blindBox.owner(),
+          blindBox.paused(),
+          blindBox.vrfCoordinator(),
+          blindBox.subscriptionId(),
+          blindBox.signerAddress(),
+          blindBox.pendingRequestCount(),
+          blindBox.maxOpenQuantity(),
+          blindBox.getRewardTokens(),
+        ]);
+      console.log(`BlindBox ${blindBox.target} on ${hre.network.name}`);
+      console.log(`  owner:            ${owner}`);
+      console.log(`  paused:           ${paused}`);
+      console.log(`  VRF:              ${coordinator} (subscription ${subscriptionId})`);
+      console.log(`  signer:           ${signer}`);
+      console.log(`  pending requests: ${pendingCount}`);
+      console.log(`  batch opens:      up to ${maxOpen} box(es) per openBoxes request`);
+
+      const boxes = await readBoxTypes(blindBox);
+      console.log("Boxes:");
+      for (const { boxType, name, priceWei, config, schedule, opened } of boxes) {
+        console.log(
+          `  ${boxType} ${name.padEnd(6)} ${config.enabled ? "enabled " : "disabled"} ` +
+            `price ${ethers.formatEther(priceWei)}, ${config.numTokensToReward} token(s), ` +
+            `fallback ${ethers.formatEther(config.minAmount)}-${ethers.formatEther(config.maxAmount)}; ` +
+            `${opened} opened, ${formatSchedule(schedule, opened)}`
+        );
+      }
+
+      console.log("Reward tokens:");
+      for (const token of rewardTokens) {
+        const info = await tokenInfo(token);
+        const balance = await new ethers.Contract(token, ERC20_METADATA_ABI, ethers.provider).balanceOf(
+          blindBox.target
+        );
+        console.log(
+          `  ${info.symbol.padEnd(8)} ${token} balance ${ethers.formatUnits(balance, info.decimals)} ` +
+            `(${await blindBox.rewardTokenDecimals(token)} decimals)`
+        );
+        // Token ranges are in base units, unlike the whole-token fallbacks above
+        for (const { boxType, name } of boxes) {
+          const range = await blindBox.getTokenRange(boxType, token);
+          const parts = [];
+          if (range.enabled) {
+            const format = (amount) => ethers.formatUnits(amount, info.decimals);
+            parts.push(`${format(range.minAmount)}-${format(range.maxAmount)} ${info.symbol}`);
+          }
+          if (range.weight > 0n) {
+            parts.push(`weight ${range.weight}`);
+          }
+          if (range.tier > 0n) {
+            parts.push(`tier ${range.tier}`);
+          }
+          if (parts.length > 0) {
+            console.log(`    ${name}: ${parts.join(", ")}`);
+          }
+        }
+      }
+
+      console.log(`User ${user}:`);
+      const [tokens, amounts] = await blindBox.getPendingRewards(user);
+      if (tokens.length === 0) {
+        console.log("  no pending rewards");
+      }
+      for (let i = 0; i < tokens.length; i += 1) {
+        console.log(`  pending ${await formatTokenAmount(tokens[i], amounts[i])}`);
+      }
+      const wait = await blindBox.timeUntilNextFreeBox(user);
+      console.log(`  free box: ${wait === 0n ? "available" : `in ${formatDuration(wait)}`}`);
+      if (args.fid !== undefined) {
+        const fidWait = await blindBox.timeUntilNextFreeBoxByFid(BigInt(args.fid));
+        console.log(`  fid ${args.fid} free box: ${fidWait === 0n ? "available" : `in ${formatDuration(fidWait)}`}`);
+      }
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      for (const { boxType, name, schedule } of boxes.filter((box) => box.schedule.cooldown > 0)) {
+        const lastOpen = Number(await blindBox.lastBoxOpenAt(boxType, user));
+        const boxWait = lastOpen === 0 ? 0 : Math.max(lastOpen + schedule.cooldown - timestamp, 0);
+        console.log(`  ${name} box: ${boxWait === 0 ? "available" : `in ${formatDuration(boxWait)}`}`);
+      }
+      return boxes;
+    })
+  );
+
+blindboxTask("blindbox:set-price", "Set the price of a box type")
+  .addParam("boxType", BOX_TYPE_PARAM, undefined, boxTypeArg)
+  .addParam("price", "Price in native token units, e.g. 0.0001")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const blindBox = await getBlindBox(hre, args.address);
+      const box = await resolveBox(blindBox, args.boxType);
+      const priceWei = hre.ethers.parseEther(args.price);
+      await sendTx(blindBox.setBoxPrice(box.boxType, priceWei), `Set box ${box.name} price to ${args.price}`);
+    })
+  );
+
+blindboxTask("blindbox:set-vrf-config", "Update the VRF config, checking callbackGasLimit against the gas profile")
+  .addOptionalParam("coordinator", "VRF coordinator (defaults to the current one)")
+  .addOptionalParam("keyHash", "Gas lane key hash (defaults to the current one)")
+  .addOptionalParam("subId", "Subscription id (defaults to the current one)")
+  .addOptionalParam("confirmations", "Request confirmations (defaults to the current value)", undefined, types.int)
+  .addOptionalParam("callbackGasLimit", "Callback gas limit (defaults to the current value)", undefined, types.int)
+  .addOptionalParam("nativePayment", "true or false (defaults to the current value)")
+  .addOptionalParam("gasProfile", "Callback gas profile (defaults to config/callback-gas.json)")
+  .addFlag("force", "Skip the callback gas check")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readBoxTypes } = require("../scripts/lib/boxes");
+      const {
+        checkCallbackGas,
+        formatGasCheck,
+        onchainGasFactors,
+        readGasProfile,
+      } = require("../scripts/lib/gas-profile");
+      const blindBox = await getBlindBox(hre, args.address);
+      const [coordinator, keyHash, subId, confirmations, callbackGasLimit, nativePayment] = await Promise.all([
+        blindBox.vrfCoordinator(),
+        blindBox.keyHash(),
+        blindBox.subscriptionId(),
+        blindBox.requestConfirmations(),
+        blindBox.callbackGasLimit(),
+        blindBox.nativePayment(),
+      ]);
+      if (args.nativePayment !== undefined && !["true", "false"].includes(args.nativePayment)) {
+        fail(`--native-payment must be true or false, got ${args.nativePayment}`);
+      }
+      const next = {
+        coordinator: args.coordinator || coordinator,
+        keyHash: args.keyHash || keyHash,
+        subId: args.subId !== undefined ? BigInt(args.subId) : subId,
+        confirmations: args.confirmations ?? Number(confirmations),
+        callbackGasLimit: args.callbackGasLimit ?? Number(callbackGasLimit),
+        nativePayment: args.nativePayment !== undefined ? args.nativePayment === "true" : nativePayment,
+      };
+
+      const profile = readGasProfile(args.gasProfile);
+      if (!profile) {
+        console.log("No callback gas profile; run blindbox:gas-profile --write to enable the gas check.");
+      } else if (!args.force) {
+        const boxConfigs = (await readBoxTypes(blindBox)).map(({ boxType, config }) => ({ boxType, ...config }));
+        const check = checkCallbackGas(profile, {
+          callbackGasLimit: next.callbackGasLimit,
+          poolSize: (await blindBox.getRewardTokens()).length,
+          boxConfigs,
+          ...(await onchainGasFactors(blindBox)),
+        });
+        if (!check.ok) {
+          fail(`Refusing to update: ${formatGasCheck(check)}`);
+        }
+        console.log(`callbackGasLimit ${check.limit} covers the ${check.required} needed by the current boxes`);
+      }
+
+      await sendTx(
+        blindBox.setVrfConfig(
+          next.coordinator,
+          next.keyHash,
+          next.subId,
+          next.confirmations,
+          next.callbackGasLimit,
+          next.nativePayment
+        ),
+        "Updated VRF config"
+      );
+      return next;
+    })
+  );
+
+blindboxTask("blindbox:set-max-open", "Set how many paid boxes one openBoxes request may buy")
+  .addOptionalParam(
+    "quantity",
+    "Largest batch (defaults to the most the gas profile says callbackGasLimit can fulfill)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("gasProfile", "Callback gas profile (defaults to config/callback-gas.json)")
+  .addFlag("force", "Skip the callback gas check")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readBoxTypes } = require("../scripts/lib/boxes");
+      const {
+        checkCallbackGas,
+        formatGasCheck,
+        maxFittingQuantity,
+        onchainGasFactors,
+        readGasProfile,
+      } = require("../scripts/lib/gas-profile");
+      if (args.quantity !== undefined && !(args.quantity >= 1 && args.quantity <= 65535)) {
+        fail(`--quantity must be between 1 and 65535, got ${args.quantity}`);
+      }
+      const blindBox = await getBlindBox(hre, args.address);
+      const profile = readGasProfile(args.gasProfile);
+      if (!profile && (args.quantity === undefined || !args.force)) {
+        fail("No callback gas profile; run blindbox:gas-profile --write, or pass --quantity with --force");
+      }
+
+      let quantity = args.quantity;
+      if (profile && (quantity === undefined || !args.force)) {
+        const options = {
+          callbackGasLimit: await blindBox.callbackGasLimit(),
+          poolSize: (await blindBox.getRewardTokens()).length,
+          boxConfigs: (await readBoxTypes(blindBox)).map(({ boxType, config }) => ({ boxType, ...config })),
+          ...(await onchainGasFactors(blindBox)),
+        };
+        const fitting = maxFittingQuantity(profile, options);
+        if (fitting === 0) {
+          fail(`Even single opens do not fit: ${formatGasCheck(checkCallbackGas(profile, options))}`);
+        }
+        if (quantity === undefined) {
+          quantity = fitting;
+          console.log(`callbackGasLimit ${options.callbackGasLimit} fulfills batches of up to ${fitting} box(es)`);
+        } else if (quantity > fitting) {
+          const check = checkCallbackGas(profile, { ...options, maxOpenQuantity: quantity });
+          fail(`Refusing to update: ${formatGasCheck(check)}`);
+        }
+      }
+
+      await sendTx(blindBox.setMaxOpenQuantity(quantity), `Set maxOpenQuantity to ${quantity}`);
+      return quantity;
+    })
+  );
+
+blindboxTask("blindbox:pause", "Pause opening and claiming").setAction(
+  withErrors(async (args, hre) => {
+    const blindBox = await getBlindBox(hre, args.address);
+    await sendTx(blindBox.pause(), "Paused");
+  })
+);
+
+blindboxTask("blindbox:unpause", "Resume opening and claiming").setAction(
+  withErrors(async (args, hre) => {
+    const blindBox = await getBlindBox(hre, args.address);
+    await sendTx(blindBox.unpause(), "Unpaused");
+  })
+);
+
+blindboxTask("blindbox:cancel", "Cancel a pending open (owner rescue)")
+  .addParam("requestId", "VRF request id to cancel")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const blindBox = await getBlindBox(hre, args.address);
+      const receipt = await sendTx(
+        blindBox.cancelPendingOpen(BigInt(args.requestId)),
+        `Canceled request ${args.requestId}`
+      );
+      for (const event of findEvents(receipt, blindBox, "OpenRefunded")) {
+        const how = event.args.credited ? "credited for withdrawRefund" : "sent";
+        console.log(`  refunded ${hre.ethers.formatEther(event.args.amount)} to ${event.args.user} (${how})`);
+      }
+    })
+  );
+
+blindboxTask("blindbox:reclaim", "Reclaim the fee of your own open after reclaimTimeout")
+  .addParam("requestId", "VRF request id to reclaim")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const blindBox = await getBlindBox(hre, args.address);
+      const receipt = await sendTx(
+        blindBox.reclaimExpiredOpen(BigInt(args.requestId)),
+        `Reclaimed request ${args.requestId}`
+      );
+      for (const event of findEvents(receipt, blindBox, "OpenRefunded")) {
+        console.log(`  refunded ${hre.ethers.formatEther(event.args.amount)}`);
+      }
+    })
+  );
+
+blindboxTask("blindbox:sweep", "Cancel and refund opens the coordinator never answered")
+  .addOptionalParam(
+    "olderThan",
+    "Minimum age in seconds (defaults to the contract's reclaimTimeout)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "First block to scan for BoxOpened (defaults to the deployment block)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("batchSize", "Requests per cancelPendingOpens call", 50, types.int)
+  .addFlag("dryRun", "Only list the stale requests")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readDeployment } = require("../scripts/lib/deployments");
+      const { findStaleRequests, sweepStale } = require("../scripts/lib/sweeper");
+      const blindBox = await getBlindBox(hre, args.address);
+      let fromBlock = args.fromBlock;
+      if (fromBlock === undefined) {
+        const deployment = readDeployment(hre.network.name, "BlindBox");
+        const fromManifest = deployment && deployment.address.toLowerCase() === blindBox.target.toLowerCase();
+        fromBlock = fromManifest ? deployment.blockNumber : 0;
+      }
+
+      const stale = await findStaleRequests(blindBox, { fromBlock, olderThan: args.olderThan });
+      console.log(`${stale.length} stale request(s) on ${blindBox.target}`);
+      for (const request of stale) {
+        console.log(
+          `  ${request.requestId} ${request.user} box ${request.boxType}` +
+            `${request.quantity > 1 ? ` x${request.quantity}` : ""} paid ` +
+            `${hre.ethers.formatEther(request.pricePaid)}, waiting ${formatDuration(request.waited)}`
+        );
+      }
+      if (!args.dryRun && stale.length > 0) {
+        await sweepStale(blindBox, stale, { batchSize: args.batchSize });
+      }
+      return stale;
+    })
+  );
+
+blindboxTask("blindbox:sync", "Diff the reward catalog against the contract and apply the changes")
+  .addOptionalParam(
+    "only",
+    "Comma-separated sections: boxTypes,rewardTokens,boxConfigs,boxPrices,rarityTiers,tokenRanges"
+  )
+  .addOptionalParam("gasProfile", "Callback gas profile (defaults to config/callback-gas.json)")
+  .addFlag("dryRun", "Only print the diff")
+  .addFlag("force", "Skip the callback gas check")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { resolveCatalog } = require("../scripts/lib/catalog");
+      const { SECTIONS, syncConfig } = require("../scripts/lib/config-sync");
+      const { readGasProfile } = require("../scripts/lib/gas-profile");
+      const sections = args.only ? args.only.split(",").map((s) => s.trim()) : SECTIONS;
+      const unknown = sections.filter((section) => !SECTIONS.includes(section));
+      if (unknown.length > 0) {
+        fail(`Unknown sections: ${unknown.join(", ")}`);
+      }
+      const blindBox = await getBlindBox(hre, args.address);
+      console.log(`Syncing ${blindBox.target} on ${hre.network.name}${args.dryRun ? " (dry run)" : ""}`);
+      const gasProfile = args.force ? null : readGasProfile(args.gasProfile);
+      const catalog = await resolveCatalog(hre.network.name);
+      await syncConfig(blindBox, catalog, { dryRun: args.dryRun, sections, gasProfile });
+    })
+  );
+
+module.exports = {
+  BOX_TYPE_PARAM,
+  boxTypeArg,
+  blindboxTask,
+  withErrors,
+  fail,
+  getBlindBox,
+  resolveBox,
+  sendTx,
+  findEvents,
+};
@@ -0,0 +1,91 @@
+const { subtask, task, types } = require("hardhat/config");
+const { TASK_NODE, TASK_NODE_SERVER_READY } = require("hardhat/builtin-tasks/task-names");
+const { fail, withErrors } = require("./blindbox");
+
+// Set by the dev task so the node's server-ready hook knows to deploy the stack;
+// a plain `hardhat node` leaves it null and behaves as before.
+let devOptions = null;
+
+async function startDevStack(hre, { address, port }, options) {
+  const { loadCatalog } = require("../scripts/lib/catalog");
+  const { writeDeployment } = require("../scripts/lib/deployments");
+  const { deployDevStack, devVoucherSigner, startAutoFulfiller } = require("../scripts/lib/dev-stack");
+  const { createVoucherIssuer, createVoucherServer } = require("../scripts/lib/voucher");
+
+  // The stack logs its own opens and fulfillments; per-request RPC logging would bury them.
+  await hre.network.provider.request({ method: "hardhat_setLoggingEnabled", params: [options.rpcLogs] });
+
+  const voucherSigner = devVoucherSigner();
+  const stack = await deployDevStack(hre, {
+    template: loadCatalog(options.catalog),
+    treasury: options.treasury,
+    voucherSigner,
+    manifestNetwork: "localhost",
+  });
+  const { blindBox, coordinator } = stack.contracts;
+
+  const issuer = createVoucherIssuer({ blindBox, signer: voucherSigner });
+  // Local only, so the voucher service is open unless VOUCHER_API_TOKEN is set
+  const server = createVoucherServer(issuer, { apiToken: process.env.VOUCHER_API_TOKEN, insecure: true });
+  await new Promise((resolve) => server.listen(options.voucherPort, address, resolve));
+  const voucherUrl = `http://${address}:${server.address().port}`;
+
+  startAutoFulfiller({
+    blindBox,
+    coordinator,
+    delayMs: Math.round(options.fulfillDelay * 1000),
+    seed: options.seed,
+  });
+
+  writeDeployment("localhost", "DevStack", {
+    chainId: stack.chainId,
+    rpcUrl: `http://${address}:${port}`,
+    voucherUrl,
+    blindBox: stack.blindBox,
+    coordinator: stack.coordinator,
+    linkToken: stack.linkToken,
+    subscriptionId: stack.subscriptionId,
+    voucherSigner: stack.voucherSigner,
+    rewardTokens: stack.rewardTokens,
+    fulfillDelaySeconds: options.fulfillDelay,
+    seed: options.seed ?? null,
+  });
+
+  console.log();
+  console.log("Dev stack ready (addresses in deployments/localhost/DevStack.json):");
+  console.log(`  BlindBox:        ${stack.blindBox}`);
+  console.log(`  VRF coordinator: ${stack.coordinator}, fulfilling after ${options.fulfillDelay}s`);
+  console.log(`  Voucher service: ${voucherUrl}/vouchers`);
+  console.log("Try:");
+  console.log("  npx hardhat blindbox:open --network localhost --box-type 1 --watch --claim all");
+  console.log("  npx hardhat blindbox:open --network localhost --box-type 0 --fid 1 --watch");
+}
+
+subtask(TASK_NODE_SERVER_READY).setAction(async (args, hre, runSuper) => {
+  await runSuper(args);
+  if (devOptions) {
+    await startDevStack(hre, args, devOptions);
+  }
+});
+
+task("dev", "Start a local node with BlindBox, auto-fulfilling mock VRF, seeded reward tokens and the voucher service")
+  .addOptionalParam("port", "JSON-RPC port", 8545, types.int)
+  .addOptionalParam("hostname", "Interface to bind the node and voucher service to", "127.0.0.1")
+  .addOptionalParam("voucherPort", "Voucher service port", 8787, types.int)
+  .addOptionalParam("fulfillDelay", "Seconds to wait before fulfilling a request", 2, types.float)
+  .addOptionalParam("seed", "Seed for reproducible random words (random when omitted)")
+  .addOptionalParam("catalog", "Network whose catalog ranges the local tokens copy", "base")
+  .addOptionalParam("treasury", "Whole tokens minted to BlindBox per reward token, scaled to its decimals", "1000000")
+  .addFlag("rpcLogs", "Log every JSON-RPC request like `hardhat node` does")
+  .setAction(
+    withErrors(async (args, hre) => {
+      if (hre.network.name !== "hardhat") {
+        fail("dev starts its own node; run it without --network");
+      }
+      if (args.fulfillDelay < 0) {
+        fail(`--fulfill-delay must be >= 0, got ${args.fulfillDelay}`);
+      }
+      devOptions = args;
+      await hre.run(TASK_NODE, { port: args.port, hostname: args.hostname });
+    })
+  );
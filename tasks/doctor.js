@@ -0,0 +1,48 @@
+const { types } = require("hardhat/config");
+const { blindboxTask, fail, getBlindBox, withErrors } = require("./blindbox");
+
+blindboxTask("blindbox:doctor", "Check a deployment's readiness: pause state, VRF, signer, boxes and token balances")
+  .addOptionalParam(
+    "fromBlock",
+    "First block to scan for stale requests (defaults to the deployment block)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "staleAfter",
+    "Seconds after which a pending request is stale (defaults to reclaimTimeout)",
+    undefined,
+    types.int
+  )
+  .addFlag("strict", "Exit non-zero on warnings too")
+  .addFlag("json", "Print the report as JSON")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readDeployment, serialize } = require("../scripts/lib/deployments");
+      const { formatDoctorReport, runDoctor } = require("../scripts/lib/doctor");
+
+      const blindBox = await getBlindBox(hre, args.address);
+      let fromBlock = args.fromBlock;
+      if (fromBlock === undefined) {
+        const deployment = readDeployment(hre.network.name, "BlindBox");
+        const fromManifest = deployment && deployment.address.toLowerCase() === blindBox.target.toLowerCase();
+        fromBlock = fromManifest && deployment.blockNumber ? deployment.blockNumber : 0;
+      }
+
+      const report = await runDoctor(blindBox, { fromBlock, staleAfter: args.staleAfter });
+      if (args.json) {
+        console.log(JSON.stringify(serialize(report), null, 2));
+      } else {
+        console.log(`BlindBox ${report.address} on ${hre.network.name}`);
+        formatDoctorReport(report).forEach((line) => console.log(line));
+      }
+
+      const { warn, fail: failures } = report.counts;
+      if (failures > 0 || (args.strict && warn > 0)) {
+        fail(
+          `Not ready: ${failures} failure(s)` + (args.strict ? ` and ${warn} warning(s)` : "") + "; see the hints above"
+        );
+      }
+      return report;
+    })
+  );
@@ -0,0 +1,89 @@
+const { task, types } = require("hardhat/config");
+const { fail, withErrors } = require("./blindbox");
+
+function parseCounts(value, flag) {
+  const counts = value.split(",").map((part) => Number(part.trim()));
+  if (counts.some((count) => !Number.isInteger(count) || count < 1 || count > 100)) {
+    fail(`${flag} must be comma-separated integers between 1 and 100, got "${value}"`);
+  }
+  return counts;
+}
+
+task(
+  "blindbox:gas-profile",
+  "Measure rawFulfillRandomWords gas across box types, pool sizes, range modes and batch sizes"
+)
+  .addOptionalParam("poolSizes", "Reward pool sizes to measure", "1,5,10,25,50,100")
+  .addOptionalParam("rewardCounts", "numTokensToReward values to measure (capped at the pool size)", "1,2,3,5,10,25,50,100")
+  .addOptionalParam("quantities", "openBoxes batch sizes to measure", "2,4,8")
+  .addOptionalParam("margin", "Safety margin on top of measured gas", 0.2, types.float)
+  .addOptionalParam("file", "Where --write stores the profile (defaults to config/callback-gas.json)")
+  .addFlag("write", "Store the profile for the sync, set-vrf-config and deploy gas checks")
+  .addFlag("json", "Print the profile as JSON")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { buildProfile, measureFulfillment, requiredCallbackGas, writeGasProfile } = require(
+        "../scripts/lib/gas-profile"
+      );
+      if (hre.network.name !== "hardhat") {
+        fail("blindbox:gas-profile deploys its own contracts on the in-process network; run it without --network");
+      }
+      const poolSizes = parseCounts(args.poolSizes, "--pool-sizes");
+      const rewardCounts = parseCounts(args.rewardCounts, "--reward-counts");
+      const quantities = parseCounts(args.quantities, "--quantities");
+      if (quantities.includes(1)) {
+        fail("--quantities are batch sizes of 2 or more; single opens are always measured");
+      }
+      if (args.margin < 0) {
+        fail(`--margin must be >= 0, got ${args.margin}`);
+      }
+
+      const samples = await measureFulfillment({ poolSizes, rewardCounts, quantities });
+      const profile = buildProfile(samples, { margin: args.margin });
+      if (args.write) {
+        writeGasProfile(profile, args.file);
+      }
+      if (args.json) {
+        console.log(JSON.stringify(profile, null, 2));
+        return profile;
+      }
+
+      console.log("Worst case per pool size and numTokensToReward (all box types; uniform and weighted draws):");
+      console.log("  pool  rewards   uniform  with margin  weighted  with margin");
+      for (const poolSize of poolSizes) {
+        for (const rewardCount of rewardCounts.filter((count) => count <= poolSize)) {
+          const worst = (weighted) =>
+            Math.max(
+              ...samples
+                .filter((s) => !s.quantity && s.poolSize === poolSize && s.rewardCount === rewardCount)
+                .filter((s) => s.rangeMode !== "nft" && (s.rangeMode === "weighted") === weighted)
+                .map((s) => s.gasUsed)
+            );
+          const required = (model) => requiredCallbackGas(model, { poolSize, rewardCount, margin: args.margin });
+          console.log(
+            `  ${String(poolSize).padStart(4)}  ${String(rewardCount).padStart(7)}  ${String(worst(false)).padStart(8)}  ` +
+              `${String(required(profile.model)).padStart(11)}  ${String(worst(true)).padStart(8)}  ` +
+              `${String(required(profile.weightedModel)).padStart(11)}`
+          );
+        }
+      }
+      const { model, weightedModel, worstCase } = profile;
+      for (const [label, fitted] of [["Uniform", model], ["Weighted", weightedModel]]) {
+        console.log(
+          `${label} model: ${fitted.base} + ${fitted.perPoolToken} per pool token + ` +
+            `${fitted.perReward} per rewarded token` +
+            (fitted.perExtraBox !== undefined ? `, + ${fitted.perExtraBox} per extra box in a batch` : "")
+        );
+      }
+      console.log(`NFT prize: up to ${profile.nftPrizeGas} extra gas on boxes with an NFT chance`);
+      console.log(
+        `Worst case: ${worstCase.gasUsed} gas (box ${worstCase.boxType}, pool ${worstCase.poolSize}, ` +
+          `${worstCase.rewardCount} reward(s), ${worstCase.rangeMode}); ` +
+          `${worstCase.withMargin} with a ${Math.round(args.margin * 100)}% margin`
+      );
+      if (args.write) {
+        console.log(`Wrote ${args.file || "config/callback-gas.json"}`);
+      }
+      return profile;
+    })
+  );
@@ -0,0 +1,12 @@
+require("./blindbox");
+require("./simulate");
+require("./solvency");
+require("./indexer");
+require("./vrf");
+require("./multisig");
+require("./gas");
+require("./dev");
+require("./migrate");
+require("./nft");
+require("./verify");
+require("./doctor");
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { blindboxTask, fail, getBlindBox, withErrors } = require("./blindbox");
+
+const REPORTS = ["users", "daily", "ledger"];
+
+async function loadIndexFor(hre, blindBox, file) {
+  const { indexPath, readIndex } = require("../scripts/lib/indexer");
+  const target = file || indexPath(hre.network.name);
+  const index = readIndex(target);
+  if (!index) {
+    fail(`No index at ${target}; run blindbox:index first.`);
+  }
+  if (index.address !== hre.ethers.getAddress(blindBox.target)) {
+    fail(`Index ${target} is for ${index.address}, not ${blindBox.target}; use --file or --reset.`);
+  }
+  return index;
+}
+
+blindboxTask("blindbox:index", "Index BlindBox events into a local JSON store, resuming from the last checkpoint")
+  .addOptionalParam("fromBlock", "First block for a new index (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("confirmations", "Blocks re-scanned on each run to repair reorgs", 12, types.int)
+  .addOptionalParam("chunkSize", "Blocks per log query", 2000, types.int)
+  .addOptionalParam("file", "Index file (defaults to indexes/<network>/BlindBox.index.json)")
+  .addFlag("reset", "Discard the existing index and start over")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readDeployment } = require("../scripts/lib/deployments");
+      const { emptyIndex, indexPath, readIndex, syncIndex, writeIndex } = require("../scripts/lib/indexer");
+      const blindBox = await getBlindBox(hre, args.address);
+      const file = args.file || indexPath(hre.network.name);
+
+      let index = args.reset ? null : readIndex(file);
+      if (index && index.address !== hre.ethers.getAddress(blindBox.target)) {
+        fail(`Index ${file} is for ${index.address}, not ${blindBox.target}; use --file or --reset.`);
+      }
+      if (!index) {
+        let fromBlock = args.fromBlock;
+        if (fromBlock === undefined) {
+          const deployment = readDeployment(hre.network.name, "BlindBox");
+          const fromManifest = deployment && deployment.address.toLowerCase() === blindBox.target.toLowerCase();
+          fromBlock = fromManifest ? deployment.blockNumber : 0;
+        }
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        index = emptyIndex(blindBox.target, chainId, fromBlock);
+      }
+
+      const readPrice = (boxType, blockTag) => blindBox.boxPrices(boxType, { blockTag }).catch(() => null);
+      index = await syncIndex(blindBox, index, {
+        confirmations: args.confirmations,
+        chunkSize: args.chunkSize,
+        readPrice,
+        log: console.log,
+      });
+      writeIndex(file, index);
+      console.log(
+        `${file}: ${index.events.length} event(s), ${Object.keys(index.requests).length} request(s), ` +
+          `checkpoint ${index.checkpoint}`
+      );
+      return index;
+    })
+  );
+
+blindboxTask("blindbox:export", "Export user histories, daily summaries or the token payout ledger from the index")
+  .addParam("report", `One of ${REPORTS.join(", ")}`)
+  .addOptionalParam("user", "User for the users report")
+  .addOptionalParam("token", "Only this token in the ledger report")
+  .addOptionalParam("format", "csv or json", "csv")
+  .addOptionalParam("out", "Output file (defaults to stdout)")
+  .addOptionalParam("file", "Index file (defaults to indexes/<network>/BlindBox.index.json)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { dailySummary, toCsv, tokenLedger, userHistory } = require("../scripts/lib/indexer");
+      if (!REPORTS.includes(args.report)) {
+        fail(`Unknown report "${args.report}"; use one of ${REPORTS.join(", ")}`);
+      }
+      if (!["csv", "json"].includes(args.format)) {
+        fail(`Unknown format "${args.format}"; use csv or json`);
+      }
+      if (args.report === "users" && !args.user) {
+        fail("The users report needs --user");
+      }
+
+      const blindBox = await getBlindBox(hre, args.address);
+      const index = await loadIndexFor(hre, blindBox, args.file);
+      const rows =
+        args.report === "users"
+          ? userHistory(index, args.user)
+          : args.report === "daily"
+            ? dailySummary(index)
+            : tokenLedger(index, args.token);
+
+      const output = args.format === "json" ? `${JSON.stringify(rows, null, 2)}\n` : toCsv(rows);
+      if (args.out) {
+        fs.writeFileSync(args.out, output);
+        console.log(`Wrote ${rows.length} row(s) to ${args.out}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return rows;
+    })
+  );
+
+module.exports = {
+  loadIndexFor,
+};
@@ -0,0 +1,63 @@
+const { types } = require("hardhat/config");
+const { blindboxTask, fail, getBlindBox, withErrors } = require("./blindbox");
+
+blindboxTask("blindbox:migrate", "Freeze a BlindBox and move its pending rewards, reserves and free box state to --to")
+  .addParam("to", "BlindBox deployment that takes over (--address is the one being retired)")
+  .addOptionalParam("fromBlock", "First block to snapshot events from (defaults to 0)", 0, types.int)
+  .addOptionalParam("batchSize", "Rewards or free opens per importMigrationBatch call", 100, types.int)
+  .addFlag("dryRun", "Snapshot and print the plan without sending transactions")
+  .addFlag("fresh", "Ignore a stored snapshot and take a new one")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readDeployment, writeDeployment } = require("../scripts/lib/deployments");
+      const { migrate } = require("../scripts/lib/migration");
+      const { ethers } = hre;
+      if (args.batchSize < 1) {
+        fail(`--batch-size must be at least 1, got ${args.batchSize}`);
+      }
+      const source = await getBlindBox(hre, args.address);
+      const target = await getBlindBox(hre, args.to);
+      if (ethers.getAddress(source.target) === ethers.getAddress(target.target)) {
+        fail(`--address and --to are both ${target.target}; pass the retired deployment with --address`);
+      }
+
+      // deployments/<network>/Migration.json keeps the snapshot and progress so a re-run resumes it
+      const stored = readDeployment(hre.network.name, "Migration");
+      const resumable =
+        !args.fresh &&
+        stored !== null &&
+        stored.source === ethers.getAddress(source.target) &&
+        stored.target === ethers.getAddress(target.target);
+      if (resumable && stored.steps.verified) {
+        console.log(`${source.target} was already migrated to ${target.target}; pass --fresh to check it again`);
+        return null;
+      }
+      if (resumable) {
+        console.log(`Resuming the migration snapshotted at block ${stored.snapshot.toBlock}`);
+      }
+      const record = (steps, snapshot) => ({
+        source: ethers.getAddress(source.target),
+        target: ethers.getAddress(target.target),
+        snapshot,
+        steps,
+      });
+
+      const result = await migrate(source, target, {
+        snapshot: resumable ? stored.snapshot : undefined,
+        fromBlock: args.fromBlock,
+        batchSize: args.batchSize,
+        dryRun: args.dryRun,
+        onSnapshot: (snapshot) => {
+          if (!args.dryRun) {
+            writeDeployment(hre.network.name, "Migration", record({ frozen: true, verified: false }, snapshot));
+          }
+        },
+      });
+
+      if (!args.dryRun) {
+        writeDeployment(hre.network.name, "Migration", record({ frozen: true, verified: true }, result.snapshot));
+        console.log(`Migrated ${source.target} to ${target.target}`);
+      }
+      return result;
+    })
+  );
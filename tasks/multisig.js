@@ -0,0 +1,183 @@
+const { task, types } = require("hardhat/config");
+const { fail, findEvents, getBlindBox, sendTx, withErrors } = require("./blindbox");
+
+function multisigTask(name, description) {
+  return task(name, description).addOptionalParam(
+    "multisig",
+    "MultiSign address (defaults to deployments/<network>/MultiSign.json or MULTISIG_ADDRESS)"
+  );
+}
+
+async function getMultisig(hre, address) {
+  const { resolveAddress } = require("../scripts/lib/deployments");
+  return hre.ethers.getContractAt(
+    "MultiSign",
+    address || resolveAddress(hre.network.name, "MultiSign", "MULTISIG_ADDRESS")
+  );
+}
+
+// Interfaces used to decode proposal calldata in listings.
+async function knownInterfaces(hre) {
+  const names = ["BlindBox", "MultiSign", "MockERC20"];
+  const artifacts = await Promise.all(names.map((name) => hre.artifacts.readArtifact(name)));
+  return artifacts.map(({ abi }) => new hre.ethers.Interface(abi));
+}
+
+function parseParams(params) {
+  if (!params) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(params);
+    if (!Array.isArray(parsed)) {
+      throw new Error("not an array");
+    }
+    return parsed;
+  } catch (error) {
+    return fail(`--params must be a JSON array, e.g. '[2, "500000000000000"]' (${error.message})`);
+  }
+}
+
+task("multisig:deploy", "Deploy a MultiSign wallet and record it in deployments/<network>/MultiSign.json")
+  .addParam("signers", "Comma-separated signer addresses")
+  .addParam("threshold", "Confirmations required to execute", undefined, types.int)
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { writeDeployment } = require("../scripts/lib/deployments");
+      const signers = args.signers.split(",").map((address) => ethers.getAddress(address.trim()));
+      const multisig = await ethers.deployContract("MultiSign", [signers, args.threshold]);
+      const receipt = await multisig.deploymentTransaction().wait();
+      const { chainId } = await ethers.provider.getNetwork();
+
+      writeDeployment(hre.network.name, "MultiSign", {
+        contract: "MultiSign",
+        address: multisig.target,
+        chainId,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        constructorArgs: [signers, args.threshold],
+      });
+      console.log(`MultiSign deployed at ${multisig.target} (${args.threshold} of ${signers.length})`);
+      return multisig.target;
+    })
+  );
+
+multisigTask("multisig:propose", "Propose a call from the multisig (confirms it for the proposer)")
+  .addOptionalParam("to", "Target address (defaults to the BlindBox when --method is given)")
+  .addOptionalParam("method", "Function to call on the target, e.g. setBoxPrice")
+  .addOptionalParam("params", "JSON array of arguments for --method")
+  .addOptionalParam("contract", "Artifact used to encode --method", "BlindBox")
+  .addOptionalParam("data", "Raw calldata instead of --method")
+  .addOptionalParam("value", "Native token to send, e.g. 0.1", "0")
+  .addOptionalParam("address", "BlindBox address used as the default target")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { createProposal } = require("../scripts/lib/multisig");
+      if (args.method && args.data) {
+        fail("Pass either --method or --data, not both");
+      }
+      const multisig = await getMultisig(hre, args.multisig);
+
+      let data = args.data || "0x";
+      if (args.method) {
+        const { abi } = await hre.artifacts.readArtifact(args.contract);
+        data = new ethers.Interface(abi).encodeFunctionData(args.method, parseParams(args.params));
+      }
+      let to = args.to;
+      if (!to && args.method && args.contract === "BlindBox") {
+        to = (await getBlindBox(hre, args.address)).target;
+      }
+      if (!to) {
+        fail("No target; pass --to");
+      }
+
+      const id = await createProposal(multisig, { to, value: ethers.parseEther(args.value), data });
+      console.log(`Proposal ${id}: ${args.method || (data === "0x" ? "transfer" : data.slice(0, 10))} on ${to}`);
+      return id;
+    })
+  );
+
+multisigTask("multisig:sign", "Confirm a proposal")
+  .addParam("id", "Proposal id")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const multisig = await getMultisig(hre, args.multisig);
+      await sendTx(multisig.confirm(args.id), `Confirmed proposal ${args.id}`);
+      const [count, threshold] = await Promise.all([multisig.confirmationCount(args.id), multisig.threshold()]);
+      console.log(`${count}/${threshold} confirmations`);
+      return count;
+    })
+  );
+
+multisigTask("multisig:revoke", "Withdraw your confirmation of a proposal")
+  .addParam("id", "Proposal id")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const multisig = await getMultisig(hre, args.multisig);
+      await sendTx(multisig.revoke(args.id), `Revoked confirmation of proposal ${args.id}`);
+    })
+  );
+
+multisigTask("multisig:execute", "Execute a proposal that reached the threshold")
+  .addParam("id", "Proposal id")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const multisig = await getMultisig(hre, args.multisig);
+      const receipt = await sendTx(multisig.execute(args.id), `Executed proposal ${args.id}`);
+      const [executed] = findEvents(receipt, multisig, "ProposalExecuted");
+      return executed.args.result;
+    })
+  );
+
+multisigTask("multisig:list", "List proposals with their confirmations and status")
+  .addFlag("all", "Include executed and expired proposals")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { listProposals } = require("../scripts/lib/multisig");
+      const multisig = await getMultisig(hre, args.multisig);
+      const proposals = await listProposals(multisig, {
+        includeClosed: args.all,
+        interfaces: await knownInterfaces(hre),
+      });
+
+      console.log(`MultiSign ${multisig.target}: ${await multisig.threshold()} of ${(await multisig.getSigners()).length}`);
+      if (proposals.length === 0) {
+        console.log("No open proposals");
+      }
+      for (const proposal of proposals) {
+        const value = proposal.value > 0n ? ` +${ethers.formatEther(proposal.value)}` : "";
+        console.log(
+          `#${proposal.id} [${proposal.status}] ${proposal.call} on ${proposal.to}${value} ` +
+            `(${proposal.confirmations}/${proposal.threshold}, expires ${new Date(proposal.expiresAt * 1000).toISOString()})`
+        );
+      }
+      return proposals;
+    })
+  );
+
+multisigTask("multisig:adopt-blindbox", "Start a BlindBox ownership transfer to the multisig and propose acceptOwnership")
+  .addOptionalParam("address", "BlindBox address (defaults to deployments/<network>/BlindBox.json or BLINDBOX_ADDRESS)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { proposeOwnershipHandover } = require("../scripts/lib/multisig");
+      const [signer] = await hre.ethers.getSigners();
+      const multisig = await getMultisig(hre, args.multisig);
+      const blindBox = await getBlindBox(hre, args.address);
+
+      const id = await proposeOwnershipHandover(blindBox, multisig, { owner: signer, signer });
+      if (id === null) {
+        console.log(`BlindBox ${blindBox.target} is already owned by ${multisig.target}`);
+        return null;
+      }
+      console.log(`BlindBox pendingOwner is ${multisig.target}; proposal ${id} calls acceptOwnership.`);
+      console.log(`Collect confirmations with multisig:sign --id ${id}, then run multisig:execute --id ${id}.`);
+      return id;
+    })
+  );
+
+module.exports = {
+  getMultisig,
+};
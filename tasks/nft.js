@@ -0,0 +1,155 @@
+const { types } = require("hardhat/config");
+const {
+  BOX_TYPE_PARAM,
+  boxTypeArg,
+  blindboxTask,
+  fail,
+  findEvents,
+  getBlindBox,
+  resolveBox,
+  sendTx,
+  withErrors,
+} = require("./blindbox");
+
+function parseIds(value) {
+  const ids = value.split(",").map((part) => part.trim());
+  if (ids.some((id) => !/^\d+$/.test(id))) {
+    fail(`--ids must be comma-separated token ids, got "${value}"`);
+  }
+  return ids.map(BigInt);
+}
+
+blindboxTask("blindbox:nft-deposit", "Stock a box type's NFT prize inventory with ERC-721 or ERC-1155 tokens")
+  .addParam("boxType", BOX_TYPE_PARAM, undefined, boxTypeArg)
+  .addParam("nft", "ERC-721 or ERC-1155 contract")
+  .addParam("ids", "Comma-separated token ids")
+  .addOptionalParam("amount", "ERC-1155 units per prize", "1")
+  .addOptionalParam("copies", "ERC-1155 prizes per id", 1, types.int)
+  .addOptionalParam("batchSize", "Prizes per depositNfts call", 50, types.int)
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { buildPrizes, stockInventory } = require("../scripts/lib/nft-inventory");
+      if (args.copies < 1 || args.batchSize < 1) {
+        fail("--copies and --batch-size must be at least 1");
+      }
+      const blindBox = await getBlindBox(hre, args.address);
+      const { boxType, name } = await resolveBox(blindBox, args.boxType);
+      const prizes = await buildPrizes(args.nft, parseIds(args.ids), {
+        amount: BigInt(args.amount),
+        copies: args.copies,
+      });
+      await stockInventory(blindBox, boxType, prizes, { batchSize: args.batchSize });
+      if ((await blindBox.nftChanceBps(boxType)) === 0n) {
+        console.log(`Box ${name} has no NFT chance yet; set one with blindbox:nft-chance`);
+      }
+      return prizes;
+    })
+  );
+
+blindboxTask("blindbox:nft-withdraw", "Take NFT prizes back out of a box type's inventory")
+  .addParam("boxType", BOX_TYPE_PARAM, undefined, boxTypeArg)
+  .addParam("nft", "ERC-721 or ERC-1155 contract")
+  .addParam("ids", "Comma-separated token ids (every inventory copy of each id is withdrawn)")
+  .addOptionalParam("to", "Recipient (defaults to the first signer)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { findInventoryIndexes } = require("../scripts/lib/nft-inventory");
+      const blindBox = await getBlindBox(hre, args.address);
+      const { boxType, name } = await resolveBox(blindBox, args.boxType);
+      const to = args.to || (await (await hre.ethers.getSigners())[0].getAddress());
+      const indexes = await findInventoryIndexes(blindBox, boxType, args.nft, parseIds(args.ids));
+      if (indexes.length === 0) {
+        fail(`Box ${name} holds none of ${args.ids} from ${args.nft}`);
+      }
+      await sendTx(blindBox.withdrawNfts(boxType, indexes, to), `Withdrew ${indexes.length} prize(s) to ${to}`);
+      return indexes;
+    })
+  );
+
+blindboxTask("blindbox:nft-chance", "Set the chance an open of a box type also wins an NFT prize")
+  .addParam("boxType", BOX_TYPE_PARAM, undefined, boxTypeArg)
+  .addParam("percent", "Chance in percent, e.g. 2.5 (0 disables NFT prizes)", undefined, types.float)
+  .addOptionalParam("gasProfile", "Callback gas profile (defaults to config/callback-gas.json)")
+  .addFlag("force", "Skip the callback gas check")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const {
+        checkCallbackGas,
+        formatGasCheck,
+        onchainGasFactors,
+        readGasProfile,
+      } = require("../scripts/lib/gas-profile");
+      if (!(args.percent >= 0 && args.percent <= 100)) {
+        fail(`--percent must be between 0 and 100, got ${args.percent}`);
+      }
+      const chanceBps = Math.round(args.percent * 100);
+      const blindBox = await getBlindBox(hre, args.address);
+      const { boxType, name, config } = await resolveBox(blindBox, args.boxType);
+
+      const profile = readGasProfile(args.gasProfile);
+      if (chanceBps > 0 && profile && !args.force) {
+        const factors = await onchainGasFactors(blindBox);
+        const check = checkCallbackGas(profile, {
+          callbackGasLimit: Number(await blindBox.callbackGasLimit()),
+          poolSize: (await blindBox.getRewardTokens()).length,
+          boxConfigs: [{ boxType, numTokensToReward: config.numTokensToReward, enabled: config.enabled }],
+          weightedBoxTypes: factors.weightedBoxTypes,
+          nftBoxTypes: [boxType],
+          maxOpenQuantity: factors.maxOpenQuantity,
+        });
+        if (!check.ok) {
+          fail(`Refusing to update: ${formatGasCheck(check)}`);
+        }
+      }
+
+      await sendTx(blindBox.setNftChance(boxType, chanceBps), `Box ${name} NFT chance set to ${chanceBps} bps`);
+      const inventory = await blindBox.getNftInventory(boxType);
+      if (chanceBps > 0 && inventory.length === 0) {
+        console.log("The inventory is empty; winning opens get no prize until blindbox:nft-deposit stocks it");
+      }
+    })
+  );
+
+blindboxTask("blindbox:nft-inventory", "Show NFT chances and inventories, and a user's pending NFT prizes")
+  .addOptionalParam("user", "User to show pending NFT prizes for (defaults to the first signer)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { readBoxTypes } = require("../scripts/lib/boxes");
+      const { formatPrize, readInventory } = require("../scripts/lib/nft-inventory");
+      const blindBox = await getBlindBox(hre, args.address);
+      const user = args.user || (await (await hre.ethers.getSigners())[0].getAddress());
+
+      const inventories = [];
+      for (const { boxType, name } of await readBoxTypes(blindBox)) {
+        const inventory = await readInventory(blindBox, boxType);
+        inventories.push(inventory);
+        console.log(
+          `Box ${name}: ${(inventory.chanceBps / 100).toFixed(2)}% chance, ${inventory.prizes.length} prize(s)`
+        );
+        for (const prize of inventory.prizes) {
+          console.log(`  [${prize.index}] ${formatPrize(prize)}`);
+        }
+      }
+
+      const pending = await blindBox.getPendingNfts(user);
+      console.log(`Pending NFT prizes for ${user}: ${pending.length}`);
+      pending.forEach((prize, index) => console.log(`  [${index}] ${formatPrize(prize)}`));
+      return { inventories, pending };
+    })
+  );
+
+blindboxTask("blindbox:nft-claim", "Claim one or all pending NFT prizes")
+  .addOptionalParam("index", "Pending prize to claim (defaults to all)", undefined, types.int)
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { formatPrize } = require("../scripts/lib/nft-inventory");
+      const blindBox = await getBlindBox(hre, args.address);
+      const receipt =
+        args.index !== undefined
+          ? await sendTx(blindBox.claimNft(args.index), `Claimed NFT prize ${args.index}`)
+          : await sendTx(blindBox.claimAllNfts(), "Claimed all pending NFT prizes");
+      for (const event of findEvents(receipt, blindBox, "NftClaimed")) {
+        console.log(`  ${formatPrize(event.args)}`);
+      }
+    })
+  );
@@ -0,0 +1,124 @@
+const { types } = require("hardhat/config");
+const { blindboxTask, fail, getBlindBox, withErrors } = require("./blindbox");
+
+// `names` maps box ids to names (catalog.boxNames of the catalog being simulated)
+function parseOpens(value, names) {
+  const opens = {};
+  for (const part of value.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [name, count] = part.split("=");
+    const key = name.trim().toUpperCase();
+    const match = Object.entries(names).find(([, boxName]) => boxName.toUpperCase() === key);
+    const boxType = match ? Number(match[0]) : Number(key);
+    if (!(boxType in names) || !/^\d+$/.test((count || "").trim())) {
+      fail(`Invalid --opens entry "${part}"; use e.g. FREE=500,SILVER=40,GOLD=10`);
+    }
+    opens[boxType] = Number(count);
+  }
+  return opens;
+}
+
+function parseTokenValues(value, ethers) {
+  if (!value) {
+    return undefined;
+  }
+  return Object.fromEntries(
+    value.split(",").map((part) => {
+      const [token, price] = part.split("=").map((s) => s.trim());
+      if (!ethers.isAddress(token) || !price) {
+        fail(`Invalid --token-values entry "${part}"; use <token>=<native price per token>`);
+      }
+      return [token, ethers.parseEther(price)];
+    })
+  );
+}
+
+function formatDays(days) {
+  if (days === null) {
+    return "-";
+  }
+  return days === Infinity ? "unlimited" : `${days.toFixed(1)}d`;
+}
+
+blindboxTask("blindbox:simulate", "Monte Carlo token outflow, revenue and runway for a reward catalog")
+  .addParam("opens", "Opens per day by box type, e.g. FREE=500,SILVER=40,GOLD=10")
+  .addOptionalParam("runs", "Simulated days", 200, types.int)
+  .addOptionalParam("catalog", "Catalog file (defaults to config/catalogs/<network>.json)")
+  .addOptionalParam("tokenValues", "Native price per whole token to compare payouts with revenue: <token>=<price>,...")
+  .addFlag("onchain", "Simulate the live contract config instead of the catalog")
+  .addFlag("noTreasury", "Skip reading treasury balances for runway")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { boxNames, resolveCatalog } = require("../scripts/lib/catalog");
+      const { readOnchainConfig } = require("../scripts/lib/config-sync");
+      const { ERC20_METADATA_ABI, formatTokenAmount, tokenInfo } = require("../scripts/lib/tokens");
+      const { simulate } = require("../scripts/lib/simulator");
+
+      let blindBox = null;
+      if (args.onchain || !args.noTreasury) {
+        try {
+          blindBox = await getBlindBox(hre, args.address);
+        } catch (error) {
+          if (args.onchain) {
+            throw error;
+          }
+          console.log(`No BlindBox deployment on ${hre.network.name}; runway will not be reported.`);
+        }
+      }
+
+      let catalog = await resolveCatalog(hre.network.name, { file: args.catalog });
+      if (args.onchain) {
+        catalog = await readOnchainConfig(blindBox, catalog);
+      }
+      const names = boxNames(catalog);
+      const opensPerDay = parseOpens(args.opens, names);
+
+      const treasury = {};
+      if (blindBox && !args.noTreasury) {
+        for (const token of catalog.rewardTokens) {
+          treasury[token] = await new ethers.Contract(token, ERC20_METADATA_ABI, ethers.provider)
+            .balanceOf(blindBox.target)
+            .catch(() => 0n);
+        }
+      }
+
+      const report = simulate(catalog, {
+        opensPerDay,
+        runs: args.runs,
+        treasury,
+        tokenValues: parseTokenValues(args.tokenValues, ethers),
+      });
+
+      console.log(`Simulated ${report.runs} days of ${args.opens} (${args.onchain ? "on-chain config" : "catalog"})`);
+      console.log(`Revenue per day: ${ethers.formatEther(report.revenuePerDay)}`);
+      if (report.payoutValue) {
+        console.log(
+          `Payout value per day: expected ${ethers.formatEther(report.payoutValue.expected)}, ` +
+            `p99 ${ethers.formatEther(report.payoutValue.p99)}`
+        );
+      }
+      console.log("Payouts per day:");
+      for (const entry of report.tokens) {
+        const treasuryText =
+          entry.treasury === null ? "" : `, treasury ${await formatTokenAmount(entry.token, entry.treasury)}`;
+        console.log(
+          `  ${await formatTokenAmount(entry.token, entry.expected)} expected, ` +
+            `${await formatTokenAmount(entry.token, entry.p99)} p99${treasuryText}, ` +
+            `runway ${formatDays(entry.runwayDays)} (p99 ${formatDays(entry.p99RunwayDays)})`
+        );
+      }
+      console.log("Chance of each token per open:");
+      for (const [boxType, odds] of Object.entries(report.odds)) {
+        const parts = [];
+        for (const { token, inOpen } of odds) {
+          parts.push(`${(await tokenInfo(token)).symbol} ${(inOpen * 100).toFixed(1)}%`);
+        }
+        console.log(`  ${names[boxType].padEnd(6)} ${parts.join(", ")}`);
+      }
+      return report;
+    })
+  );
+
+module.exports = {
+  parseOpens,
+};
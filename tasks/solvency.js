@@ -0,0 +1,92 @@
+const { types } = require("hardhat/config");
+const { blindboxTask, fail, getBlindBox, withErrors } = require("./blindbox");
+const { loadIndexFor } = require("./indexer");
+
+function formatRatio(value) {
+  return value === Infinity ? "-" : `${(value * 100).toFixed(1)}%`;
+}
+
+blindboxTask("blindbox:solvency", "Compare outstanding pending rewards with the contract's token balances")
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("threshold", "Minimum coverage ratio, e.g. 1.2 for 120%", 1, types.float)
+  .addOptionalParam("chunkSize", "Blocks per log query", 10000, types.int)
+  .addOptionalParam("indexFile", "Index file for --from-index")
+  .addFlag("fromIndex", "Read liabilities from the blindbox:index store instead of scanning events")
+  .addFlag("includeInflight", "Apply the threshold to coverage including worst-case in-flight opens")
+  .addFlag("json", "Print the report as JSON")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { readDeployment, serialize } = require("../scripts/lib/deployments");
+      const { checkSolvency } = require("../scripts/lib/solvency");
+      const { tokenInfo } = require("../scripts/lib/tokens");
+
+      const blindBox = await getBlindBox(hre, args.address);
+      let fromBlock = args.fromBlock;
+      if (fromBlock === undefined) {
+        const deployment = readDeployment(hre.network.name, "BlindBox");
+        const fromManifest = deployment && deployment.address.toLowerCase() === blindBox.target.toLowerCase();
+        fromBlock = fromManifest ? deployment.blockNumber : 0;
+      }
+
+      let liabilities;
+      let toBlock;
+      if (args.fromIndex) {
+        const { outstandingFromIndex } = require("../scripts/lib/indexer");
+        const index = await loadIndexFor(hre, blindBox, args.indexFile);
+        liabilities = outstandingFromIndex(index);
+        toBlock = index.checkpoint;
+      }
+
+      const report = await checkSolvency(blindBox, {
+        fromBlock,
+        toBlock,
+        liabilities,
+        chunkSize: args.chunkSize,
+        threshold: args.threshold,
+        includeInflight: args.includeInflight,
+      });
+
+      if (args.json) {
+        const coverage = (value) => (value === Infinity ? null : value);
+        console.log(
+          JSON.stringify(
+            serialize({
+              ...report,
+              tokens: report.tokens.map((row) => ({
+                ...row,
+                coverage: coverage(row.coverage),
+                coverageWithInflight: coverage(row.coverageWithInflight),
+              })),
+            }),
+            null,
+            2
+          )
+        );
+      } else {
+        console.log(
+          `BlindBox ${report.address} on ${hre.network.name} at block ${report.toBlock}, ` +
+            `${report.pendingRequestCount} pending request(s) holding ${report.pendingBoxes} box(es)`
+        );
+        console.log(
+          `  ${"token".padEnd(8)} ${"balance".padStart(18)} ${"outstanding".padStart(18)} ` +
+            `${"in-flight max".padStart(18)} ${"coverage".padStart(9)} ${"w/ flight".padStart(9)}`
+        );
+        for (const row of report.tokens) {
+          const { symbol, decimals } = await tokenInfo(row.token);
+          const amount = (value) => ethers.formatUnits(value, decimals).padStart(18);
+          console.log(
+            `${row.ok ? " " : "!"} ${symbol.padEnd(8)} ${amount(row.balance)} ${amount(row.outstanding)} ` +
+              `${amount(row.inflight)} ${formatRatio(row.coverage).padStart(9)} ` +
+              `${formatRatio(row.coverageWithInflight).padStart(9)}`
+          );
+        }
+      }
+
+      if (!report.ok) {
+        const short = report.tokens.filter((row) => !row.ok).map((row) => row.token);
+        fail(`Coverage below ${args.threshold} for ${short.join(", ")}; top up the treasury.`);
+      }
+      return report;
+    })
+  );
@@ -0,0 +1,97 @@
+const { task, types } = require("hardhat/config");
+const { fail, withErrors } = require("./blindbox");
+
+// Env overrides for deployed addresses, as read by the other tasks
+const ADDRESS_ENV = { BlindBox: "BLINDBOX_ADDRESS", MultiSign: "MULTISIG_ADDRESS" };
+
+/**
+ * Address and constructor arguments of `contract` on the current network. The
+ * BlindBoxAdmin module is found through BlindBox.adminModule() and takes no arguments.
+ */
+async function resolveTarget(hre, args) {
+  const { resolveAddress } = require("../scripts/lib/deployments");
+  const { loadConstructorArgs } = require("../scripts/lib/verify");
+  const network = hre.network.name;
+  const { contract } = args;
+
+  if (contract === "BlindBoxAdmin") {
+    const blindBox = await hre.ethers.getContractAt("BlindBox", resolveAddress(network));
+    return { address: args.address || (await blindBox.adminModule()), constructorArgs: [] };
+  }
+  const address =
+    args.address || resolveAddress(network, contract, ADDRESS_ENV[contract] || `${contract.toUpperCase()}_ADDRESS`);
+  const { abi } = await hre.artifacts.readArtifact(contract);
+  const constructor = abi.find((item) => item.type === "constructor");
+  if (!args.args && (!constructor || constructor.inputs.length === 0)) {
+    return { address, constructorArgs: [] };
+  }
+  return { address, constructorArgs: await loadConstructorArgs({ network, contract, argsModule: args.args }) };
+}
+
+function targetExplorers(hre, args) {
+  const { explorersFor } = require("../config/networks");
+  if (args.apiUrl) {
+    const { origin } = new URL(args.apiUrl);
+    return [{ id: "custom", name: origin, apiURL: args.apiUrl, browserURL: origin, apiKey: args.apiKey }];
+  }
+  const explorers = explorersFor(hre.network.name, { preferred: process.env.BASE_EXPLORER });
+  if (explorers.length === 0) {
+    fail(`No explorers configured for ${hre.network.name} in config/networks.js; pass --api-url`);
+  }
+  if (!args.explorer) {
+    return explorers;
+  }
+  const selected = explorers.filter((explorer) => explorer.id === args.explorer);
+  if (selected.length === 0) {
+    fail(`No explorer "${args.explorer}" for ${hre.network.name} (known: ${explorers.map((e) => e.id).join(", ")})`);
+  }
+  return selected;
+}
+
+task("verify:deployment", "Verify a deployed contract on every explorer configured for the network, with retries")
+  .addOptionalPositionalParam("contract", "BlindBox, BlindBoxAdmin, MultiSign, Counter or another artifact", "BlindBox")
+  .addOptionalParam("address", "Contract address (defaults to deployments/<network>/<contract>.json)")
+  .addOptionalParam(
+    "args",
+    "Module exporting the constructor arguments, e.g. scripts/verify-args-base.js (defaults to the deployment record)"
+  )
+  .addOptionalParam("explorer", "Only verify on this explorer id from config/networks.js, e.g. blockscout")
+  .addOptionalParam("apiUrl", "Verify on this Etherscan-compatible API instead of the network's explorers")
+  .addOptionalParam("apiKey", "API key for --api-url")
+  .addOptionalParam("attempts", "Attempts per explorer while it has not indexed the bytecode", 6, types.int)
+  .addOptionalParam("interval", "Seconds before the first retry; doubles on each retry up to a minute", 5, types.float)
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { verifyContract } = require("../scripts/lib/verify");
+      if (args.attempts < 1 || args.interval < 0) {
+        fail("--attempts must be at least 1 and --interval at least 0");
+      }
+      const explorers = targetExplorers(hre, args);
+      let target;
+      try {
+        target = await resolveTarget(hre, args);
+      } catch (error) {
+        fail(error.message);
+      }
+
+      console.log(`Verifying ${args.contract} at ${target.address} on ${hre.network.name}`);
+      const results = await verifyContract(hre, {
+        contract: args.contract,
+        address: target.address,
+        constructorArgs: target.constructorArgs,
+        explorers,
+        attempts: args.attempts,
+        interval: args.interval * 1000,
+        pollInterval: Math.min(args.interval * 1000, 3000),
+      });
+
+      const failed = results.filter((result) => result.status === "failed");
+      if (failed.length > 0) {
+        fail(`Verification failed on ${failed.map((result) => result.name).join(", ")}`);
+      }
+      if (results.every((result) => result.status === "skipped")) {
+        fail("Every explorer was skipped; set an API key");
+      }
+      return results;
+    })
+  );
@@ -0,0 +1,173 @@
+const { blindboxTask, fail, getBlindBox, withErrors } = require("./blindbox");
+
+function vrfTask(name, description) {
+  return blindboxTask(name, description)
+    .addOptionalParam("coordinator", "VRF coordinator (defaults to BlindBox.vrfCoordinator or the network profile)")
+    .addOptionalParam("subId", "Subscription id (defaults to BlindBox.subscriptionId or <PREFIX>_VRF_SUBSCRIPTION_ID)");
+}
+
+async function optionalBlindBox(hre, address) {
+  try {
+    return await getBlindBox(hre, address);
+  } catch (error) {
+    if (address) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Coordinator, subscription id and BlindBox for a vrf:* task, from explicit
+ * params first, then the deployed BlindBox, then the network profile.
+ */
+async function resolveVrf(hre, args, { needSub = true } = {}) {
+  const { networkProfile } = require("../config/networks");
+  const { coordinatorAt } = require("../scripts/lib/vrf");
+  const profile = networkProfile(hre.network.name);
+  const blindBox = await optionalBlindBox(hre, args.address);
+  const [signer] = await hre.ethers.getSigners();
+
+  const coordinatorAddress =
+    args.coordinator ||
+    (blindBox && (await blindBox.vrfCoordinator())) ||
+    process.env[`${profile.envPrefix}_VRF_COORDINATOR`] ||
+    profile.vrf.coordinator;
+  if (!coordinatorAddress) {
+    const why = profile.vrf.unsupported ? ` (VRF is unsupported there: ${profile.vrf.unsupported})` : "";
+    fail(
+      `No VRF coordinator for ${hre.network.name}${why}; pass --coordinator or set ${profile.envPrefix}_VRF_COORDINATOR`
+    );
+  }
+
+  let subId =
+    args.subId ||
+    (blindBox && (await blindBox.subscriptionId())) ||
+    process.env[`${profile.envPrefix}_VRF_SUBSCRIPTION_ID`];
+  if (needSub && !subId) {
+    fail(`No subscription id; pass --sub-id or set ${profile.envPrefix}_VRF_SUBSCRIPTION_ID`);
+  }
+  subId = subId ? BigInt(subId) : null;
+
+  return { profile, blindBox, subId, coordinator: coordinatorAt(coordinatorAddress, signer) };
+}
+
+vrfTask("vrf:create", "Create a VRF subscription owned by the first signer").setAction(
+  withErrors(async (args, hre) => {
+    const { createSubscription } = require("../scripts/lib/vrf");
+    const { profile, coordinator } = await resolveVrf(hre, args, { needSub: false });
+    const subId = await createSubscription(coordinator);
+    console.log(`Created subscription ${subId} on ${coordinator.target}`);
+    console.log(`Set ${profile.envPrefix}_VRF_SUBSCRIPTION_ID=${subId} before deploying BlindBox.`);
+    return subId;
+  })
+);
+
+vrfTask("vrf:fund", "Fund a subscription with LINK (default) or native token")
+  .addParam("amount", "Amount in whole LINK or native units, e.g. 2.5")
+  .addOptionalParam("link", "LINK token (defaults to the network profile or <PREFIX>_LINK_TOKEN)")
+  .addFlag("native", "Fund the native balance instead of LINK")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { ethers } = hre;
+      const { linkTokenAddress } = require("../config/networks");
+      const { LINK_ABI, fundWithLink, fundWithNative, subscriptionInfo } = require("../scripts/lib/vrf");
+      const { profile, coordinator, subId } = await resolveVrf(hre, args);
+      const amount = ethers.parseEther(args.amount);
+
+      if (args.native) {
+        await fundWithNative(coordinator, subId, amount);
+      } else {
+        let linkAddress = args.link;
+        if (!linkAddress && profile.local) {
+          const mock = await ethers.getContractAt("MockVRFCoordinator", coordinator.target);
+          linkAddress = await mock.link();
+        }
+        const [signer] = await ethers.getSigners();
+        const link = new ethers.Contract(linkAddress || linkTokenAddress(hre.network.name), LINK_ABI, signer);
+        const balance = await link.balanceOf(signer.address);
+        if (balance < amount) {
+          fail(`Signer holds ${ethers.formatEther(balance)} LINK, needs ${args.amount}`);
+        }
+        await fundWithLink(link, coordinator, subId, amount);
+      }
+
+      const info = await subscriptionInfo(coordinator, subId);
+      console.log(
+        `Funded subscription ${subId}: ${ethers.formatEther(info.balance)} LINK, ` +
+          `${ethers.formatEther(info.nativeBalance)} native`
+      );
+      return info;
+    })
+  );
+
+vrfTask("vrf:add-consumer", "Add BlindBox (or --consumer) to the subscription")
+  .addOptionalParam("consumer", "Consumer address (defaults to the BlindBox)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { addConsumer } = require("../scripts/lib/vrf");
+      const { blindBox, coordinator, subId } = await resolveVrf(hre, args);
+      const consumer = args.consumer || (blindBox && blindBox.target);
+      if (!consumer) {
+        fail("No consumer; pass --consumer or --address");
+      }
+      const added = await addConsumer(coordinator, subId, consumer);
+      console.log(added ? `Added ${consumer} to subscription ${subId}` : `${consumer} is already a consumer of ${subId}`);
+      return added;
+    })
+  );
+
+vrfTask("vrf:remove-consumer", "Remove BlindBox (or --consumer) from the subscription")
+  .addOptionalParam("consumer", "Consumer address (defaults to the BlindBox)")
+  .setAction(
+    withErrors(async (args, hre) => {
+      const { removeConsumer } = require("../scripts/lib/vrf");
+      const { blindBox, coordinator, subId } = await resolveVrf(hre, args);
+      const consumer = args.consumer || (blindBox && blindBox.target);
+      if (!consumer) {
+        fail("No consumer; pass --consumer or --address");
+      }
+      if (blindBox && consumer.toLowerCase() === blindBox.target.toLowerCase()) {
+        const pending = await blindBox.pendingRequestCount();
+        if (pending > 0n) {
+          console.log(`Warning: BlindBox has ${pending} pending request(s) that will not be fulfilled.`);
+        }
+      }
+      const removed = await removeConsumer(coordinator, subId, consumer);
+      console.log(removed ? `Removed ${consumer} from subscription ${subId}` : `${consumer} is not a consumer of ${subId}`);
+      return removed;
+    })
+  );
+
+vrfTask("vrf:status", "Show subscription balances, consumers and pending requests").setAction(
+  withErrors(async (args, hre) => {
+    const { ethers } = hre;
+    const { subscriptionInfo } = require("../scripts/lib/vrf");
+    const { blindBox, coordinator, subId } = await resolveVrf(hre, args);
+    const info = await subscriptionInfo(coordinator, subId);
+
+    console.log(`Subscription ${subId} on ${coordinator.target}`);
+    console.log(`  owner:            ${info.owner}`);
+    console.log(`  LINK balance:     ${ethers.formatEther(info.balance)}`);
+    console.log(`  native balance:   ${ethers.formatEther(info.nativeBalance)}`);
+    console.log(`  fulfilled:        ${info.reqCount}`);
+    console.log(`  pending requests: ${info.pendingRequests ? "yes" : "no"}`);
+    console.log("  consumers:");
+    for (const consumer of info.consumers) {
+      const mark = blindBox && consumer.toLowerCase() === blindBox.target.toLowerCase() ? " (BlindBox)" : "";
+      console.log(`    ${consumer}${mark}`);
+    }
+    if (blindBox) {
+      const listed = info.consumers.some((consumer) => consumer.toLowerCase() === blindBox.target.toLowerCase());
+      console.log(`BlindBox ${blindBox.target}: ${await blindBox.pendingRequestCount()} pending open(s)`);
+      if (!listed) {
+        console.log("  not a consumer; opens will revert until vrf:add-consumer is run");
+      }
+    }
+    return info;
+  })
+);
+
+module.exports = {
+  resolveVrf,
+};
@@ -1,13 +1,16 @@
 const { expect } = require("chai");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signFreeBoxVoucher } = require("../scripts/lib/voucher");
+const { createSubscription } = require("../scripts/lib/vrf");
 
 describe("BlindBox", function () {
   async function deployFixture() {
-    const [owner, user, other] = await ethers.getSigners();
+    const [owner, user, other, voucherSigner] = await ethers.getSigners();
 
     const MockVRFCoordinator = await ethers.getContractFactory("MockVRFCoordinator");
     const coordinator = await MockVRFCoordinator.deploy();
     await coordinator.waitForDeployment();
+    const subId = await createSubscription(coordinator);
 
     const MockERC20 = await ethers.getContractFactory("MockERC20");
     const tokenA = await MockERC20.deploy("TokenA", "TKA");
@@ -23,21 +26,44 @@ describe("BlindBox", function () {
     const blindBox = await BlindBox.deploy(
       await coordinator.getAddress(),
       "0x" + "11".repeat(32),
-      1,
+      subId,
       3,
-      200000,
+      300000,
       false,
-      [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()]
+      [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()],
+      []
     );
     await blindBox.waitForDeployment();
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    await blindBox.setSignerAddress(voucherSigner.address);
 
-    return { owner, user, other, coordinator, blindBox, tokenA, tokenB, tokenC };
+    return { owner, user, other, voucherSigner, coordinator, blindBox, tokenA, tokenB, tokenC };
+  }
+
+  let nextNonce = 1n;
+
+  async function openArgs(blindBox, boxType, user, fid = 1n) {
+    if (boxType !== 0) {
+      return [boxType, 0n, 0n, "0x"];
+    }
+    const [, , , voucherSigner] = await ethers.getSigners();
+    const nonce = nextNonce;
+    nextNonce += 1n;
+    const voucher = await signFreeBoxVoucher(voucherSigner, {
+      user: user.address,
+      fid,
+      nonce,
+      contract: await blindBox.getAddress(),
+      chainId: (await ethers.provider.getNetwork()).chainId,
+    });
+    return [boxType, fid, nonce, voucher.signature];
   }
 
   async function openBoxAndGetRequestId(blindBox, boxType, user, valueOverride) {
     const price = await blindBox.boxPrices(boxType);
     const value = valueOverride !== undefined ? valueOverride : price;
-    const tx = await blindBox.connect(user).openBox(boxType, { value });
+    const args = await openArgs(blindBox, boxType, user);
+    const tx = await blindBox.connect(user).openBox(...args, { value });
     const receipt = await tx.wait();
     const event = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened");
     return event.args.requestId;
@@ -90,10 +116,14 @@ describe("BlindBox", function () {
     const requestId = await openBoxAndGetRequestId(blindBox, 0, user);
     await coordinator.fulfillRandomWords(contractAddress, requestId, 999);
 
-    await expect(blindBox.connect(user).openBox(0)).to.be.revertedWith("FREE_BOX_COOLDOWN");
+    await expect(
+      blindBox.connect(user).openBox(...(await openArgs(blindBox, 0, user)))
+    ).to.be.revertedWith("FREE_BOX_COOLDOWN");
 
     await time.increase(24 * 60 * 60 + 1);
-    await expect(blindBox.connect(user).openBox(0)).to.emit(blindBox, "BoxOpened");
+    await expect(
+      blindBox.connect(user).openBox(...(await openArgs(blindBox, 0, user)))
+    ).to.emit(blindBox, "BoxOpened");
   });
 
   it("selects multiple rewards for silver boxes", async function () {
@@ -130,12 +160,12 @@ describe("BlindBox", function () {
     const price = await blindBox.boxPrices(1);
 
     await expect(
-      blindBox.connect(user).openBox(1, { value: price - 1n })
+      blindBox.connect(user).openBox(1, 0, 0, "0x", { value: price - 1n })
     ).to.be.revertedWith("INSUFFICIENT_FEE");
 
     const overpay = price + ethers.parseEther("0.00002");
     const balanceBefore = await ethers.provider.getBalance(user.address);
-    const tx = await blindBox.connect(user).openBox(1, { value: overpay });
+    const tx = await blindBox.connect(user).openBox(1, 0, 0, "0x", { value: overpay });
     const receipt = await tx.wait();
     const gasCost = receipt.gasUsed * receipt.gasPrice;
     const balanceAfter = await ethers.provider.getBalance(user.address);
@@ -162,6 +192,70 @@ describe("BlindBox", function () {
     expect(await blindBox.pendingRequestCount()).to.equal(0);
   });
 
+  it("refunds the fee paid when a pending open is canceled", async function () {
+    const { blindBox, user, owner } = await deployFixture();
+    const price = await blindBox.boxPrices(2);
+    const requestId = await openBoxAndGetRequestId(blindBox, 2, user, price + 1000n);
+
+    const pending = await blindBox.pendingOpens(requestId);
+    expect(pending.pricePaid).to.equal(price);
+    expect(pending.openedAt).to.equal(await time.latest());
+
+    const tx = blindBox.connect(owner).cancelPendingOpen(requestId);
+    await expect(tx).to.emit(blindBox, "OpenRefunded").withArgs(requestId, user.address, price, false);
+    await expect(tx).to.changeEtherBalances([user, blindBox], [price, -price]);
+  });
+
+  it("lets the user reclaim an unanswered open after the timeout", async function () {
+    const { blindBox, coordinator, user, other } = await deployFixture();
+    const price = await blindBox.boxPrices(1);
+    const requestId = await openBoxAndGetRequestId(blindBox, 1, user);
+
+    await expect(blindBox.connect(user).reclaimExpiredOpen(requestId)).to.be.revertedWith("Not expired");
+    await time.increase(await blindBox.reclaimTimeout());
+    await expect(blindBox.connect(other).reclaimExpiredOpen(requestId)).to.be.revertedWith("Not request owner");
+    await expect(blindBox.connect(user).reclaimExpiredOpen(requestId)).to.changeEtherBalance(user, price);
+    expect(await blindBox.pendingRequestCount()).to.equal(0);
+
+    // A late VRF answer no longer finds the request
+    await expect(
+      coordinator.fulfillRandomWords(await blindBox.getAddress(), requestId, 1n)
+    ).to.be.revertedWith("Only coordinator");
+    await expect(blindBox.setReclaimTimeout(60)).to.be.revertedWith("Timeout too short");
+  });
+
+  it("cancels opens in batches and skips ones already settled", async function () {
+    const { blindBox, coordinator, user, other } = await deployFixture();
+    const first = await openBoxAndGetRequestId(blindBox, 1, user);
+    const second = await openBoxAndGetRequestId(blindBox, 2, other);
+    const third = await openBoxAndGetRequestId(blindBox, 0, user);
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), first, 7n);
+
+    const canceled = await blindBox.cancelPendingOpens.staticCall([first, second, third, 999n]);
+    expect(canceled).to.equal(2);
+    await expect(blindBox.cancelPendingOpens([first, second, third, 999n]))
+      .to.emit(blindBox, "PendingOpenCanceled")
+      .withArgs(third, user.address, 0);
+    expect(await blindBox.pendingRequestCount()).to.equal(0);
+  });
+
+  it("credits refunds a receiver rejects instead of blocking the cancel", async function () {
+    const { blindBox } = await deployFixture();
+    const opener = await ethers.deployContract("RejectingOpener");
+    const price = await blindBox.boxPrices(1);
+    await opener.open(await blindBox.getAddress(), 1, { value: price });
+    const [opened] = await blindBox.queryFilter(blindBox.filters.BoxOpened(null, await opener.getAddress()));
+    const { requestId } = opened.args;
+
+    await expect(blindBox.cancelPendingOpens([requestId]))
+      .to.emit(blindBox, "OpenRefunded")
+      .withArgs(requestId, await opener.getAddress(), price, true);
+    expect(await blindBox.refundCredits(await opener.getAddress())).to.equal(price);
+
+    await expect(opener.withdraw(await blindBox.getAddress())).to.changeEtherBalance(opener, price);
+    expect(await blindBox.refundCredits(await opener.getAddress())).to.equal(0);
+  });
+
   it("rejects cancelPendingOpen from non-owner", async function () {
     const { blindBox, user, other } = await deployFixture();
     const requestId = await openBoxAndGetRequestId(blindBox, 0, user);
@@ -171,7 +265,7 @@ describe("BlindBox", function () {
   it("allows owner to withdraw native balance", async function () {
     const { blindBox, owner, user } = await deployFixture();
     const price = await blindBox.boxPrices(1);
-    await blindBox.connect(user).openBox(1, { value: price });
+    await blindBox.connect(user).openBox(1, 0, 0, "0x", { value: price });
 
     const balanceBefore = await ethers.provider.getBalance(owner.address);
     const tx = await blindBox.connect(owner).emergencyWithdraw(ethers.ZeroAddress, owner.address, price);
@@ -223,10 +317,10 @@ describe("BlindBox", function () {
       const tooLow = price > 0n ? price - 1n : 0n;
 
       await expect(
-        blindBox.connect(user).openBox(boxType, { value: tooLow })
+        blindBox.connect(user).openBox(boxType, 0, 0, "0x", { value: tooLow })
       ).to.be.revertedWith("INSUFFICIENT_FEE");
 
-      await expect(blindBox.connect(user).openBox(boxType, { value: price }))
+      await expect(blindBox.connect(user).openBox(boxType, 0, 0, "0x", { value: price }))
         .to.emit(blindBox, "BoxOpened");
     }
   });
@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { deployBlindBoxFixture } = require("./helpers/fixture");
+
+describe("Admin module", function () {
+  const SILVER = 1;
+
+  // Each storage variable as "slot:offset label type", with type labels in place of the AST ids
+  async function storageLayout(name) {
+    const source = `contracts/${name}.sol`;
+    const buildInfo = await artifacts.getBuildInfo(`${source}:${name}`);
+    const { storage, types } = buildInfo.output.contracts[source][name].storageLayout;
+    return storage.map((entry) => `${entry.slot}:${entry.offset} ${entry.label} ${types[entry.type].label}`);
+  }
+
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const { blindBox } = await deployBlindBoxFixture({ symbols: ["TKA", "TKB"] });
+    const module = await ethers.getContractAt("BlindBoxAdmin", await blindBox.adminModule());
+    return { owner, user, blindBox, module };
+  }
+
+  it("lays out BlindBox and BlindBoxAdmin storage exactly as BlindBoxBase", async function () {
+    const base = await storageLayout("BlindBoxBase");
+    expect(base).to.include("1:1 owner address");
+    // A variable declared in either contract instead of BlindBoxBase would shift or overlap the other's slots
+    expect(await storageLayout("BlindBox")).to.deep.equal(base);
+    expect(await storageLayout("BlindBoxAdmin")).to.deep.equal(base);
+  });
+
+  it("forwards every admin function with its return value and revert reason", async function () {
+    const { user, blindBox } = await deployFixture();
+    const admin = await ethers.getContractFactory("BlindBoxAdmin");
+    const forwarded = new Set(blindBox.interface.fragments.filter((f) => f.type === "function").map((f) => f.selector));
+    const missing = admin.interface.fragments
+      .filter((fragment) => fragment.type === "function" && !forwarded.has(fragment.selector))
+      .map((fragment) => fragment.format());
+    expect(missing).to.deep.equal([]);
+
+    const config = { minAmount: 1n, maxAmount: 5n, numTokensToReward: 1, enabled: true };
+    const schedule = { cooldown: 0, saleStart: 0, saleEnd: 0, supplyCap: 0 };
+    expect(await blindBox.createBoxType.staticCall("PLATINUM", 0, config, schedule)).to.equal(3n);
+    expect(await blindBox.cancelPendingOpens.staticCall([1n, 2n])).to.equal(0n);
+    await expect(blindBox.connect(user).setBoxPrice(SILVER, 1n)).to.be.revertedWith("Not owner");
+    await expect(blindBox.setBoxConfig(SILVER, 5n, 1n, 1, true)).to.be.revertedWith("Invalid range");
+  });
+
+  it("writes BlindBox storage and leaves the module's own empty", async function () {
+    const { owner, blindBox, module } = await deployFixture();
+    await expect(blindBox.setBoxPrice(SILVER, 123n)).to.emit(blindBox, "BoxPriceUpdated");
+    expect(await blindBox.boxPrices(SILVER)).to.equal(123n);
+
+    // Called directly, the module has no owner, tokens or box types, so nothing gets past onlyOwner
+    expect(await module.owner()).to.equal(ethers.ZeroAddress);
+    expect(await module.boxPrices(SILVER)).to.equal(0n);
+    expect(await module.boxTypeCount()).to.equal(0n);
+    await expect(module.connect(owner).setBoxPrice(SILVER, 1n)).to.be.revertedWith("Not owner");
+    await expect(module.connect(owner).transferOwnership(owner.address)).to.be.revertedWith("Not owner");
+  });
+
+  it("gives each deployment its own module, fixed at construction", async function () {
+    const first = await deployFixture();
+    const second = await deployFixture();
+    expect(first.module.target).to.not.equal(second.module.target);
+
+    // The module runs the compiled BlindBoxAdmin as is, so verifying that artifact verifies what BlindBox calls
+    const { deployedBytecode } = await artifacts.readArtifact("BlindBoxAdmin");
+    expect(await ethers.provider.getCode(first.module.target)).to.equal(deployedBytecode);
+
+    // An upgrade is a new deployment and a migration; nothing repoints a live BlindBox at another module
+    const touchesModule = first.blindBox.interface.fragments.filter(
+      (fragment) => fragment.type === "function" && /module/i.test(fragment.name)
+    );
+    expect(touchesModule.map((fragment) => fragment.format())).to.deep.equal(["adminModule()"]);
+  });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { validateCatalog } = require("../scripts/lib/catalog");
+const { readOnchainConfig, syncConfig } = require("../scripts/lib/config-sync");
+const { readBoxTypes, resolveBoxType } = require("../scripts/lib/boxes");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Box types", function () {
+  const NO_LIMITS = { cooldown: 0, saleStart: 0, saleEnd: 0, supplyCap: 0 };
+  const config = (numTokensToReward = 1) => ({ minAmount: 1n, maxAmount: 5n, numTokensToReward, enabled: true });
+
+  async function deployFixture() {
+    const [owner, user, other] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all([
+      ethers.deployContract("MockERC20", ["TokenA", "TKA"]),
+      ethers.deployContract("MockERC20", ["TokenB", "TKB"]),
+    ]);
+    const addresses = await Promise.all(tokens.map((token) => token.getAddress()));
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      500000,
+      false,
+      addresses,
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    for (const token of tokens) {
+      await token.mint(blindBox.target, ethers.parseEther("100000"));
+    }
+
+    // Open a box as `from` and return its request id
+    async function open(boxType, from = user) {
+      const value = await blindBox.boxPrices(boxType);
+      const receipt = await (await blindBox.connect(from).openBox(boxType, 0, 0, "0x", { value })).wait();
+      return receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+    }
+
+    return { owner, user, other, coordinator, blindBox, addresses, open };
+  }
+
+  it("creates box types and lists every box", async function () {
+    const { coordinator, blindBox, open } = await deployFixture();
+    const price = ethers.parseEther("0.01");
+    await expect(blindBox.createBoxType("PLATINUM", price, config(2), NO_LIMITS))
+      .to.emit(blindBox, "BoxTypeNamed")
+      .withArgs(3, "PLATINUM");
+    expect(await blindBox.boxTypeCount()).to.equal(4);
+
+    const boxes = await readBoxTypes(blindBox);
+    expect(boxes.map((box) => box.name)).to.deep.equal(["FREE", "SILVER", "GOLD", "PLATINUM"]);
+    expect(boxes[3]).to.deep.include({ boxType: 3, priceWei: price, config: config(2), schedule: NO_LIMITS });
+    expect(resolveBoxType(boxes, "platinum").boxType).to.equal(3);
+    expect(resolveBoxType(boxes, "3").name).to.equal("PLATINUM");
+    expect(() => resolveBoxType(boxes, "DIAMOND")).to.throw(/3 \(PLATINUM\)/);
+
+    const requestId = await open(3);
+    const fulfilled = await (await coordinator.fulfillRandomWords(blindBox.target, requestId, 77n)).wait();
+    const rewards = fulfilled.logs
+      .filter((log) => log.address === blindBox.target)
+      .map((log) => blindBox.interface.parseLog(log))
+      .filter((event) => event && event.name === "RewardsQueued");
+    expect(rewards).to.have.length(2);
+    expect((await readBoxTypes(blindBox))[3].opened).to.equal(1);
+
+    await blindBox.setBoxName(3, "DIAMOND");
+    expect(await blindBox.boxNames(3)).to.equal("DIAMOND");
+    await expect(blindBox.setBoxName(4, "NONE")).to.be.revertedWith("Invalid box type");
+    await expect(blindBox.setBoxConfig(4, 1n, 5n, 1, true)).to.be.revertedWith("Invalid box type");
+  });
+
+  it("enforces the sale window and supply cap, and a canceled open frees its supply", async function () {
+    const { blindBox, open } = await deployFixture();
+    const now = await time.latest();
+    const schedule = { cooldown: 0, saleStart: now + 100, saleEnd: now + 1000, supplyCap: 2 };
+    await expect(blindBox.setBoxSchedule(1, { ...schedule, saleEnd: now + 100 })).to.be.revertedWith(
+      "Invalid sale window"
+    );
+    await expect(blindBox.setBoxSchedule(1, schedule))
+      .to.emit(blindBox, "BoxScheduleUpdated")
+      .withArgs(1, 0, now + 100, now + 1000, 2);
+
+    await expect(open(1)).to.be.revertedWith("SALE_CLOSED");
+    await time.increaseTo(now + 100);
+    await open(1);
+    const second = await open(1);
+    await expect(open(1)).to.be.revertedWith("SOLD_OUT");
+
+    await blindBox.cancelPendingOpen(second);
+    expect(await blindBox.boxOpened(1)).to.equal(1);
+    await open(1);
+
+    await time.increaseTo(now + 1000);
+    await blindBox.setBoxSchedule(1, { ...schedule, supplyCap: 0 });
+    await expect(open(1)).to.be.revertedWith("SALE_CLOSED");
+  });
+
+  it("applies a per-wallet cooldown to each box type", async function () {
+    const { other, blindBox, open } = await deployFixture();
+    await blindBox.setBoxConfig(2, 1n, 5n, 1, true);
+    await blindBox.setBoxSchedule(1, { ...NO_LIMITS, cooldown: 3600 });
+    await open(1);
+    await expect(open(1)).to.be.revertedWith("BOX_COOLDOWN");
+    await open(1, other);
+    await open(2);
+
+    await time.increase(3600);
+    await open(1);
+  });
+
+  it("keeps box type admin owner-only, including through the admin module", async function () {
+    const { user, blindBox } = await deployFixture();
+    await expect(blindBox.connect(user).createBoxType("X", 0, config(), NO_LIMITS)).to.be.revertedWith("Not owner");
+    await expect(blindBox.connect(user).setBoxName(1, "X")).to.be.revertedWith("Not owner");
+    await expect(blindBox.connect(user).setBoxSchedule(1, NO_LIMITS)).to.be.revertedWith("Not owner");
+
+    // The module only acts on the storage of whoever delegates to it
+    const admin = await ethers.getContractAt("BlindBoxAdmin", await blindBox.adminModule());
+    await expect(admin.createBoxType("X", 0, config(), NO_LIMITS)).to.be.revertedWith("Not owner");
+    expect(await blindBox.boxTypeCount()).to.equal(3);
+  });
+
+  it("creates catalog box types on sync and leaves unlisted ones alone", async function () {
+    const { blindBox, addresses } = await deployFixture();
+    const catalog = validateCatalog({
+      rewardTokens: addresses,
+      boxTypes: [
+        { id: 2, supplyCap: 500 },
+        { id: 3, name: "PLATINUM", cooldown: 86400, saleEnd: "2099-01-01T00:00:00Z" },
+      ],
+      boxConfigs: [{ boxType: "PLATINUM", minAmount: "1", maxAmount: "2", numTokensToReward: 2 }],
+      boxPrices: [{ boxType: "platinum", price: "0.02" }],
+      tokenRanges: [{ boxType: 3, token: addresses[0], min: "5", max: "6", weight: 300 }],
+    });
+
+    const lines = [];
+    await syncConfig(blindBox, catalog, { log: (line) => lines.push(line) });
+    expect(lines[0]).to.equal("Box GOLD type: no limits -> supply cap 500");
+    expect(lines[1]).to.match(/^Box PLATINUM: create as box 3 \(1\.0-2\.0 x2 enabled, price 0\.02, on sale now/);
+
+    const boxes = await readBoxTypes(blindBox);
+    expect(boxes).to.have.length(4);
+    expect(boxes[2].schedule.supplyCap).to.equal(500);
+    expect(boxes[3]).to.deep.include({ name: "PLATINUM", priceWei: ethers.parseEther("0.02") });
+    expect(boxes[3].schedule).to.deep.equal({ cooldown: 86400, saleStart: 0, saleEnd: 4070908800, supplyCap: 0 });
+    expect((await blindBox.getTokenRange(3, addresses[0])).weight).to.equal(300);
+
+    const onchain = await readOnchainConfig(blindBox, catalog);
+    expect(onchain.boxConfigs.map((c) => c.boxType)).to.deep.equal([0, 1, 2, 3]);
+    const again = [];
+    await syncConfig(blindBox, catalog, { log: (line) => again.push(line) });
+    expect(again).to.deep.equal(["On-chain config matches the catalog."]);
+  });
+
+  it("validates the boxTypes section of a catalog", async function () {
+    const { addresses } = await deployFixture();
+    const raw = {
+      rewardTokens: addresses,
+      boxTypes: [
+        { id: 4, name: "LATE" },
+        { id: 3, name: "NEW", saleStart: 100, saleEnd: 50 },
+        { id: 1, name: "gold" },
+      ],
+    };
+    expect(() => validateCatalog(raw)).to.throw(/boxTypes\[0\]\.id: new box types must use consecutive ids/);
+    expect(() => validateCatalog(raw)).to.throw(/boxTypes\[2\]\.name: "gold" is already box 2/);
+    expect(() => validateCatalog(raw)).to.throw(/boxTypes\[1\]: saleEnd must be after saleStart/);
+    expect(() => validateCatalog(raw)).to.throw(/new box type NEW needs a boxConfigs entry/);
+  });
+
+  it("resolves box types by name in tasks", async function () {
+    const { blindBox } = await deployFixture();
+    await blindBox.createBoxType("PLATINUM", 0, config(), { ...NO_LIMITS, cooldown: 60 });
+    const original = console.log;
+    console.log = () => {};
+    try {
+      const address = await blindBox.getAddress();
+      await hre.run("blindbox:set-price", { address, boxType: "platinum", price: "0.5" });
+      expect(await blindBox.boxPrices(3)).to.equal(ethers.parseEther("0.5"));
+      await expect(hre.run("blindbox:set-price", { address, boxType: "DIAMOND", price: "1" })).to.be.rejectedWith(
+        /Unknown box type "DIAMOND"/
+      );
+      const boxes = await hre.run("blindbox:status", { address });
+      expect(boxes.map((box) => box.name)).to.include("PLATINUM");
+    } finally {
+      console.log = original;
+    }
+  });
+});
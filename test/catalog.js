@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { loadCatalog, validateCatalog } = require("../scripts/lib/catalog");
+
+describe("Reward catalog", function () {
+  const tokenA = "0x0578d8a44db98b23bf096a382e016e29a5ce0ffe";
+  const tokenB = "0x4ed4e862860bed51a9570b96d89af5e1b0efefed";
+
+  function baseCatalog() {
+    return {
+      rewardTokens: [tokenA, tokenB],
+      boxConfigs: [{ boxType: "SILVER", minAmount: "5", maxAmount: "10", numTokensToReward: 2, enabled: true }],
+      boxPrices: [{ boxType: 1, price: "0.00003" }],
+      tokenRanges: [{ boxType: "FREE", token: tokenA, min: "0.1", max: "1" }],
+    };
+  }
+
+  it("loads the base catalog into contract-ready values", function () {
+    const catalog = loadCatalog("base");
+    expect(catalog.rewardTokens).to.have.length(5);
+    expect(catalog.tokenRanges).to.have.length(15);
+    expect(catalog.tokenRanges[0]).to.deep.equal({
+      boxType: 0,
+      token: ethers.getAddress(tokenA),
+      minAmount: ethers.parseEther("1"),
+      maxAmount: ethers.parseEther("3"),
+      enabled: true,
+      weight: 0,
+      tier: 0,
+    });
+    expect(catalog.boxPrices.find((p) => p.boxType === 2).priceWei).to.equal(ethers.parseEther("0.0001"));
+  });
+
+  it("normalizes box names, addresses and amounts", function () {
+    const catalog = validateCatalog(baseCatalog());
+    expect(catalog.boxConfigs[0].boxType).to.equal(1);
+    expect(catalog.boxConfigs[0].minAmount).to.equal(ethers.parseEther("5"));
+    expect(catalog.tokenRanges[0].token).to.equal(ethers.getAddress(tokenA));
+    expect(catalog.tokenRanges[0].minAmount).to.equal(ethers.parseEther("0.1"));
+  });
+
+  it("rejects unknown box types", function () {
+    const raw = baseCatalog();
+    raw.boxPrices.push({ boxType: 3, price: "1" });
+    raw.tokenRanges.push({ boxType: "PLATINUM", token: tokenB, min: "1", max: "2" });
+    expect(() => validateCatalog(raw)).to.throw(/boxPrices\[1\]: unknown box type 3[\s\S]*unknown box type "PLATINUM"/);
+  });
+
+  it("rejects min greater than max", function () {
+    const raw = baseCatalog();
+    raw.tokenRanges[0].min = "2";
+    expect(() => validateCatalog(raw)).to.throw(/tokenRanges\[0\]: min 2.0 is greater than max 1.0/);
+  });
+
+  it("rejects duplicate tokens and ranges", function () {
+    const raw = baseCatalog();
+    raw.rewardTokens.push(tokenA.toUpperCase().replace("0X", "0x"));
+    raw.tokenRanges.push({ boxType: 0, token: tokenA, min: "1", max: "2" });
+    expect(() => validateCatalog(raw)).to.throw(/duplicate token[\s\S]*duplicate range for box FREE/);
+  });
+
+  it("rejects ranges for tokens missing from rewardTokens", function () {
+    const raw = baseCatalog();
+    raw.tokenRanges.push({ boxType: 2, token: "0xac1bd2486aaf3b5c0fc3fd868558b082a531b2b4", min: "1", max: "2" });
+    expect(() => validateCatalog(raw)).to.throw(/is not in rewardTokens/);
+  });
+
+  it("rejects box configs that cannot be opened", function () {
+    const raw = baseCatalog();
+    raw.boxConfigs[0].numTokensToReward = 3;
+    expect(() => validateCatalog(raw)).to.throw(/numTokensToReward 3 exceeds 2 reward tokens/);
+  });
+
+  it("reads rarity tiers and token weights", function () {
+    const raw = baseCatalog();
+    raw.rarityTiers = [{ boxType: "FREE", tier: 1, min: "50", max: "100", weight: 5 }];
+    raw.tokenRanges.push({ boxType: "FREE", token: tokenB, enabled: false, tier: 1 });
+    raw.tokenRanges[0].weight = 900;
+    const catalog = validateCatalog(raw);
+
+    expect(catalog.rarityTiers).to.deep.equal([
+      {
+        boxType: 0,
+        tier: 1,
+        minAmount: ethers.parseEther("50"),
+        maxAmount: ethers.parseEther("100"),
+        weight: 5,
+        enabled: true,
+      },
+    ]);
+    expect(catalog.tokenRanges[0]).to.include({ weight: 900, tier: 0 });
+    expect(catalog.tokenRanges[1]).to.include({ enabled: false, minAmount: 0n, weight: 0, tier: 1 });
+  });
+
+  it("rejects invalid weights and tiers", function () {
+    const raw = baseCatalog();
+    raw.rarityTiers = [{ boxType: "FREE", tier: 0, min: "1", max: "2" }];
+    raw.tokenRanges[0].weight = -1;
+    raw.tokenRanges.push({ boxType: "SILVER", token: tokenB, min: "1", max: "2", tier: 2 });
+    expect(() => validateCatalog(raw)).to.throw(/rarityTiers\[0\]\.tier: must be an integer between 1 and 255/);
+    expect(() => validateCatalog(raw)).to.throw(/tokenRanges\[0\]\.weight/);
+    expect(() => validateCatalog(raw)).to.throw(/tier 2 is not in rarityTiers for box SILVER/);
+  });
+});
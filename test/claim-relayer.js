@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  authorizeClaim,
+  createClaimRelayer,
+  createRelayerServer,
+  signClaimAuthorization,
+  submitClaimAuthorization,
+  tokenValueFromPrices,
+} = require("../scripts/lib/claim-relayer");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Gasless claims", function () {
+  const ONE = ethers.parseEther("1");
+
+  async function deployFixture() {
+    const [owner, user, recipient, relayer] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const addresses = await Promise.all(tokens.map((token) => token.getAddress()));
+    const deploy = () =>
+      ethers.deployContract("BlindBox", [
+        coordinator.target,
+        "0x" + "11".repeat(32),
+        subId,
+        3,
+        500000,
+        false,
+        addresses,
+        [],
+      ]);
+    const blindBox = await deploy();
+
+    // Owe the user 10 of every token; the contract holds all of TKA and TKC but only 5 TKB
+    await blindBox.importMigrationBatch(
+      1,
+      addresses.map((token) => ({ user: user.address, token, amount: 10n * ONE })),
+      []
+    );
+    await tokens[0].mint(blindBox.target, 10n * ONE);
+    await tokens[1].mint(blindBox.target, 5n * ONE);
+    await tokens[2].mint(blindBox.target, 10n * ONE);
+
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+    // Sign for `blindBox` on this chain unless overridden
+    async function sign(overrides = {}) {
+      return signClaimAuthorization(user, {
+        recipient: recipient.address,
+        tokens: addresses,
+        nonce: 1n,
+        deadline: (await time.latest()) + 3600,
+        contract: blindBox.target,
+        chainId,
+        ...overrides,
+      });
+    }
+
+    return { owner, user, recipient, relayer, blindBox, tokens, addresses, chainId, deploy, sign };
+  }
+
+  function submit(blindBox, from, authorization) {
+    const { user, recipient, tokens, nonce, deadline, signature } = authorization;
+    return blindBox.connect(from).claimFor({ user, recipient, tokens, nonce, deadline }, signature);
+  }
+
+  it("pays the recipient from a signed authorization anyone can submit, once", async function () {
+    const { user, recipient, relayer, blindBox, tokens, addresses, sign } = await deployFixture();
+    const authorization = await sign({ tokens: [addresses[0], addresses[2]] });
+
+    const tx = submit(blindBox, relayer, authorization);
+    await expect(tx).to.emit(blindBox, "ClaimRelayed").withArgs(user.address, recipient.address, 1n, relayer.address);
+    await expect(tx)
+      .to.emit(blindBox, "RewardClaimed")
+      .withArgs(user.address, addresses[0], 10n * ONE);
+    await expect(tx).to.changeTokenBalances(tokens[0], [recipient, user], [10n * ONE, 0n]);
+    expect(await blindBox.usedClaimNonces(user.address, 1n)).to.equal(true);
+    expect(await blindBox.pendingRewards(user.address, addresses[2])).to.equal(0n);
+    // Tokens left off the authorization stay pending
+    expect(await blindBox.pendingRewards(user.address, addresses[1])).to.equal(10n * ONE);
+
+    await expect(submit(blindBox, relayer, authorization)).to.be.revertedWith("CLAIM_NONCE_USED");
+    await tokens[1].mint(blindBox.target, 5n * ONE);
+    await expect(submit(blindBox, relayer, await sign({ nonce: 2n }))).to.emit(blindBox, "ClaimRelayed");
+    expect(await tokens[1].balanceOf(recipient.address)).to.equal(10n * ONE);
+  });
+
+  it("skips tokens the contract cannot pay and keeps them pending, like claimAll", async function () {
+    const { user, recipient, relayer, blindBox, tokens, addresses, sign } = await deployFixture();
+
+    const tx = submit(blindBox, relayer, await sign());
+    await expect(tx).to.changeTokenBalances(tokens[1], [recipient, blindBox], [0n, 0n]);
+    expect(await tokens[0].balanceOf(recipient.address)).to.equal(10n * ONE);
+    expect(await tokens[2].balanceOf(recipient.address)).to.equal(10n * ONE);
+    expect(await blindBox.pendingRewards(user.address, addresses[1])).to.equal(10n * ONE);
+
+    // Nothing payable reverts the whole claim, so its nonce stays usable
+    const onlyShort = await sign({ tokens: [addresses[1]], nonce: 2n });
+    await expect(submit(blindBox, relayer, onlyShort)).to.be.revertedWith("No rewards claimed");
+    expect(await blindBox.usedClaimNonces(user.address, 2n)).to.equal(false);
+    await tokens[1].mint(blindBox.target, 5n * ONE);
+    await submit(blindBox, relayer, onlyShort);
+    expect(await tokens[1].balanceOf(recipient.address)).to.equal(10n * ONE);
+  });
+
+  it("rejects expired, tampered, wrong-chain and wrong-contract authorizations", async function () {
+    const { owner, relayer, blindBox, deploy, sign } = await deployFixture();
+
+    const expiring = await sign({ deadline: (await time.latest()) + 60 });
+    await time.increase(61);
+    await expect(submit(blindBox, relayer, expiring)).to.be.revertedWith("CLAIM_EXPIRED");
+
+    const tampered = { ...(await sign()), recipient: relayer.address };
+    await expect(submit(blindBox, relayer, tampered)).to.be.revertedWith("INVALID_CLAIM_SIGNATURE");
+    await expect(submit(blindBox, relayer, await sign({ chainId: 1n }))).to.be.revertedWith("INVALID_CLAIM_SIGNATURE");
+    const other = await deploy();
+    await expect(submit(blindBox, relayer, await sign({ contract: other.target }))).to.be.revertedWith(
+      "INVALID_CLAIM_SIGNATURE"
+    );
+
+    await blindBox.connect(owner).pause();
+    await expect(submit(blindBox, relayer, await sign())).to.be.revertedWithCustomError(blindBox, "EnforcedPause");
+  });
+
+  it("checks authorizations and their worth before the relayer pays gas", async function () {
+    const { relayer, blindBox, addresses, deploy, sign } = await deployFixture();
+    const claimRelayer = createClaimRelayer({ blindBox, relayer });
+    const rejects = async (authorization, code) => {
+      const error = await claimRelayer.relay(authorization).catch((err) => err);
+      expect(error.code).to.equal(code);
+    };
+
+    await rejects({ ...(await sign()), tokens: [] }, "INVALID_AUTHORIZATION");
+    await rejects(await sign({ chainId: 1n }), "WRONG_CHAIN");
+    await rejects(await sign({ contract: (await deploy()).target }), "WRONG_CONTRACT");
+    await rejects({ ...(await sign()), recipient: relayer.address }, "INVALID_SIGNATURE");
+    await rejects(await sign({ deadline: await time.latest() }), "CLAIM_EXPIRED");
+    await rejects(await sign({ tokens: [addresses[1]] }), "NOTHING_TO_CLAIM");
+
+    // Worth relaying only when the claimable value covers the fee; TKB is short, so it adds nothing
+    const priced = createClaimRelayer({
+      blindBox,
+      relayer,
+      tokenValueWei: tokenValueFromPrices({ [addresses[1]]: ONE, [addresses[2]]: 1n }),
+    });
+    const error = await priced.relay(await sign({ tokens: [addresses[1], addresses[2]] })).catch((err) => err);
+    expect(error.code).to.equal("NOT_WORTH_RELAYING");
+    expect(BigInt(error.valueWei)).to.equal(10n);
+
+    const result = await claimRelayer.relay(await sign());
+    expect(result.claimed).to.deep.equal([
+      { token: addresses[0], amount: (10n * ONE).toString() },
+      { token: addresses[2], amount: (10n * ONE).toString() },
+    ]);
+    await rejects(await sign(), "CLAIM_NONCE_USED");
+  });
+
+  it("rate-limits relays per signing address", async function () {
+    const { relayer, blindBox, addresses, sign } = await deployFixture();
+    let clock = 1_000_000;
+    const claimRelayer = createClaimRelayer({
+      blindBox,
+      relayer,
+      maxPerWindow: 1,
+      windowMs: 60_000,
+      now: () => clock,
+    });
+
+    await claimRelayer.relay(await sign({ tokens: [addresses[0]] }));
+    const error = await claimRelayer.relay(await sign({ tokens: [addresses[2]], nonce: 2n })).catch((err) => err);
+    expect(error.code).to.equal("RATE_LIMITED");
+    expect(error.retryAfter).to.equal(60);
+
+    clock += 60_001;
+    await claimRelayer.relay(await sign({ tokens: [addresses[2]], nonce: 2n }));
+  });
+
+  it("holds the rate-limit slot and nonce while a relay is in flight", async function () {
+    const { relayer, blindBox, addresses, sign } = await deployFixture();
+    const claimRelayer = createClaimRelayer({ blindBox, relayer, maxPerWindow: 2 });
+    const settle = (promise) => promise.then(() => "relayed").catch((error) => error.code);
+
+    // Both start before either sends a tx; only one may pay gas for the nonce
+    const authorization = await sign({ tokens: [addresses[0]] });
+    const outcomes = await Promise.all([
+      settle(claimRelayer.relay(authorization)),
+      settle(claimRelayer.relay(authorization)),
+    ]);
+    expect(outcomes).to.deep.equal(["relayed", "CLAIM_IN_FLIGHT"]);
+    expect(await settle(claimRelayer.relay(authorization))).to.equal("CLAIM_NONCE_USED");
+
+    // Concurrent relays of different nonces share the window: the second slot is taken synchronously
+    const second = await sign({ tokens: [addresses[2]], nonce: 2n });
+    const third = await sign({ tokens: [addresses[2]], nonce: 3n });
+    expect(await Promise.all([settle(claimRelayer.relay(second)), settle(claimRelayer.relay(third))])).to.deep.equal([
+      "relayed",
+      "RATE_LIMITED",
+    ]);
+  });
+
+  it("relays over HTTP and from the claim task", async function () {
+    const { user, recipient, relayer, blindBox, tokens, sign } = await deployFixture();
+    const server = createRelayerServer(createClaimRelayer({ blindBox, relayer }), { apiToken: "secret" });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const original = console.log;
+    console.log = () => {};
+    try {
+      await expect(submitClaimAuthorization(url, await sign())).to.be.rejectedWith("Missing or invalid API token");
+      const expired = await sign({ deadline: 1 });
+      await expect(submitClaimAuthorization(url, expired, { apiToken: "secret" })).to.be.rejectedWith(/expired/);
+
+      const health = await fetch(new URL("/health", url));
+      expect(await health.json()).to.deep.equal({ ok: true });
+
+      // The task signs as the first signer, so relay for the owner's own rewards
+      const [owner] = await ethers.getSigners();
+      await blindBox.importMigrationBatch(2, [{ user: owner.address, token: tokens[0].target, amount: ONE }], []);
+      await tokens[0].mint(blindBox.target, ONE);
+      const open = createRelayerServer(createClaimRelayer({ blindBox, relayer }));
+      await new Promise((resolve) => open.listen(0, resolve));
+      try {
+        const address = await blindBox.getAddress();
+        const result = await hre.run("blindbox:claim", {
+          address,
+          relayerUrl: `http://127.0.0.1:${open.address().port}`,
+          recipient: recipient.address,
+        });
+        expect(result.claimed).to.deep.equal([{ token: tokens[0].target, amount: ONE.toString() }]);
+        expect(await blindBox.pendingRewards(owner.address, tokens[0].target)).to.equal(0n);
+        await expect(hre.run("blindbox:claim", { address, recipient: recipient.address })).to.be.rejectedWith(
+          /--recipient needs --relayer-url/
+        );
+      } finally {
+        await new Promise((resolve) => open.close(resolve));
+      }
+      expect(await authorizeClaim(blindBox, user)).to.include({ user: user.address, recipient: user.address });
+    } finally {
+      console.log = original;
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { validateCatalog } = require("../scripts/lib/catalog");
+const { diffConfig, isEmptyDiff, readOnchainConfig, syncConfig } = require("../scripts/lib/config-sync");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Config sync", function () {
+  async function deployFixture() {
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all([
+      ethers.deployContract("MockERC20", ["TokenA", "TKA"]),
+      ethers.deployContract("MockERC20", ["TokenB", "TKB"]),
+      ethers.deployContract("MockERC20", ["TokenC", "TKC"]),
+    ]);
+    const [tokenA, tokenB, tokenC] = await Promise.all(tokens.map((token) => token.getAddress()));
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      [tokenA, tokenB],
+      [
+        {
+          boxType: 0,
+          token: tokenA,
+          minAmount: ethers.parseEther("1"),
+          maxAmount: ethers.parseEther("3"),
+          enabled: true,
+          weight: 0,
+          tier: 0,
+        },
+      ],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+
+    const catalog = validateCatalog({
+      rewardTokens: [tokenA, tokenB, tokenC],
+      boxConfigs: [{ boxType: "GOLD", minAmount: "1000", maxAmount: "2500", numTokensToReward: 2, enabled: true }],
+      boxPrices: [{ boxType: "SILVER", price: "0.00005" }],
+      tokenRanges: [
+        { boxType: "FREE", token: tokenA, min: "1", max: "3" },
+        { boxType: "SILVER", token: tokenC, min: "5", max: "10" },
+      ],
+    });
+
+    return { blindBox, catalog, tokenA, tokenB, tokenC };
+  }
+
+  function quiet() {
+    const lines = [];
+    return { lines, log: (line) => lines.push(line) };
+  }
+
+  it("reports only the entries that differ", async function () {
+    const { blindBox, catalog, tokenC } = await deployFixture();
+    const diff = diffConfig(await readOnchainConfig(blindBox, catalog), catalog);
+
+    expect(diff.rewardTokens.to).to.deep.equal(catalog.rewardTokens);
+    expect(diff.boxConfigs.map((c) => c.boxType)).to.deep.equal([2]);
+    expect(diff.boxPrices).to.deep.equal([{ boxType: 1, from: ethers.parseEther("0.00003"), to: ethers.parseEther("0.00005") }]);
+    expect(diff.tokenRanges).to.have.length(1);
+    expect(diff.tokenRanges[0]).to.include({ boxType: 1, token: tokenC });
+  });
+
+  it("leaves state untouched on a dry run", async function () {
+    const { blindBox, catalog } = await deployFixture();
+    const { lines, log } = quiet();
+
+    await syncConfig(blindBox, catalog, { dryRun: true, log });
+
+    expect(lines.some((line) => line.startsWith("Box SILVER price: 0.00003 -> 0.00005"))).to.equal(true);
+    expect(await blindBox.boxPrices(1)).to.equal(ethers.parseEther("0.00003"));
+  });
+
+  it("applies the diff with batch setters and confirms the result", async function () {
+    const { blindBox, catalog } = await deployFixture();
+    const { lines, log } = quiet();
+
+    await syncConfig(blindBox, catalog, { log });
+
+    expect(lines[lines.length - 1]).to.equal("Confirmed: on-chain config matches the catalog.");
+    expect(isEmptyDiff(diffConfig(await readOnchainConfig(blindBox, catalog), catalog))).to.equal(true);
+    expect((await blindBox.getBoxConfig(2)).numTokensToReward).to.equal(2);
+
+    const second = quiet();
+    const diff = await syncConfig(blindBox, catalog, { log: second.log });
+    expect(isEmptyDiff(diff)).to.equal(true);
+    expect(second.lines).to.deep.equal(["On-chain config matches the catalog."]);
+  });
+
+  it("disables live ranges that the catalog no longer lists", async function () {
+    const { blindBox, catalog, tokenA } = await deployFixture();
+    const desired = { ...catalog, tokenRanges: catalog.tokenRanges.filter((r) => r.boxType !== 0) };
+
+    await syncConfig(blindBox, desired, { sections: ["tokenRanges"], log: () => {} });
+
+    expect((await blindBox.getTokenRange(0, tokenA)).enabled).to.equal(false);
+    expect(await blindBox.boxPrices(1)).to.equal(ethers.parseEther("0.00003"));
+  });
+
+  it("syncs rarity tiers before the ranges that use them", async function () {
+    const { blindBox, catalog, tokenA, tokenB } = await deployFixture();
+    const tiered = validateCatalog({
+      rewardTokens: catalog.rewardTokens,
+      rarityTiers: [{ boxType: "GOLD", tier: 3, min: "50", max: "60", weight: 2 }],
+      tokenRanges: [
+        { boxType: "GOLD", token: tokenA, enabled: false, tier: 3 },
+        { boxType: "GOLD", token: tokenB, min: "1", max: "2", weight: 400 },
+      ],
+    });
+    const { lines, log } = quiet();
+
+    await syncConfig(blindBox, tiered, { sections: ["rarityTiers", "tokenRanges"], log });
+
+    expect(lines.some((line) => line.startsWith("Box GOLD tier 3: disabled -> 50.0-60.0 weight 2"))).to.equal(true);
+    expect(lines.some((line) => line.endsWith("fallback -> 1.0-2.0 (weight 400)"))).to.equal(true);
+    expect(lines[lines.length - 1]).to.equal("Confirmed: on-chain config matches the catalog.");
+    expect(await blindBox.weightedTokenCount(2)).to.equal(2);
+    const [, weights] = await blindBox.getTokenOdds(2);
+    expect(weights).to.deep.equal([2n, 400n]);
+  });
+
+  it("refuses a sync whose fulfillment would exceed callbackGasLimit", async function () {
+    const { blindBox, catalog } = await deployFixture();
+    // 100k + 40k per rewarded token: GOLD at 2 tokens fits in 200k, 3 does not
+    const gasProfile = { margin: 0, model: { base: 100000, perPoolToken: 0, perReward: 40000 } };
+    const greedy = {
+      ...catalog,
+      boxConfigs: [{ ...catalog.boxConfigs[0], numTokensToReward: 3 }],
+    };
+
+    const dry = quiet();
+    await syncConfig(blindBox, greedy, { dryRun: true, gasProfile, log: dry.log });
+    expect(dry.lines[dry.lines.length - 1]).to.match(/^Would be refused: callbackGasLimit 200000 is below the 220000/);
+
+    await expect(syncConfig(blindBox, greedy, { gasProfile, log: () => {} })).to.be.rejectedWith(/Refusing to sync/);
+    expect(await blindBox.getRewardTokens()).to.have.length(2);
+
+    await syncConfig(blindBox, catalog, { gasProfile, log: () => {} });
+    expect((await blindBox.getBoxConfig(2)).numTokensToReward).to.equal(2);
+  });
+});
@@ -0,0 +1,325 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { resolveCatalog, validateCatalog } = require("../scripts/lib/catalog");
+const { readOnchainConfig, syncConfig } = require("../scripts/lib/config-sync");
+const { buildModel, rollRewards, seededWords, simulate } = require("../scripts/lib/simulator");
+const { maxRewardForBox } = require("../scripts/lib/solvency");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Token decimals", function () {
+  const GOLD = 2;
+
+  // An 18-decimal token, a USDC-style 6-decimal token and an 8-decimal token
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = [
+      await ethers.deployContract("MockERC20", ["Token", "TKN"]),
+      await ethers.deployContract("MockERC20Decimals", ["USD Coin", "USDC", 6]),
+      await ethers.deployContract("MockERC20Decimals", ["Wrapped BTC", "WBTC", 8]),
+    ];
+    const addresses = tokens.map((token) => token.target);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      coordinator.target,
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      addresses,
+      [],
+    ]);
+    await coordinator.addConsumer(subId, blindBox.target);
+    return { owner, user, coordinator, blindBox, tokens, addresses };
+  }
+
+  async function openAndFulfill({ user, coordinator, blindBox }, boxType, word) {
+    const price = await blindBox.boxPrices(boxType);
+    const receipt = await (await blindBox.connect(user).openBox(boxType, 0, 0, "0x", { value: price })).wait();
+    const { requestId } = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args;
+    await coordinator.fulfillRandomWords(blindBox.target, requestId, word);
+    return requestId;
+  }
+
+  async function pending(blindBox, user) {
+    const [tokens, amounts] = await blindBox.getPendingRewards(user.address);
+    return Object.fromEntries(tokens.map((token, i) => [token, amounts[i]]));
+  }
+
+  it("scales box config and rarity tier fallbacks to each token's decimals", async function () {
+    const fixture = await deployFixture();
+    const { blindBox, user, addresses } = fixture;
+    const [token, usdc, wbtc] = addresses;
+    expect(await blindBox.rewardTokenDecimals(token)).to.equal(18);
+    expect(await blindBox.rewardTokenDecimals(usdc)).to.equal(6);
+    expect(await blindBox.rewardTokenDecimals(wbtc)).to.equal(8);
+
+    // GOLD pays all three tokens: TKN and WBTC fall back to the config and a tier, USDC has its own range
+    await blindBox.setBoxConfig(GOLD, ethers.parseEther("1000"), ethers.parseEther("1000"), 3, true);
+    await blindBox.setRarityTier(GOLD, 1, ethers.parseEther("0.5"), ethers.parseEther("0.5"), 0, true);
+    await blindBox.setTokenRanges([
+      { boxType: GOLD, token: usdc, minAmount: 25_000000n, maxAmount: 25_000000n, enabled: true, weight: 0, tier: 0 },
+      { boxType: GOLD, token: wbtc, minAmount: 0n, maxAmount: 0n, enabled: false, weight: 0, tier: 1 },
+    ]);
+    await openAndFulfill(fixture, GOLD, 42n);
+
+    expect(await pending(blindBox, user)).to.deep.equal({
+      [token]: ethers.parseEther("1000"),
+      [usdc]: 25_000000n,
+      [wbtc]: 50_000000n,
+    });
+    expect(await maxRewardForBox(blindBox, GOLD, addresses)).to.deep.equal(
+      new Map([
+        [token, ethers.parseEther("1000")],
+        [usdc, 25_000000n],
+        [wbtc, 50_000000n],
+      ])
+    );
+
+    // A token without decimals() is taken to have 18
+    const counter = await ethers.deployContract("Counter", [1]);
+    await blindBox.setRewardTokens([...addresses, counter.target]);
+    expect(await blindBox.rewardTokenDecimals(counter.target)).to.equal(18);
+  });
+
+  it("converts catalog token ranges with each token's decimals", async function () {
+    const { addresses } = await deployFixture();
+    const [token, usdc, wbtc] = addresses;
+    const raw = {
+      rewardTokens: [token, usdc, wbtc],
+      tokenDecimals: { [usdc.toLowerCase()]: 6 },
+      boxConfigs: [{ boxType: "GOLD", minAmount: "10", maxAmount: "20", numTokensToReward: 3 }],
+      rarityTiers: [{ boxType: "GOLD", tier: 1, min: "0.5", max: "1" }],
+      tokenRanges: [
+        { boxType: "GOLD", token: usdc, min: "1.5", max: "2" },
+        { boxType: "GOLD", token: wbtc, min: "0.0001", max: "0.00025" },
+      ],
+    };
+
+    // Offline, only the declared decimals are known; WBTC is taken as 18
+    const offline = validateCatalog(raw);
+    expect(offline.tokenDecimals).to.deep.equal({ [token]: 18, [usdc]: 6, [wbtc]: 18 });
+    expect(offline.tokenRanges[0]).to.include({ minAmount: 1_500000n, maxAmount: 2_000000n });
+    // Box config and tier amounts stay whole tokens with 18 decimals
+    expect(offline.boxConfigs[0].minAmount).to.equal(ethers.parseEther("10"));
+    expect(offline.rarityTiers[0].minAmount).to.equal(ethers.parseEther("0.5"));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "blindbox-decimals-"));
+    try {
+      const file = path.join(dir, "catalog.json");
+      fs.writeFileSync(file, JSON.stringify(raw));
+      const catalog = await resolveCatalog("hardhat", { file });
+      expect(catalog.tokenDecimals).to.deep.equal({ [token]: 18, [usdc]: 6, [wbtc]: 8 });
+      expect(catalog.tokenRanges[1]).to.include({ minAmount: 10000n, maxAmount: 25000n });
+
+      fs.writeFileSync(file, JSON.stringify({ ...raw, tokenDecimals: { [wbtc]: 18 } }));
+      await expect(resolveCatalog("hardhat", { file })).to.be.rejectedWith(
+        `tokenDecimals: ${wbtc} is declared with 18 decimals but has 8`
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const precise = { ...raw, tokenRanges: [{ boxType: "GOLD", token: usdc, min: "0.0000001", max: "1" }] };
+    expect(() => validateCatalog(precise)).to.throw(/invalid amount "0.0000001" \(use a decimal string with at most 6/);
+    expect(() => validateCatalog({ ...raw, tokenDecimals: { [usdc]: 6.5 } })).to.throw(
+      /must be an integer between 0 and 36/
+    );
+  });
+
+  it("syncs a mixed-decimal catalog and prints ranges in token units", async function () {
+    const { blindBox, addresses } = await deployFixture();
+    const [, usdc, wbtc] = addresses;
+    const catalog = validateCatalog(
+      {
+        rewardTokens: addresses,
+        tokenRanges: [
+          { boxType: "SILVER", token: usdc, min: "1.5", max: "2" },
+          { boxType: "SILVER", token: wbtc, min: "0.001", max: "0.002" },
+        ],
+      },
+      "catalog",
+      { decimals: { [usdc]: 6, [wbtc]: 8 } }
+    );
+    const lines = [];
+
+    await syncConfig(blindBox, catalog, { sections: ["tokenRanges"], log: (line) => lines.push(line) });
+
+    expect(lines).to.include(`Box SILVER range ${usdc}: fallback -> 1.5-2.0`);
+    expect(lines).to.include(`Box SILVER range ${wbtc}: fallback -> 0.001-0.002`);
+    expect(lines[lines.length - 1]).to.equal("Confirmed: on-chain config matches the catalog.");
+    const range = await blindBox.getTokenRange(1, usdc);
+    expect([range.minAmount, range.maxAmount]).to.deep.equal([1_500000n, 2_000000n]);
+    expect((await readOnchainConfig(blindBox, catalog)).tokenDecimals[wbtc]).to.equal(8);
+
+    const status = [];
+    const original = console.log;
+    console.log = (...parts) => status.push(parts.join(" "));
+    try {
+      await hre.run("blindbox:status", { address: blindBox.target });
+    } finally {
+      console.log = original;
+    }
+    expect(status).to.include("    SILVER: 1.5-2.0 USDC");
+    expect(status).to.include("    SILVER: 0.001-0.002 WBTC");
+  });
+
+  it("keeps fallback rewards of tokens with more than 18 decimals within uint96", async function () {
+    const [, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const wide = await ethers.deployContract("MockERC20Decimals", ["Wide", "WIDE", 24]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      coordinator.target,
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      [wide.target],
+      [],
+    ]);
+    await coordinator.addConsumer(subId, blindBox.target);
+    const fixture = { user, coordinator, blindBox };
+    const SILVER = 1;
+
+    // 1000-2500 whole tokens are 1000e24-2500e24 base units, still a uint96
+    await blindBox.setBoxConfig(SILVER, ethers.parseEther("1000"), ethers.parseEther("2500"), 1, true);
+    const requestId = await openAndFulfill(fixture, SILVER, 7n);
+    const credited = (await pending(blindBox, user))[wide.target];
+    expect(credited >= 1000n * 10n ** 24n && credited <= 2500n * 10n ** 24n).to.equal(true);
+    expect((await blindBox.getOpenResult(requestId)).amounts).to.deep.equal([credited]);
+
+    // 100000 whole tokens fit a uint96 as set, but not once scaled to 24 decimals, so the config is
+    // rejected when it is set rather than reverting the VRF callback
+    const huge = ethers.parseEther("100000");
+    await expect(blindBox.setBoxConfig(SILVER, ethers.parseEther("1"), huge, 1, true)).to.be.revertedWith(
+      "REWARD_TOO_LARGE"
+    );
+    await expect(blindBox.setRarityTier(SILVER, 1, ethers.parseEther("1"), huge, 0, true)).to.not.be.reverted;
+    await expect(blindBox.setTokenRange(SILVER, wide.target, 0n, 0n, false, 0, 1)).to.be.revertedWith(
+      "REWARD_TOO_LARGE"
+    );
+
+    // A token range of its own keeps the fallback from applying, until it is disabled
+    const own = 2n * 10n ** 24n;
+    await blindBox.setTokenRange(SILVER, wide.target, own, own, true, 0, 1);
+    await blindBox.setBoxConfig(SILVER, ethers.parseEther("1"), huge, 1, true);
+    await expect(blindBox.setTokenRange(SILVER, wide.target, own, own, false, 0, 0)).to.be.revertedWith(
+      "REWARD_TOO_LARGE"
+    );
+
+    // Adding the token to a box whose fallback would overflow for it is rejected too
+    const tokenA = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const other = await ethers.deployContract("BlindBox", [
+      coordinator.target,
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      [tokenA.target],
+      [],
+    ]);
+    await other.setBoxConfig(SILVER, ethers.parseEther("1"), huge, 1, true);
+    await expect(other.setRewardTokens([tokenA.target, wide.target])).to.be.revertedWith("REWARD_TOO_LARGE");
+    await openAndFulfill(fixture, SILVER, 7n);
+    expect((await pending(blindBox, user))[wide.target]).to.equal(credited + own);
+
+    const raw = {
+      rewardTokens: [wide.target],
+      boxConfigs: [{ boxType: "SILVER", minAmount: "1", maxAmount: "100000", numTokensToReward: 1 }],
+    };
+    const decimals = { decimals: { [wide.target]: 24 } };
+    expect(() => validateCatalog(raw, "catalog", decimals)).to.throw(
+      /boxConfigs for box 1: max 100000\.0 is 100000000000000000000000000000 base units of 0x\w+ \(24 decimals\)/
+    );
+    // A range of its own replaces the fallback, so the box config is never scaled to this token
+    const ranged = { ...raw, tokenRanges: [{ boxType: "SILVER", token: wide.target, min: "1", max: "2" }] };
+    expect(validateCatalog(ranged, "catalog", decimals).tokenRanges[0].maxAmount).to.equal(2n * 10n ** 24n);
+  });
+
+  it("rounds fallback minimums up and rejects ranges narrower than a base unit", async function () {
+    const [, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const whole = await ethers.deployContract("MockERC20Decimals", ["Whole", "WHL", 0]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      coordinator.target,
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      [whole.target],
+      [],
+    ]);
+    await coordinator.addConsumer(subId, blindBox.target);
+    const fixture = { user, coordinator, blindBox };
+    const SILVER = 1;
+
+    // 0.5-2 of a token without decimals pays 1-2, never 0
+    await blindBox.setBoxConfig(SILVER, ethers.parseEther("0.5"), ethers.parseEther("2"), 1, true);
+    const model = buildModel(await readOnchainConfig(blindBox, { rewardTokens: [] }));
+    const words = seededWords("rounding");
+    for (let i = 0; i < 4; i += 1) {
+      const before = (await pending(blindBox, user))[whole.target] || 0n;
+      const word = words();
+      const requestId = await openAndFulfill(fixture, SILVER, word);
+      const paid = (await pending(blindBox, user))[whole.target] - before;
+      expect(paid === 1n || paid === 2n).to.equal(true);
+      expect(rollRewards(model, SILVER, word, requestId)).to.deep.equal([{ token: whole.target, amount: paid }]);
+    }
+
+    // 0.2-0.7 holds no whole unit: rejected when set, for the box config, a tier and the catalog alike
+    const [min, max] = [ethers.parseEther("0.2"), ethers.parseEther("0.7")];
+    await expect(blindBox.setBoxConfig(SILVER, min, max, 1, true)).to.be.revertedWith("INVALID_TOKEN_RANGE");
+    await blindBox.setRarityTier(SILVER, 1, min, max, 0, true);
+    await expect(blindBox.setTokenRange(SILVER, whole.target, 0n, 0n, false, 0, 1)).to.be.revertedWith(
+      "INVALID_TOKEN_RANGE"
+    );
+    const raw = {
+      rewardTokens: [whole.target],
+      boxConfigs: [{ boxType: "SILVER", minAmount: "0.2", maxAmount: "0.7", numTokensToReward: 1 }],
+    };
+    expect(() => validateCatalog(raw, "catalog", { decimals: { [whole.target]: 0 } })).to.throw(
+      /boxConfigs for box 1: 0\.2-0\.7 has no whole base unit of 0x\w+ \(0 decimals\)/
+    );
+  });
+
+  it("simulates fallback rewards and payout value in each token's units", async function () {
+    const fixture = await deployFixture();
+    const { blindBox, user, addresses } = fixture;
+    const [token, usdc, wbtc] = addresses;
+    await blindBox.setTokenRanges([
+      { boxType: GOLD, token: usdc, minAmount: 1_000000n, maxAmount: 9_000000n, enabled: true, weight: 0, tier: 0 },
+    ]);
+    const catalog = await readOnchainConfig(blindBox, { rewardTokens: [] });
+    const model = buildModel(catalog);
+    const words = seededWords("decimals");
+
+    for (let i = 0; i < 3; i += 1) {
+      const before = await pending(blindBox, user);
+      const word = words();
+      const requestId = await openAndFulfill(fixture, GOLD, word);
+      const after = await pending(blindBox, user);
+      for (const reward of rollRewards(model, GOLD, word, requestId)) {
+        expect(after[reward.token] - (before[reward.token] || 0n)).to.equal(reward.amount);
+      }
+    }
+
+    // Each GOLD open pays 1000-2500 of the 18 and 8 decimal tokens; both priced at 1 native
+    const report = simulate(catalog, {
+      opensPerDay: { [GOLD]: 1 },
+      runs: 5,
+      tokenValues: { [token]: ethers.parseEther("1"), [wbtc]: ethers.parseEther("1") },
+    });
+    const wbtcPaid = report.tokens.find((entry) => entry.token === wbtc).expected;
+    expect(wbtcPaid >= 1000_00000000n && wbtcPaid <= 2500_00000000n).to.equal(true);
+    expect(report.payoutValue.expected >= ethers.parseEther("2000")).to.equal(true);
+    expect(report.payoutValue.expected <= ethers.parseEther("5000")).to.equal(true);
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { runDeployPipeline } = require("../scripts/lib/deploy-pipeline");
+const { readDeployment, resolveAddress } = require("../scripts/lib/deployments");
+const { validateCatalog } = require("../scripts/lib/catalog");
+const { createSubscription, isConsumer } = require("../scripts/lib/vrf");
+
+describe("Deploy pipeline", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "blindbox-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function setup() {
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const token = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const tokenAddress = await token.getAddress();
+    const catalog = validateCatalog({
+      rewardTokens: [tokenAddress],
+      boxPrices: [{ boxType: "GOLD", price: "0.0002" }],
+      tokenRanges: [{ boxType: "FREE", token: tokenAddress, min: "1", max: "2" }],
+    });
+    const constructorArgs = [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      catalog.rewardTokens,
+      catalog.tokenRanges,
+    ];
+    return { coordinator, subId, catalog, constructorArgs };
+  }
+
+  it("writes a manifest and resumes without redeploying", async function () {
+    const { coordinator, subId, catalog, constructorArgs } = await setup();
+    const verifyResults = [false, true];
+    let verifyCalls = 0;
+    const options = {
+      constructorArgs,
+      catalog,
+      dir,
+      log: () => {},
+      verify: async () => {
+        verifyCalls += 1;
+        return verifyResults.shift();
+      },
+    };
+
+    const first = await runDeployPipeline(hre, options);
+    const manifest = readDeployment("hardhat", "BlindBox", dir);
+    expect(manifest.address).to.equal(first.record.address);
+    expect(manifest.blockNumber).to.be.a("number");
+    expect(manifest.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(manifest.compiler.viaIR).to.equal(true);
+    expect(manifest.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(manifest.constructorArgs[2]).to.equal(subId.toString());
+    expect(manifest.constructorArgs[7][0].minAmount).to.equal(ethers.parseEther("1").toString());
+    expect(manifest.steps).to.deep.equal({ configSynced: true, consumerAdded: true, verified: false });
+    expect(await isConsumer(coordinator, subId, first.record.address)).to.equal(true);
+    expect(await first.contract.boxPrices(2)).to.equal(ethers.parseEther("0.0002"));
+
+    const second = await runDeployPipeline(hre, options);
+    expect(second.record.address).to.equal(first.record.address);
+    expect(second.record.steps.verified).to.equal(true);
+
+    await runDeployPipeline(hre, options);
+    expect(verifyCalls).to.equal(2);
+  });
+
+  it("deploys again when the constructor arguments change", async function () {
+    const { catalog, constructorArgs } = await setup();
+    const first = await runDeployPipeline(hre, { constructorArgs, catalog, dir, log: () => {} });
+
+    const changed = [...constructorArgs];
+    changed[4] = 300000;
+    const second = await runDeployPipeline(hre, { constructorArgs: changed, catalog, dir, log: () => {} });
+
+    expect(second.record.address).to.not.equal(first.record.address);
+    expect(readDeployment("hardhat", "BlindBox", dir).address).to.equal(second.record.address);
+  });
+
+  it("resolves addresses from the env before the manifest", function () {
+    process.env.BLINDBOX_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+    try {
+      expect(resolveAddress("nowhere")).to.equal("0x000000000000000000000000000000000000dEaD");
+    } finally {
+      delete process.env.BLINDBOX_ADDRESS;
+    }
+    expect(() => resolveAddress("nowhere")).to.throw(/No BlindBox address for network "nowhere"/);
+  });
+});
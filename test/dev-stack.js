@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { deployDevStack, devVoucherSigner, startAutoFulfiller } = require("../scripts/lib/dev-stack");
+const { loadCatalog } = require("../scripts/lib/catalog");
+const { readDeployment } = require("../scripts/lib/deployments");
+const { COORDINATOR_EVENTS_ABI } = require("../scripts/lib/open-watch");
+const { createVoucherIssuer, createVoucherServer, fetchFreeBoxVoucher } = require("../scripts/lib/voucher");
+
+describe("Dev stack", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "blindbox-dev-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const voucherSigner = devVoucherSigner();
+    const stack = await deployDevStack(hre, {
+      template: loadCatalog("base"),
+      treasury: "1000",
+      voucherSigner,
+      manifestNetwork: "hardhat",
+      dir,
+      log: () => {},
+    });
+    return { ...stack.contracts, stack, voucherSigner };
+  }
+
+  async function waitFor(condition, timeoutMs = 10_000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+      if (Date.now() > deadline) {
+        throw new Error("Timed out waiting for the auto-fulfiller");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  it("deploys a funded BlindBox with the catalog and records it", async function () {
+    const { blindBox, stack, voucherSigner } = await deployFixture();
+    const template = loadCatalog("base");
+
+    expect(stack.rewardTokens).to.have.length(template.rewardTokens.length);
+    expect([...(await blindBox.getRewardTokens())]).to.deep.equal(stack.rewardTokens.map((token) => token.address));
+    for (const { address } of stack.rewardTokens) {
+      const token = await ethers.getContractAt("MockERC20", address);
+      expect(await token.balanceOf(blindBox.target)).to.equal(ethers.parseEther("1000"));
+    }
+    expect(await blindBox.signerAddress()).to.equal(voucherSigner.address);
+    expect(await blindBox.callbackGasLimit()).to.equal(300000);
+    expect(readDeployment("hardhat", "BlindBox", dir).address).to.equal(stack.blindBox);
+  });
+
+  it("answers opens with seeded randomness and serves free box vouchers", async function () {
+    const { blindBox, coordinator, voucherSigner } = await deployFixture();
+    const [, user, other] = await ethers.getSigners();
+    const server = createVoucherServer(createVoucherIssuer({ blindBox, signer: voucherSigner }), { insecure: true });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const fulfiller = startAutoFulfiller({
+      blindBox,
+      coordinator,
+      delayMs: 0,
+      pollIntervalMs: 50,
+      seed: 7,
+      fromBlock: (await ethers.provider.getBlockNumber()) + 1,
+      log: () => {},
+    });
+
+    try {
+      const voucher = await fetchFreeBoxVoucher(`http://127.0.0.1:${server.address().port}`, {
+        user: user.address,
+        fid: 99,
+      });
+      await blindBox.connect(user).openBox(0, voucher.fid, voucher.nonce, voucher.signature);
+      await blindBox.connect(other).openBox(1, 0, 0, "0x", { value: await blindBox.boxPrices(1) });
+      await waitFor(async () => (await blindBox.pendingRequestCount()) === 0n);
+    } finally {
+      await fulfiller.stop();
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    const events = new ethers.Contract(coordinator.target, COORDINATOR_EVENTS_ABI, ethers.provider);
+    const fulfilled = await events.queryFilter(events.filters.RandomWordsFulfilled());
+    expect(fulfilled).to.have.length(2);
+    for (const { args } of fulfilled) {
+      expect(args.outputSeed).to.equal(
+        BigInt(ethers.solidityPackedKeccak256(["string", "uint256"], ["7", args.requestId]))
+      );
+    }
+
+    const rewards = await blindBox.getPendingRewards(other.address);
+    expect(rewards.tokens).to.not.be.empty;
+    await expect(blindBox.connect(other).claimAll()).to.emit(blindBox, "RewardClaimed");
+  });
+
+  it("holds requests until their delay has passed", async function () {
+    const { blindBox, coordinator } = await deployFixture();
+    const [, user] = await ethers.getSigners();
+    const fulfiller = startAutoFulfiller({
+      blindBox,
+      coordinator,
+      delayMs: 60_000,
+      pollIntervalMs: 50,
+      fromBlock: (await ethers.provider.getBlockNumber()) + 1,
+      log: () => {},
+    });
+
+    try {
+      await blindBox.connect(user).openBox(1, 0, 0, "0x", { value: await blindBox.boxPrices(1) });
+      await waitFor(async () => fulfiller.pending() === 1);
+      expect(await blindBox.pendingRequestCount()).to.equal(1);
+    } finally {
+      await fulfiller.stop();
+    }
+  });
+});
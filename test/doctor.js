@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { formatDoctorReport, runDoctor } = require("../scripts/lib/doctor");
+const { createSubscription, fundWithLink } = require("../scripts/lib/vrf");
+
+describe("Doctor", function () {
+  const SILVER = 1;
+  const GOLD = 2;
+
+  // A deployment ready to serve: funded subscription, consumer, signer and treasury
+  async function deployFixture({ withSigner = true } = {}) {
+    const [owner, user, voucherSigner] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const link = await ethers.deployContract("MockLinkToken");
+    await coordinator.setLinkToken(link.target);
+    await link.mint(owner.address, ethers.parseEther("10"));
+    const subId = await createSubscription(coordinator);
+    await fundWithLink(link, coordinator, subId, ethers.parseEther("1"));
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const blindBox = await ethers.deployContract("BlindBox", [
+      coordinator.target,
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      tokens.map((token) => token.target),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, blindBox.target);
+    if (withSigner) {
+      await blindBox.setSignerAddress(voucherSigner.address);
+    }
+    for (const token of tokens) {
+      await token.mint(blindBox.target, ethers.parseEther("10000"));
+    }
+    return { owner, user, coordinator, subId, blindBox, tokens };
+  }
+
+  function section(report, title) {
+    return report.sections.find((entry) => entry.title === title).checks;
+  }
+
+  function levels(checks) {
+    return checks.map((check) => check.level);
+  }
+
+  it("passes a deployment that is ready to serve", async function () {
+    const { blindBox } = await deployFixture();
+    const report = await runDoctor(blindBox);
+
+    expect(report.ok).to.equal(true);
+    expect(report.counts).to.deep.include({ warn: 0, fail: 0 });
+    expect(report.sections.map((entry) => entry.title)).to.deep.equal([
+      "Contract",
+      "VRF",
+      "Box 0 FREE",
+      "Box 1 SILVER",
+      "Box 2 GOLD",
+    ]);
+    expect(section(report, "Box 2 GOLD").map((check) => check.message)).to.deep.equal([
+      "Enabled, 3 token(s) per open",
+      "Token balances cover the largest payout of one open",
+    ]);
+    expect(formatDoctorReport(report).pop()).to.equal(`${report.counts.pass} passed, 0 warning(s), 0 failure(s)`);
+  });
+
+  it("fails on the settings that stop opens and warns on what needs attention", async function () {
+    const { owner, user, coordinator, subId, blindBox, tokens } = await deployFixture({ withSigner: false });
+    // A stale open, then the subscription drops BlindBox as a consumer
+    const price = await blindBox.boxPrices(SILVER);
+    await blindBox.connect(user).openBox(SILVER, 0, 0, "0x", { value: price });
+    await time.increase(await blindBox.reclaimTimeout());
+    await coordinator.removeConsumer(subId, blindBox.target);
+    await blindBox.setBoxConfig(SILVER, ethers.parseEther("500"), ethers.parseEther("1000"), 2, false);
+    await blindBox.setMaxOpenQuantity(4);
+    // GOLD can pay 2500 TKB per open, 10000 per request of four; drain TKB and most of TKC
+    await blindBox.emergencyWithdraw(tokens[1].target, owner.address, ethers.parseEther("10000"));
+    await blindBox.emergencyWithdraw(tokens[2].target, owner.address, ethers.parseEther("9000"));
+    await blindBox.pause();
+
+    const report = await runDoctor(blindBox);
+    expect(report.ok).to.equal(false);
+
+    const contract = section(report, "Contract");
+    expect(contract[0]).to.include({ level: "fail", message: "Paused: opens and claims revert" });
+    expect(contract.find((check) => /signerAddress/.test(check.message))).to.include({ level: "fail" });
+    const stale = contract.find((check) => /pending request/.test(check.message));
+    expect(stale.level).to.equal("warn");
+    expect(stale.hint).to.match(/blindbox:sweep/);
+
+    expect(levels(section(report, "VRF"))).to.deep.equal(["pass", "fail", "pass"]);
+
+    expect(section(report, "Box 1 SILVER")).to.deep.equal([
+      {
+        level: "warn",
+        message: "Disabled; opens revert",
+        hint: "Enable it in the catalog's boxConfigs and run blindbox:sync",
+      },
+    ]);
+    const gold = section(report, "Box 2 GOLD");
+    expect(levels(gold)).to.deep.equal(["pass", "fail", "warn"]);
+    expect(gold[1].message).to.equal("BlindBox holds no TKB; one request of 4 boxes can pay up to 10000.0 TKB");
+    expect(gold[1].hint).to.equal(`Transfer TKB (${tokens[1].target}) to ${blindBox.target}`);
+    expect(gold[2].message).to.equal("one request of 4 boxes can pay up to 10000.0 TKC but BlindBox holds 1000.0 TKC");
+    // FREE opens are single, so only the empty token fails there
+    expect(levels(section(report, "Box 0 FREE"))).to.deep.equal(["pass", "fail"]);
+  });
+
+  it("tells a missing consumer, an unfunded or unknown subscription and bad box configs apart", async function () {
+    const { coordinator, subId, blindBox } = await deployFixture();
+    await coordinator.removeConsumer(subId, blindBox.target);
+    const unfunded = await createSubscription(coordinator);
+
+    let vrf = section(await runDoctor(blindBox), "VRF");
+    expect(levels(vrf)).to.deep.equal(["pass", "fail", "pass"]);
+    expect(vrf[1].hint).to.match(/^Run vrf:add-consumer from the subscription owner 0x/);
+
+    await coordinator.addConsumer(unfunded, blindBox.target);
+    await blindBox.setVrfConfig(coordinator.target, "0x" + "11".repeat(32), unfunded, 3, 300000, false);
+    vrf = section(await runDoctor(blindBox), "VRF");
+    expect(levels(vrf)).to.deep.equal(["pass", "pass", "fail"]);
+    expect(vrf[2]).to.include({ hint: "Run vrf:fund" });
+
+    await blindBox.setVrfConfig(coordinator.target, "0x" + "11".repeat(32), 12345n, 3, 300000, false);
+    vrf = section(await runDoctor(blindBox), "VRF");
+    expect(vrf).to.have.length(1);
+    expect(vrf[0].message).to.match(/does not know subscription 12345/);
+    await blindBox.setVrfConfig(ethers.Wallet.createRandom().address, "0x" + "11".repeat(32), 1n, 3, 300000, false);
+    expect(section(await runDoctor(blindBox), "VRF")[0].message).to.match(/has no code/);
+
+    await blindBox.setBoxConfig(GOLD, ethers.parseEther("1"), ethers.parseEther("2"), 5, true);
+    const gold = section(await runDoctor(blindBox), "Box 2 GOLD");
+    expect(gold[1]).to.include({
+      level: "fail",
+      message: "numTokensToReward 5 exceeds the 3 reward token(s); opens revert",
+    });
+  });
+
+  it("prints the report and exits non-zero from the task on failures, or on warnings with --strict", async function () {
+    const { blindBox } = await deployFixture();
+    const address = await blindBox.getAddress();
+    const lines = [];
+    const original = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const report = await hre.run("blindbox:doctor", { address });
+      expect(report.ok).to.equal(true);
+      expect(lines[0]).to.equal(`BlindBox ${address} on hardhat`);
+      expect(lines).to.include("  PASS  Not paused");
+
+      await blindBox.setBoxConfig(SILVER, ethers.parseEther("500"), ethers.parseEther("1000"), 2, false);
+      await hre.run("blindbox:doctor", { address });
+      await expect(hre.run("blindbox:doctor", { address, strict: true })).to.be.rejectedWith(
+        "Not ready: 0 failure(s) and 1 warning(s); see the hints above"
+      );
+
+      await blindBox.pause();
+      lines.length = 0;
+      await expect(hre.run("blindbox:doctor", { address, json: true })).to.be.rejectedWith(/Not ready: 1 failure/);
+      const json = JSON.parse(lines.join("\n"));
+      expect(json.counts.fail).to.equal(1);
+      expect(json.sections[0].checks[0]).to.deep.equal({
+        level: "fail",
+        message: "Paused: opens and claims revert",
+        hint: "Run blindbox:unpause once the incident is resolved",
+      });
+    } finally {
+      console.log = original;
+    }
+  });
+});
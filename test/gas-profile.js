@@ -0,0 +1,192 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const {
+  GAS_PROFILE_NOTE,
+  MAX_CALLBACK_GAS_LIMIT,
+  buildProfile,
+  checkCallbackGas,
+  measureFulfillment,
+  readGasProfile,
+  requiredCallbackGas,
+  writeGasProfile,
+} = require("../scripts/lib/gas-profile");
+const { runDeployPipeline } = require("../scripts/lib/deploy-pipeline");
+const { validateCatalog } = require("../scripts/lib/catalog");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Callback gas profile", function () {
+  // 100k + 1k per pool token + 40k per rewarded token, no margin
+  const profile = { margin: 0, model: { base: 100000, perPoolToken: 1000, perReward: 40000 } };
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "blindbox-gas-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      250000,
+      false,
+      await Promise.all(tokens.map((token) => token.getAddress())),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    return { owner, user, coordinator, subId, tokens, blindBox };
+  }
+
+  it("measures every box type and range mode and fits a bound above every sample", async function () {
+    const samples = await measureFulfillment({ poolSizes: [1, 4], rewardCounts: [1, 2, 4] });
+    // 3 range modes per pool size and reward count, plus 3 NFT hits, for each box type,
+    // and batches of 2, 4 and 8 in 2 draw modes for each paid box type
+    expect(samples).to.have.length(((1 + 3) * 3 + 3) * 3 + 3 * 2 * 2);
+    expect(new Set(samples.map((s) => s.boxType))).to.deep.equal(new Set([0, 1, 2]));
+    expect(new Set(samples.map((s) => s.rangeMode))).to.deep.equal(
+      new Set(["fallback", "perToken", "weighted", "nft"])
+    );
+
+    const gasFor = (poolSize, rewardCount) =>
+      Math.max(
+        ...samples
+          .filter((s) => s.rangeMode !== "nft" && !s.quantity)
+          .filter((s) => s.poolSize === poolSize && s.rewardCount === rewardCount)
+          .map((s) => s.gasUsed)
+      );
+    expect(gasFor(4, 1)).to.be.greaterThan(gasFor(1, 1));
+    expect(gasFor(4, 4)).to.be.greaterThan(gasFor(4, 2));
+
+    const built = buildProfile(samples, { margin: 0.1 });
+    const nft = samples.filter((s) => s.rangeMode === "nft");
+    expect(built.nftPrizeGas).to.equal(Math.max(...nft.map((s) => s.gasUsed - s.baseline)));
+    expect(Math.min(...nft.map((s) => s.gasUsed - s.baseline))).to.be.greaterThan(0);
+    expect(built.model.perExtraBox).to.be.greaterThan(0);
+    expect(built.weightedModel.perExtraBox).to.be.greaterThan(0);
+    for (const sample of samples.filter((s) => s.rangeMode !== "nft")) {
+      const model = sample.rangeMode === "weighted" ? built.weightedModel : built.model;
+      expect(requiredCallbackGas(model, { ...sample, margin: 0 })).to.be.at.least(sample.gasUsed);
+    }
+    expect(built.worstCase.gasUsed).to.equal(gasFor(4, 4));
+    expect(built.worstCase.withMargin).to.equal(Math.ceil(gasFor(4, 4) * 1.1));
+  });
+
+  it("checks the worst enabled box against the limit", function () {
+    const boxConfigs = [
+      { boxType: 0, numTokensToReward: 1, enabled: true },
+      { boxType: 1, numTokensToReward: 2, enabled: true },
+      { boxType: 2, numTokensToReward: 5, enabled: false },
+    ];
+    const check = checkCallbackGas(profile, { callbackGasLimit: 190000, poolSize: 10, boxConfigs });
+    expect(check).to.deep.equal({
+      ok: true,
+      required: 190000,
+      limit: 190000,
+      boxType: 1,
+      poolSize: 10,
+      rewardCount: 2,
+      quantity: 1,
+    });
+
+    boxConfigs[2].enabled = true;
+    expect(checkCallbackGas(profile, { callbackGasLimit: 190000, poolSize: 10, boxConfigs }).ok).to.equal(false);
+    expect(
+      checkCallbackGas(profile, { callbackGasLimit: 300000, poolSize: 10, boxConfigs, margin: 0.25 }).required
+    ).to.equal(387500);
+
+    // A weighted box is checked with the weighted model: SILVER's 2 tokens now outweigh GOLD's 5
+    const weightedProfile = { ...profile, weightedModel: { base: 200000, perPoolToken: 5000, perReward: 40000 } };
+    const weighted = checkCallbackGas(weightedProfile, {
+      callbackGasLimit: 320000,
+      poolSize: 10,
+      boxConfigs,
+      weightedBoxTypes: [1],
+    });
+    expect(weighted).to.include({ ok: false, required: 330000, boxType: 1, rewardCount: 2 });
+
+    // An NFT chance adds the measured prize gas to that box only
+    const nft = checkCallbackGas(
+      { ...profile, nftPrizeGas: 70000 },
+      { callbackGasLimit: 310000, poolSize: 10, boxConfigs, nftBoxTypes: [0] }
+    );
+    expect(nft).to.include({ ok: true, required: 310000, boxType: 2 });
+    const nftGold = checkCallbackGas(
+      { ...profile, nftPrizeGas: 70000 },
+      { callbackGasLimit: 310000, poolSize: 10, boxConfigs, nftBoxTypes: [2] }
+    );
+    expect(nftGold).to.include({ ok: false, required: 380000, boxType: 2 });
+
+    const huge = [{ boxType: 2, numTokensToReward: 100, enabled: true }];
+    const over = checkCallbackGas(profile, { callbackGasLimit: 2 ** 32 - 1, poolSize: 100, boxConfigs: huge });
+    expect(over.required).to.be.greaterThan(MAX_CALLBACK_GAS_LIMIT);
+    expect(over.ok).to.equal(false);
+  });
+
+  it("fails the callback when it needs more gas than the request allows", async function () {
+    const { user, coordinator, blindBox } = await deployFixture();
+    await blindBox.setBoxConfig(2, 1n, 10n, 3, true);
+    const value = await blindBox.boxPrices(2);
+
+    const subId = await blindBox.subscriptionId();
+    await blindBox.setVrfConfig(coordinator.target, "0x" + "11".repeat(32), subId, 3, 100000, false);
+    const receipt = await (await blindBox.connect(user).openBox(2, 0, 0, "0x", { value })).wait();
+    const requestId = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+    await expect(coordinator.fulfillRandomWords(blindBox.target, requestId, 1n)).to.be.reverted;
+    expect(await blindBox.pendingRequestCount()).to.equal(1);
+  });
+
+  it("refuses a callbackGasLimit below the profile in blindbox:set-vrf-config", async function () {
+    const { blindBox } = await deployFixture();
+    const file = path.join(dir, "callback-gas.json");
+    writeGasProfile(profile, file);
+    expect(readGasProfile(file)).to.deep.equal({ note: GAS_PROFILE_NOTE, ...profile });
+    const address = await blindBox.getAddress();
+
+    const original = console.log;
+    console.log = () => {};
+    try {
+      // 3 tokens, GOLD rewards 3: 100k + 3k + 120k
+      await expect(
+        hre.run("blindbox:set-vrf-config", { address, callbackGasLimit: 200000, gasProfile: file })
+      ).to.be.rejectedWith(/Refusing to update: callbackGasLimit 200000 is below the 223000/);
+      await hre.run("blindbox:set-vrf-config", { address, callbackGasLimit: 223000, gasProfile: file });
+      expect(await blindBox.callbackGasLimit()).to.equal(223000);
+      await hre.run("blindbox:set-vrf-config", { address, callbackGasLimit: 150000, gasProfile: file, force: true });
+    } finally {
+      console.log = original;
+    }
+    expect(await blindBox.callbackGasLimit()).to.equal(150000);
+  });
+
+  it("refuses to deploy a callbackGasLimit the catalog would exceed", async function () {
+    const { coordinator, subId, tokens } = await deployFixture();
+    const rewardTokens = await Promise.all(tokens.map((token) => token.getAddress()));
+    const catalog = validateCatalog({
+      rewardTokens,
+      boxConfigs: [{ boxType: "GOLD", minAmount: "1", maxAmount: "2", numTokensToReward: 1, enabled: true }],
+    });
+    const constructorArgs = [coordinator.target, "0x" + "11".repeat(32), subId, 3, 180000, false, rewardTokens, []];
+    const options = { constructorArgs, catalog, gasProfile: profile, dir, log: () => {} };
+
+    // SILVER keeps the constructor default of 2 tokens: 100k + 3k + 80k
+    await expect(runDeployPipeline(hre, options)).to.be.rejectedWith(
+      /Refusing to deploy: callbackGasLimit 180000 is below the 183000 needed for box 1/
+    );
+    constructorArgs[4] = 183000;
+    const { record } = await runDeployPipeline(hre, options);
+    expect(record.steps.configSynced).to.equal(true);
+  });
+});
@@ -0,0 +1,72 @@
+const { ethers } = require("hardhat");
+const { createSubscription } = require("../../scripts/lib/vrf");
+
+const KEY_HASH = "0x" + "11".repeat(32);
+
+/** Deploy a BlindBox on `coordinator` paying `rewardTokens` and, unless told not to, add it as a consumer. */
+async function deployBlindBox(
+  coordinator,
+  subId,
+  rewardTokens,
+  { callbackGasLimit = 300000, tokenRanges = [], addConsumer = true } = {}
+) {
+  const blindBox = await ethers.deployContract("BlindBox", [
+    coordinator.target,
+    KEY_HASH,
+    subId,
+    3,
+    callbackGasLimit,
+    false,
+    rewardTokens,
+    tokenRanges,
+  ]);
+  if (addConsumer) {
+    await coordinator.addConsumer(subId, blindBox.target);
+  }
+  return blindBox;
+}
+
+/**
+ * A MockVRFCoordinator with a subscription and a BlindBox paying `tokens`, by default one MockERC20
+ * per symbol. `tokenRanges` may be a function of the token addresses; `fund` mints that amount of
+ * each token to the BlindBox; `link` gives the coordinator a MockLinkToken.
+ */
+async function deployBlindBoxFixture({
+  symbols = ["TKA", "TKB", "TKC"],
+  tokens,
+  link: withLink = false,
+  tokenRanges = [],
+  fund,
+  ...options
+} = {}) {
+  const coordinator = await ethers.deployContract("MockVRFCoordinator");
+  let link;
+  if (withLink) {
+    link = await ethers.deployContract("MockLinkToken");
+    await coordinator.setLinkToken(link.target);
+  }
+  const subId = await createSubscription(coordinator);
+  if (!tokens) {
+    tokens = [];
+    for (const symbol of symbols) {
+      tokens.push(await ethers.deployContract("MockERC20", [symbol, symbol]));
+    }
+  }
+  const addresses = tokens.map((token) => token.target);
+  const blindBox = await deployBlindBox(coordinator, subId, addresses, {
+    ...options,
+    tokenRanges: typeof tokenRanges === "function" ? tokenRanges(addresses) : tokenRanges,
+  });
+  if (fund !== undefined) {
+    for (const token of tokens) {
+      await token.mint(blindBox.target, fund);
+    }
+  }
+  return { coordinator, link, subId, tokens, addresses, blindBox };
+}
+
+module.exports = {
+  KEY_HASH,
+  deployBlindBox,
+  deployBlindBoxFixture,
+};
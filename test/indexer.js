@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  buildRequests,
+  dailySummary,
+  emptyIndex,
+  outstandingFromIndex,
+  readIndex,
+  syncIndex,
+  toCsv,
+  tokenLedger,
+  userHistory,
+} = require("../scripts/lib/indexer");
+const { liabilitiesFromEvents } = require("../scripts/lib/solvency");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Event indexer", function () {
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokenA = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const tokenB = await ethers.deployContract("MockERC20", ["TokenB", "TKB"]);
+    const tokenC = await ethers.deployContract("MockERC20", ["TokenC", "TKC"]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      await Promise.all([tokenA, tokenB, tokenC].map((token) => token.getAddress())),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    const address = await blindBox.getAddress();
+    await tokenA.mint(address, ethers.parseEther("10000"));
+    await tokenB.mint(address, ethers.parseEther("10000"));
+    await tokenC.mint(address, ethers.parseEther("10000"));
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    async function open(user, boxType) {
+      const value = await blindBox.boxPrices(boxType);
+      const receipt = await (await blindBox.connect(user).openBox(boxType, 0, 0, "0x", { value })).wait();
+      return receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+    }
+
+    async function fulfill(requestId, word) {
+      await coordinator.fulfillRandomWords(address, requestId, word);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    return { owner, alice, bob, blindBox, tokenA, open, fulfill, index: emptyIndex(address, chainId, startBlock) };
+  }
+
+  it("links requests to users, box types, prices and rewards", async function () {
+    const { alice, bob, blindBox, tokenA, open, fulfill, index } = await deployFixture();
+    const first = await open(alice, 1);
+    const second = await open(bob, 2);
+    const third = await open(alice, 1);
+    await fulfill(second, 5n);
+    await fulfill(first, 9n);
+    await blindBox.cancelPendingOpen(third);
+    await blindBox.setBoxPrice(1, ethers.parseEther("0.5"));
+    const fourth = await open(bob, 1);
+    await blindBox.connect(bob).claim(await tokenA.getAddress());
+
+    const readPrice = (boxType, blockTag) => blindBox.boxPrices(boxType, { blockTag });
+    const synced = await syncIndex(blindBox, index, { confirmations: 0, readPrice });
+    const requests = synced.requests;
+    expect(requests[first].status).to.equal("fulfilled");
+    expect(requests[first].rewards).to.have.length(2);
+    expect(requests[second]).to.include({ user: bob.address, boxType: 2, status: "fulfilled" });
+    expect(requests[second].rewards).to.have.length(3);
+    expect(requests[third].status).to.equal("canceled");
+    expect(requests[fourth]).to.include({ status: "pending", priceWei: ethers.parseEther("0.5").toString() });
+
+    const [tokens, amounts] = await blindBox.getPendingRewards(alice.address);
+    const aliceRewards = requests[first].rewards.map((r) => [r.token, BigInt(r.amount)]);
+    expect(aliceRewards).to.have.deep.members(tokens.map((token, i) => [token, amounts[i]]));
+
+    const { outstanding } = await liabilitiesFromEvents(blindBox);
+    expect(outstandingFromIndex(synced)).to.deep.equal(outstanding);
+
+    const [day] = dailySummary(synced);
+    expect(day).to.include({ opens: 4, SILVER: 3, GOLD: 1, canceled: 1, unpriced: 0 });
+    expect(day.revenueWei).to.equal(
+      (ethers.parseEther("0.00003") + ethers.parseEther("0.0001") + ethers.parseEther("0.5")).toString()
+    );
+
+    const history = userHistory(synced, bob.address);
+    expect(history.map((row) => row.type)).to.deep.equal(["open", "reward", "reward", "reward", "open", "claim"]);
+    const ledger = tokenLedger(synced, await tokenA.getAddress());
+    expect(ledger[ledger.length - 1].type).to.equal("RewardClaimed");
+    expect(toCsv(ledger).split("\n")[0]).to.equal("time,block,token,type,account,requestId,amount,outstanding,tx");
+  });
+
+  it("links rewards by their tx's request id when the coordinator logs no fulfillment", async function () {
+    const { alice, blindBox, open, fulfill, index } = await deployFixture();
+    const first = await open(alice, 1);
+    const second = await open(alice, 2);
+    // The second open is fulfilled first, so alice's oldest pending request did not get these rewards
+    await fulfill(second, 22n);
+    await fulfill(first, 11n);
+
+    // Strip the coordinator's logs from receipts, as on a coordinator without RandomWordsFulfilled
+    const provider = new Proxy(ethers.provider, {
+      get(target, prop, proxy) {
+        if (prop === "provider") {
+          return proxy;
+        }
+        if (prop === "getTransactionReceipt") {
+          return async (hash) => {
+            const receipt = await target.getTransactionReceipt(hash);
+            return { logs: receipt.logs.filter((log) => log.address === blindBox.target) };
+          };
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+    const { requests, events } = await syncIndex(blindBox.connect(provider), index, { confirmations: 0 });
+    for (const requestId of [first, second]) {
+      const { tokens, amounts } = await blindBox.getOpenResult(requestId);
+      expect(requests[requestId].status).to.equal("fulfilled");
+      expect(requests[requestId].rewards).to.deep.equal(
+        tokens.map((token, i) => ({ token, amount: amounts[i].toString() }))
+      );
+    }
+
+    // Rewards no request id could be found for stay unlinked instead of closing the oldest open
+    const unlinked = events.map((event) => (event.name === "RewardsQueued" ? { ...event, requestId: null } : event));
+    const rebuilt = buildRequests(unlinked);
+    expect([rebuilt[first].status, rebuilt[second].status]).to.deep.equal(["pending", "pending"]);
+    expect(rebuilt[first].rewards).to.deep.equal([]);
+  });
+
+  it("resumes from the checkpoint and repairs reorgs inside the window", async function () {
+    const { alice, bob, blindBox, open, index } = await deployFixture();
+    await open(alice, 1);
+    let synced = await syncIndex(blindBox, index, { confirmations: 2 });
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    const orphaned = await open(alice, 2);
+    synced = await syncIndex(blindBox, synced, { confirmations: 2 });
+    expect(synced.requests[orphaned]).to.include({ boxType: 2 });
+
+    await network.provider.send("evm_revert", [snapshot]);
+    const replacement = await open(bob, 1);
+    await network.provider.send("evm_mine");
+    synced = await syncIndex(blindBox, synced, { confirmations: 2 });
+
+    expect(Object.keys(synced.requests)).to.have.length(2);
+    expect(synced.requests[replacement]).to.include({ user: bob.address, boxType: 1 });
+    expect(synced.checkpoint).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("refuses to continue over a reorg deeper than the window", async function () {
+    const { alice, blindBox, open, index } = await deployFixture();
+    const snapshot = await network.provider.send("evm_snapshot");
+    for (let i = 0; i < 4; i += 1) {
+      await open(alice, 1);
+    }
+    const synced = await syncIndex(blindBox, index, { confirmations: 1 });
+
+    await network.provider.send("evm_revert", [snapshot]);
+    for (let i = 0; i < 4; i += 1) {
+      await network.provider.send("evm_mine");
+    }
+    await expect(syncIndex(blindBox, synced, { confirmations: 1 })).to.be.rejectedWith(/deeper than 1 blocks/);
+  });
+
+  it("indexes and exports through tasks", async function () {
+    const { alice, blindBox, open, fulfill } = await deployFixture();
+    await fulfill(await open(alice, 1), 3n);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "blindbox-index-"));
+    const file = path.join(dir, "index.json");
+    const out = path.join(dir, "ledger.csv");
+    const address = await blindBox.getAddress();
+
+    const original = console.log;
+    console.log = () => {};
+    try {
+      await hre.run("blindbox:index", { address, file, confirmations: 0, fromBlock: 0 });
+      await hre.run("blindbox:export", { address, file, report: "ledger", out });
+      const report = await hre.run("blindbox:solvency", { address, fromIndex: true, indexFile: file });
+      expect(report.ok).to.equal(true);
+    } finally {
+      console.log = original;
+    }
+
+    expect(readIndex(file).events.map((event) => event.name)).to.include.members(["BoxOpened", "RewardsQueued"]);
+    expect(fs.readFileSync(out, "utf8").trim().split("\n")).to.have.length(3);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { migrate, planBatches, snapshotMigration } = require("../scripts/lib/migration");
+const { signFreeBoxVoucher } = require("../scripts/lib/voucher");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Migration", function () {
+  async function deployBlindBox(coordinator, subId, tokens) {
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      300000,
+      false,
+      await Promise.all(tokens.map((token) => token.getAddress())),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    return blindBox;
+  }
+
+  async function deployFixture() {
+    const [owner, alice, bob, carol] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all([
+      ethers.deployContract("MockERC20", ["TokenA", "TKA"]),
+      ethers.deployContract("MockERC20", ["TokenB", "TKB"]),
+      ethers.deployContract("MockERC20", ["TokenC", "TKC"]),
+    ]);
+    const source = await deployBlindBox(coordinator, subId, tokens);
+    const target = await deployBlindBox(coordinator, subId, tokens);
+    await source.setSignerAddress(owner.address);
+    for (const token of tokens) {
+      await token.mint(source.target, ethers.parseEther("100000"));
+    }
+    const { chainId } = await ethers.provider.getNetwork();
+
+    async function openAndFulfill(user, boxType, fid = 0n, nonce = 0n) {
+      let signature = "0x";
+      if (boxType === 0) {
+        const voucher = { user: user.address, fid, nonce, contract: source.target, chainId };
+        ({ signature } = await signFreeBoxVoucher(owner, voucher));
+      }
+      const value = await source.boxPrices(boxType);
+      const receipt = await (await source.connect(user).openBox(boxType, fid, nonce, signature, { value })).wait();
+      const opened = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened");
+      await coordinator.fulfillRandomWords(source.target, opened.args.requestId, 1234n + opened.args.requestId);
+      return opened.args.requestId;
+    }
+
+    // alice: a paid box plus a partial claim; bob: a free box; carol: a free box for another fid
+    await openAndFulfill(alice, 1);
+    await openAndFulfill(bob, 0, 42n, 7n);
+    await openAndFulfill(carol, 0, 43n, 8n);
+    const [aliceTokens] = await source.getPendingRewards(alice.address);
+    await source.connect(alice).claim(aliceTokens[0]);
+
+    return { owner, alice, bob, carol, coordinator, tokens, source, target };
+  }
+
+  async function owedBy(blindBox, users, tokens) {
+    const owed = [];
+    for (const user of users) {
+      for (const token of tokens) {
+        owed.push(await blindBox.pendingRewards(user.address, token.target));
+      }
+    }
+    return owed;
+  }
+
+  it("snapshots pending rewards and free opens from events", async function () {
+    const { alice, bob, carol, tokens, source } = await deployFixture();
+    const snapshot = await snapshotMigration(source);
+
+    expect(snapshot.source).to.equal(source.target);
+    for (const { user, token, amount } of snapshot.rewards) {
+      expect(await source.pendingRewards(user, token)).to.equal(BigInt(amount));
+    }
+    const owed = await owedBy(source, [alice, bob, carol], tokens);
+    const total = owed.reduce((sum, amount) => sum + amount, 0n);
+    expect(Object.values(snapshot.totals).reduce((sum, amount) => sum + BigInt(amount), 0n)).to.equal(total);
+    expect(snapshot.freeOpens.map(({ user, fid, nonce }) => [user, fid, nonce])).to.deep.equal([
+      [bob.address, "42", "7"],
+      [carol.address, "43", "8"],
+    ]);
+    expect(snapshot.unresolved).to.deep.equal([]);
+  });
+
+  it("migrates rewards, reserves and free box state between two deployments", async function () {
+    const { owner, alice, bob, carol, tokens, source, target } = await deployFixture();
+    const before = await owedBy(source, [alice, bob, carol], tokens);
+    const reserves = await Promise.all(tokens.map((token) => token.balanceOf(source.target)));
+
+    const log = () => {};
+    const planned = await migrate(source, target, { dryRun: true, log });
+    expect(await source.frozen()).to.equal(false);
+    expect(planned.transfers.map((transfer) => transfer.amount)).to.deep.equal(reserves);
+
+    const result = await migrate(source, target, { batchSize: 2, log });
+    expect(result.verification.ok).to.equal(true);
+    expect(result.batches).to.equal(Math.ceil(result.snapshot.rewards.length / 2) + 1);
+    expect(await owedBy(target, [alice, bob, carol], tokens)).to.deep.equal(before);
+    for (const [i, token] of tokens.entries()) {
+      expect(await token.balanceOf(source.target)).to.equal(0);
+      expect(await token.balanceOf(target.target)).to.equal(reserves[i]);
+    }
+
+    expect(await target.usedNonces(bob.address, 7)).to.equal(true);
+    expect(await target.usedNoncesByFid(43, 8)).to.equal(true);
+    expect(await target.canOpenFreeBox(bob.address)).to.equal(false);
+    expect(await target.canOpenFreeBoxByFid(43)).to.equal(false);
+
+    expect(await source.successor()).to.equal(target.target);
+    await expect(
+      source.connect(alice).openBox(1, 0, 0, "0x", { value: await source.boxPrices(1) })
+    ).to.be.revertedWith("FROZEN");
+    await expect(source.connect(bob).claimAll()).to.be.revertedWith("FROZEN");
+    await expect(source.connect(owner).freeze(target.target)).to.be.revertedWith("Already frozen");
+
+    // Re-running finds everything done and imports nothing twice
+    const again = await migrate(source, target, { snapshot: result.snapshot, log });
+    expect(again.imported).to.equal(0);
+    expect(again.transfers).to.deep.equal([]);
+    await expect(target.connect(bob).claimAll()).to.emit(target, "RewardClaimed");
+  });
+
+  it("verifies the imported amounts when the target already owed rewards", async function () {
+    const { alice, tokens, source, target } = await deployFixture();
+    // The target already owes alice some of a token the migration also moves to her
+    const [[token]] = await source.getPendingRewards(alice.address);
+    await target.importMigrationBatch(999n, [{ user: alice.address, token, amount: 5n }], []);
+    await tokens.find((contract) => contract.target === token).mint(target.target, 5n);
+    const owed = await source.pendingRewards(alice.address, token);
+
+    const result = await migrate(source, target, { log: () => {} });
+    expect(result.verification.ok).to.equal(true);
+    const verified = result.verification.tokens.find((entry) => entry.token === token);
+    expect(verified.imported).to.equal(verified.expected);
+    expect(await target.pendingRewards(alice.address, token)).to.equal(owed + 5n);
+  });
+
+  it("resumes after an interruption without crediting a batch twice", async function () {
+    const { alice, bob, carol, tokens, source, target } = await deployFixture();
+    const before = await owedBy(source, [alice, bob, carol], tokens);
+    await source.freeze(target.target);
+    const snapshot = await snapshotMigration(source);
+    const [first] = planBatches(snapshot, { batchSize: 1 });
+    await target.importMigrationBatch(first.batchId, first.rewards, first.freeOpens);
+    await expect(target.importMigrationBatch(first.batchId, first.rewards, first.freeOpens)).to.be.revertedWith(
+      "Batch imported"
+    );
+
+    const messages = [];
+    await migrate(source, target, { snapshot, batchSize: 1, log: (message) => messages.push(message) });
+    expect(messages.filter((message) => message.startsWith("Skipping"))).to.have.length(1);
+    expect(await owedBy(target, [alice, bob, carol], tokens)).to.deep.equal(before);
+  });
+
+  it("refuses to snapshot while opens are pending", async function () {
+    const { alice, coordinator, source, target } = await deployFixture();
+    const receipt = await (
+      await source.connect(alice).openBox(2, 0, 0, "0x", { value: await source.boxPrices(2) })
+    ).wait();
+    const requestId = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+
+    await expect(migrate(source, target, { log: () => {} })).to.be.rejectedWith(/1 open\(s\) are still pending/);
+    expect(await source.frozen()).to.equal(true);
+
+    // A frozen box still takes its callback, so the open can finish before the snapshot
+    await coordinator.fulfillRandomWords(source.target, requestId, 99n);
+    const result = await migrate(source, target, { log: () => {} });
+    expect(result.verification.ok).to.equal(true);
+  });
+
+  it("keeps freeze and import owner-only", async function () {
+    const { alice, source, target } = await deployFixture();
+    await expect(source.connect(alice).freeze(target.target)).to.be.revertedWith("Not owner");
+    await expect(target.connect(alice).importMigrationBatch(1, [], [])).to.be.revertedWith("Not owner");
+    await expect(source.freeze(source.target)).to.be.revertedWith("Invalid successor");
+  });
+
+  it("runs blindbox:migrate as a dry run and then for real", async function () {
+    const { source, target } = await deployFixture();
+    const original = console.log;
+    console.log = () => {};
+    try {
+      const address = await source.getAddress();
+      const to = await target.getAddress();
+      await expect(hre.run("blindbox:migrate", { address, to: address })).to.be.rejectedWith(/are both/);
+      await hre.run("blindbox:migrate", { address, to, dryRun: true });
+      expect(await source.frozen()).to.equal(false);
+      const result = await hre.run("blindbox:migrate", { address, to, fresh: true });
+      expect(result.verification.ok).to.equal(true);
+    } finally {
+      console.log = original;
+    }
+  });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readOnchainConfig } = require("../scripts/lib/config-sync");
+const {
+  checkCallbackGas,
+  formatGasCheck,
+  maxFittingQuantity,
+  requiredCallbackGas,
+} = require("../scripts/lib/gas-profile");
+const { buildModel, rollBatchRewards, rollRewards } = require("../scripts/lib/simulator");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Multi-open", function () {
+  const SILVER = 1;
+  const GOLD = 2;
+
+  async function deployFixture() {
+    const [owner, user, other] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      1000000,
+      false,
+      await Promise.all(tokens.map((token) => token.getAddress())),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    for (const token of tokens) {
+      await token.mint(blindBox.target, ethers.parseEther("1000000"));
+    }
+
+    // Buy `quantity` boxes as `from` and return the request id
+    async function openBatch(boxType, quantity, from = user) {
+      const value = (await blindBox.boxPrices(boxType)) * BigInt(quantity);
+      const receipt = await (await blindBox.connect(from).openBoxes(boxType, quantity, { value })).wait();
+      return receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxesOpened").args.requestId;
+    }
+
+    return { owner, user, other, coordinator, subId, blindBox, openBatch };
+  }
+
+  function parsed(blindBox, receipt, name) {
+    return receipt.logs
+      .filter((log) => log.address === blindBox.target)
+      .map((log) => blindBox.interface.parseLog(log))
+      .filter((event) => event && event.name === name);
+  }
+
+  it("charges price * quantity for one request and rewards every box like the simulator", async function () {
+    const { user, coordinator, blindBox } = await deployFixture();
+    await expect(blindBox.setMaxOpenQuantity(4)).to.emit(blindBox, "MaxOpenQuantityUpdated").withArgs(4);
+    const price = await blindBox.boxPrices(SILVER);
+
+    const tx = blindBox.connect(user).openBoxes(SILVER, 3, { value: price * 3n + 1000n });
+    await expect(tx).to.changeEtherBalances([user, blindBox], [-price * 3n, price * 3n]);
+    const [opened] = parsed(blindBox, await (await tx).wait(), "BoxesOpened");
+    const { requestId } = opened.args;
+    expect(opened.args.quantity).to.equal(3);
+    const pending = await blindBox.pendingOpens(requestId);
+    expect(pending.quantity).to.equal(3);
+    expect(pending.pricePaid).to.equal(price * 3n);
+    expect(await blindBox.pendingRequestCount()).to.equal(1);
+    expect(await blindBox.boxOpened(SILVER)).to.equal(3);
+
+    const word = 123456789n;
+    const fulfilled = await (await coordinator.fulfillRandomWords(blindBox.target, requestId, word)).wait();
+    const boxes = parsed(blindBox, fulfilled, "BatchBoxRewarded");
+    expect(boxes.map((event) => Number(event.args.boxIndex))).to.deep.equal([0, 1, 2]);
+    expect(parsed(blindBox, fulfilled, "RewardsQueued")).to.have.length(6);
+
+    const model = buildModel(await readOnchainConfig(blindBox, { rewardTokens: [] }));
+    const predicted = rollBatchRewards(model, SILVER, word, requestId, 3);
+    expect(
+      boxes.map((event) => event.args.tokens.map((token, i) => ({ token, amount: event.args.amounts[i] })))
+    ).to.deep.equal(predicted);
+    // The first box rolls exactly as a single open with the same word
+    expect(predicted[0]).to.deep.equal(rollRewards(model, SILVER, word, requestId));
+
+    const owed = {};
+    for (const { token, amount } of predicted.flat()) {
+      owed[token] = (owed[token] || 0n) + amount;
+    }
+    const [tokens, amounts] = await blindBox.getPendingRewards(user.address);
+    expect(Object.fromEntries(tokens.map((token, i) => [token, amounts[i]]))).to.deep.equal(owed);
+  });
+
+  it("caps the batch size, rejects FREE boxes and counts supply per box", async function () {
+    const { user, blindBox, openBatch } = await deployFixture();
+    const price = await blindBox.boxPrices(SILVER);
+    expect(await blindBox.maxOpenQuantity()).to.equal(1);
+    await expect(blindBox.connect(user).openBoxes(SILVER, 2, { value: price * 2n })).to.be.revertedWith(
+      "INVALID_QUANTITY"
+    );
+    await expect(blindBox.connect(user).setMaxOpenQuantity(5)).to.be.revertedWith("Not owner");
+    await expect(blindBox.setMaxOpenQuantity(0)).to.be.revertedWith("Invalid quantity");
+
+    await blindBox.setMaxOpenQuantity(5);
+    await expect(blindBox.connect(user).openBoxes(SILVER, 0)).to.be.revertedWith("INVALID_QUANTITY");
+    await expect(blindBox.connect(user).openBoxes(SILVER, 6, { value: price * 6n })).to.be.revertedWith(
+      "INVALID_QUANTITY"
+    );
+    await expect(blindBox.connect(user).openBoxes(0, 2)).to.be.revertedWith("FREE_BOX_SINGLE");
+    await expect(blindBox.connect(user).openBoxes(SILVER, 3, { value: price * 3n - 1n })).to.be.revertedWith(
+      "INSUFFICIENT_FEE"
+    );
+
+    await blindBox.setBoxSchedule(SILVER, { cooldown: 0, saleStart: 0, saleEnd: 0, supplyCap: 4 });
+    await openBatch(SILVER, 3);
+    await expect(openBatch(SILVER, 2)).to.be.revertedWith("SOLD_OUT");
+    await openBatch(SILVER, 1);
+    expect(await blindBox.boxOpened(SILVER)).to.equal(4);
+
+    // A cooldown allows one box at a time
+    await blindBox.setBoxSchedule(GOLD, { cooldown: 60, saleStart: 0, saleEnd: 0, supplyCap: 0 });
+    await expect(openBatch(GOLD, 2)).to.be.revertedWith("BOX_COOLDOWN");
+    await openBatch(GOLD, 1);
+  });
+
+  it("refunds and frees the supply of a whole batch when it is canceled", async function () {
+    const { user, blindBox, openBatch } = await deployFixture();
+    await blindBox.setMaxOpenQuantity(4);
+    const price = await blindBox.boxPrices(GOLD);
+    const requestId = await openBatch(GOLD, 4);
+
+    const tx = blindBox.cancelPendingOpen(requestId);
+    await expect(tx)
+      .to.emit(blindBox, "OpenRefunded")
+      .withArgs(requestId, user.address, price * 4n, false);
+    await expect(tx).to.changeEtherBalances([user, blindBox], [price * 4n, -price * 4n]);
+    expect(await blindBox.boxOpened(GOLD)).to.equal(0);
+  });
+
+  it("queues nothing when the callback runs out of gas, and the batch stays reclaimable", async function () {
+    const { user, coordinator, subId, blindBox, openBatch } = await deployFixture();
+    await blindBox.setMaxOpenQuantity(8);
+    const single = await openBatch(GOLD, 1);
+    await coordinator.fulfillRandomWords(blindBox.target, single, 1n);
+    const singleGas = await coordinator.lastCallbackGasUsed();
+    const [, before] = await blindBox.getPendingRewards(user.address);
+
+    // Enough for one box but not for eight
+    const limit = (singleGas * 3n) / 2n;
+    await blindBox.setVrfConfig(coordinator.target, "0x" + "11".repeat(32), subId, 3, limit, false);
+    const price = await blindBox.boxPrices(GOLD);
+    const requestId = await openBatch(GOLD, 8);
+    await expect(coordinator.fulfillRandomWords(blindBox.target, requestId, 2n)).to.be.reverted;
+
+    expect(await blindBox.pendingRequestCount()).to.equal(1);
+    expect((await blindBox.pendingOpens(requestId)).quantity).to.equal(8);
+    expect((await blindBox.getPendingRewards(user.address))[1]).to.deep.equal(before);
+
+    await time.increase(await blindBox.reclaimTimeout());
+    await expect(blindBox.connect(user).reclaimExpiredOpen(requestId)).to.changeEtherBalance(user, price * 8n);
+    expect(await blindBox.boxOpened(GOLD)).to.equal(1);
+  });
+
+  it("prices each extra box in the gas check and sizes batches to the limit", async function () {
+    const profile = {
+      margin: 0,
+      model: { base: 100000, perPoolToken: 1000, perReward: 40000, perExtraBox: 10000 },
+    };
+    const boxConfigs = [
+      { boxType: 0, numTokensToReward: 3, enabled: true },
+      { boxType: 1, numTokensToReward: 2, enabled: true },
+    ];
+    const options = { callbackGasLimit: 390000, poolSize: 10, boxConfigs };
+
+    // 100k + 3 x (10k + 80k) + 2 x 10k; FREE stays a single open of 230k
+    const check = checkCallbackGas(profile, { ...options, maxOpenQuantity: 3 });
+    expect(check).to.include({ ok: true, required: 390000, boxType: 1, quantity: 3 });
+    expect(checkCallbackGas(profile, options)).to.include({ required: 230000, boxType: 0, quantity: 1 });
+    expect(maxFittingQuantity(profile, options)).to.equal(3);
+    expect(maxFittingQuantity(profile, { ...options, callbackGasLimit: 389999 })).to.equal(2);
+    expect(maxFittingQuantity(profile, { ...options, callbackGasLimit: 200000 })).to.equal(0);
+
+    const over = checkCallbackGas(profile, { ...options, maxOpenQuantity: 4 });
+    expect(formatGasCheck(over)).to.match(/below the 490000 needed for box 1 .* in batches of 4; .*set-max-open/);
+    // A profile measured before batches existed charges a whole base per extra box
+    const { perExtraBox, ...legacy } = profile.model;
+    expect(requiredCallbackGas(legacy, { poolSize: 10, rewardCount: 2, quantity: 3, margin: 0 })).to.equal(
+      390000 - 2 * perExtraBox + 2 * legacy.base
+    );
+  });
+
+  it("sets a batch cap the measured profile can fulfill, and opens batches from the open task", async function () {
+    const { user, coordinator, blindBox } = await deployFixture();
+    const address = await blindBox.getAddress();
+    const lines = [];
+    const original = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const fitting = await hre.run("blindbox:set-max-open", { address });
+      expect(fitting).to.be.greaterThan(1);
+      expect(await blindBox.maxOpenQuantity()).to.equal(fitting);
+      await expect(hre.run("blindbox:set-max-open", { address, quantity: fitting + 1 })).to.be.rejectedWith(
+        new RegExp(`Refusing to update: .* in batches of ${fitting + 1}`)
+      );
+
+      // The largest batch of the largest box fits the callback
+      const value = (await blindBox.boxPrices(GOLD)) * BigInt(fitting);
+      const receipt = await (await blindBox.connect(user).openBoxes(GOLD, fitting, { value })).wait();
+      const [opened] = parsed(blindBox, receipt, "BoxesOpened");
+      await coordinator.fulfillRandomWords(blindBox.target, opened.args.requestId, 3n);
+      expect(await coordinator.lastCallbackGasUsed()).to.be.at.most(await blindBox.callbackGasLimit());
+
+      lines.length = 0;
+      await hre.run("blindbox:open", { address, boxType: "silver", count: 2, watch: true, claim: "each" });
+      expect(lines.filter((line) => /^ {2}Box \d of 2:$/.test(line))).to.have.length(2);
+      const [owner] = await ethers.getSigners();
+      expect((await blindBox.getPendingRewards(owner.address))[0]).to.have.length(0);
+
+      await expect(hre.run("blindbox:open", { address, boxType: 0, count: 2 })).to.be.rejectedWith(/one at a time/);
+      await expect(hre.run("blindbox:open", { address, boxType: 1, count: fitting + 1 })).to.be.rejectedWith(
+        /above this contract's maxOpenQuantity/
+      );
+    } finally {
+      console.log = original;
+    }
+  });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createProposal, listProposals, proposeOwnershipHandover } = require("../scripts/lib/multisig");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("MultiSign", function () {
+  async function deployFixture() {
+    const [deployer, alice, bob, carol, outsider] = await ethers.getSigners();
+    const multisig = await ethers.deployContract("MultiSign", [[alice.address, bob.address, carol.address], 2]);
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const token = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      [await token.getAddress()],
+      [],
+    ]);
+    return { deployer, alice, bob, carol, outsider, multisig, blindBox };
+  }
+
+  it("rejects invalid signer sets and thresholds", async function () {
+    const [, alice, bob] = await ethers.getSigners();
+    const factory = await ethers.getContractFactory("MultiSign");
+    await expect(factory.deploy([], 1)).to.be.revertedWith("Invalid signer count");
+    await expect(factory.deploy([alice.address, bob.address], 3)).to.be.revertedWith("Invalid threshold");
+    await expect(factory.deploy([alice.address, alice.address], 1)).to.be.revertedWith("Signer already added");
+  });
+
+  it("executes a native transfer once the threshold is reached", async function () {
+    const { alice, bob, carol, outsider, multisig } = await deployFixture();
+    await expect(outsider.sendTransaction({ to: multisig.target, value: ethers.parseEther("1") }))
+      .to.emit(multisig, "Deposit")
+      .withArgs(outsider.address, ethers.parseEther("1"));
+
+    const id = await createProposal(multisig.connect(alice), { to: outsider.address, value: ethers.parseEther("0.4") });
+    await expect(multisig.connect(outsider).confirm(id)).to.be.revertedWith("Not signer");
+    await expect(multisig.connect(alice).confirm(id)).to.be.revertedWith("Already confirmed");
+    await expect(multisig.connect(alice).execute(id)).to.be.revertedWith("Threshold not met");
+
+    await multisig.connect(bob).confirm(id);
+    const before = await ethers.provider.getBalance(outsider.address);
+    await expect(multisig.connect(carol).execute(id)).to.emit(multisig, "ProposalExecuted");
+    expect((await ethers.provider.getBalance(outsider.address)) - before).to.equal(ethers.parseEther("0.4"));
+    await expect(multisig.connect(carol).execute(id)).to.be.revertedWith("Already executed");
+  });
+
+  it("drops revoked confirmations and refuses expired proposals", async function () {
+    const { alice, bob, outsider, multisig } = await deployFixture();
+    const id = await createProposal(multisig.connect(alice), { to: outsider.address });
+    await multisig.connect(bob).confirm(id);
+    await multisig.connect(bob).revoke(id);
+    expect(await multisig.confirmationCount(id)).to.equal(1);
+    await expect(multisig.connect(bob).revoke(id)).to.be.revertedWith("Not confirmed");
+
+    await multisig.connect(bob).confirm(id);
+    await time.increase(await multisig.proposalTtl());
+    await expect(multisig.connect(alice).execute(id)).to.be.revertedWith("Proposal expired");
+    expect(await listProposals(multisig)).to.deep.equal([]);
+    const [expired] = await listProposals(multisig, { includeClosed: true });
+    expect(expired).to.include({ status: "expired", confirmations: 2 });
+  });
+
+  it("changes signers and threshold only through its own proposals", async function () {
+    const { alice, bob, carol, outsider, multisig } = await deployFixture();
+    await expect(multisig.connect(alice).addSigner(outsider.address)).to.be.revertedWith("Only multisig");
+
+    const add = await createProposal(multisig.connect(alice), {
+      to: multisig.target,
+      data: multisig.interface.encodeFunctionData("addSigner", [outsider.address]),
+    });
+    await multisig.connect(bob).confirm(add);
+    await multisig.connect(alice).execute(add);
+    expect(await multisig.isSigner(outsider.address)).to.equal(true);
+
+    const remove = await createProposal(multisig.connect(outsider), {
+      to: multisig.target,
+      data: multisig.interface.encodeFunctionData("removeSigner", [carol.address]),
+    });
+    const pay = await createProposal(multisig.connect(alice), { to: outsider.address });
+    await multisig.connect(carol).confirm(pay);
+    await multisig.connect(carol).confirm(remove);
+    await multisig.connect(outsider).execute(remove);
+    expect([...(await multisig.getSigners())]).to.have.members([alice.address, bob.address, outsider.address]);
+    // carol's confirmation no longer counts
+    expect(await multisig.confirmationCount(remove)).to.equal(1);
+
+    // Adding carol back does not revive the confirmation she gave before her removal
+    const readd = await createProposal(multisig.connect(alice), {
+      to: multisig.target,
+      data: multisig.interface.encodeFunctionData("addSigner", [carol.address]),
+    });
+    await multisig.connect(bob).confirm(readd);
+    await multisig.connect(alice).execute(readd);
+    await multisig.connect(alice).revoke(pay);
+    expect(await multisig.confirmed(pay, carol.address)).to.equal(false);
+    expect(await multisig.confirmationCount(pay)).to.equal(0);
+    await multisig.connect(bob).confirm(pay);
+    await expect(multisig.connect(bob).execute(pay)).to.be.revertedWith("Threshold not met");
+    await multisig.connect(carol).confirm(pay);
+    await expect(multisig.connect(carol).execute(pay)).to.emit(multisig, "ProposalExecuted");
+
+    const raise = await createProposal(multisig.connect(alice), {
+      to: multisig.target,
+      data: multisig.interface.encodeFunctionData("changeThreshold", [5]),
+    });
+    await multisig.connect(bob).confirm(raise);
+    await expect(multisig.connect(bob).execute(raise)).to.be.revertedWith("Invalid threshold");
+  });
+
+  it("takes over BlindBox ownership through the two-step handover", async function () {
+    const { deployer, alice, bob, multisig, blindBox } = await deployFixture();
+    const id = await proposeOwnershipHandover(blindBox, multisig, { owner: deployer, signer: alice });
+    expect(await blindBox.pendingOwner()).to.equal(multisig.target);
+    expect(await blindBox.owner()).to.equal(deployer.address);
+
+    await multisig.connect(bob).confirm(id);
+    await expect(multisig.connect(bob).execute(id))
+      .to.emit(blindBox, "OwnershipTransferred")
+      .withArgs(deployer.address, multisig.target);
+    expect(await blindBox.owner()).to.equal(multisig.target);
+    expect(await proposeOwnershipHandover(blindBox, multisig, { owner: deployer, signer: alice })).to.equal(null);
+
+    await expect(blindBox.setBoxPrice(2, 1n)).to.be.revertedWith("Not owner");
+    const price = await createProposal(multisig.connect(alice), {
+      to: blindBox.target,
+      data: blindBox.interface.encodeFunctionData("setBoxPrice", [2, ethers.parseEther("0.5")]),
+    });
+    await multisig.connect(bob).confirm(price);
+    await multisig.connect(alice).execute(price);
+    expect(await blindBox.boxPrices(2)).to.equal(ethers.parseEther("0.5"));
+  });
+
+  it("bubbles the target's revert reason and keeps the proposal executable", async function () {
+    const { alice, bob, multisig, blindBox } = await deployFixture();
+    const id = await createProposal(multisig.connect(alice), {
+      to: blindBox.target,
+      data: blindBox.interface.encodeFunctionData("pause"),
+    });
+    await multisig.connect(bob).confirm(id);
+    await expect(multisig.connect(bob).execute(id)).to.be.revertedWith("Not owner");
+    expect((await multisig.getProposal(id)).executed).to.equal(false);
+  });
+
+  it("proposes, signs, lists and executes through the tasks", async function () {
+    const { deployer, alice, bob, multisig, blindBox } = await deployFixture();
+    await blindBox.connect(deployer).transferOwnership(multisig.target);
+    const lines = [];
+    const original = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const accept = await createProposal(multisig.connect(alice), {
+        to: blindBox.target,
+        data: blindBox.interface.encodeFunctionData("acceptOwnership"),
+      });
+      await multisig.connect(bob).confirm(accept);
+      await multisig.connect(bob).execute(accept);
+
+      // The tasks act as the first hardhat signer, so add it to the signer set first.
+      const grant = await createProposal(multisig.connect(alice), {
+        to: multisig.target,
+        data: multisig.interface.encodeFunctionData("addSigner", [deployer.address]),
+      });
+      await multisig.connect(bob).confirm(grant);
+      await multisig.connect(bob).execute(grant);
+
+      const id = await hre.run("multisig:propose", {
+        multisig: multisig.target,
+        address: blindBox.target,
+        method: "setBoxPrice",
+        params: '[1, "7"]',
+        contract: "BlindBox",
+        value: "0",
+      });
+      const [listed] = await hre.run("multisig:list", { multisig: multisig.target });
+      expect(listed).to.include({ call: "setBoxPrice(1, 7)", status: "pending", confirmations: 1 });
+
+      await expect(hre.run("multisig:execute", { multisig: multisig.target, id: id.toString() })).to.be.rejectedWith(
+        "Threshold not met"
+      );
+      await multisig.connect(alice).confirm(id);
+      await hre.run("multisig:execute", { multisig: multisig.target, id: id.toString() });
+    } finally {
+      console.log = original;
+    }
+    expect(await blindBox.boxPrices(1)).to.equal(7n);
+    expect(lines.some((line) => line.includes("[pending] setBoxPrice(1, 7)"))).to.equal(true);
+  });
+});
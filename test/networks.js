@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { NETWORKS, etherscanConfig, explorersFor, networkProfile, vrfSettings } = require("../config/networks");
+
+describe("Network profiles", function () {
+  it("profiles every network declared in the hardhat config", function () {
+    for (const [name, network] of Object.entries(hre.config.networks)) {
+      const profile = networkProfile(name);
+      if (!profile.local) {
+        expect(network.chainId, name).to.equal(profile.chainId);
+      }
+    }
+  });
+
+  it("fails loudly for an unprofiled network", function () {
+    expect(() => networkProfile("polygon")).to.throw(/No network profile for "polygon"/);
+    expect(() => vrfSettings("polygon", {})).to.throw(/No network profile/);
+  });
+
+  it("fills VRF settings from the profile and lets env override them", function () {
+    const vrf = vrfSettings("base", { BASE_VRF_SUBSCRIPTION_ID: "42" });
+    expect(vrf).to.deep.equal({
+      coordinator: NETWORKS.base.vrf.coordinator,
+      keyHash: NETWORKS.base.vrf.keyHashes["30gwei"],
+      subscriptionId: 42n,
+      requestConfirmations: 3,
+      callbackGasLimit: 300000,
+      nativePayment: false,
+    });
+
+    const overridden = vrfSettings("base-sepolia", {
+      BASE_SEPOLIA_VRF_SUBSCRIPTION_ID: "7",
+      BASE_SEPOLIA_VRF_REQUEST_CONFIRMATIONS: "5",
+      BASE_SEPOLIA_VRF_NATIVE_PAYMENT: "true",
+    });
+    expect(overridden.requestConfirmations).to.equal(5);
+    expect(overridden.nativePayment).to.equal(true);
+  });
+
+  it("lists every missing VRF value instead of borrowing another network's", function () {
+    expect(() => vrfSettings("sepolia", { BASE_VRF_SUBSCRIPTION_ID: "1" })).to.throw(
+      "Missing VRF settings for sepolia: set SEPOLIA_VRF_SUBSCRIPTION_ID"
+    );
+  });
+
+  it("refuses VRF on networks marked unsupported unless env supplies the coordinator and key hash", function () {
+    for (const network of ["op", "arb", "celo"]) {
+      const { envPrefix } = networkProfile(network);
+      expect(() => vrfSettings(network, { [`${envPrefix}_VRF_SUBSCRIPTION_ID`]: "1" })).to.throw(
+        new RegExp(`^VRF is unsupported on ${network}: no VRF v2.5 coordinator .* set ${envPrefix}_VRF_COORDINATOR`)
+      );
+    }
+    const coordinator = "0x" + "12".repeat(20);
+    const vrf = vrfSettings("arb", {
+      ARB_VRF_COORDINATOR: coordinator,
+      ARB_VRF_KEY_HASH: "0x" + "34".repeat(32),
+      ARB_VRF_SUBSCRIPTION_ID: "9",
+    });
+    expect(vrf).to.include({ coordinator, subscriptionId: 9n, requestConfirmations: 1 });
+    expect(() => vrfSettings("op", { OP_VRF_COORDINATOR: coordinator, OP_VRF_KEY_HASH: "0x01" })).to.throw(
+      "Missing VRF settings for op: set OP_VRF_SUBSCRIPTION_ID"
+    );
+  });
+
+  it("builds explorer config from the same profiles", function () {
+    expect(etherscanConfig({ preferred: "basescan", env: { BASESCAN_API_KEY: "scan" } })).to.deep.equal({
+      apiKey: "scan",
+    });
+
+    const blockscout = etherscanConfig({ preferred: "blockscout", env: { BLOCKSCOUT_API_KEY: "bs" } });
+    expect(blockscout.apiKey).to.equal("bs");
+    expect(blockscout.customChains.map((chain) => chain.network)).to.deep.equal(["base", "base-sepolia"]);
+    expect(blockscout.customChains[0].chainId).to.equal(8453);
+
+    const explorers = explorersFor("base", { preferred: "blockscout", env: { ETHERSCAN_API_KEY: "e" } });
+    expect(explorers.map((explorer) => [explorer.id, explorer.apiKey])).to.deep.equal([
+      ["blockscout", undefined],
+      ["basescan", "e"],
+    ]);
+  });
+});
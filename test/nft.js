@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { buildPrizes, findInventoryIndexes, nftStandard, stockInventory } = require("../scripts/lib/nft-inventory");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("NFT prizes", function () {
+  const SILVER = 1;
+  const GOLD = 2;
+
+  async function deployFixture() {
+    const [owner, user, other] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const token = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      500000,
+      false,
+      [await token.getAddress()],
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    await token.mint(blindBox.target, ethers.parseEther("100000"));
+    await blindBox.setBoxPrice(SILVER, 0);
+    await blindBox.setBoxPrice(GOLD, 0);
+    await blindBox.setBoxConfig(SILVER, 1n, 5n, 1, true);
+    await blindBox.setBoxConfig(GOLD, 1n, 5n, 1, true);
+
+    const erc721 = await ethers.deployContract("MockERC721", ["Prize", "PRZ"]);
+    const erc1155 = await ethers.deployContract("MockERC1155");
+    for (const id of [1n, 2n, 3n]) {
+      await erc721.mint(owner.address, id);
+    }
+    await erc1155.mint(owner.address, 7n, 20n);
+
+    let word = 1000n;
+    // Open a box as `user` and fulfill it, returning the callback receipt
+    async function openAndFulfill(boxType, from = user) {
+      const receipt = await (await blindBox.connect(from).openBox(boxType, 0, 0, "0x")).wait();
+      const { requestId } = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args;
+      word += 1n;
+      const fulfilled = await (await coordinator.fulfillRandomWords(blindBox.target, requestId, word)).wait();
+      return { requestId, fulfilled };
+    }
+
+    return { owner, user, other, coordinator, blindBox, erc721, erc1155, openAndFulfill };
+  }
+
+  function parsed(blindBox, receipt, name) {
+    return receipt.logs
+      .filter((log) => log.address === blindBox.target)
+      .map((log) => blindBox.interface.parseLog(log))
+      .filter((event) => event && event.name === name);
+  }
+
+  it("detects the standard and stocks ERC-721 and ERC-1155 prizes", async function () {
+    const { owner, blindBox, erc721, erc1155 } = await deployFixture();
+    expect(await nftStandard(erc721.target)).to.equal("erc721");
+    expect(await nftStandard(erc1155.target)).to.equal("erc1155");
+    await expect(nftStandard(blindBox.target)).to.be.rejectedWith(/neither ERC-721 nor ERC-1155/);
+
+    const log = () => {};
+    const singles = await buildPrizes(erc721.target, [1n, 2n]);
+    const copies = await buildPrizes(erc1155.target, [7n], { amount: 5n, copies: 3 });
+    expect(copies).to.have.length(3);
+    await stockInventory(blindBox, GOLD, singles, { batchSize: 1, log });
+    await stockInventory(blindBox, SILVER, copies, { log });
+
+    expect(await erc721.ownerOf(1n)).to.equal(blindBox.target);
+    expect(await erc1155.balanceOf(blindBox.target, 7n)).to.equal(15n);
+    expect(await erc1155.balanceOf(owner.address, 7n)).to.equal(5n);
+    const gold = await blindBox.getNftInventory(GOLD);
+    expect(gold.map((prize) => [prize.token, prize.id, prize.amount])).to.deep.equal([
+      [erc721.target, 1n, 0n],
+      [erc721.target, 2n, 0n],
+    ]);
+    expect(await blindBox.getNftInventory(SILVER)).to.have.length(3);
+  });
+
+  it("queues an inventory prize on a winning roll and lets the user claim it", async function () {
+    const { user, blindBox, erc721, erc1155, openAndFulfill } = await deployFixture();
+    const log = () => {};
+    await stockInventory(blindBox, GOLD, await buildPrizes(erc721.target, [1n]), { log });
+    await stockInventory(blindBox, GOLD, await buildPrizes(erc1155.target, [7n], { amount: 4n }), { log });
+    await expect(blindBox.setNftChance(GOLD, 10_000)).to.emit(blindBox, "NftChanceUpdated").withArgs(GOLD, 10_000);
+
+    const first = await openAndFulfill(GOLD);
+    const [queued] = parsed(blindBox, first.fulfilled, "NftQueued");
+    expect(queued.args.requestId).to.equal(first.requestId);
+    expect(queued.args.user).to.equal(user.address);
+    expect(parsed(blindBox, first.fulfilled, "RewardsQueued")).to.not.have.length(0);
+    await openAndFulfill(GOLD);
+
+    expect(await blindBox.getNftInventory(GOLD)).to.have.length(0);
+    const pending = await blindBox.getPendingNfts(user.address);
+    expect(pending).to.have.length(2);
+
+    const index = pending.findIndex((prize) => prize.amount === 0n);
+    await expect(blindBox.connect(user).claimNft(index))
+      .to.emit(blindBox, "NftClaimed")
+      .withArgs(user.address, erc721.target, 1n, 0n);
+    expect(await erc721.ownerOf(1n)).to.equal(user.address);
+    await expect(blindBox.connect(user).claimNft(1)).to.be.revertedWith("Nothing to claim");
+
+    await blindBox.connect(user).claimAllNfts();
+    expect(await erc1155.balanceOf(user.address, 7n)).to.equal(4n);
+    expect(await blindBox.getPendingNfts(user.address)).to.have.length(0);
+    await expect(blindBox.connect(user).claimAllNfts()).to.be.revertedWith("No NFTs claimed");
+  });
+
+  it("skips the prize without reverting when the inventory is empty", async function () {
+    const { user, blindBox, openAndFulfill } = await deployFixture();
+    await blindBox.setNftChance(SILVER, 10_000);
+
+    const { requestId, fulfilled } = await openAndFulfill(SILVER);
+    const [empty] = parsed(blindBox, fulfilled, "NftInventoryEmpty");
+    expect(empty.args.requestId).to.equal(requestId);
+    expect(empty.args.boxType).to.equal(SILVER);
+    expect(parsed(blindBox, fulfilled, "RewardsQueued")).to.not.have.length(0);
+    expect(await blindBox.pendingRequestCount()).to.equal(0);
+    expect(await blindBox.getPendingNfts(user.address)).to.have.length(0);
+  });
+
+  it("leaves the inventory alone without an NFT chance", async function () {
+    const { user, blindBox, erc721, openAndFulfill } = await deployFixture();
+    await stockInventory(blindBox, SILVER, await buildPrizes(erc721.target, [1n]), { log: () => {} });
+
+    const { fulfilled } = await openAndFulfill(SILVER);
+    expect(parsed(blindBox, fulfilled, "NftQueued")).to.have.length(0);
+    expect(await blindBox.getNftInventory(SILVER)).to.have.length(1);
+    expect(await blindBox.getPendingNfts(user.address)).to.have.length(0);
+  });
+
+  it("withdraws inventory by descending index", async function () {
+    const { other, blindBox, erc721 } = await deployFixture();
+    await stockInventory(blindBox, GOLD, await buildPrizes(erc721.target, [1n, 2n, 3n]), { log: () => {} });
+
+    await expect(blindBox.withdrawNfts(GOLD, [0, 2], other.address)).to.be.revertedWith("Invalid index");
+    await expect(blindBox.withdrawNfts(GOLD, [3], other.address)).to.be.revertedWith("Invalid index");
+    await expect(blindBox.withdrawNfts(GOLD, [0], ethers.ZeroAddress)).to.be.revertedWith("Zero address");
+
+    const indexes = await findInventoryIndexes(blindBox, GOLD, erc721.target, [1n, 3n]);
+    expect(indexes).to.deep.equal([2, 0]);
+    await expect(blindBox.withdrawNfts(GOLD, indexes, other.address))
+      .to.emit(blindBox, "NftWithdrawn")
+      .withArgs(GOLD, erc721.target, 3n, 0n, other.address);
+    expect(await erc721.ownerOf(1n)).to.equal(other.address);
+    expect(await erc721.ownerOf(3n)).to.equal(other.address);
+    expect((await blindBox.getNftInventory(GOLD)).map((prize) => prize.id)).to.deep.equal([2n]);
+  });
+
+  it("keeps NFT admin owner-only and rejects direct ERC-1155 transfers", async function () {
+    const { owner, user, blindBox, erc721, erc1155 } = await deployFixture();
+    await expect(blindBox.connect(user).setNftChance(GOLD, 100)).to.be.revertedWith("Not owner");
+    await expect(blindBox.setNftChance(GOLD, 10_001)).to.be.revertedWith("Invalid chance");
+    await expect(blindBox.setNftChance(3, 100)).to.be.revertedWith("Invalid box type");
+    await expect(
+      blindBox.connect(user).depositNfts(GOLD, [{ token: erc721.target, amount: 0, id: 1n }])
+    ).to.be.revertedWith("Not owner");
+    await expect(blindBox.depositNfts(GOLD, [{ token: ethers.ZeroAddress, amount: 0, id: 1n }])).to.be.revertedWith(
+      "Zero token"
+    );
+    await expect(blindBox.connect(user).withdrawNfts(GOLD, [], user.address)).to.be.revertedWith("Not owner");
+
+    await expect(
+      erc1155.safeTransferFrom(owner.address, blindBox.target, 7n, 1n, "0x")
+    ).to.be.revertedWith("Use depositNfts");
+    await expect(
+      erc1155.safeBatchTransferFrom(owner.address, blindBox.target, [7n], [1n], "0x")
+    ).to.be.revertedWith("Use depositNfts");
+  });
+
+  it("runs the NFT tasks", async function () {
+    const { user, blindBox, erc721, openAndFulfill } = await deployFixture();
+    const original = console.log;
+    console.log = () => {};
+    try {
+      const address = await blindBox.getAddress();
+      const nft = await erc721.getAddress();
+      await hre.run("blindbox:nft-deposit", { address, boxType: "gold", nft, ids: "1,2" });
+      await expect(hre.run("blindbox:nft-chance", { address, boxType: "GOLD", percent: 101 })).to.be.rejectedWith(
+        /between 0 and 100/
+      );
+      await hre.run("blindbox:nft-chance", { address, boxType: "GOLD", percent: 100, force: true });
+      expect(await blindBox.nftChanceBps(GOLD)).to.equal(10_000);
+
+      await openAndFulfill(GOLD);
+      const { inventories, pending } = await hre.run("blindbox:nft-inventory", { address, user: user.address });
+      expect(inventories[GOLD].prizes).to.have.length(1);
+      expect(pending).to.have.length(1);
+
+      const [remaining] = inventories[GOLD].prizes;
+      await hre.run("blindbox:nft-withdraw", { address, boxType: String(GOLD), nft, ids: remaining.id.toString() });
+      await expect(
+        hre.run("blindbox:nft-withdraw", { address, boxType: String(GOLD), nft, ids: remaining.id.toString() })
+      ).to.be.rejectedWith(/holds none/);
+      await expect(hre.run("blindbox:nft-claim", { address })).to.be.rejectedWith(/No NFTs claimed/);
+    } finally {
+      console.log = original;
+    }
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { validateCatalog } = require("../scripts/lib/catalog");
+const { boxRewards, readOpenHistory, readOpenResult, readRequestIds } = require("../scripts/lib/open-history");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Open history", function () {
+  const SILVER = 1;
+  const GOLD = 2;
+
+  async function deployFixture() {
+    const [owner, user, other] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const addresses = await Promise.all(tokens.map((token) => token.getAddress()));
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      500000,
+      false,
+      addresses,
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+
+    // Buy `quantity` boxes as `from` and return the request id
+    async function open(boxType, quantity = 1, from = user) {
+      const value = (await blindBox.boxPrices(boxType)) * BigInt(quantity);
+      const receipt = await (await blindBox.connect(from).openBoxes(boxType, quantity, { value })).wait();
+      return receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+    }
+
+    let word = 500n;
+    async function fulfill(requestId) {
+      word += 1n;
+      return (await coordinator.fulfillRandomWords(blindBox.target, requestId, word)).wait();
+    }
+
+    return { owner, user, other, blindBox, addresses, open, fulfill };
+  }
+
+  function parsed(blindBox, receipt, name) {
+    return receipt.logs
+      .filter((log) => log.address === blindBox.target)
+      .map((log) => blindBox.interface.parseLog(log))
+      .filter((event) => event && event.name === name);
+  }
+
+  it("records each request's status, box type, user and rewards", async function () {
+    const { user, blindBox, open, fulfill } = await deployFixture();
+    const requestId = await open(SILVER);
+    const openedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+    expect(await readOpenResult(blindBox, requestId)).to.deep.equal({
+      requestId,
+      status: "pending",
+      user: user.address,
+      boxType: SILVER,
+      quantity: 1,
+      openedAt,
+      rewards: [],
+    });
+
+    const queued = parsed(blindBox, await fulfill(requestId), "RewardsQueued");
+    const result = await readOpenResult(blindBox, requestId);
+    expect(result.status).to.equal("fulfilled");
+    expect(result.rewards).to.have.length(2);
+    expect(result.rewards).to.deep.equal(
+      queued.map((event) => ({ token: event.args.token, amount: event.args.amount }))
+    );
+
+    const canceled = await open(GOLD);
+    await blindBox.cancelPendingOpen(canceled);
+    expect(await readOpenResult(blindBox, canceled)).to.deep.include({
+      status: "canceled",
+      boxType: GOLD,
+      rewards: [],
+    });
+    expect(await readOpenResult(blindBox, 12345n)).to.equal(null);
+    expect((await blindBox.getOpenResult(12345n)).status).to.equal(0);
+  });
+
+  it("groups a batch's rewards per box", async function () {
+    const { blindBox, open, fulfill } = await deployFixture();
+    await blindBox.setMaxOpenQuantity(3);
+    const requestId = await open(GOLD, 3);
+    const batch = parsed(blindBox, await fulfill(requestId), "BatchBoxRewarded");
+
+    const result = await readOpenResult(blindBox, requestId);
+    expect(result.quantity).to.equal(3);
+    expect(boxRewards(result)).to.deep.equal(
+      batch.map((event) => event.args.tokens.map((token, i) => ({ token, amount: event.args.amounts[i] })))
+    );
+  });
+
+  it("pages a user's requests and reads the history newest first", async function () {
+    const { user, other, blindBox, open, fulfill } = await deployFixture();
+    const ids = [];
+    for (let i = 0; i < 5; i += 1) {
+      ids.push(await open(SILVER));
+    }
+    const otherId = await open(GOLD, 1, other);
+    await fulfill(ids[1]);
+
+    expect(await readRequestIds(blindBox, user.address, { offset: 1, limit: 2 })).to.deep.equal({
+      requestIds: ids.slice(1, 3),
+      total: 5,
+    });
+    expect((await readRequestIds(blindBox, user.address, { offset: 4, limit: 10 })).requestIds).to.deep.equal([ids[4]]);
+    expect((await readRequestIds(blindBox, user.address, { offset: 9, limit: 10 })).requestIds).to.deep.equal([]);
+    expect((await readRequestIds(blindBox, other.address)).requestIds).to.deep.equal([otherId]);
+
+    const pages = [];
+    let cursor;
+    do {
+      const page = await readOpenHistory(blindBox, user.address, { limit: 2, cursor });
+      pages.push(page.results.map((result) => result.requestId));
+      cursor = page.cursor;
+    } while (cursor !== null);
+    expect(pages).to.deep.equal([[ids[4], ids[3]], [ids[2], ids[1]], [ids[0]]]);
+
+    const { results } = await readOpenHistory(blindBox, user.address, { limit: 4 });
+    expect(results.map((result) => result.status)).to.deep.equal(["pending", "pending", "pending", "fulfilled"]);
+  });
+
+  it("reports the last reward of the latest fulfilled request", async function () {
+    const { user, blindBox, open, fulfill } = await deployFixture();
+    expect(await blindBox.getLastReward(user.address)).to.deep.equal([ethers.ZeroAddress, 0n]);
+
+    const first = parsed(blindBox, await fulfill(await open(GOLD)), "RewardsQueued");
+    const pending = await open(SILVER);
+    const last = first[first.length - 1].args;
+    expect(await blindBox.getLastReward(user.address)).to.deep.equal([last.token, last.amount]);
+
+    const second = parsed(blindBox, await fulfill(pending), "RewardsQueued");
+    const newest = second[second.length - 1].args;
+    expect(await blindBox.getLastReward(user.address)).to.deep.equal([newest.token, newest.amount]);
+    expect(await blindBox.lastRewardToken(user.address)).to.equal(newest.token);
+    expect(await blindBox.lastRewardAmount(user.address)).to.equal(newest.amount);
+
+    // A request fulfilled after its box stopped paying tokens has no last reward
+    const empty = await open(SILVER);
+    await blindBox.setBoxConfig(SILVER, 1n, 2n, 0, false);
+    expect(parsed(blindBox, await fulfill(empty), "RewardsQueued")).to.have.length(0);
+    expect((await blindBox.getOpenResult(empty)).status).to.equal(2n);
+    expect(await blindBox.getLastReward(user.address)).to.deep.equal([ethers.ZeroAddress, 0n]);
+    expect(await blindBox.lastRewardToken(user.address)).to.equal(ethers.ZeroAddress);
+    expect(await blindBox.lastRewardAmount(user.address)).to.equal(0n);
+  });
+
+  it("rejects ranges too large to record", async function () {
+    const { blindBox, addresses } = await deployFixture();
+    const tooLarge = 2n ** 96n;
+    await expect(blindBox.setBoxConfig(SILVER, 1n, tooLarge, 2, true)).to.be.revertedWith("Invalid range");
+    await expect(blindBox.setTokenRange(SILVER, addresses[0], 1n, tooLarge, true, 0, 0)).to.be.revertedWith(
+      "Invalid range"
+    );
+    await expect(blindBox.setRarityTier(SILVER, 1, 1n, tooLarge, 100, true)).to.be.revertedWith("Invalid range");
+    await blindBox.setBoxConfig(SILVER, 1n, tooLarge - 1n, 2, true);
+
+    const catalog = {
+      rewardTokens: addresses,
+      boxConfigs: [{ boxType: "SILVER", minAmount: "1", maxAmount: "80000000000", numTokensToReward: 2 }],
+    };
+    expect(() => validateCatalog(catalog)).to.throw(/boxConfigs\[0\]: max 80000000000\.0 is above the largest reward/);
+  });
+
+  it("prints a user's history and a single request from the history task", async function () {
+    const { user, blindBox, open, fulfill } = await deployFixture();
+    await blindBox.setMaxOpenQuantity(2);
+    const single = await open(SILVER);
+    await fulfill(single);
+    const batch = await open(GOLD, 2);
+    await fulfill(batch);
+
+    const lines = [];
+    const original = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const address = await blindBox.getAddress();
+      const results = await hre.run("blindbox:history", { address, user: user.address });
+      expect(results.map((result) => result.requestId)).to.deep.equal([batch, single]);
+      expect(lines[0]).to.equal(`${user.address} made 2 open request(s), newest first:`);
+      expect(lines[1]).to.match(new RegExp(`^  ${batch} GOLD x2 fulfilled, opened `));
+      expect(lines.filter((line) => /^ {4}box \d: /.test(line))).to.have.length(2);
+      expect(lines[lines.length - 1]).to.match(/^ {4}\S+ TK[ABC], \S+ TK[ABC]$/);
+
+      lines.length = 0;
+      await hre.run("blindbox:history", { address, requestId: single.toString() });
+      expect(lines[0]).to.match(new RegExp(`^  ${single} SILVER fulfilled`));
+      await expect(hre.run("blindbox:history", { address, requestId: "999" })).to.be.rejectedWith(/was not opened/);
+    } finally {
+      console.log = original;
+    }
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { watchOpen } = require("../scripts/lib/open-watch");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Open watcher", function () {
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all([
+      ethers.deployContract("MockERC20", ["TokenA", "TKA"]),
+      ethers.deployContract("MockERC20", ["TokenB", "TKB"]),
+      ethers.deployContract("MockERC20", ["TokenC", "TKC"]),
+    ]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      await Promise.all(tokens.map((token) => token.getAddress())),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+
+    return { owner, user, coordinator, blindBox };
+  }
+
+  async function openSilver(blindBox, user) {
+    const price = await blindBox.boxPrices(1);
+    const receipt = await (await blindBox.connect(user).openBox(1, 0, 0, "0x", { value: price })).wait();
+    const event = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened");
+    return { requestId: event.args.requestId, fromBlock: receipt.blockNumber };
+  }
+
+  it("auto-fulfills locally and reports the rolled rewards", async function () {
+    const { blindBox, user } = await deployFixture();
+    const { requestId, fromBlock } = await openSilver(blindBox, user);
+
+    const result = await watchOpen({
+      blindBox,
+      requestId,
+      user: user.address,
+      fromBlock,
+      pollIntervalMs: 10,
+      autoFulfill: true,
+    });
+
+    expect(result.status).to.equal("fulfilled");
+    const [tokens, amounts] = await blindBox.getPendingRewards(user.address);
+    expect(result.rewards.map((r) => r.token)).to.have.members([...tokens]);
+    expect(result.rewards.map((r) => r.amount)).to.have.members([...amounts]);
+  });
+
+  it("leaves an external fulfiller time to answer before auto-fulfilling", async function () {
+    const { blindBox, coordinator, user } = await deployFixture();
+    const { requestId, fromBlock } = await openSilver(blindBox, user);
+
+    const watching = watchOpen({
+      blindBox,
+      requestId,
+      user: user.address,
+      fromBlock,
+      pollIntervalMs: 10,
+      autoFulfill: true,
+      autoFulfillDelayMs: 60_000,
+    });
+    const tx = await coordinator.fulfillRandomWords(await blindBox.getAddress(), requestId, 42);
+
+    const result = await watching;
+    expect(result.status).to.equal("fulfilled");
+    expect(result.txHash).to.equal(tx.hash);
+  });
+
+  it("matches rewards to the watched request", async function () {
+    const { blindBox, coordinator, user } = await deployFixture();
+    const first = await openSilver(blindBox, user);
+    const second = await openSilver(blindBox, user);
+
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), first.requestId, 11);
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), second.requestId, 22);
+
+    const result = await watchOpen({
+      blindBox,
+      requestId: second.requestId,
+      user: user.address,
+      fromBlock: first.fromBlock,
+      pollIntervalMs: 10,
+    });
+    const fulfillTxs = await blindBox.queryFilter(blindBox.filters.RewardsQueued(user.address), first.fromBlock);
+    const expected = fulfillTxs.filter((log) => log.transactionHash === result.txHash);
+
+    expect(result.status).to.equal("fulfilled");
+    expect(expected).to.have.length(2);
+    expect(fulfillTxs[0].transactionHash).to.not.equal(result.txHash);
+  });
+
+  it("reads the watched request's rewards from BlindBox when the coordinator logs no fulfillment", async function () {
+    const { blindBox, coordinator, user } = await deployFixture();
+    const first = await openSilver(blindBox, user);
+    const second = await openSilver(blindBox, user);
+    // The second open is fulfilled first, so the user's earliest RewardsQueued belongs to it
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), second.requestId, 22);
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), first.requestId, 11);
+
+    // Hide the coordinator's logs, as on a coordinator without RandomWordsFulfilled
+    const coordinatorAddress = (await coordinator.getAddress()).toLowerCase();
+    const provider = new Proxy(ethers.provider, {
+      get(target, prop, proxy) {
+        if (prop === "provider") {
+          return proxy;
+        }
+        if (prop === "getLogs") {
+          return async (filter) =>
+            String(filter.address).toLowerCase() === coordinatorAddress ? [] : target.getLogs(filter);
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+
+    const result = await watchOpen({
+      blindBox: blindBox.connect(provider),
+      requestId: first.requestId,
+      user: user.address,
+      fromBlock: first.fromBlock,
+      pollIntervalMs: 10,
+    });
+    const { tokens, amounts } = await blindBox.getOpenResult(first.requestId);
+
+    expect(result.status).to.equal("fulfilled");
+    expect(result.txHash).to.equal(null);
+    expect(result.rewards).to.deep.equal(tokens.map((token, i) => ({ token, amount: amounts[i] })));
+    expect(result.boxes).to.deep.equal([{ boxIndex: 0, rewards: result.rewards }]);
+  });
+
+  it("reports canceled requests", async function () {
+    const { blindBox, owner, user } = await deployFixture();
+    const { requestId, fromBlock } = await openSilver(blindBox, user);
+    await blindBox.connect(owner).cancelPendingOpen(requestId);
+
+    const result = await watchOpen({ blindBox, requestId, user: user.address, fromBlock, pollIntervalMs: 10 });
+    expect(result.status).to.equal("canceled");
+  });
+
+  it("times out when the request stays pending", async function () {
+    const { blindBox, user } = await deployFixture();
+    const { requestId, fromBlock } = await openSilver(blindBox, user);
+
+    const result = await watchOpen({
+      blindBox,
+      requestId,
+      user: user.address,
+      fromBlock,
+      timeoutMs: 0,
+      pollIntervalMs: 10,
+    });
+    expect(result.status).to.equal("timeout");
+  });
+});
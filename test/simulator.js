@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { buildModel, rollRewards, seededWords, simulate } = require("../scripts/lib/simulator");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Reward simulator", function () {
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC", "TKD"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const addresses = await Promise.all(tokens.map((token) => token.getAddress()));
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      250000,
+      false,
+      addresses,
+      [
+        { boxType: 1, token: addresses[0], minAmount: 7n, maxAmount: 19n, enabled: true, weight: 0, tier: 0 },
+        {
+          boxType: 2,
+          token: addresses[1],
+          minAmount: ethers.parseEther("1"),
+          maxAmount: ethers.parseEther("2"),
+          enabled: true,
+          weight: 0,
+          tier: 0,
+        },
+        { boxType: 2, token: addresses[2], minAmount: 1n, maxAmount: 1n, enabled: false, weight: 0, tier: 0 },
+      ],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    return { owner, user, coordinator, blindBox, addresses };
+  }
+
+  async function liveCatalog(blindBox) {
+    const { readOnchainConfig } = require("../scripts/lib/config-sync");
+    return readOnchainConfig(blindBox, { rewardTokens: [] });
+  }
+
+  it("matches the contract's rewards for the same random words", async function () {
+    const { user, coordinator, blindBox } = await deployFixture();
+    const model = buildModel(await liveCatalog(blindBox));
+    const words = seededWords("contract-parity");
+
+    for (const boxType of [1, 2, 2, 1, 2]) {
+      const price = await blindBox.boxPrices(boxType);
+      const receipt = await (await blindBox.connect(user).openBox(boxType, 0, 0, "0x", { value: price })).wait();
+      const { requestId } = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args;
+      const word = words();
+
+      const before = await blindBox.getPendingRewards(user.address);
+      await coordinator.fulfillRandomWords(await blindBox.getAddress(), requestId, word);
+      const [tokens, amounts] = await blindBox.getPendingRewards(user.address);
+      const credited = {};
+      tokens.forEach((token, i) => {
+        const previous = before[0].indexOf(token);
+        const delta = amounts[i] - (previous === -1 ? 0n : before[1][previous]);
+        if (delta > 0n) {
+          credited[token] = delta;
+        }
+      });
+
+      const predicted = rollRewards(model, boxType, word, requestId);
+      expect(predicted).to.have.length(boxType === 1 ? 2 : 3);
+      expect(Object.fromEntries(predicted.map((r) => [r.token, r.amount]))).to.deep.equal(credited);
+    }
+  });
+
+  it("reports expected and p99 payouts, revenue and runway", async function () {
+    const { blindBox, addresses } = await deployFixture();
+    const catalog = await liveCatalog(blindBox);
+
+    const report = simulate(catalog, {
+      opensPerDay: { 1: 10, 2: 2 },
+      runs: 40,
+      random: seededWords("monte-carlo"),
+      treasury: { [addresses[0]]: ethers.parseEther("100000"), [addresses[3]]: 0n },
+      tokenValues: { [addresses[1]]: ethers.parseEther("0.001") },
+    });
+
+    expect(report.revenuePerDay).to.equal(ethers.parseEther("0.00003") * 10n + ethers.parseEther("0.0001") * 2n);
+    const byToken = Object.fromEntries(report.tokens.map((entry) => [entry.token, entry]));
+    for (const entry of report.tokens) {
+      expect(entry.p99 >= entry.expected).to.equal(true);
+    }
+    const tokenA = byToken[addresses[0]];
+    expect(tokenA.runwayDays).to.be.closeTo(Number(ethers.parseEther("100000") / tokenA.expected), 1);
+    expect(byToken[addresses[3]].runwayDays).to.equal(0);
+    expect(byToken[addresses[2]].runwayDays).to.equal(null);
+    expect(report.payoutValue.p99 >= report.payoutValue.expected).to.equal(true);
+  });
+
+  it("is reproducible with a seeded word source", async function () {
+    const { blindBox } = await deployFixture();
+    const catalog = await liveCatalog(blindBox);
+    const run = () => simulate(catalog, { opensPerDay: { 0: 3 }, runs: 5, random: seededWords(1) });
+    expect(run()).to.deep.equal(run());
+  });
+
+  it("rejects opens for disabled boxes and configs the contract would reject", async function () {
+    const { blindBox, addresses } = await deployFixture();
+    const catalog = await liveCatalog(blindBox);
+    catalog.boxConfigs[2] = { ...catalog.boxConfigs[2], enabled: false };
+    expect(() => simulate(catalog, { opensPerDay: { 2: 1 } })).to.throw(/GOLD is disabled/);
+
+    const short = { ...catalog, rewardTokens: addresses.slice(0, 2) };
+    expect(() => rollRewards(buildModel(short), 2, 1n, 1n)).to.throw(/NOT_ENOUGH_TOKENS/);
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { checkSolvency, liabilitiesFromEvents } = require("../scripts/lib/solvency");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Solvency monitor", function () {
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokenA = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const tokenB = await ethers.deployContract("MockERC20", ["TokenB", "TKB"]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      [await tokenA.getAddress(), await tokenB.getAddress()],
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    const address = await blindBox.getAddress();
+
+    // SILVER rewards both tokens (500-1000 each) per open
+    async function openAndFulfill(user, word) {
+      const value = ethers.parseEther("0.00003");
+      const receipt = await (await blindBox.connect(user).openBox(1, 0, 0, "0x", { value })).wait();
+      const { requestId } = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args;
+      if (word !== undefined) {
+        await coordinator.fulfillRandomWords(address, requestId, word);
+      }
+    }
+
+    return { owner, alice, bob, blindBox, address, tokenA, tokenB, openAndFulfill };
+  }
+
+  async function run(name, args) {
+    const original = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      console.log = original;
+    }
+  }
+
+  it("rebuilds outstanding rewards from queued and claimed events", async function () {
+    const { alice, bob, blindBox, tokenA, tokenB, address, openAndFulfill } = await deployFixture();
+    await tokenA.mint(address, ethers.parseEther("5000"));
+    await tokenB.mint(address, ethers.parseEther("5000"));
+    await openAndFulfill(alice, 1n);
+    await openAndFulfill(bob, 2n);
+    await openAndFulfill(alice, 3n);
+    await blindBox.connect(bob).claim(await tokenA.getAddress());
+
+    const { outstanding } = await liabilitiesFromEvents(blindBox, { chunkSize: 2 });
+    for (const token of [tokenA, tokenB]) {
+      const tokenAddress = await token.getAddress();
+      let expected = 0n;
+      for (const user of [alice, bob]) {
+        const [tokens, amounts] = await blindBox.getPendingRewards(user.address);
+        const i = tokens.indexOf(tokenAddress);
+        expected += i === -1 ? 0n : amounts[i];
+      }
+      expect(outstanding.get(tokenAddress)).to.equal(expected);
+    }
+  });
+
+  it("reports coverage and worst-case in-flight exposure", async function () {
+    const { alice, blindBox, tokenA, tokenB, address, openAndFulfill } = await deployFixture();
+    await tokenA.mint(address, ethers.parseEther("3000"));
+    await openAndFulfill(alice, 7n);
+    await openAndFulfill(alice);
+
+    const report = await checkSolvency(blindBox);
+    const [a, b] = report.tokens;
+    expect(report.pendingRequestCount).to.equal(1n);
+    expect(a.token).to.equal(await tokenA.getAddress());
+    expect(a.inflight).to.equal(ethers.parseEther("2500"));
+    expect(a.ok).to.equal(true);
+    expect(a.coverage).to.be.greaterThan(1);
+    expect(b.token).to.equal(await tokenB.getAddress());
+    expect(b.coverage).to.equal(0);
+    expect(report.ok).to.equal(false);
+
+    await tokenB.mint(address, b.outstanding);
+    const covered = await checkSolvency(blindBox);
+    expect(covered.ok).to.equal(true);
+    const strict = await checkSolvency(blindBox, { includeInflight: true });
+    expect(strict.tokens[1].coverageWithInflight).to.be.lessThan(1);
+    expect(strict.ok).to.equal(false);
+  });
+
+  it("counts every box of a pending openBoxes request as in flight", async function () {
+    const { alice, blindBox, openAndFulfill } = await deployFixture();
+    await blindBox.setMaxOpenQuantity(4);
+    await openAndFulfill(alice);
+    const value = ethers.parseEther("0.00003") * 3n;
+    await blindBox.connect(alice).openBoxes(1, 3, { value });
+
+    const report = await checkSolvency(blindBox);
+    expect(report.pendingRequestCount).to.equal(2n);
+    expect(report.pendingBoxes).to.equal(4n);
+    // GOLD's 2500 is the largest per-token max of any enabled box
+    expect(report.tokens[0].inflight).to.equal(ethers.parseEther("2500") * 4n);
+
+    // Requests opened before fromBlock are not found, so each counts as a full batch
+    const latest = await ethers.provider.getBlockNumber();
+    expect((await checkSolvency(blindBox, { fromBlock: latest + 1 })).pendingBoxes).to.equal(8n);
+  });
+
+  it("fails the task when a token is below the threshold", async function () {
+    const { alice, tokenA, tokenB, address, openAndFulfill } = await deployFixture();
+    await openAndFulfill(alice, 11n);
+    await tokenA.mint(address, ethers.parseEther("1000"));
+    await tokenB.mint(address, ethers.parseEther("1000"));
+
+    const report = await run("blindbox:solvency", { address, json: true });
+    expect(report.ok).to.equal(true);
+    await expect(run("blindbox:solvency", { address, threshold: 2.5 })).to.be.rejectedWith(/Coverage below 2.5/);
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { findStaleRequests, sweepStale } = require("../scripts/lib/sweeper");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Stale request sweeper", function () {
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      await Promise.all(tokens.map((token) => token.getAddress())),
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+
+    async function open(user, boxType) {
+      const value = await blindBox.boxPrices(boxType);
+      const receipt = await (await blindBox.connect(user).openBox(boxType, 0, 0, "0x", { value })).wait();
+      return receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+    }
+
+    return { owner, alice, bob, coordinator, blindBox, open };
+  }
+
+  it("lists only unanswered opens older than the timeout", async function () {
+    const { alice, bob, coordinator, blindBox, open } = await deployFixture();
+    const answered = await open(alice, 1);
+    const stuck = await open(bob, 2);
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), answered, 5n);
+
+    expect(await findStaleRequests(blindBox)).to.have.length(0);
+    await time.increase(3600);
+    const fresh = await open(alice, 1);
+
+    const stale = await findStaleRequests(blindBox, { olderThan: 3600, chunkSize: 3 });
+    expect(stale.map((request) => request.requestId)).to.deep.equal([stuck]);
+    expect(stale[0]).to.include({ user: bob.address, boxType: 2 });
+    expect(stale[0].pricePaid).to.equal(await blindBox.boxPrices(2));
+
+    await time.increase(await blindBox.reclaimTimeout());
+    const all = await findStaleRequests(blindBox);
+    expect(all.map((request) => request.requestId)).to.deep.equal([stuck, fresh]);
+  });
+
+  it("cancels and refunds stale opens in batches", async function () {
+    const { alice, bob, blindBox, open } = await deployFixture();
+    for (let i = 0; i < 3; i += 1) {
+      await open(alice, 1);
+      await open(bob, 2);
+    }
+    await time.increase(await blindBox.reclaimTimeout());
+
+    const stale = await findStaleRequests(blindBox);
+    const before = await ethers.provider.getBalance(bob.address);
+    const receipts = await sweepStale(blindBox, stale, { batchSize: 4, log: () => {} });
+
+    expect(receipts).to.have.length(2);
+    expect(await blindBox.pendingRequestCount()).to.equal(0);
+    expect((await ethers.provider.getBalance(bob.address)) - before).to.equal((await blindBox.boxPrices(2)) * 3n);
+  });
+
+  it("sweeps through the task, with a dry run first", async function () {
+    const { alice, blindBox, open } = await deployFixture();
+    await open(alice, 1);
+    await time.increase(await blindBox.reclaimTimeout());
+    const address = await blindBox.getAddress();
+
+    const original = console.log;
+    console.log = () => {};
+    try {
+      const listed = await hre.run("blindbox:sweep", { address, dryRun: true });
+      expect(listed).to.have.length(1);
+      expect(await blindBox.pendingRequestCount()).to.equal(1);
+      await hre.run("blindbox:sweep", { address });
+    } finally {
+      console.log = original;
+    }
+    expect(await blindBox.pendingRequestCount()).to.equal(0);
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { describeError } = require("../scripts/lib/errors");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("BlindBox tasks", function () {
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const token = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const other = await ethers.deployContract("MockERC20", ["TokenB", "TKB"]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      [await token.getAddress(), await other.getAddress()],
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    await token.mint(await blindBox.getAddress(), ethers.parseEther("1000"));
+    await other.mint(await blindBox.getAddress(), ethers.parseEther("1000"));
+    return { owner, user, blindBox, address: await blindBox.getAddress() };
+  }
+
+  async function run(name, args) {
+    const lines = [];
+    const original = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const result = await hre.run(name, args);
+      return { result, lines };
+    } finally {
+      console.log = original;
+    }
+  }
+
+  it("sets prices, pauses and cancels through tasks", async function () {
+    const { blindBox, address } = await deployFixture();
+
+    await run("blindbox:set-price", { address, boxType: 2, price: "0.5" });
+    expect(await blindBox.boxPrices(2)).to.equal(ethers.parseEther("0.5"));
+
+    const { result: requestId } = await run("blindbox:open", { address, boxType: 1 });
+    await run("blindbox:cancel", { address, requestId: requestId.toString() });
+    expect(await blindBox.pendingRequestCount()).to.equal(0);
+
+    await run("blindbox:pause", { address });
+    expect(await blindBox.paused()).to.equal(true);
+    await run("blindbox:unpause", { address });
+    expect(await blindBox.paused()).to.equal(false);
+  });
+
+  it("opens, watches and claims on the local network", async function () {
+    const { owner, blindBox, address } = await deployFixture();
+
+    const { lines } = await run("blindbox:open", { address, boxType: 1, watch: true, claim: "all" });
+
+    expect(lines.some((line) => line.includes("TKA"))).to.equal(true);
+    const [tokens] = await blindBox.getPendingRewards(owner.address);
+    expect(tokens).to.have.length(0);
+
+    const status = await run("blindbox:status", { address });
+    expect(status.lines.some((line) => line.includes("no pending rewards"))).to.equal(true);
+  });
+
+  it("reports decoded revert reasons with a hint", async function () {
+    const { address } = await deployFixture();
+
+    await expect(run("blindbox:claim", { address })).to.be.rejectedWith(
+      /Transaction reverted: No rewards claimed\nNo pending reward could be paid out/
+    );
+    await expect(run("blindbox:open", { address, boxType: 1, value: "1" })).to.be.rejectedWith(
+      /INSUFFICIENT_FEE/
+    );
+    await expect(run("blindbox:open", { address, boxType: 5 })).to.be.rejectedWith(/Unknown box type "5"/);
+  });
+
+  it("decodes custom errors from revert data", async function () {
+    const { blindBox, user } = await deployFixture();
+    await blindBox.pause();
+    const error = await blindBox.connect(user).claimAll().catch((err) => err);
+    const { reason, hint } = describeError(error, blindBox.interface);
+    expect(reason).to.equal("EnforcedPause");
+    expect(hint).to.match(/paused/);
+  });
+});
@@ -0,0 +1,258 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { writeDeployment } = require("../scripts/lib/deployments");
+const { loadConstructorArgs, verifyContract } = require("../scripts/lib/verify");
+
+// Etherscan-compatible API on a local port. It reports the contract code as missing for the
+// first `unindexedSubmits` submissions, keeps one status check pending, then passes.
+async function startExplorer({ unindexedSubmits = 0, submitReply, statusReply, httpErrors = 0 } = {}) {
+  const state = { submissions: [], requests: 0, verified: new Set(), submitsLeftUnindexed: unindexedSubmits };
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    let body = "";
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const params = req.method === "POST" ? new URLSearchParams(body) : url.searchParams;
+    const reply = (status, result) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ status, message: status === "1" ? "OK" : "NOTOK", result }));
+    };
+    state.requests += 1;
+    if (state.requests <= httpErrors) {
+      res.writeHead(503);
+      res.end("Service Unavailable");
+      return;
+    }
+
+    const action = params.get("action");
+    if (action === "getsourcecode") {
+      const source = state.verified.has(params.get("address").toLowerCase()) ? "contract Verified {}" : "";
+      reply("1", [{ SourceCode: source }]);
+    } else if (action === "verifysourcecode") {
+      const address = params.get("contractaddress");
+      if (state.submitsLeftUnindexed > 0) {
+        state.submitsLeftUnindexed -= 1;
+        reply("0", `Unable to locate ContractCode at ${address}`);
+        return;
+      }
+      if (submitReply) {
+        reply("0", submitReply);
+        return;
+      }
+      state.submissions.push(Object.fromEntries(params));
+      reply("1", `guid-${state.submissions.length}`);
+    } else if (action === "checkverifystatus") {
+      const submission = state.submissions[Number(params.get("guid").split("-")[1]) - 1];
+      if (!submission.polled) {
+        submission.polled = true;
+        reply("0", "Pending in queue");
+      } else if (statusReply) {
+        reply("0", statusReply);
+      } else {
+        state.verified.add(submission.contractaddress.toLowerCase());
+        reply("1", "Pass - Verified");
+      }
+    } else {
+      reply("0", `Unknown action ${action}`);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const apiURL = `http://127.0.0.1:${server.address().port}/api`;
+  return {
+    state,
+    close: () => new Promise((resolve) => server.close(resolve)),
+    explorer: (id, extra = {}) => ({
+      id,
+      name: id,
+      apiURL,
+      browserURL: "https://explorer.test",
+      apiKey: "key",
+      ...extra,
+    }),
+    apiURL,
+  };
+}
+
+describe("Verification", function () {
+  let dir;
+  let explorers;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "blindbox-verify-"));
+    explorers = [];
+  });
+
+  afterEach(async function () {
+    await Promise.all(explorers.map((explorer) => explorer.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function explorer(options) {
+    const started = await startExplorer(options);
+    explorers.push(started);
+    return started;
+  }
+
+  it("waits for the explorer to index the bytecode, backing off between attempts", async function () {
+    const counter = await ethers.deployContract("Counter", [7]);
+    const stub = await explorer({ unindexedSubmits: 2, httpErrors: 1 });
+    const sleeps = [];
+    const lines = [];
+    const options = {
+      contract: "Counter",
+      address: counter.target,
+      constructorArgs: [7],
+      explorers: [stub.explorer("local")],
+      interval: 100,
+      pollInterval: 10,
+      sleep: async (ms) => sleeps.push(ms),
+      log: (line) => lines.push(line),
+    };
+
+    const [result] = await verifyContract(hre, options);
+    expect(result).to.deep.equal({
+      explorer: "local",
+      name: "local",
+      status: "verified",
+      url: `https://explorer.test/address/${counter.target}#code`,
+    });
+    // One HTTP 503 and two "Unable to locate ContractCode" replies, then one pending status check
+    expect(sleeps).to.deep.equal([100, 200, 400, 10]);
+    expect(lines.filter((line) => /has not indexed the bytecode yet/.test(line))).to.have.length(2);
+    expect(lines[0]).to.match(/HTTP 503/);
+
+    const [submission] = stub.state.submissions;
+    expect(submission).to.include({
+      contractname: "contracts/Counter.sol:Counter",
+      codeformat: "solidity-standard-json-input",
+      constructorArguements: ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [7]).slice(2),
+    });
+    expect(submission.compilerversion).to.match(/^v0\.8\.24\+commit\./);
+    expect(JSON.parse(submission.sourceCode).sources).to.have.property("contracts/Counter.sol");
+
+    // A second run finds the source on the explorer and does not resubmit
+    const [again] = await verifyContract(hre, { ...options, log: () => {} });
+    expect(again.status).to.equal("already-verified");
+    expect(stub.state.submissions).to.have.length(1);
+  });
+
+  it("tells already verified apart from real errors and reports each explorer", async function () {
+    const counter = await ethers.deployContract("Counter", [1]);
+    const blockscout = await explorer({ submitReply: "Smart-contract already verified." });
+    const mismatch = await explorer({
+      statusReply: "Fail - Unable to verify. Compiled contract deployment bytecode does NOT match",
+    });
+    const rejected = await explorer({ submitReply: "Invalid constructor arguments" });
+    const neverIndexed = await explorer({ unindexedSubmits: 10 });
+    const sleeps = [];
+    const lines = [];
+
+    const results = await verifyContract(hre, {
+      contract: "Counter",
+      address: counter.target,
+      constructorArgs: [1],
+      explorers: [
+        blockscout.explorer("blockscout"),
+        mismatch.explorer("mismatch"),
+        rejected.explorer("rejected"),
+        neverIndexed.explorer("slow"),
+        blockscout.explorer("nokey", { apiKey: undefined, apiKeyEnv: ["NOKEY_API_KEY"] }),
+      ],
+      attempts: 3,
+      interval: 1,
+      pollInterval: 0,
+      sleep: async (ms) => sleeps.push(ms),
+      log: (line) => lines.push(line),
+    });
+
+    expect(results.map((result) => [result.explorer, result.status])).to.deep.equal([
+      ["blockscout", "already-verified"],
+      ["mismatch", "failed"],
+      ["rejected", "failed"],
+      ["slow", "failed"],
+      ["nokey", "skipped"],
+    ]);
+    expect(results[1].error).to.match(/does NOT match/);
+    expect(results[2]).to.include({ error: "Invalid constructor arguments", attempts: 1 });
+    expect(results[3]).to.include({ attempts: 3 });
+    // Only the unindexed explorer is retried: twice, after the one pending status check
+    expect(sleeps).to.deep.equal([0, 1, 2]);
+    expect(lines).to.include("blockscout: already verified https://explorer.test/address/" + counter.target + "#code");
+    expect(lines).to.include("nokey: skipped (set NOKEY_API_KEY)");
+    expect(lines.filter((line) => /^slow: failed: Unable to locate ContractCode/.test(line))).to.have.length(1);
+  });
+
+  it("verifies recorded deployments and args modules from the task", async function () {
+    const previous = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = dir;
+    const original = console.log;
+    console.log = () => {};
+    try {
+      const [owner, second] = await ethers.getSigners();
+      const multisig = await ethers.deployContract("MultiSign", [[owner.address, second.address], 2]);
+      writeDeployment("hardhat", "MultiSign", {
+        contract: "MultiSign",
+        address: multisig.target,
+        constructorArgs: [[owner.address, second.address], 2],
+      });
+      const stub = await explorer();
+      const base = { apiUrl: stub.apiURL, interval: 0 };
+
+      const [result] = await hre.run("verify:deployment", { ...base, contract: "MultiSign" });
+      expect(result.status).to.equal("verified");
+      expect(stub.state.submissions[0].constructorArguements).to.equal(
+        multisig.interface.encodeDeploy([[owner.address, second.address], 2]).slice(2)
+      );
+
+      // The admin module is found through the recorded BlindBox and has no constructor arguments
+      const coordinator = await ethers.deployContract("MockVRFCoordinator");
+      const token = await ethers.deployContract("MockERC20", ["TKA", "TKA"]);
+      const blindBox = await ethers.deployContract("BlindBox", [
+        coordinator.target,
+        "0x" + "11".repeat(32),
+        1n,
+        3,
+        300000,
+        false,
+        [token.target],
+        [],
+      ]);
+      writeDeployment("hardhat", "BlindBox", { contract: "BlindBox", address: blindBox.target, constructorArgs: [] });
+      await hre.run("verify:deployment", { ...base, contract: "BlindBoxAdmin" });
+      expect(stub.state.submissions[1]).to.include({
+        contractaddress: await blindBox.adminModule(),
+        contractname: "contracts/BlindBoxAdmin.sol:BlindBoxAdmin",
+        constructorArguements: "",
+      });
+
+      const counter = await ethers.deployContract("Counter", [42]);
+      const argsModule = path.join(dir, "counter-args.js");
+      fs.writeFileSync(argsModule, "module.exports = [42];\n");
+      expect(await loadConstructorArgs({ network: "hardhat", contract: "Counter", argsModule })).to.deep.equal([42]);
+      await hre.run("verify:deployment", { ...base, contract: "Counter", address: counter.target, args: argsModule });
+      expect(stub.state.submissions[2].constructorArguements).to.equal(counter.interface.encodeDeploy([42]).slice(2));
+
+      await expect(
+        hre.run("verify:deployment", { ...base, contract: "Counter", address: counter.target })
+      ).to.be.rejectedWith(/No deployments\/hardhat\/Counter\.json/);
+      const failing = await explorer({ submitReply: "Invalid constructor arguments" });
+      await expect(
+        hre.run("verify:deployment", { contract: "MultiSign", apiUrl: failing.apiURL, interval: 0 })
+      ).to.be.rejectedWith(/Verification failed on http:\/\/127\.0\.0\.1/);
+      await expect(hre.run("verify:deployment", { contract: "MultiSign" })).to.be.rejectedWith(
+        /No explorers configured for hardhat/
+      );
+    } finally {
+      console.log = original;
+      if (previous === undefined) {
+        delete process.env.DEPLOYMENTS_DIR;
+      } else {
+        process.env.DEPLOYMENTS_DIR = previous;
+      }
+    }
+  });
+});
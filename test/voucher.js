@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createSubscription } = require("../scripts/lib/vrf");
+const {
+  createVoucherIssuer,
+  createVoucherServer,
+  fetchFreeBoxVoucher,
+} = require("../scripts/lib/voucher");
+
+describe("Free box vouchers", function () {
+  async function deployFixture() {
+    const [owner, user, voucherSigner] = await ethers.getSigners();
+
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const token = await ethers.deployContract("MockERC20", ["TokenA", "TKA"]);
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      200000,
+      false,
+      [await token.getAddress()],
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    await blindBox.setSignerAddress(voucherSigner.address);
+
+    return { owner, user, voucherSigner, blindBox };
+  }
+
+  function open(blindBox, user, voucher) {
+    return blindBox.connect(user).openBox(0, voucher.fid, voucher.nonce, voucher.signature);
+  }
+
+  it("issues vouchers accepted by openBox", async function () {
+    const { blindBox, user, voucherSigner } = await deployFixture();
+    const issuer = createVoucherIssuer({ blindBox, signer: voucherSigner });
+
+    const voucher = await issuer.issue({ user: user.address, fid: 42 });
+    expect(voucher.contract).to.equal(await blindBox.getAddress());
+    expect(voucher.chainId).to.equal((await ethers.provider.getNetwork()).chainId.toString());
+
+    await expect(open(blindBox, user, voucher)).to.emit(blindBox, "BoxOpened");
+    expect(await blindBox.usedNonces(user.address, voucher.nonce)).to.equal(true);
+  });
+
+  it("refuses vouchers while a cooldown is active", async function () {
+    const { blindBox, owner, user, voucherSigner } = await deployFixture();
+    const issuer = createVoucherIssuer({ blindBox, signer: voucherSigner });
+
+    await open(blindBox, user, await issuer.issue({ user: user.address, fid: 7 }));
+
+    await expect(issuer.issue({ user: user.address, fid: 8 })).to.be.rejectedWith("Wallet free box cooldown");
+    await expect(issuer.issue({ user: owner.address, fid: 7 })).to.be.rejectedWith("Fid free box cooldown");
+
+    await time.increase(24 * 60 * 60 + 1);
+    await issuer.issue({ user: user.address, fid: 7 });
+  });
+
+  it("skips nonces already used on-chain", async function () {
+    const { blindBox, user, voucherSigner } = await deployFixture();
+    const sequence = [5n, 5n, 6n, 7n];
+    const issuer = createVoucherIssuer({
+      blindBox,
+      signer: voucherSigner,
+      nextNonce: () => sequence.shift(),
+    });
+
+    const first = await issuer.issue({ user: user.address, fid: 1 });
+    expect(first.nonce).to.equal("5");
+    await open(blindBox, user, first);
+
+    await time.increase(24 * 60 * 60 + 1);
+    const second = await issuer.issue({ user: user.address, fid: 1 });
+    expect(second.nonce).to.equal("6");
+    expect(await issuer.allocateNonce(user.address, 1n)).to.equal(7n);
+  });
+
+  it("rejects keys that do not match the configured signer", async function () {
+    const { blindBox, owner, user } = await deployFixture();
+    const issuer = createVoucherIssuer({ blindBox, signer: owner });
+    await expect(issuer.issue({ user: user.address, fid: 1 })).to.be.rejectedWith("does not match");
+  });
+
+  it("serves vouchers over HTTP", async function () {
+    const { blindBox, user, voucherSigner } = await deployFixture();
+    const issuer = createVoucherIssuer({ blindBox, signer: voucherSigner });
+    const server = createVoucherServer(issuer, { apiToken: "secret" });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    expect(() => createVoucherServer(issuer)).to.throw("needs an API token");
+
+    try {
+      await expect(fetchFreeBoxVoucher(url, { user: user.address, fid: 3 })).to.be.rejectedWith(
+        "Missing or invalid API token"
+      );
+      for (const apiToken of ["wrong", "secre", "secret2"]) {
+        const error = await fetchFreeBoxVoucher(url, { user: user.address, fid: 3, apiToken }).catch((err) => err);
+        expect(error.code).to.equal("UNAUTHORIZED");
+      }
+      await expect(
+        fetchFreeBoxVoucher(url, { user: "0x1234", fid: 3, apiToken: "secret" })
+      ).to.be.rejectedWith("Invalid user address");
+
+      const voucher = await fetchFreeBoxVoucher(url, { user: user.address, fid: 3, apiToken: "secret" });
+      await open(blindBox, user, voucher);
+
+      const error = await fetchFreeBoxVoucher(url, { user: user.address, fid: 3, apiToken: "secret" }).catch(
+        (err) => err
+      );
+      expect(error.code).to.equal("FREE_BOX_COOLDOWN");
+      expect(error.retryAfter).to.be.greaterThan(0);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
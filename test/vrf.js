@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const {
+  addConsumer,
+  createSubscription,
+  fundWithLink,
+  fundWithNative,
+  isConsumer,
+  removeConsumer,
+  subscriptionInfo,
+} = require("../scripts/lib/vrf");
+const { deployBlindBoxFixture } = require("./helpers/fixture");
+
+describe("VRF subscriptions", function () {
+  async function deployFixture() {
+    const [owner, alice] = await ethers.getSigners();
+    const { coordinator, link, subId, blindBox } = await deployBlindBoxFixture({
+      link: true,
+      callbackGasLimit: 200000,
+      addConsumer: false,
+    });
+    await link.mint(owner.address, ethers.parseEther("100"));
+    return { owner, alice, coordinator, link, subId, blindBox };
+  }
+
+  async function quietly(name, args) {
+    const original = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      console.log = original;
+    }
+  }
+
+  it("creates and funds a subscription with LINK and native", async function () {
+    const { owner, coordinator, link, subId } = await deployFixture();
+    await fundWithLink(link, coordinator, subId, ethers.parseEther("2"));
+    await fundWithNative(coordinator, subId, ethers.parseEther("0.5"));
+
+    const info = await subscriptionInfo(coordinator, subId);
+    expect(info.owner).to.equal(owner.address);
+    expect(info.balance).to.equal(ethers.parseEther("2"));
+    expect(info.nativeBalance).to.equal(ethers.parseEther("0.5"));
+    expect(info.consumers).to.deep.equal([]);
+    expect(info.pendingRequests).to.equal(false);
+    expect(await link.balanceOf(owner.address)).to.equal(ethers.parseEther("98"));
+  });
+
+  it("adds and removes consumers idempotently, owner only", async function () {
+    const { alice, coordinator, subId, blindBox } = await deployFixture();
+    const consumer = await blindBox.getAddress();
+
+    await expect(coordinator.connect(alice).addConsumer(subId, consumer)).to.be.revertedWithCustomError(
+      coordinator,
+      "MustBeSubOwner"
+    );
+    expect(await addConsumer(coordinator, subId, consumer)).to.equal(true);
+    expect(await addConsumer(coordinator, subId, consumer)).to.equal(false);
+    expect((await subscriptionInfo(coordinator, subId)).consumers).to.deep.equal([consumer]);
+
+    expect(await removeConsumer(coordinator, subId, consumer)).to.equal(true);
+    expect(await removeConsumer(coordinator, subId, consumer)).to.equal(false);
+    expect(await isConsumer(coordinator, subId, consumer)).to.equal(false);
+  });
+
+  it("rejects opens from contracts that are not consumers", async function () {
+    const { alice, coordinator, subId, blindBox } = await deployFixture();
+    const value = await blindBox.boxPrices(1);
+    await expect(blindBox.connect(alice).openBox(1, 0, 0, "0x", { value }))
+      .to.be.revertedWithCustomError(coordinator, "InvalidConsumer")
+      .withArgs(subId, await blindBox.getAddress());
+
+    await addConsumer(coordinator, subId, await blindBox.getAddress());
+    await blindBox.connect(alice).openBox(1, 0, 0, "0x", { value });
+    expect((await subscriptionInfo(coordinator, subId)).pendingRequests).to.equal(true);
+  });
+
+  it("charges the subscription on fulfillment", async function () {
+    const { alice, coordinator, link, subId, blindBox } = await deployFixture();
+    await coordinator.setFlatFee(ethers.parseEther("0.25"), 0);
+    await addConsumer(coordinator, subId, await blindBox.getAddress());
+    const value = await blindBox.boxPrices(1);
+    const receipt = await (await blindBox.connect(alice).openBox(1, 0, 0, "0x", { value })).wait();
+    const requestId = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args.requestId;
+
+    await expect(
+      coordinator.fulfillRandomWords(await blindBox.getAddress(), requestId, 7n)
+    ).to.be.revertedWithCustomError(coordinator, "InsufficientBalance");
+
+    await fundWithLink(link, coordinator, subId, ethers.parseEther("1"));
+    await coordinator.fulfillRandomWords(await blindBox.getAddress(), requestId, 7n);
+    const info = await subscriptionInfo(coordinator, subId);
+    expect(info.balance).to.equal(ethers.parseEther("0.75"));
+    expect(info.reqCount).to.equal(1n);
+    expect(info.pendingRequests).to.equal(false);
+  });
+
+  it("runs the vrf tasks against the deployed BlindBox", async function () {
+    const { coordinator, subId, blindBox } = await deployFixture();
+    const address = await blindBox.getAddress();
+
+    const created = await quietly("vrf:create", { address });
+    expect((await subscriptionInfo(coordinator, created)).consumers).to.deep.equal([]);
+
+    expect(await quietly("vrf:add-consumer", { address })).to.equal(true);
+    expect(await quietly("vrf:add-consumer", { address })).to.equal(false);
+
+    await quietly("vrf:fund", { address, amount: "1.5" });
+    const funded = await quietly("vrf:fund", { address, amount: "0.1", native: true });
+    expect(funded.balance).to.equal(ethers.parseEther("1.5"));
+    expect(funded.nativeBalance).to.equal(ethers.parseEther("0.1"));
+
+    const status = await quietly("vrf:status", { address });
+    expect(status.subId).to.equal(subId);
+    expect(status.consumers).to.deep.equal([address]);
+
+    expect(await quietly("vrf:remove-consumer", { address })).to.equal(true);
+    expect(await isConsumer(coordinator, subId, address)).to.equal(false);
+  });
+
+  it("fails fund when the signer holds too little LINK", async function () {
+    const { blindBox } = await deployFixture();
+    await expect(quietly("vrf:fund", { address: await blindBox.getAddress(), amount: "1000" })).to.be.rejectedWith(
+      /needs 1000/
+    );
+  });
+});
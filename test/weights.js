@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { buildModel, rollRewards, seededWords, tokenOdds } = require("../scripts/lib/simulator");
+const { readOnchainConfig } = require("../scripts/lib/config-sync");
+const { createSubscription } = require("../scripts/lib/vrf");
+
+describe("Weighted token odds", function () {
+  const SILVER = 1;
+  const GOLD = 2;
+  const range = (token, fields) => ({
+    boxType: SILVER,
+    token,
+    minAmount: 0n,
+    maxAmount: 0n,
+    enabled: false,
+    weight: 0,
+    tier: 0,
+    ...fields,
+  });
+
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const coordinator = await ethers.deployContract("MockVRFCoordinator");
+    const subId = await createSubscription(coordinator);
+    const tokens = await Promise.all(
+      ["TKA", "TKB", "TKC", "TKD"].map((symbol) => ethers.deployContract("MockERC20", [symbol, symbol]))
+    );
+    const addresses = await Promise.all(tokens.map((token) => token.getAddress()));
+    const blindBox = await ethers.deployContract("BlindBox", [
+      await coordinator.getAddress(),
+      "0x" + "11".repeat(32),
+      subId,
+      3,
+      500000,
+      false,
+      addresses,
+      [],
+    ]);
+    await coordinator.addConsumer(subId, await blindBox.getAddress());
+    await blindBox.setBoxPrice(SILVER, 0);
+    await blindBox.setBoxPrice(GOLD, 0);
+
+    // Jackpot SILVER box: A common, B uncommon, C and D rare through tier 1
+    await blindBox.setRarityTier(SILVER, 1, 500n, 900n, 25, true);
+    await blindBox.setTokenRanges([
+      range(addresses[0], { weight: 700 }),
+      range(addresses[1], { weight: 200, enabled: true, minAmount: 10n, maxAmount: 20n }),
+      range(addresses[2], { tier: 1 }),
+      range(addresses[3], { tier: 1, weight: 75 }),
+    ]);
+
+    const words = seededWords("weighted-odds");
+    // Open `count` boxes of `boxType` and return the rewards queued by each callback
+    async function openMany(boxType, count) {
+      const opens = [];
+      for (let i = 0; i < count; i += 1) {
+        const receipt = await (await blindBox.connect(user).openBox(boxType, 0, 0, "0x")).wait();
+        const { requestId } = receipt.logs.find((log) => log.fragment && log.fragment.name === "BoxOpened").args;
+        const word = words();
+        const fulfilled = await (await coordinator.fulfillRandomWords(blindBox.target, requestId, word)).wait();
+        const rewards = fulfilled.logs
+          .filter((log) => log.address === blindBox.target)
+          .map((log) => blindBox.interface.parseLog(log))
+          .filter((event) => event && event.name === "RewardsQueued")
+          .map((event) => ({ token: event.args.token, amount: event.args.amount }));
+        opens.push({ requestId, word, rewards });
+      }
+      return opens;
+    }
+
+    return { owner, user, coordinator, blindBox, addresses, openMany };
+  }
+
+  // Observed count within 4 standard deviations of the binomial expectation
+  function expectFrequency(count, trials, probability) {
+    const sd = Math.sqrt(trials * probability * (1 - probability));
+    expect(Math.abs(count - trials * probability)).to.be.at.most(4 * sd + 1);
+  }
+
+  it("reports effective weights for frontends", async function () {
+    const { blindBox, addresses } = await deployFixture();
+
+    const [tokens, weights] = await blindBox.getTokenOdds(SILVER);
+    expect(tokens).to.deep.equal(addresses);
+    expect(weights).to.deep.equal([700n, 200n, 25n, 75n]);
+    expect(await blindBox.weightedTokenCount(SILVER)).to.equal(4);
+
+    // Boxes without weights stay uniform at DEFAULT_WEIGHT
+    const [, gold] = await blindBox.getTokenOdds(GOLD);
+    expect(gold).to.deep.equal([100n, 100n, 100n, 100n]);
+    expect(await blindBox.weightedTokenCount(GOLD)).to.equal(0);
+
+    // A disabled tier no longer lends its weight
+    await blindBox.setRarityTier(SILVER, 1, 500n, 900n, 25, false);
+    expect((await blindBox.getTokenOdds(SILVER))[1]).to.deep.equal([700n, 200n, 100n, 75n]);
+
+    await blindBox.setTokenRange(SILVER, addresses[0], 0, 0, false, 0, 0);
+    expect(await blindBox.weightedTokenCount(SILVER)).to.equal(3);
+  });
+
+  it("draws a single token in proportion to its weight", async function () {
+    const { blindBox, addresses, openMany } = await deployFixture();
+    await blindBox.setBoxConfig(SILVER, 1n, 5n, 1, true);
+
+    const trials = 300;
+    const counts = new Map(addresses.map((token) => [token, 0]));
+    for (const { rewards } of await openMany(SILVER, trials)) {
+      expect(rewards).to.have.length(1);
+      counts.set(rewards[0].token, counts.get(rewards[0].token) + 1);
+    }
+
+    // weights 700 / 200 / 25 / 75 out of 1000
+    [0.7, 0.2, 0.025, 0.075].forEach((p, i) => expectFrequency(counts.get(addresses[i]), trials, p));
+    expect(counts.get(addresses[0])).to.be.greaterThan(counts.get(addresses[3]) * 3);
+  });
+
+  it("draws without replacement and matches the simulator's odds", async function () {
+    const { blindBox, addresses, openMany } = await deployFixture();
+    await blindBox.setBoxConfig(SILVER, 1n, 5n, 3, true);
+    const model = buildModel(await readOnchainConfig(blindBox, { rewardTokens: [] }));
+    const odds = tokenOdds(model, SILVER);
+    expect(odds.reduce((sum, entry) => sum + entry.inOpen, 0)).to.be.closeTo(3, 1e-9);
+
+    const trials = 150;
+    const counts = new Map(addresses.map((token) => [token, 0]));
+    for (const { requestId, word, rewards } of await openMany(SILVER, trials)) {
+      const picked = rewards.map((reward) => reward.token);
+      expect(new Set(picked).size).to.equal(3);
+      picked.forEach((token) => counts.set(token, counts.get(token) + 1));
+
+      expect(rollRewards(model, SILVER, word, requestId)).to.deep.equal(rewards);
+    }
+    odds.forEach(({ token, inOpen }) => expectFrequency(counts.get(token), trials, inOpen));
+  });
+
+  it("pays tier ranges to tier tokens without a range of their own", async function () {
+    const { blindBox, addresses, openMany } = await deployFixture();
+    await blindBox.setBoxConfig(SILVER, 1n, 5n, 4, true);
+
+    for (const { rewards } of await openMany(SILVER, 5)) {
+      const amounts = Object.fromEntries(rewards.map((reward) => [reward.token, reward.amount]));
+      expect(amounts[addresses[0]]).to.be.within(1n, 5n);
+      expect(amounts[addresses[1]]).to.be.within(10n, 20n);
+      expect(amounts[addresses[2]]).to.be.within(500n, 900n);
+      expect(amounts[addresses[3]]).to.be.within(500n, 900n);
+    }
+
+    await blindBox.setRarityTier(SILVER, 1, 500n, 900n, 25, false);
+    const [{ rewards }] = await openMany(SILVER, 1);
+    for (const reward of rewards.filter((r) => r.token === addresses[2] || r.token === addresses[3])) {
+      expect(reward.amount).to.be.within(1n, 5n);
+    }
+  });
+
+  it("keeps tier and weight setters owner-only and validated", async function () {
+    const { user, blindBox, addresses } = await deployFixture();
+    await expect(blindBox.setRarityTier(SILVER, 0, 1n, 2n, 1, true)).to.be.revertedWith("Invalid tier");
+    await expect(blindBox.setRarityTier(SILVER, 2, 3n, 2n, 1, true)).to.be.revertedWith("Invalid range");
+    await expect(blindBox.connect(user).setRarityTier(SILVER, 2, 1n, 2n, 1, true)).to.be.revertedWith("Not owner");
+    await expect(blindBox.setRarityTier(SILVER, 2, 1n, 2n, 1, true))
+      .to.emit(blindBox, "RarityTierUpdated")
+      .withArgs(SILVER, 2, 1n, 2n, 1, true);
+    await expect(blindBox.setTokenRange(GOLD, addresses[0], 1n, 2n, true, 50, 2))
+      .to.emit(blindBox, "TokenRangeUpdated")
+      .withArgs(GOLD, addresses[0], 1n, 2n, true, 50, 2);
+  });
+});